@@ -28,8 +28,8 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret');
       
-      // Check if user still exists
-      const currentUser = await User.findById(decoded.id);
+      // Check if user still exists (login tokens carry `userId`, older ones `id`)
+      const currentUser = await User.findById(decoded.userId || decoded.id);
       if (!currentUser) {
         return res.status(401).json({
           success: false,
@@ -65,6 +65,26 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Identify the user behind a valid token, if any, without rejecting the
+// request. Lets unprotected routes record who made a change.
+const identifyUser = async (req, res, next) => {
+  const header = req.headers.authorization;
+  const token = header && header.startsWith('Bearer') ? header.split(' ')[1] : req.cookies?.token;
+  if (!token) return next();
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret');
+    const user = await User.findById(decoded.userId || decoded.id);
+    if (user && !user.changedPasswordAfter(decoded.iat)) {
+      req.user = user;
+      res.locals.user = user;
+    }
+  } catch (error) {
+    // An invalid or expired token is treated as anonymous here; protect() rejects it
+  }
+  next();
+};
+
 // Grant access to specific roles
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -78,4 +98,4 @@ const authorize = (...roles) => {
   };
 };
 
-export { protect, authorize };
+export { protect, identifyUser, authorize };
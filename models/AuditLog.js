@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// One create, update or delete of an audited record (see utils/auditTrail.js).
+// `changes` holds only the fields that changed: on create `before` is empty,
+// on a permanent delete `after` is. Moving a record to the trash is logged as
+// a delete whose changes set deletedAt; `restore` takes it out again.
+// `reveal` records a user unmasking customer fields (see utils/piiReveal.js):
+// `changes` names the fields, without values, and `reason` says why.
+// `erase` records a customer's personal data being erased on their request
+// (see utils/dataRequests.js); `changes` names the fields erased.
+const auditLogSchema = new mongoose.Schema({
+  entity: {
+    type: String,
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore', 'reveal', 'erase'],
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: String,
+  ip: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1, _id: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import { auditTrail } from '../utils/auditTrail.js';
+import { softDelete } from '../utils/softDelete.js';
+import { GST_RATE_SLABS, isValidGstRate } from '../utils/gst.js';
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -12,12 +15,33 @@ const categorySchema = new mongoose.Schema({
     trim: true,
     default: ''
   },
+  // GST on this service; null inherits the default (GST_RATE, GST_SAC_CODE)
+  gstRate: {
+    type: Number,
+    default: null,
+    validate: {
+      validator: value => value === null || isValidGstRate(value),
+      message: `GST rate must be one of: ${GST_RATE_SLABS.join(', ')}`
+    }
+  },
+  sacCode: {
+    type: String,
+    trim: true,
+    default: null,
+    match: [/^[0-9]{4,8}$/, 'SAC code must be 4 to 8 digits']
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Deletes move records to the trash (see utils/trash.js)
+categorySchema.plugin(softDelete);
+
+// Record every change in the audit log
+categorySchema.plugin(auditTrail);
+
 const Category = mongoose.model('Category', categorySchema);
 
 export default Category;
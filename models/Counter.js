@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// Named sequences for document numbers, e.g. "INV/2026-27". Incremented
+// atomically, so concurrent requests never receive the same number.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Next value of the named sequence, starting at 1
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -1,4 +1,12 @@
 import mongoose from 'mongoose';
+import { auditTrail } from '../utils/auditTrail.js';
+import { softDelete } from '../utils/softDelete.js';
+import { fieldEncryption } from '../utils/fieldEncryption.js';
+import { MASKED_CUSTOMER_FIELDS, piiMasking } from '../utils/piiMasking.js';
+import { normalizeGstin, isValidGstin, validateGstin } from '../utils/gst.js';
+import { isValidPhone, phoneSetter, validatePhone } from '../utils/phone.js';
+import { addressFromPincode, normalizePincode, validatePincode } from '../utils/pincodes.js';
+import Tag from './Tag.js';
 
 // Schema options
 const schemaOptions = {
@@ -7,6 +15,64 @@ const schemaOptions = {
   toObject: { virtuals: true }
 };
 
+// Fields encrypted at rest once FIELD_ENCRYPTION_KEYS is set (see
+// utils/fieldEncryption.js). Exact matches on them keep working; pattern and
+// range queries do not.
+const ENCRYPTED_FIELDS = (process.env.ENCRYPTED_CUSTOMER_FIELDS ?? 'phone,contacts.number,dateOfBirth')
+  .split(',')
+  .map(field => field.trim())
+  .filter(Boolean);
+
+// Kinds of contact number a customer can give. Exactly one contact is the
+// primary one, and its number is also kept in `phone`.
+const CONTACT_TYPES = ['primary', 'alternate', 'whatsapp', 'guardian'];
+
+// Phone numbers are stored in E.164 form (see utils/phone.js)
+const phoneField = {
+  type: String,
+  trim: true,
+  set: phoneSetter,
+  validate: {
+    validator: value => !value || isValidPhone(value),
+    message: props => validatePhone(props.value).error || 'Please enter a valid Indian mobile number'
+  }
+};
+
+const contactSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: {
+      values: CONTACT_TYPES,
+      message: `Contact type must be one of: ${CONTACT_TYPES.join(', ')}`
+    },
+    required: [true, 'Contact type is required']
+  },
+  number: {
+    ...phoneField,
+    // Updates carry an encrypted number in its place
+    required: [function() { return !this?.get?.('encrypted.number') || this.isModified('number'); }, 'Contact number is required']
+  },
+  // Whose number it is, e.g. the guardian's name
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Contact name cannot be more than 100 characters']
+  }
+});
+
+// Exactly one primary contact, and no number listed twice under one type
+const checkContacts = (contacts) => {
+  const primaries = contacts.filter(contact => contact.type === 'primary').length;
+  if (primaries !== 1) {
+    return `Exactly one contact must be the primary contact (found ${primaries})`;
+  }
+  const keys = contacts.map(contact => `${contact.type}:${phoneSetter(contact.number) ?? contact.blindIndex?.number}`);
+  if (new Set(keys).size !== keys.length) {
+    return 'The same number is listed twice under one contact type';
+  }
+  return null;
+};
+
 const customerSchema = new mongoose.Schema({
   // Basic Information
   name: {
@@ -33,11 +99,17 @@ const customerSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^[\w-\.]+@([\w-]+\.)+[\w-]{2,4}$/, 'Please enter a valid email address']
   },
+  // The primary contact's number
   phone: {
-    type: String,
-    required: [true, 'Phone number is required'],
-    trim: true,
-    match: [/^[0-9]{10}$/, 'Please enter a valid 10-digit phone number']
+    ...phoneField,
+    required: [true, 'Phone number is required']
+  },
+  contacts: {
+    type: [contactSchema],
+    validate: {
+      validator: contacts => !contacts.length || !checkContacts(contacts),
+      message: props => checkContacts(props.value)
+    }
   },
   address: {
     type: String,
@@ -45,120 +117,88 @@ const customerSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Address cannot be more than 500 characters']
   },
+  // City, district and state are filled in from the pincode (see utils/pincodes.js)
   city: {
     type: String,
     trim: true,
     maxlength: [100, 'City cannot be more than 100 characters']
   },
-  state: {
+  district: {
     type: String,
     trim: true,
-    maxlength: [100, 'State cannot be more than 100 characters']
+    maxlength: [100, 'District cannot be more than 100 characters']
   },
-  zipCode: {
+  state: {
     type: String,
     trim: true,
-    maxlength: [20, 'ZIP code cannot be more than 20 characters']
-  },
-  
-  // Service Information
-  serviceCategory: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Category',
-    required: [true, 'Service category is required']
-  },
-  serviceCategoryName: {
-    type: String,
-    required: [true, 'Service category name is required'],
-    trim: true
+    maxlength: [100, 'State cannot be more than 100 characters']
   },
-  serviceCategoryUrl: {
+  // Six-digit Indian pincode. Checked when it is set, so customers saved with
+  // an older, unchecked value can still be edited.
+  zipCode: {
     type: String,
     trim: true,
-    default: undefined, // Ensure it's not set to null by default
+    set: v => (v ? normalizePincode(v) : v),
     validate: {
-      validator: function(v) {
-        // If the field is empty or undefined, it's valid (since it's optional)
-        if (!v || v.trim() === '') return true;
-        
-        try {
-          // Ensure the URL has a protocol
-          const url = v.startsWith('http') ? v : `https://${v}`;
-          // Basic URL validation
-          new URL(url);
-          return true;
-        } catch (e) {
-          console.error('Invalid URL:', v, e);
-          return false;
-        }
+      validator: function(value) {
+        if (!value) return true;
+        if (this instanceof mongoose.Document && !this.isNew && !this.isModified('zipCode')) return true;
+        return validatePincode(value).valid;
       },
-      message: props => `${props.value} is not a valid URL. Please include http:// or https://`
-    },
-    set: function(v) {
-      // If the value is empty or falsy, return undefined to avoid storing empty strings
-      if (!v || v.trim() === '') return undefined;
-      // Ensure the URL has a protocol
-      return v.startsWith('http') ? v : `https://${v}`;
+      message: props => validatePincode(props.value).error
     }
   },
-  serviceSubCategory: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'SubCategory',
-    default: null
-  },
-  serviceSubCategoryName: {
-    type: String,
-    default: null,
-    trim: true
-  },
-  serviceNumber: {
-    type: String,
-    trim: true,
-    maxlength: [50, 'Service number cannot be more than 50 characters']
-  },
+  
+  // Customer Status
   status: {
     type: String,
     enum: ['Active', 'Inactive', 'Pending', 'Suspended'],
     default: 'Active'
   },
   
-  // Financial Information
-  fees: {
-    type: Number,
-    min: [0, 'Fees cannot be negative']
-  },
-  gstStatus: {
-    type: String,
-    enum: ['Paid', 'Not Paid', 'Pay Later'],
-    default: 'Not Paid'
-  },
+  // Tax Information
+  // GSTIN of a registered business customer, checked down to the check character
   gstNumber: {
     type: String,
-    trim: true,
-    maxlength: [50, 'GST number cannot be more than 50 characters']
-  },
-  
-  // Dates
-  deliveryDate: {
-    type: Date
-  },
-  nextRenewalDate: {
-    type: Date
-  },
-  deliveryStatus: {
-    type: String,
-    enum: ['Pending', 'In Progress', 'Completed', 'Rejected'],
-    default: 'Pending'
+    set: v => (v ? normalizeGstin(v) : v),
+    validate: {
+      validator: value => !value || isValidGstin(value),
+      message: props => validateGstin(props.value).error
+    }
   },
   
   // Additional Information
+  // One free-text remark, as imported from spreadsheets. Staff conversation
+  // about a customer goes in threaded notes (see models/CustomerNote.js).
   notes: {
     type: String,
     trim: true,
     maxlength: [2000, 'Notes cannot be more than 2000 characters']
   },
+  // Labels such as "senior citizen" (see models/Tag.js)
+  tags: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+    set: ids => (Array.isArray(ids) ? [...new Set(ids.map(String))] : ids),
+    validate: {
+      validator: async function(ids) {
+        if (!ids?.length) return true;
+        const unique = [...new Set(ids.map(String))];
+        return await Tag.countDocuments({ _id: { $in: unique } }) === unique.length;
+      },
+      message: 'Unknown tag'
+    }
+  },
   
   // System Fields
+  // When the customer's personal data was erased on their request (see
+  // utils/dataRequests.js). Only the record's links to invoices and
+  // payments remain.
+  erasedAt: Date,
+  importBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch',
+    index: true
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -169,19 +209,128 @@ const customerSchema = new mongoose.Schema({
   }
 }, schemaOptions);
 
-// Add text index for search
+// Text index for /api/customers/search. Only one text index is allowed per
+// collection, so deployments that still carry the old index (which listed
+// serviceNumber and a non-existent `service` field) need it replaced; the
+// `migrate:applications` script does that.
 customerSchema.index({
   name: 'text',
   email: 'text',
   phone: 'text',
   address: 'text',
-  service: 'text',
-  serviceNumber: 'text',
   city: 'text',
   state: 'text',
   zipCode: 'text',
   gstNumber: 'text',
   notes: 'text'
+}, {
+  name: 'customer_text_search',
+  weights: {
+    name: 10,
+    phone: 8,
+    email: 5,
+    gstNumber: 5,
+    city: 3,
+    zipCode: 3,
+    address: 2,
+    state: 2,
+    notes: 1
+  }
+});
+
+// Prefix lookups used by search, on the primary and every other number.
+// Encrypted numbers are found through their blind index instead.
+customerSchema.index({ phone: 1 });
+customerSchema.index({ 'contacts.number': 1 });
+
+// Indexes backing the list filters and default sort
+customerSchema.index({ createdAt: -1, _id: -1 });
+customerSchema.index({ status: 1, createdAt: -1 });
+customerSchema.index({ tags: 1 });
+
+// Service applications (orders) belonging to this customer
+customerSchema.virtual('applications', {
+  ref: 'ServiceApplication',
+  localField: '_id',
+  foreignField: 'customer'
+});
+
+// Keep `phone` and the primary contact in step: a changed phone moves the
+// primary contact to it, changed contacts set phone to the primary's number.
+// Customers saved before contacts existed get theirs, and their number in
+// E.164 form, on the next save.
+customerSchema.pre('validate', function(next) {
+  if (this.phone && !isValidPhone(this.phone)) {
+    this.phone = phoneSetter(this.phone);
+  }
+  const primary = this.contacts.find(contact => contact.type === 'primary');
+  if (primary && this.isModified('contacts') && !this.isModified('phone')) {
+    this.phone = primary.number;
+  } else if (this.phone && primary) {
+    primary.number = this.phone;
+  } else if (isValidPhone(this.phone)) {
+    this.contacts.unshift({ type: 'primary', number: this.phone });
+  }
+  next();
+});
+
+// The same for updates through findOneAndUpdate/updateOne, as PUT
+// api/customers/:id makes
+customerSchema.pre(['findOneAndUpdate', 'updateOne'], async function() {
+  const update = this.getUpdate() || {};
+  const fields = { ...update, ...update.$set };
+
+  if (Array.isArray(fields.contacts) && fields.contacts.length) {
+    const problem = checkContacts(fields.contacts);
+    if (problem) {
+      const error = new mongoose.Error.ValidationError();
+      error.addError('contacts', new mongoose.Error.ValidatorError({ path: 'contacts', message: problem }));
+      throw error;
+    }
+    if (fields.phone === undefined) {
+      this.set('phone', fields.contacts.find(contact => contact.type === 'primary').number);
+    }
+  } else if (fields.phone !== undefined && fields.contacts === undefined) {
+    const current = await this.model.findOne(this.getFilter()).select('contacts').lean();
+    if (current?.contacts?.some(contact => contact.type === 'primary')) {
+      this.set('contacts.$[primary].number', fields.phone);
+      this.setOptions({ arrayFilters: [{ 'primary.type': 'primary' }] });
+    } else if (current) {
+      // Saved before contacts existed
+      this.set('contacts', [{ type: 'primary', number: fields.phone }, ...(current.contacts || [])]);
+    }
+  }
+});
+
+// Fill in city, district and state from a new or changed pincode, and spell a
+// changed city the way the pincode dataset does
+customerSchema.pre('validate', function(next) {
+  if (this.zipCode && (this.isNew || this.isModified('zipCode') || this.isModified('city'))) {
+    // A changed pincode with the city left as it was brings its own city
+    const city = this.isNew || this.isModified('city') ? this.city : undefined;
+    const address = addressFromPincode(this.zipCode, city);
+    if (address) this.set(address);
+  }
+  next();
+});
+
+// The same for updates through findOneAndUpdate/updateOne
+customerSchema.pre(['findOneAndUpdate', 'updateOne'], async function() {
+  const update = this.getUpdate() || {};
+  const fields = { ...update, ...update.$set };
+  if (!fields.zipCode && fields.city === undefined) return;
+
+  // A new pincode without a city brings its own city; a new city alone is
+  // checked against the pincode on file
+  let { zipCode } = fields;
+  if (zipCode === undefined) {
+    const current = await this.model.findOne(this.getFilter()).select('zipCode').lean();
+    zipCode = current?.zipCode;
+  }
+  const address = zipCode && addressFromPincode(zipCode, fields.city);
+  if (address) {
+    Object.entries(address).forEach(([field, value]) => this.set(field, value));
+  }
 });
 
 // Add a pre-save hook to update the updatedAt field
@@ -190,6 +339,24 @@ customerSchema.pre('save', function(next) {
   next();
 });
 
+// Deletes move records to the trash (see utils/trash.js)
+customerSchema.plugin(softDelete);
+
+// Registered after the hooks above, so they see plaintext values in updates
+customerSchema.plugin(fieldEncryption, { fields: ENCRYPTED_FIELDS });
+
+// Users outside PII_UNMASKED_ROLES get phone numbers, dates of birth and the
+// like masked in API responses
+customerSchema.plugin(piiMasking, { fields: MASKED_CUSTOMER_FIELDS });
+
+// Record every change in the audit log. Encrypted values are logged as
+// changed but not what they were.
+customerSchema.plugin(auditTrail, {
+  ignore: ['encrypted', 'blindIndex'],
+  redact: [...new Set(ENCRYPTED_FIELDS.map(field => field.split('.')[0]))]
+});
+
 const Customer = mongoose.model('Customer', customerSchema);
 
+export { CONTACT_TYPES, ENCRYPTED_FIELDS };
 export default Customer;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// Audit record of a duplicate merge. The merged customers are deleted, so a
+// full snapshot of each is kept here together with what was taken from it.
+// Encrypted customer fields stay encrypted in both (see utils/customerMerge.js).
+const customerMergeSchema = new mongoose.Schema({
+  survivor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+  merged: [{
+    _id: false,
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    }
+  }],
+  // Survivor fields overwritten by the merge: { field, before, after, source }
+  fieldChanges: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    source: mongoose.Schema.Types.ObjectId
+  }],
+  repointed: [{
+    _id: false,
+    model: String,
+    path: String,
+    modified: Number
+  }],
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+customerMergeSchema.index({ 'merged.customer': 1 });
+customerMergeSchema.index({ createdAt: -1 });
+
+const CustomerMerge = mongoose.model('CustomerMerge', customerMergeSchema);
+
+export default CustomerMerge;
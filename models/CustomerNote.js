@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/auditTrail.js';
+import { softDelete } from '../utils/softDelete.js';
+
+const NOTE_MAX_LENGTH = 2000;
+
+const noteBody = {
+  type: String,
+  trim: true,
+  maxlength: [NOTE_MAX_LENGTH, `Note cannot be more than ${NOTE_MAX_LENGTH} characters`]
+};
+
+// A note staff leave on a customer, or a reply to one. Replies hang off a
+// top-level note (`parent`), so threads are one level deep. Only top-level
+// notes can be pinned. Editing keeps the earlier text in `edits`.
+const customerNoteSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer is required']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomerNote',
+    default: null
+  },
+  body: {
+    ...noteBody,
+    required: [true, 'Note text is required']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  // Staff users @mentioned in the body (see utils/customerNotes.js)
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedAt: Date,
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Earlier versions of the body, oldest first
+  edits: [{
+    _id: false,
+    body: noteBody,
+    mentions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    editedAt: {
+      type: Date,
+      default: Date.now
+    },
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  editedAt: Date
+}, {
+  timestamps: true
+});
+
+customerNoteSchema.index({ customer: 1, parent: 1, pinned: -1, createdAt: -1 });
+customerNoteSchema.index({ mentions: 1, createdAt: -1 });
+
+// Deleted notes go to deletedAt and drop out of threads and the timeline
+customerNoteSchema.plugin(softDelete);
+
+// Record every change in the audit log
+customerNoteSchema.plugin(auditTrail);
+
+const CustomerNote = mongoose.model('CustomerNote', customerNoteSchema);
+
+export { NOTE_MAX_LENGTH };
+export default CustomerNote;
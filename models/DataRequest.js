@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/auditTrail.js';
+
+// What a customer can ask for under the DPDP Act: a copy of everything held
+// about them, or to be erased (see utils/dataRequests.js)
+const REQUEST_TYPES = ['access', 'erasure'];
+const REQUEST_STATUSES = ['pending', 'completed', 'rejected'];
+
+// A customer's request to see or erase their personal data, kept as the
+// record of when it came in and how it was answered. Erasure leaves this
+// record and the customer's ID behind, but nothing that names them.
+const dataRequestSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer is required']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: REQUEST_TYPES,
+      message: `Request type must be one of: ${REQUEST_TYPES.join(', ')}`
+    },
+    required: [true, 'Request type is required']
+  },
+  status: {
+    type: String,
+    enum: REQUEST_STATUSES,
+    default: 'pending'
+  },
+  // When the customer made the request, which may be before it was entered
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  dueAt: {
+    type: Date,
+    required: true
+  },
+  // How the request came in and anything else staff should know, e.g.
+  // "Letter handed in at the counter, ID checked"
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters']
+  },
+  completedAt: Date,
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectedReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  // What was done: for an access request the export format and record counts,
+  // for an erasure what was erased and what was kept
+  result: mongoose.Schema.Types.Mixed,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+dataRequestSchema.index({ customer: 1, createdAt: -1 });
+dataRequestSchema.index({ status: 1, dueAt: 1 });
+
+// Record every change in the audit log
+dataRequestSchema.plugin(auditTrail);
+
+const DataRequest = mongoose.model('DataRequest', dataRequestSchema);
+
+export { REQUEST_TYPES, REQUEST_STATUSES };
+export default DataRequest;
@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/auditTrail.js';
+import { softDelete } from '../utils/softDelete.js';
+import { getStorage } from '../utils/documentStorage.js';
+
+const DOCUMENT_TYPES = [
+  'ID Proof',
+  'Address Proof',
+  'Photograph',
+  'Certificate',
+  'Application Form',
+  'Acknowledgement',
+  'Other'
+];
+
+// A supporting document (ID proof, certificate, photograph...) uploaded for a
+// customer, optionally for one of their service applications. The file itself
+// lives in document storage under a key derived from its SHA-256 checksum, so
+// identical files are stored once however many records point at them.
+const documentSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer is required']
+  },
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceApplication',
+    default: null
+  },
+  documentType: {
+    type: String,
+    enum: {
+      values: DOCUMENT_TYPES,
+      message: `Document type must be one of: ${DOCUMENT_TYPES.join(', ')}`
+    },
+    default: 'Other'
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+
+  // The file
+  originalName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [255, 'File name cannot be more than 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  checksum: {
+    type: String,
+    required: true
+  },
+  storage: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+documentSchema.index({ customer: 1, createdAt: -1 });
+documentSchema.index({ application: 1 });
+documentSchema.index({ checksum: 1, customer: 1 });
+documentSchema.index({ expiresAt: 1 });
+
+// Storage details are internal; downloads go through the documents route
+documentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.storage;
+    delete ret.storageKey;
+    return ret;
+  }
+});
+
+// Purging records (see utils/trash.js) also removes their files from storage
+// once no remaining record, trashed or not, points at them
+documentSchema.pre(['deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+  this._files = await this.model.find(this.getFilter())
+    .setOptions({ withDeleted: true })
+    .select('storage storageKey')
+    .lean();
+});
+
+documentSchema.post(['deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+  for (const { storage, storageKey } of this._files || []) {
+    const stillUsed = await this.model.exists({ storage, storageKey }).setOptions({ withDeleted: true });
+    if (!stillUsed) {
+      await getStorage(storage).remove(storageKey);
+    }
+  }
+});
+
+// Deletes move records to the trash (see utils/trash.js)
+documentSchema.plugin(softDelete);
+
+// Record every change in the audit log
+documentSchema.plugin(auditTrail);
+
+const Document = mongoose.model('Document', documentSchema);
+
+export { DOCUMENT_TYPES };
+export default Document;
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { auditTrail } from '../utils/auditTrail.js';
+import { softDelete } from '../utils/softDelete.js';
 
 const formSchema = new mongoose.Schema({
   name: {
@@ -34,4 +36,10 @@ formSchema.pre('findOneAndUpdate', function() {
   this.set({ updatedAt: new Date() });
 });
 
+// Deletes move records to the trash (see utils/trash.js)
+formSchema.plugin(softDelete);
+
+// Record every change in the audit log
+formSchema.plugin(auditTrail);
+
 export default mongoose.model('Form', formSchema);
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/auditTrail.js';
+
+// How a member is related to the head of the household
+const RELATIONSHIPS = ['head', 'spouse', 'father', 'mother', 'child', 'guardian', 'sibling', 'other'];
+
+const memberSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Member customer is required']
+  },
+  relationship: {
+    type: String,
+    enum: {
+      values: RELATIONSHIPS,
+      message: `Relationship must be one of: ${RELATIONSHIPS.join(', ')}`
+    },
+    required: [true, 'Relationship is required']
+  }
+}, { _id: false });
+
+// Exactly one head, and no customer listed twice
+const checkMembers = (members) => {
+  const heads = members.filter(member => member.relationship === 'head').length;
+  if (heads !== 1) {
+    return `A household needs exactly one head (found ${heads})`;
+  }
+  const customers = members.map(member => String(member.customer));
+  if (new Set(customers).size !== customers.length) {
+    return 'The same customer is listed twice';
+  }
+  return null;
+};
+
+// A family served together, e.g. parents applying for their children's
+// community certificates. A customer belongs to at most one household
+// (see utils/households.js).
+const householdSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Household name is required'],
+    trim: true,
+    maxlength: [100, 'Household name cannot be more than 100 characters']
+  },
+  members: {
+    type: [memberSchema],
+    validate: {
+      validator: members => !checkMembers(members),
+      message: props => checkMembers(props.value)
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+householdSchema.index({ 'members.customer': 1 });
+householdSchema.index({ name: 1 });
+
+// Record every change in the audit log
+householdSchema.plugin(auditTrail);
+
+const Household = mongoose.model('Household', householdSchema);
+
+export { RELATIONSHIPS };
+export default Household;
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// One committed spreadsheet import. Customers created by the import point back
+// here through Customer.importBatch, which is what makes rollback possible.
+const importBatchSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['committed', 'rolled_back'],
+    default: 'committed'
+  },
+  columnMapping: {
+    type: Map,
+    of: String
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  importedCount: {
+    type: Number,
+    default: 0
+  },
+  skippedRows: [{
+    _id: false,
+    row: Number,
+    details: {
+      type: Map,
+      of: String
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rolledBackAt: Date,
+  rolledBackBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rolledBackCount: Number
+}, {
+  timestamps: true
+});
+
+importBatchSchema.index({ createdAt: -1 });
+
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
+export default ImportBatch;
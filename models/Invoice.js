@@ -0,0 +1,166 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/auditTrail.js';
+import { maskInvoiceParty } from '../utils/piiMasking.js';
+
+// The buyer's phone is not copied from the customer, where it is encrypted;
+// only the seller's is printed
+const partySchema = new mongoose.Schema({
+  name: String,
+  address: String,
+  phone: String,
+  email: String,
+  gstin: String,
+  stateCode: String,
+  stateName: String
+}, { _id: false });
+
+const lineSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceApplication'
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  sacCode: String,
+  amount: Number,
+  taxableValue: Number,
+  gstRate: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number,
+  total: Number
+}, { _id: false });
+
+// A GST tax invoice, or a credit note cancelling one. Seller and buyer
+// details are copied in at issue time so that a re-downloaded PDF always
+// matches the original, whatever happens to the customer record later.
+const invoiceSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    default: 'invoice'
+  },
+  // e.g. INV/2026-27/0001; sequential within the financial year
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  seller: partySchema,
+  buyer: partySchema,
+  placeOfSupply: {
+    stateCode: String,
+    stateName: String
+  },
+  interState: {
+    type: Boolean,
+    default: false
+  },
+  pricesIncludeTax: {
+    type: Boolean,
+    default: true
+  },
+
+  lines: [lineSchema],
+  // The applications billed on an invoice, copied from `lines` on save. A
+  // unique index over them on issued invoices stops an application being
+  // billed twice, even by requests made at the same moment.
+  billedApplications: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ServiceApplication' }],
+    default: undefined
+  },
+  taxableValue: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number,
+  totalTax: Number,
+  roundOff: Number,
+  grandTotal: Number,
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+
+  status: {
+    type: String,
+    enum: ['issued', 'cancelled'],
+    default: 'issued'
+  },
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelReason: String,
+  // On a cancelled invoice, the credit note that reversed it; on a credit
+  // note, the invoice it reverses
+  creditNote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  originalInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ customer: 1, issuedAt: -1 });
+invoiceSchema.index({ 'lines.application': 1, status: 1 });
+invoiceSchema.index({ issuedAt: -1, _id: -1 });
+invoiceSchema.index({ kind: 1, financialYear: 1, sequence: 1 });
+invoiceSchema.index({ billedApplications: 1 }, {
+  unique: true,
+  partialFilterExpression: { kind: 'invoice', status: 'issued', billedApplications: { $exists: true } }
+});
+
+invoiceSchema.pre('validate', function(next) {
+  if (this.kind === 'invoice' && this.isModified('lines')) {
+    const ids = [...new Set(this.lines.filter(line => line.application).map(line => String(line.application)))];
+    this.billedApplications = ids.length ? ids : undefined;
+  }
+  next();
+});
+
+// The buyer's details are copied from the customer, so users who see the
+// customer masked see them masked too (see utils/piiMasking.js)
+invoiceSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.buyer) maskInvoiceParty(ret.buyer);
+    return ret;
+  }
+});
+
+// Record every change in the audit log
+invoiceSchema.plugin(auditTrail);
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+// One message sent to a customer through a message channel, kept for the
+// customer's activity timeline. Renewal reminders have their own record
+// (models/RenewalReminder.js); this covers the rest, such as segment messages.
+const messageLogSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  // What the message was for, e.g. 'segment-message'
+  purpose: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  // The phone is masked (see loggedRecipient in utils/messageChannels.js)
+  to: {
+    name: String,
+    phone: String,
+    email: String
+  },
+  subject: String,
+  body: String,
+  messageId: String,
+  error: String,
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MessageTemplate'
+  },
+  segment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Segment'
+  },
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+messageLogSchema.index({ customer: 1, sentAt: -1 });
+
+const MessageLog = mongoose.model('MessageLog', messageLogSchema);
+
+export default MessageLog;
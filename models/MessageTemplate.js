@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { auditTrail } from '../utils/auditTrail.js';
 
 const messageTemplateSchema = new mongoose.Schema({
   name: {
@@ -37,6 +38,9 @@ messageTemplateSchema.pre('save', function(next) {
   next();
 });
 
+// Record every change in the audit log
+messageTemplateSchema.plugin(auditTrail);
+
 const MessageTemplate = mongoose.model('MessageTemplate', messageTemplateSchema);
 
 export default MessageTemplate;
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/auditTrail.js';
+
+const PAYMENT_MODES = ['Cash', 'UPI', 'Card', 'Bank Transfer'];
+
+// Modes whose payments can be traced, so a reference number is required
+const REFERENCED_MODES = ['UPI', 'Card', 'Bank Transfer'];
+
+// Money received from a customer. A payment may be tied to one service
+// application or, like an advance, only to the customer. Payments are never
+// edited or deleted; a mistake is voided (with a reason) and re-entered.
+const paymentSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer is required']
+  },
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceApplication',
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than zero'],
+    // Whole paise
+    set: v => (typeof v === 'number' ? Math.round(v * 100) / 100 : v)
+  },
+  mode: {
+    type: String,
+    enum: {
+      values: PAYMENT_MODES,
+      message: `Payment mode must be one of: ${PAYMENT_MODES.join(', ')}`
+    },
+    required: [true, 'Payment mode is required']
+  },
+  referenceNumber: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference number cannot be more than 100 characters'],
+    required: [
+      function() { return REFERENCED_MODES.includes(this.mode); },
+      'Reference number is required for this payment mode'
+    ]
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // e.g. RCPT/2026-27/0001, assigned when the payment is recorded
+  receiptNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  collectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'voided'],
+    default: 'active'
+  },
+  voidedAt: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Void reason cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ customer: 1, receivedAt: -1 });
+paymentSchema.index({ application: 1 });
+paymentSchema.index({ status: 1, customer: 1 });
+paymentSchema.index({ receivedAt: -1, _id: -1 });
+
+// Record every change in the audit log
+paymentSchema.plugin(auditTrail);
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+export { PAYMENT_MODES };
+export default Payment;
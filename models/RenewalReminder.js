@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// A renewal reminder sent (or being sent) for one service application. The
+// unique index on application + renewal date + window is what keeps a
+// customer from being reminded twice; a renewed application gets a new
+// nextRenewalDate and so a fresh set of reminders.
+const renewalReminderSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceApplication',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  renewalDate: {
+    type: Date,
+    required: true
+  },
+  // Days before renewalDate this reminder is for, e.g. 30, 7 or 1
+  window: {
+    type: Number,
+    required: true
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MessageTemplate'
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed'],
+    default: 'queued'
+  },
+  // The phone is masked (see loggedRecipient in utils/messageChannels.js)
+  to: {
+    name: String,
+    phone: String,
+    email: String
+  },
+  subject: String,
+  body: String,
+  messageId: String,
+  error: String,
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+renewalReminderSchema.index({ application: 1, renewalDate: 1, window: 1 }, { unique: true });
+renewalReminderSchema.index({ customer: 1, createdAt: -1 });
+renewalReminderSchema.index({ status: 1, createdAt: -1 });
+renewalReminderSchema.index({ createdAt: -1, _id: -1 });
+
+const RenewalReminder = mongoose.model('RenewalReminder', renewalReminderSchema);
+
+export default RenewalReminder;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/auditTrail.js';
+
+// A saved customer filter, e.g. "renewal due next month in Chennai with GST
+// unpaid". `filter` holds GET api/customers filter parameters (see
+// CUSTOMER_FILTER_PARAMS in utils/customerQuery.js) and is evaluated afresh
+// each time, so relative dates such as "today+30" keep the segment current.
+// Listings, exports and messages target a segment with `segment=<id>`.
+const segmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Segment name is required'],
+    trim: true,
+    maxlength: [100, 'Segment name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  filter: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Segment filter is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  // Keep an empty filter ({}) rather than dropping it
+  minimize: false
+});
+
+segmentSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+// Record every change in the audit log
+segmentSchema.plugin(auditTrail);
+
+const Segment = mongoose.model('Segment', segmentSchema);
+
+export default Segment;
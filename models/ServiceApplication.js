@@ -0,0 +1,185 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/auditTrail.js';
+import { softDelete } from '../utils/softDelete.js';
+import { DELIVERY_STATUSES, DELIVERY_WORKFLOW } from '../utils/deliveryWorkflow.js';
+import { currentActor } from '../utils/requestContext.js';
+
+// Schema options
+const schemaOptions = {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+};
+
+// One service a customer has applied for through us (an order). A customer
+// can have any number of these, each with its own fees and delivery dates.
+const serviceApplicationSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer is required']
+  },
+
+  // Service Information
+  serviceCategory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Service category is required']
+  },
+  serviceCategoryName: {
+    type: String,
+    required: [true, 'Service category name is required'],
+    trim: true
+  },
+  serviceCategoryUrl: {
+    type: String,
+    trim: true,
+    default: undefined, // Ensure it's not set to null by default
+    validate: {
+      validator: function(v) {
+        // If the field is empty or undefined, it's valid (since it's optional)
+        if (!v || v.trim() === '') return true;
+
+        try {
+          // Ensure the URL has a protocol
+          const url = v.startsWith('http') ? v : `https://${v}`;
+          // Basic URL validation
+          new URL(url);
+          return true;
+        } catch (e) {
+          console.error('Invalid URL:', v, e);
+          return false;
+        }
+      },
+      message: props => `${props.value} is not a valid URL. Please include http:// or https://`
+    },
+    set: function(v) {
+      // If the value is empty or falsy, return undefined to avoid storing empty strings
+      if (!v || v.trim() === '') return undefined;
+      // Ensure the URL has a protocol
+      return v.startsWith('http') ? v : `https://${v}`;
+    }
+  },
+  serviceSubCategory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubCategory',
+    default: null
+  },
+  serviceSubCategoryName: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  serviceNumber: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Service number cannot be more than 50 characters']
+  },
+
+  // Financial Information
+  fees: {
+    type: Number,
+    min: [0, 'Fees cannot be negative']
+  },
+  gstStatus: {
+    type: String,
+    enum: ['Paid', 'Not Paid', 'Pay Later'],
+    default: 'Not Paid'
+  },
+
+  // Dates
+  deliveryDate: {
+    type: Date
+  },
+  nextRenewalDate: {
+    type: Date
+  },
+  // Changed only through applyDeliveryStatus (utils/deliveryWorkflow.js),
+  // which enforces the allowed transitions and appends to statusHistory
+  deliveryStatus: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: DELIVERY_WORKFLOW.initial
+  },
+  statusHistory: [{
+    _id: false,
+    from: {
+      type: String,
+      default: null
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot be more than 500 characters']
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Additional Information
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot be more than 2000 characters']
+  },
+
+  // System Fields
+  importBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, schemaOptions);
+
+// A new application's history starts with the status it was created in. After
+// that, a status change without a matching history entry bypassed the workflow.
+serviceApplicationSchema.pre('validate', function(next) {
+  if (this.isNew && !this.statusHistory.length) {
+    this.statusHistory.push({
+      from: null,
+      to: this.deliveryStatus,
+      changedBy: this.createdBy || currentActor().user
+    });
+  } else if (!this.isNew && this.isModified('deliveryStatus')) {
+    const last = this.statusHistory[this.statusHistory.length - 1];
+    if (!last || last.to !== this.deliveryStatus) {
+      this.invalidate('deliveryStatus', 'Delivery status must be changed through the status workflow');
+    }
+  }
+  next();
+});
+
+serviceApplicationSchema.index({ customer: 1, createdAt: -1 });
+serviceApplicationSchema.index({ serviceNumber: 1 });
+serviceApplicationSchema.index({ serviceCategory: 1, serviceSubCategory: 1 });
+serviceApplicationSchema.index({ serviceSubCategory: 1 });
+serviceApplicationSchema.index({ deliveryStatus: 1, deliveryDate: 1 });
+serviceApplicationSchema.index({ nextRenewalDate: 1 });
+serviceApplicationSchema.index({ importBatch: 1 });
+
+// Deletes move records to the trash (see utils/trash.js)
+serviceApplicationSchema.plugin(softDelete);
+
+// statusHistory already records who changed the delivery status and when
+serviceApplicationSchema.plugin(auditTrail, { ignore: ['statusHistory'] });
+
+const ServiceApplication = mongoose.model('ServiceApplication', serviceApplicationSchema);
+
+export default ServiceApplication;
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import { auditTrail } from '../utils/auditTrail.js';
+import { softDelete } from '../utils/softDelete.js';
+import { GST_RATE_SLABS, isValidGstRate } from '../utils/gst.js';
 
 const subCategorySchema = new mongoose.Schema({
   name: {
@@ -16,6 +19,21 @@ const subCategorySchema = new mongoose.Schema({
     default: '',
     trim: true
   },
+  // GST on this service; null inherits the category's
+  gstRate: {
+    type: Number,
+    default: null,
+    validate: {
+      validator: value => value === null || isValidGstRate(value),
+      message: `GST rate must be one of: ${GST_RATE_SLABS.join(', ')}`
+    }
+  },
+  sacCode: {
+    type: String,
+    trim: true,
+    default: null,
+    match: [/^[0-9]{4,8}$/, 'SAC code must be 4 to 8 digits']
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -29,22 +47,27 @@ const subCategorySchema = new mongoose.Schema({
 // Add a compound index to ensure subcategory names are unique within a category
 subCategorySchema.index({ name: 1, category: 1 }, { unique: true });
 
-// Virtual for populating customers
-subCategorySchema.virtual('customers', {
-  ref: 'Customer',
+// Virtual for populating the service applications filed under this subcategory
+subCategorySchema.virtual('applications', {
+  ref: 'ServiceApplication',
   localField: '_id',
-  foreignField: 'services.subCategory'
+  foreignField: 'serviceSubCategory'
 });
 
-// Add a pre-remove hook to check for referenced customers
-subCategorySchema.pre('remove', async function(next) {
-  const customerCount = await this.model('Customer').countDocuments({ 'services.subCategory': this._id });
-  if (customerCount > 0) {
+// Refuse to delete a subcategory that service applications still point at
+subCategorySchema.pre('deleteOne', { document: true, query: false }, async function() {
+  const applicationCount = await this.model('ServiceApplication').countDocuments({ serviceSubCategory: this._id });
+  if (applicationCount > 0) {
     throw new Error('Cannot delete subcategory as it is being used by one or more customers');
   }
-  next();
 });
 
+// Deletes move records to the trash (see utils/trash.js)
+subCategorySchema.plugin(softDelete);
+
+// Record every change in the audit log
+subCategorySchema.plugin(auditTrail);
+
 const SubCategory = mongoose.model('SubCategory', subCategorySchema);
 
 export default SubCategory;
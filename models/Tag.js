@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/auditTrail.js';
+
+// A label staff put on customers, e.g. "senior citizen" or "bulk client".
+// Customers carry the IDs in `tags`, so a tag can be renamed freely.
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tag name is required'],
+    trim: true,
+    maxlength: [50, 'Tag name cannot be more than 50 characters']
+  },
+  color: {
+    type: String,
+    trim: true,
+    default: null,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Colour must be a hex colour such as #1e88e5']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// "Farmer" and "farmer" are the same tag
+tagSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+// Record every change in the audit log
+tagSchema.plugin(auditTrail);
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+export default Tag;
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// A one-time code sent to a customer's phone so they can track the
+// applications filed under a service number (see utils/tracking.js). Only
+// hashes of the phone and the code are kept; MongoDB removes expired codes by
+// itself.
+const trackingOtpSchema = new mongoose.Schema({
+  serviceNumber: {
+    type: String,
+    required: true
+  },
+  // The phone's blind index, as on the customer (see utils/fieldEncryption.js)
+  phoneHash: {
+    type: String,
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+trackingOtpSchema.index({ serviceNumber: 1, createdAt: -1 });
+trackingOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const TrackingOtp = mongoose.model('TrackingOtp', trackingOtpSchema);
+
+export default TrackingOtp;
@@ -0,0 +1,185 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import ServiceApplication from '../models/ServiceApplication.js';
+import { paginate, parseList, QueryError } from '../utils/pagination.js';
+import { APPLICATION_SORT_FIELDS, buildApplicationFilter } from '../utils/customerQuery.js';
+import { prepareApplicationData, validationDetails } from '../utils/customerValidation.js';
+import { DELIVERY_WORKFLOW, applyDeliveryStatus } from '../utils/deliveryWorkflow.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// @route   GET api/applications
+// @desc    List service applications across all customers
+// @query   customer                             customer ObjectId or comma-separated ObjectIds
+//          deliveryStatus, gstStatus            one value or a comma-separated list
+//          serviceCategory, serviceSubCategory  ObjectId or comma-separated ObjectIds
+//          createdAtFrom/To, deliveryDateFrom/To, nextRenewalDateFrom/To
+//                                               inclusive date bounds (YYYY-MM-DD or ISO)
+//          sort                                 e.g. "nextRenewalDate" (default "-createdAt")
+//          page, limit, cursor                  as for GET api/customers
+// @returns { data: [...], pagination: { ... } }, each application with customer name and phone
+router.get('/', async (req, res) => {
+  try {
+    const filter = buildApplicationFilter(req.query, ['createdAt', 'deliveryDate', 'nextRenewalDate']);
+
+    const customers = parseList(req.query.customer);
+    if (customers.length) {
+      if (customers.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new QueryError('Invalid customer ID');
+      }
+      filter.customer = { $in: customers.map(id => new mongoose.Types.ObjectId(id)) };
+    }
+
+    const result = await paginate(ServiceApplication, filter, req.query, {
+      sortFields: APPLICATION_SORT_FIELDS,
+      defaultSort: '-createdAt',
+      populate: [{ path: 'customer', select: 'name phone' }]
+    });
+    res.json(result);
+  } catch (error) {
+    if (error.name === 'QueryError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching service applications:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET api/applications/workflow
+// @desc    The delivery status workflow: statuses, allowed transitions and
+//          the statuses that need a reason
+// Registered before /:id so that "workflow" is not taken for an application ID
+router.get('/workflow', (req, res) => {
+  res.json(DELIVERY_WORKFLOW);
+});
+
+// Get a single service application
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid service application ID' });
+    }
+    const application = await ServiceApplication.findById(req.params.id)
+      .populate('customer', 'name phone email');
+    if (!application) {
+      return res.status(404).json({ error: 'Service application not found' });
+    }
+    res.json(application);
+  } catch (error) {
+    console.error('Error fetching service application:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update a service application. It cannot be moved to another customer here;
+// merging customers is the way to do that. A deliveryStatus in the body goes
+// through the workflow, with `statusReason` as the reason.
+router.put('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid service application ID' });
+    }
+    const application = await ServiceApplication.findById(req.params.id);
+    if (!application) {
+      return res.status(404).json({ error: 'Service application not found' });
+    }
+
+    const { customer, _id, statusHistory, deliveryStatus, statusReason, ...updateData } = req.body;
+    application.set(prepareApplicationData(updateData));
+    if (deliveryStatus !== undefined) {
+      applyDeliveryStatus(application, deliveryStatus, { reason: statusReason, user: req.user });
+    }
+    if (req.user) application.updatedBy = req.user._id;
+    await application.save();
+    res.json(application);
+  } catch (error) {
+    if (error.name === 'WorkflowError') {
+      return res.status(400).json({ error: error.message, ...error.details });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validationDetails(error)
+      });
+    }
+    console.error('Error updating service application:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST api/applications/:id/status
+// @desc    Move an application to another delivery status. The history
+//          records who made the change, so a login is required.
+// @body    { status, reason }  reason is required for statuses such as Rejected
+router.post('/:id/status', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid service application ID' });
+    }
+    if (!req.body.status) {
+      return res.status(400).json({ error: 'status is required' });
+    }
+    const application = await ServiceApplication.findById(req.params.id);
+    if (!application) {
+      return res.status(404).json({ error: 'Service application not found' });
+    }
+
+    applyDeliveryStatus(application, req.body.status, { reason: req.body.reason, user: req.user });
+    application.updatedBy = req.user._id;
+    await application.save();
+    res.json(application);
+  } catch (error) {
+    if (error.name === 'WorkflowError') {
+      return res.status(400).json({ error: error.message, ...error.details });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: validationDetails(error)
+      });
+    }
+    console.error('Error changing delivery status:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET api/applications/:id/history
+// @desc    Delivery status history of an application, oldest first
+router.get('/:id/history', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid service application ID' });
+    }
+    const application = await ServiceApplication.findById(req.params.id)
+      .select('deliveryStatus statusHistory')
+      .populate('statusHistory.changedBy', 'name email');
+    if (!application) {
+      return res.status(404).json({ error: 'Service application not found' });
+    }
+    res.json({ deliveryStatus: application.deliveryStatus, history: application.statusHistory });
+  } catch (error) {
+    console.error('Error fetching delivery status history:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a service application (moves it to the trash)
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid service application ID' });
+    }
+    const application = await ServiceApplication.findById(req.params.id);
+    if (!application) {
+      return res.status(404).json({ error: 'Service application not found' });
+    }
+    await application.softDelete(req.user);
+    res.json({ message: 'Service application deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting service application:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,109 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { paginate, parseList, parseDateRange, QueryError } from '../utils/pagination.js';
+
+const router = express.Router();
+
+// URL names of the audited collections and their model names
+const AUDITED_ENTITIES = {
+  customers: 'Customer',
+  applications: 'ServiceApplication',
+  categories: 'Category',
+  subcategories: 'SubCategory',
+  forms: 'Form',
+  'message-templates': 'MessageTemplate',
+  invoices: 'Invoice',
+  documents: 'Document',
+  tags: 'Tag',
+  segments: 'Segment',
+  households: 'Household',
+  notes: 'CustomerNote',
+  'data-requests': 'DataRequest'
+};
+
+const AUDIT_SORT_FIELDS = ['createdAt'];
+
+const resolveEntity = (name) => {
+  const entity = AUDITED_ENTITIES[name];
+  if (!entity) {
+    throw new QueryError(`Unknown entity "${name}". Audited entities: ${Object.keys(AUDITED_ENTITIES).join(', ')}`);
+  }
+  return entity;
+};
+
+const POPULATE_ACTOR = [{ path: 'actor', select: 'name email' }];
+
+// The audit log is for administrators only
+router.use(protect, authorize('admin'));
+
+// @route   GET api/audit
+// @desc    Search the audit log, newest first
+// @query   user          user ObjectId, or comma-separated ObjectIds
+//          from, to      inclusive date bounds (YYYY-MM-DD or ISO)
+//          entity        e.g. "customers" or "categories,subcategories"
+//          action        create | update | delete | restore | reveal | erase, comma-separated
+//          page, limit, cursor
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+
+    const users = parseList(req.query.user);
+    if (users.length) {
+      if (users.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new QueryError('Invalid user ID');
+      }
+      filter.actor = { $in: users.map(id => new mongoose.Types.ObjectId(id)) };
+    }
+
+    const range = parseDateRange(req.query.from, req.query.to, 'from', 'to');
+    if (range) filter.createdAt = range;
+
+    const entities = parseList(req.query.entity).map(resolveEntity);
+    if (entities.length) filter.entity = { $in: entities };
+
+    const actions = parseList(req.query.action);
+    if (actions.length) filter.action = { $in: actions };
+
+    const result = await paginate(AuditLog, filter, req.query, {
+      sortFields: AUDIT_SORT_FIELDS,
+      defaultSort: '-createdAt',
+      populate: POPULATE_ACTOR
+    });
+    res.json(result);
+  } catch (error) {
+    if (error.name === 'QueryError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error searching audit log:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET api/audit/:entity/:id
+// @desc    Change history of one record, newest first. Deleted records keep
+//          their history.
+router.get('/:entity/:id', async (req, res) => {
+  try {
+    const entity = resolveEntity(req.params.entity);
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid record ID' });
+    }
+
+    const result = await paginate(AuditLog, { entity, entityId: req.params.id }, req.query, {
+      sortFields: AUDIT_SORT_FIELDS,
+      defaultSort: '-createdAt',
+      populate: POPULATE_ACTOR
+    });
+    res.json(result);
+  } catch (error) {
+    if (error.name === 'QueryError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching record history:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
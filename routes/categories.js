@@ -2,6 +2,7 @@ import express from 'express';
 import { body, validationResult } from 'express-validator';
 import Category from '../models/Category.js';
 import SubCategory from '../models/SubCategory.js';
+import { taxValidators } from '../utils/gst.js';
 
 const router = express.Router();
 
@@ -42,7 +43,8 @@ router.post(
   '/',
   [
     body('name').trim().notEmpty().withMessage('Category name is required'),
-    body('url').optional().trim().isString()
+    body('url').optional().trim().isString(),
+    ...taxValidators
   ],
   async (req, res) => {
     try {
@@ -51,7 +53,7 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { name, url } = req.body;
+      const { name, url, gstRate, sacCode } = req.body;
       
       // Check if category already exists (case insensitive)
       const existingCategory = await Category.findOne({ 
@@ -66,7 +68,9 @@ router.post(
 
       const category = new Category({
         name,
-        url: url || ''
+        url: url || '',
+        gstRate: gstRate ?? null,
+        sacCode: sacCode || null
       });
 
       await category.save();
@@ -86,7 +90,8 @@ router.put(
   '/:id',
   [
     body('name').trim().notEmpty().withMessage('Category name is required'),
-    body('url').optional().trim().isString()
+    body('url').optional().trim().isString(),
+    ...taxValidators
   ],
   async (req, res) => {
     try {
@@ -95,7 +100,7 @@ router.put(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { name, url } = req.body;
+      const { name, url, gstRate, sacCode } = req.body;
       
       // Check if category exists
       const category = await Category.findById(req.params.id);
@@ -120,6 +125,8 @@ router.put(
       // Update category
       category.name = name;
       if (url !== undefined) category.url = url;
+      if (gstRate !== undefined) category.gstRate = gstRate;
+      if (sacCode !== undefined) category.sacCode = sacCode || null;
       
       await category.save();
       res.json(category);
@@ -133,7 +140,7 @@ router.put(
   }
 );
 
-// Delete a category
+// Delete a category (moves it to the trash)
 router.delete('/:id', async (req, res) => {
   try {
     // Check if category exists
@@ -150,7 +157,7 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    await Category.findByIdAndDelete(req.params.id);
+    await category.softDelete(req.user);
     res.json({ message: 'Category deleted successfully' });
   } catch (error) {
     console.error('Error deleting category:', error);
@@ -0,0 +1,63 @@
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import { BULK_OPERATIONS, MAX_BULK_ITEMS, runBulkOperation } from '../utils/customerBulk.js';
+
+const router = express.Router();
+
+// Bulk changes touch many records at once: every route needs a logged-in user
+router.use(protect);
+
+const handleError = (res, error, action) => {
+  if (error.name === 'BulkError') {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.name === 'QueryError') {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: 'Server error' });
+};
+
+// @route   GET api/customers/bulk
+// @desc    The bulk operations, the kind of record each one changes and the
+//          most records one request may select
+router.get('/', (req, res) => {
+  res.json({
+    operations: Object.entries(BULK_OPERATIONS).map(([name, { target }]) => ({ name, target })),
+    maxItems: MAX_BULK_ITEMS
+  });
+});
+
+// @route   POST api/customers/bulk
+// @desc    Apply one operation to many customers or service applications
+// @body    operation      status              { status }                       customers
+//                         deliveryStatus      { deliveryStatus, reason? }      applications
+//                         deliveryDate        { deliveryDate } (null clears)   applications
+//                         category            { serviceCategory, serviceSubCategory? }  applications
+//                         addTags, removeTags { tags: [tag ID] }               customers
+//                         delete              moves customers to the trash
+//                         deleteApplications  moves applications to the trash
+//          customers      [customer ID], or
+//          filter         { ...GET api/customers filters }, e.g. { deliveryStatus: 'In Progress' }
+//                         or { segment: <saved segment ID> };
+//                         for application operations its application filters
+//                         also narrow the customers' applications
+//          applications   [application ID], for application operations
+//          dryRun         check every record without changing anything
+//          atomic         default true: apply all or nothing (see utils/customerBulk.js)
+// @returns { operation, target, dryRun, atomic, transactional, applied,
+//          summary: { total, <status>: count },
+//          results: [{ id, status: valid | unchanged | invalid | applied | failed
+//                     | rolled_back | skipped, error?, details? }] }
+//          400 when an atomic request was not applied because of invalid items
+router.post('/', async (req, res) => {
+  try {
+    const report = await runBulkOperation(req.body, req.user);
+    const rejected = report.atomic && !report.dryRun && report.summary.invalid > 0;
+    res.status(rejected ? 400 : 200).json(report);
+  } catch (error) {
+    handleError(res, error, 'running bulk operation');
+  }
+});
+
+export default router;
@@ -0,0 +1,132 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import CustomerMerge from '../models/CustomerMerge.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { QueryError, paginate } from '../utils/pagination.js';
+import { buildCustomerFilter } from '../utils/customerQuery.js';
+import { findDuplicateGroups } from '../utils/duplicates.js';
+import { mergeCustomers, openMergeRecord } from '../utils/customerMerge.js';
+import { maskCustomer, maskCustomerChange } from '../utils/piiMasking.js';
+
+const router = express.Router();
+
+// A merge record for the response: decrypted, then masked for users who see
+// customers masked
+const mergeForResponse = (merge) => {
+  const record = openMergeRecord(merge.toJSON());
+  record.merged.forEach(entry => maskCustomer(entry.snapshot));
+  record.fieldChanges.forEach(maskCustomerChange);
+  return record;
+};
+
+// @route   GET api/customers/duplicates
+// @desc    Groups of customers that are probably the same person, matched on
+//          normalised phone, email, or similar name plus address
+// @query   nameThreshold, addressThreshold (0-1), any GET api/customers filter
+router.get('/', async (req, res) => {
+  try {
+    const { nameThreshold, addressThreshold, ...filters } = req.query;
+    const options = {
+      nameThreshold: parseFloat(nameThreshold) || undefined,
+      addressThreshold: parseFloat(addressThreshold) || undefined
+    };
+    if ([options.nameThreshold, options.addressThreshold].some(value => value !== undefined && (value <= 0 || value > 1))) {
+      return res.status(400).json({ error: 'Thresholds must be between 0 and 1' });
+    }
+
+    const groups = await findDuplicateGroups(await buildCustomerFilter(filters), options);
+    res.json({ data: groups, total: groups.length });
+  } catch (error) {
+    if (error.name === 'QueryError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error finding duplicate customers:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST api/customers/duplicates/merge
+// @desc    Merge duplicates into a surviving customer
+// @body    survivorId, duplicateIds: [id], fields: { field: duplicateId },
+//          fillEmpty (default true), reason
+// Merging deletes the duplicates, so it is for administrators only
+router.post('/merge', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { survivorId, duplicateIds, fields, fillEmpty, reason } = req.body;
+    if (!survivorId) {
+      return res.status(400).json({ error: 'survivorId is required' });
+    }
+    if (!Array.isArray(duplicateIds)) {
+      return res.status(400).json({ error: 'duplicateIds must be an array' });
+    }
+
+    const { survivor, merge } = await mergeCustomers({
+      survivorId,
+      duplicateIds,
+      fields: fields || {},
+      fillEmpty: fillEmpty !== false,
+      reason,
+      user: req.user
+    });
+
+    res.json({ customer: survivor, merge: mergeForResponse(merge) });
+  } catch (error) {
+    if (error.name === 'MergeError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error merging customers:', error);
+    res.status(500).json({ error: 'Server error', message: error.message });
+  }
+});
+
+// @route   GET api/customers/duplicates/merges
+// @desc    Merge audit trail, newest first; filter by survivor or merged customer
+router.get('/merges', protect, async (req, res) => {
+  try {
+    const filter = {};
+    ['survivor', 'customer'].forEach(param => {
+      if (!req.query[param]) return;
+      if (!mongoose.Types.ObjectId.isValid(req.query[param])) {
+        throw new QueryError(`Invalid ${param} ID`);
+      }
+    });
+    if (req.query.survivor) filter.survivor = req.query.survivor;
+    if (req.query.customer) filter['merged.customer'] = req.query.customer;
+
+    const result = await paginate(CustomerMerge, filter, req.query, {
+      sortFields: ['createdAt'],
+      defaultSort: '-createdAt',
+      populate: [{ path: 'mergedBy', select: 'name email' }]
+    });
+    result.data = result.data.map(mergeForResponse);
+    res.json(result);
+  } catch (error) {
+    if (error.name === 'QueryError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching customer merges:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET api/customers/duplicates/merges/:id
+// @desc    One merge record, including snapshots of the merged customers
+router.get('/merges/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid merge ID' });
+    }
+    const merge = await CustomerMerge.findById(req.params.id)
+      .populate('survivor', 'name phone email')
+      .populate('mergedBy', 'name email');
+    if (!merge) {
+      return res.status(404).json({ error: 'Merge record not found' });
+    }
+    res.json(mergeForResponse(merge));
+  } catch (error) {
+    console.error('Error fetching customer merge:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,46 @@
+import express from 'express';
+import { parseSort, toMongoSort } from '../utils/pagination.js';
+import { CUSTOMER_SORT_FIELDS, buildCustomerFilter, resolveApplicationFilter } from '../utils/customerQuery.js';
+import { EXPORT_FORMATS, resolveColumns, streamCustomerExport } from '../utils/customerExport.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// @route   GET api/customers/export
+// @desc    Download customers as CSV, XLSX or JSON. Accepts the same filters
+//          and sort as GET api/customers; results are streamed, not paged.
+//          Each service application gets its own row; application filters
+//          also limit which applications are written.
+//          Requires a login.
+// @query   format (csv | xlsx | json, default csv)
+//          columns  comma-separated customer fields, default all
+//          ...      any GET api/customers filter (segment included), plus sort
+router.get('/', protect, async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: `Unsupported export format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const filter = await buildCustomerFilter(req.query);
+    const applicationFilter = await resolveApplicationFilter(req.query);
+    const sort = toMongoSort(parseSort(req.query, CUSTOMER_SORT_FIELDS, '-createdAt'));
+    const columns = resolveColumns(req.query.columns);
+
+    await streamCustomerExport(res, { format, filter, applicationFilter, sort, columns });
+  } catch (error) {
+    if (error.name === 'QueryError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error exporting customers:', error);
+    // Once streaming has started the status line is gone; cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,126 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import ImportBatch from '../models/ImportBatch.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { uploadSpreadsheet } from '../utils/fileUpload.js';
+import {
+  previewImport,
+  commitImport,
+  rollbackImport,
+  summarizeImport
+} from '../utils/customerImport.js';
+
+const router = express.Router();
+
+// Imports create customers in bulk and their reports echo the uploaded rows,
+// so every route needs a logged-in user
+router.use(protect);
+
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+// @route   POST api/customers/import
+// @desc    Import customers from a CSV or XLSX file (multipart field "file").
+//          Runs as a dry run unless dryRun=false, returning a per-row report.
+//          A committed import refuses invalid rows unless skipInvalid=true.
+// @body    file, dryRun (default true), skipInvalid, mapping (JSON { header: field })
+router.post('/', uploadSpreadsheet, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'A CSV or XLSX file is required' });
+    }
+
+    let overrides = {};
+    if (req.body.mapping) {
+      try {
+        overrides = JSON.parse(req.body.mapping);
+      } catch (error) {
+        return res.status(400).json({ error: 'mapping must be a JSON object of { header: field }' });
+      }
+    }
+
+    const dryRun = req.body.dryRun === undefined ? true : isTrue(req.body.dryRun);
+    const preview = await previewImport(req.file, overrides);
+
+    if (dryRun) {
+      return res.json({ dryRun: true, ...summarizeImport(preview) });
+    }
+
+    const hasInvalidRows = preview.rows.some(result => result.status === 'invalid');
+    if (hasInvalidRows && !isTrue(req.body.skipInvalid)) {
+      return res.status(400).json({
+        error: 'The file has invalid rows. Fix them or retry with skipInvalid=true',
+        dryRun: false,
+        ...summarizeImport(preview)
+      });
+    }
+
+    const batch = await commitImport(preview, req.user);
+    res.status(201).json({ dryRun: false, batchId: batch._id, ...summarizeImport(preview) });
+  } catch (error) {
+    if (error.name === 'ImportError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error importing customers:', error);
+    res.status(500).json({ error: 'Server error', message: error.message });
+  }
+});
+
+// @route   GET api/customers/import
+// @desc    List import batches, newest first
+router.get('/', async (req, res) => {
+  try {
+    const batches = await ImportBatch.find()
+      .select('-skippedRows')
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name email');
+    res.json(batches);
+  } catch (error) {
+    console.error('Error fetching import batches:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET api/customers/import/:id
+// @desc    Get one import batch including the rows that were skipped
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid import batch ID' });
+    }
+    const batch = await ImportBatch.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('rolledBackBy', 'name email');
+    if (!batch) {
+      return res.status(404).json({ error: 'Import batch not found' });
+    }
+    res.json(batch);
+  } catch (error) {
+    console.error('Error fetching import batch:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST api/customers/import/:id/rollback
+// @desc    Delete the customers created by an import batch. Admin only.
+router.post('/:id/rollback', authorize('admin'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid import batch ID' });
+    }
+    const batch = await ImportBatch.findById(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Import batch not found' });
+    }
+
+    await rollbackImport(batch, req.user);
+    res.json({ message: 'Import rolled back successfully', batch });
+  } catch (error) {
+    if (error.name === 'ImportError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error rolling back import:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
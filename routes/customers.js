@@ -1,116 +1,170 @@
 import express from 'express';
 import Customer from '../models/Customer.js';
+import ServiceApplication from '../models/ServiceApplication.js';
 import mongoose from 'mongoose';
+import { paginate } from '../utils/pagination.js';
+import { CUSTOMER_SORT_FIELDS, buildCustomerFilter } from '../utils/customerQuery.js';
+import { searchCustomers, findCustomersByPhone } from '../utils/customerSearch.js';
+import {
+  buildValidatedCustomer,
+  prepareApplicationData,
+  splitCustomerPayload,
+  validationDetails
+} from '../utils/customerValidation.js';
+import { applyDeliveryStatus } from '../utils/deliveryWorkflow.js';
+import { trashRecord } from '../utils/trash.js';
+import { withTransaction } from '../utils/transactions.js';
+import { customerBalance } from '../utils/ledger.js';
+import { customerTimeline } from '../utils/customerTimeline.js';
+import { validatePhone } from '../utils/phone.js';
+import { revealCustomerFields } from '../utils/piiReveal.js';
+import { withoutMaskedValues } from '../utils/piiMasking.js';
+import { protect } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// Get all customers
+// @route   GET api/customers
+// @desc    List customers with their service applications, filtered, sorted and paginated
+// @query   status                               customer status, one value or a comma-separated list
+//          city, district                       case-insensitive exact match, comma-separated
+//          createdAtFrom/To                     inclusive date bounds (YYYY-MM-DD or ISO)
+//          deliveryStatus, gstStatus            match customers with at least one such application
+//          serviceCategory, serviceSubCategory  ObjectId or comma-separated ObjectIds, as above
+//          deliveryDateFrom/To, nextRenewalDateFrom/To
+//                                               application date bounds, as above
+//          search                               substring of name, email, any contact number or serviceNumber.
+//                                               With field encryption on, contact numbers match
+//                                               only as a whole number, not a part of one
+//          tags                                 tag ObjectId or comma-separated ObjectIds; customers
+//                                               with any of them, or with tagMatch=all every one
+//          household                            household ID or comma-separated IDs; their members
+//          segment                              saved segment ID; its filters apply as well
+//          createdAtFrom/To etc. also take "today", "today+N" and "today-N"
+//          sort                                 e.g. "city,-createdAt" (default "-createdAt")
+//          page, limit                          page-based pagination (limit max 100, default 20)
+//          cursor                               continue from a previous response's nextCursor
+// @returns { data: [...], pagination: { total, limit, page, totalPages, hasNextPage, nextCursor } }
 router.get('/', async (req, res) => {
   try {
-    const customers = await Customer.find().sort({ createdAt: -1 });
-    res.json(customers);
+    const filter = await buildCustomerFilter(req.query);
+    const result = await paginate(Customer, filter, req.query, {
+      sortFields: CUSTOMER_SORT_FIELDS,
+      defaultSort: '-createdAt',
+      populate: [{ path: 'applications', options: { sort: { createdAt: -1 } } }]
+    });
+    res.json(result);
   } catch (error) {
+    if (error.name === 'QueryError') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error fetching customers:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Get a single customer by ID
-router.get('/:id', async (req, res) => {
+// @route   GET api/customers/search
+// @desc    Relevance-ranked search over the customer text index, plus prefix
+//          matching on contact numbers and serviceNumber. With field encryption
+//          on, contact numbers match only in full. Each result carries `score`,
+//          `matchedFields` and HTML-escaped `highlights` with <mark> tags.
+// @query   q (required), serviceCategory, serviceSubCategory, status, limit (max 50)
+// Registered before /:id so that "search" is not taken for a customer ID
+router.get('/search', async (req, res) => {
   try {
-    const customer = await Customer.findById(req.params.id);
-    if (!customer) {
-      return res.status(404).json({ error: 'Customer not found' });
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
+      return res.status(400).json({ error: 'Search query is required' });
     }
-    res.json(customer);
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+    const scope = await buildCustomerFilter({
+      status: req.query.status,
+      serviceCategory: req.query.serviceCategory,
+      serviceSubCategory: req.query.serviceSubCategory
+    });
+
+    const results = await searchCustomers(q, scope, limit);
+    res.json({ data: results, total: results.length });
   } catch (error) {
-    console.error('Error fetching customer:', error);
+    if (error.name === 'QueryError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error searching customers:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Search customers
-router.get('/search', async (req, res) => {
+// @route   GET api/customers/lookup
+// @desc    Customers with a phone number, whether it is their primary number or
+//          an alternate, WhatsApp or guardian contact. Any common way of typing
+//          the number works ("+91 98765 43210", "098765-43210", ...).
+// @query   phone (required)
+// @returns { phone, data: [customer with matchedContacts] }
+// Registered before /:id so that "lookup" is not taken for a customer ID
+router.get('/lookup', async (req, res) => {
   try {
-    const { q } = req.query;
-    
-    if (!q) {
-      return res.status(400).json({ error: 'Search query is required' });
+    const validation = validatePhone(req.query.phone);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
     }
-    
-    const searchQuery = {
-      $or: [
-        { name: { $regex: q, $options: 'i' } },
-        { phone: { $regex: q, $options: 'i' } },
-        { email: { $regex: q, $options: 'i' } },
-        { 'address.line1': { $regex: q, $options: 'i' } },
-        { 'address.city': { $regex: q, $options: 'i' } },
-        { 'address.state': { $regex: q, $options: 'i' } }
-      ]
-    };
-    
-    const customers = await Customer.find(searchQuery)
-      .select('name phone email address')
-      .limit(10);
-      
-    res.json(customers);
+    const customers = await findCustomersByPhone(validation.phone);
+    res.json({ phone: validation.phone, data: customers });
   } catch (error) {
-    console.error('Error searching customers:', error);
+    console.error('Error looking up customers by phone:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get a single customer by ID, with their service applications
+router.get('/:id', async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id)
+      .populate({ path: 'applications', options: { sort: { createdAt: -1 } } });
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json(customer);
+  } catch (error) {
+    console.error('Error fetching customer:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // Create a new customer
+// Service details go in `applications: [...]`; the older flat body with
+// serviceCategory/serviceNumber/fees/... at the top level still works and
+// becomes the customer's first application.
 router.post('/', async (req, res) => {
   try {
-    console.log('Received customer data:', JSON.stringify(req.body, null, 2));
-    
-    // Prepare customer data
-    const customerData = { ...req.body };
-    
-    // Handle serviceCategoryUrl - trim and ensure it's undefined if empty
-    if (customerData.serviceCategoryUrl) {
-      customerData.serviceCategoryUrl = customerData.serviceCategoryUrl.trim();
-      if (customerData.serviceCategoryUrl === '') {
-        delete customerData.serviceCategoryUrl;
-      } else if (!customerData.serviceCategoryUrl.startsWith('http')) {
-        customerData.serviceCategoryUrl = `https://${customerData.serviceCategoryUrl}`;
-      }
-    }
-    
-    // Create customer with the processed data
-    const customer = new Customer(customerData);
-    
-    console.log('Customer document to save:', JSON.stringify(customer, null, 2));
-    
-    // Validate the document before saving
-    const validationError = customer.validateSync();
-    if (validationError) {
-      console.error('Validation error details:');
-      const errors = {};
-      Object.keys(validationError.errors).forEach(key => {
-        errors[key] = validationError.errors[key].message;
-        console.error(`- ${key}: ${validationError.errors[key].message}`);
-      });
+    // Build and validate the customer together with its applications
+    const { customer, applications, errors } = await buildValidatedCustomer(req.body);
+    if (errors) {
+      console.error('Validation error details:', errors);
       return res.status(400).json({ 
         error: 'Validation failed',
         details: errors 
       });
     }
     
-    // Save the customer
+    // Save the customer, then the applications that point at it
     const savedCustomer = await customer.save();
-    console.log('Customer saved successfully:', savedCustomer);
+    try {
+      await Promise.all(applications.map(application => application.save()));
+    } catch (error) {
+      // Do not leave a half-created customer behind
+      await ServiceApplication.deleteMany({ customer: savedCustomer._id });
+      await Customer.deleteOne({ _id: savedCustomer._id });
+      throw error;
+    }
     
-    res.status(201).json(savedCustomer);
+    res.status(201).json({ ...savedCustomer.toJSON(), applications });
   } catch (error) {
+    // keyValue and errors hold the submitted values, so they stay out of the log
     console.error('Error creating customer:', {
       name: error.name,
       message: error.message,
       code: error.code,
       keyPattern: error.keyPattern,
-      keyValue: error.keyValue,
-      errors: error.errors,
       stack: error.stack
     });
     
@@ -126,13 +180,9 @@ router.post('/', async (req, res) => {
     
     // Handle validation errors
     if (error.name === 'ValidationError') {
-      const errors = {};
-      Object.keys(error.errors).forEach(key => {
-        errors[key] = error.errors[key].message;
-      });
       return res.status(400).json({ 
         error: 'Validation failed',
-        details: errors 
+        details: validationDetails(error)
       });
     }
     
@@ -145,42 +195,90 @@ router.post('/', async (req, res) => {
 });
 
 // Update a customer
+// Top-level service fields are applied to the application named by
+// `applicationId`, or to the customer's latest application (created if the
+// customer has none) so that older clients keep working. A deliveryStatus
+// change goes through the status workflow with `statusReason` as the reason.
 router.put('/:id', async (req, res) => {
   try {
-    console.log('Updating customer with data:', JSON.stringify(req.body, null, 2));
+    // Prepare update data. Masked values sent back as they were shown are
+    // not changes.
+    const { customerData, legacyApplication } = splitCustomerPayload(req.body);
+    const updateData = withoutMaskedValues(customerData);
     
-    // Prepare update data
-    const updateData = { ...req.body };
+    const existing = await Customer.findById(req.params.id).select('_id');
+    if (!existing) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
     
-    // Handle serviceCategoryUrl - trim and ensure it's undefined if empty
-    if (updateData.serviceCategoryUrl !== undefined) {
-      if (updateData.serviceCategoryUrl && updateData.serviceCategoryUrl.trim() !== '') {
-        updateData.serviceCategoryUrl = updateData.serviceCategoryUrl.trim();
-        // Ensure it has a protocol
-        if (!updateData.serviceCategoryUrl.startsWith('http')) {
-          updateData.serviceCategoryUrl = `https://${updateData.serviceCategoryUrl}`;
+    // Settle the application change, status workflow included, before
+    // anything is written so that a refused change leaves the customer as it was
+    let application;
+    if (legacyApplication) {
+      const { deliveryStatus, statusReason, ...applicationData } = legacyApplication;
+      
+      // Handle serviceCategoryUrl - trim and ensure it's undefined if empty
+      if (applicationData.serviceCategoryUrl !== undefined) {
+        if (applicationData.serviceCategoryUrl && applicationData.serviceCategoryUrl.trim() !== '') {
+          applicationData.serviceCategoryUrl = applicationData.serviceCategoryUrl.trim();
+          // Ensure it has a protocol
+          if (!applicationData.serviceCategoryUrl.startsWith('http')) {
+            applicationData.serviceCategoryUrl = `https://${applicationData.serviceCategoryUrl}`;
+          }
+        } else {
+          // If empty string or null, set to undefined to allow default/removal
+          applicationData.serviceCategoryUrl = undefined;
         }
+      }
+      
+      application = req.body.applicationId
+        ? await ServiceApplication.findOne({ _id: req.body.applicationId, customer: existing._id })
+        : await ServiceApplication.findOne({ customer: existing._id }).sort({ createdAt: -1 });
+      if (!application && req.body.applicationId) {
+        return res.status(404).json({ error: 'Service application not found' });
+      }
+      
+      if (application) {
+        application.set(prepareApplicationData(applicationData));
       } else {
-        // If empty string or null, set to undefined to allow default/removal
-        updateData.serviceCategoryUrl = undefined;
+        application = new ServiceApplication({
+          ...prepareApplicationData(applicationData),
+          customer: existing._id
+        });
       }
+      if (deliveryStatus !== undefined) {
+        applyDeliveryStatus(application, deliveryStatus, { reason: statusReason, user: req.user });
+      }
+      await application.validate();
     }
     
-    const customer = await Customer.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true, context: 'query' }
-    );
+    // Write the customer and the application together where the server has
+    // transactions
+    const { result: customer } = await withTransaction(async (session) => {
+      const updated = await Customer.findByIdAndUpdate(
+        existing._id,
+        updateData,
+        { new: true, runValidators: true, context: 'query', session }
+      );
+      if (updated && application) {
+        await application.save({ session });
+      }
+      return updated;
+    });
     
     if (!customer) {
       return res.status(404).json({ error: 'Customer not found' });
     }
     
-    console.log('Successfully updated customer:', customer);
+    await customer.populate({ path: 'applications', options: { sort: { createdAt: -1 } } });
     res.json(customer);
   } catch (error) {
     console.error('Error updating customer:', error);
     
+    if (error.name === 'WorkflowError') {
+      return res.status(400).json({ error: error.message, ...error.details });
+    }
+    
     // Handle duplicate key errors
     if (error.code === 11000) {
       const field = Object.keys(error.keyPattern)[0];
@@ -193,13 +291,9 @@ router.put('/:id', async (req, res) => {
     
     // Handle validation errors
     if (error.name === 'ValidationError') {
-      const errors = {};
-      Object.keys(error.errors).forEach(key => {
-        errors[key] = error.errors[key].message;
-      });
       return res.status(400).json({ 
         error: 'Validation failed',
-        details: errors 
+        details: validationDetails(error)
       });
     }
     
@@ -211,18 +305,130 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// Delete a customer
+// Delete a customer and their service applications. They go to the trash
+// and can be restored from there (see routes/trash.js).
 router.delete('/:id', async (req, res) => {
   try {
-    const customer = await Customer.findByIdAndDelete(req.params.id);
-    if (!customer) {
-      return res.status(404).json({ error: 'Customer not found' });
-    }
+    await trashRecord('customers', req.params.id, req.user);
     res.json({ message: 'Customer deleted successfully' });
   } catch (error) {
+    if (error.name === 'TrashError') {
+      return res.status(error.status).json({ error: error.status === 404 ? 'Customer not found' : error.message });
+    }
     console.error('Error deleting customer:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Get a customer's service applications, newest first
+router.get('/:id/applications', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid customer ID' });
+    }
+    const exists = await Customer.exists({ _id: req.params.id });
+    if (!exists) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    const applications = await ServiceApplication.find({ customer: req.params.id })
+      .sort({ createdAt: -1 });
+    res.json(applications);
+  } catch (error) {
+    console.error('Error fetching service applications:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET api/customers/:id/balance
+// @desc    Fees, payments and outstanding balance, in total and per application
+router.get('/:id/balance', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid customer ID' });
+    }
+    const exists = await Customer.exists({ _id: req.params.id });
+    if (!exists) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json(await customerBalance(req.params.id));
+  } catch (error) {
+    console.error('Error computing customer balance:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   GET api/customers/:id/timeline
+// @desc    The customer's activity, newest first: notes, status changes,
+//          payments, messages sent and document uploads. Customer status
+//          changes come from the audit log, so only admins see them.
+// @query   types    comma-separated: note, status, payment, message, document (default all)
+//          before   only entries before this date; pass nextBefore for the next page
+//          limit    max 200 (default 50)
+// @returns { data: [{ type, event, at, actor: { _id, name }, summary, data }], nextBefore }
+router.get('/:id/timeline', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid customer ID' });
+    }
+    const exists = await Customer.exists({ _id: req.params.id });
+    if (!exists) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json(await customerTimeline(req.params.id, req.query, req.user));
+  } catch (error) {
+    if (error.name === 'QueryError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching customer timeline:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// @route   POST api/customers/:id/reveal
+// @desc    Show masked fields (see `maskedFields` on a customer) in full. Who
+//          asked, for which fields and why goes in the audit log
+//          (GET api/audit?action=reveal).
+// @body    { fields: ['phone', 'contacts.number', ...], reason }
+// @returns { customer, fields: { phone, contacts: [{ _id, type, number }], ... } }
+router.post('/:id/reveal', protect, async (req, res) => {
+  try {
+    res.json(await revealCustomerFields(req.params.id, req.body, req.user));
+  } catch (error) {
+    if (error.name === 'RevealError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error revealing customer fields:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Add a service application to a customer
+router.post('/:id/applications', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid customer ID' });
+    }
+    const exists = await Customer.exists({ _id: req.params.id });
+    if (!exists) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const application = new ServiceApplication({
+      ...prepareApplicationData(req.body),
+      customer: req.params.id
+    });
+    await application.save();
+    res.status(201).json(application);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: validationDetails(error)
+      });
+    }
+    console.error('Error creating service application:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import { buildDashboard } from '../utils/dashboard.js';
+
+const router = express.Router();
+
+// @route   GET api/dashboard
+// @desc    Business dashboard: new customers by status, new applications by
+//          delivery status, money collected and invoiced, GST, top service
+//          categories and subcategories, overdue deliveries, upcoming renewals
+//          and day-by-day trends
+// @query   from, to      date range (YYYY-MM-DD or ISO; default the last 30 days, at most 366)
+//          top           entries in the category lists (default 5)
+//          renewalDays   how far ahead to look for renewals (default 30)
+router.get('/', async (req, res) => {
+  try {
+    res.json(await buildDashboard(req.query));
+  } catch (error) {
+    if (error.name === 'QueryError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error building dashboard:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,112 @@
+import express from 'express';
+import { protect, authorize } from '../middleware/auth.js';
+import { validationDetails } from '../utils/customerValidation.js';
+import {
+  createDataRequest,
+  listDataRequests,
+  getDataRequest,
+  rejectDataRequest,
+  exportDataRequest,
+  eraseDataRequest
+} from '../utils/dataRequests.js';
+
+const router = express.Router();
+
+// Customers' requests to see or erase their personal data under the DPDP Act
+// (see models/DataRequest.js). Answering one hands over or destroys a
+// customer's data, so these routes are for administrators only.
+router.use(protect, authorize('admin'));
+
+const handleError = (res, error, action) => {
+  if (error.name === 'DataRequestError') {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.name === 'QueryError') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: 'Validation failed', details: validationDetails(error) });
+  }
+  console.error(`Error ${action}:`, error);
+  // Once a download has started the status line is gone; cut it short
+  if (res.headersSent) {
+    return res.destroy(error);
+  }
+  res.status(500).json({ error: 'Server error' });
+};
+
+// @route   GET api/data-requests
+// @desc    Data requests, soonest due first
+// @query   customer, type (access | erasure), status (pending | completed | rejected),
+//          receivedFrom, receivedTo, overdue=true (pending and past due),
+//          sort (receivedAt | dueAt | createdAt), page, limit, cursor
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listDataRequests(req.query));
+  } catch (error) {
+    handleError(res, error, 'fetching data requests');
+  }
+});
+
+// @route   POST api/data-requests
+// @desc    Log a customer's request. It is due DATA_REQUEST_DUE_DAYS (default
+//          30) days after it was received.
+// @body    { customer, type: 'access'|'erasure', receivedAt?, notes? }
+router.post('/', async (req, res) => {
+  try {
+    res.status(201).json(await createDataRequest(req.body, req.user));
+  } catch (error) {
+    handleError(res, error, 'creating data request');
+  }
+});
+
+// @route   GET api/data-requests/:id
+// @desc    One request, with what was done to answer it in `result`
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await getDataRequest(req.params.id));
+  } catch (error) {
+    handleError(res, error, 'fetching data request');
+  }
+});
+
+// @route   GET api/data-requests/:id/export
+// @desc    Download everything held about the customer of an access request:
+//          the customer record, applications, payments, invoices, messages
+//          sent, notes, households, merges, documents and audit entries.
+//          The ZIP has one JSON file per section and the documents' files.
+//          Completes the request.
+// @query   format (json | zip, default zip)
+router.get('/:id/export', async (req, res) => {
+  try {
+    await exportDataRequest(req.params.id, String(req.query.format || 'zip').toLowerCase(), res, req.user);
+  } catch (error) {
+    handleError(res, error, 'exporting customer data');
+  }
+});
+
+// @route   POST api/data-requests/:id/erase
+// @desc    Carry out an erasure request: anonymise the customer, keeping the
+//          invoices and payment records the law requires. Cannot be undone.
+// @body    { confirm: true }
+// @returns the completed request; `result` says what was erased and kept
+router.post('/:id/erase', async (req, res) => {
+  try {
+    res.json(await eraseDataRequest(req.params.id, req.body, req.user));
+  } catch (error) {
+    handleError(res, error, 'erasing customer data');
+  }
+});
+
+// @route   POST api/data-requests/:id/reject
+// @desc    Turn down a pending request
+// @body    { reason }
+router.post('/:id/reject', async (req, res) => {
+  try {
+    res.json(await rejectDataRequest(req.params.id, req.body, req.user));
+  } catch (error) {
+    handleError(res, error, 'rejecting data request');
+  }
+});
+
+export default router;
@@ -0,0 +1,152 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Document, { DOCUMENT_TYPES } from '../models/Document.js';
+import { protect } from '../middleware/auth.js';
+import { uploadDocuments } from '../utils/fileUpload.js';
+import { paginate, parseList, parseDateRange, QueryError } from '../utils/pagination.js';
+import { validationDetails } from '../utils/customerValidation.js';
+import { storeDocuments, updateDocument, findDocument, openDocument } from '../utils/documents.js';
+import { trashRecord } from '../utils/trash.js';
+
+const router = express.Router();
+
+// Customers' documents are personal data: every route needs a logged-in user
+router.use(protect);
+
+const DOCUMENT_SORT_FIELDS = ['createdAt', 'expiresAt'];
+
+const handleError = (res, error, action) => {
+  if (error.name === 'DocumentError' || error.name === 'TrashError') {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.name === 'QueryError') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: 'Validation failed', details: validationDetails(error) });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: 'Server error' });
+};
+
+// @route   GET api/documents
+// @desc    List documents (metadata only)
+// @query   customer, application      ObjectId or comma-separated ObjectIds
+//          documentType               one value or a comma-separated list
+//          expiresFrom, expiresTo     inclusive bounds on expiresAt, e.g. to find
+//                                     documents about to expire
+//          sort                       createdAt or expiresAt (default "-createdAt")
+//          page, limit, cursor
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    ['customer', 'application'].forEach(field => {
+      const ids = parseList(req.query[field]);
+      if (!ids.length) return;
+      if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new QueryError(`Invalid ${field} ID`);
+      }
+      filter[field] = { $in: ids.map(id => new mongoose.Types.ObjectId(id)) };
+    });
+
+    const types = parseList(req.query.documentType);
+    if (types.length) filter.documentType = { $in: types };
+
+    const expires = parseDateRange(req.query.expiresFrom, req.query.expiresTo, 'expiresFrom', 'expiresTo');
+    if (expires) filter.expiresAt = expires;
+
+    const result = await paginate(Document, filter, req.query, {
+      sortFields: DOCUMENT_SORT_FIELDS,
+      defaultSort: '-createdAt',
+      populate: [{ path: 'uploadedBy', select: 'name' }]
+    });
+    res.json(result);
+  } catch (error) {
+    handleError(res, error, 'fetching documents');
+  }
+});
+
+// @route   GET api/documents/types
+// @desc    Accepted document types
+router.get('/types', (req, res) => {
+  res.json(DOCUMENT_TYPES);
+});
+
+// @route   POST api/documents
+// @desc    Upload documents for a customer as multipart/form-data
+// @body    files           up to 10 PDF, JPEG, PNG or WebP files
+//          customer        customer ID
+//          application?    service application ID
+//          documentType?, expiresAt?, notes?   applied to every file
+// @returns { results: [{ file, status: created | duplicate | rejected, document?, error? }] }
+//          A file already uploaded for the customer is reported as a duplicate
+//          with the existing document.
+router.post('/', uploadDocuments, async (req, res) => {
+  try {
+    const results = await storeDocuments(req.body, req.files, req.user);
+    const created = results.some(result => result.status === 'created');
+    const rejected = results.every(result => result.status === 'rejected');
+    res.status(created ? 201 : rejected ? 400 : 200).json({ results });
+  } catch (error) {
+    handleError(res, error, 'uploading documents');
+  }
+});
+
+// Get a document's metadata
+router.get('/:id', async (req, res) => {
+  try {
+    const document = await findDocument(req.params.id);
+    await document.populate('uploadedBy', 'name');
+    res.json(document);
+  } catch (error) {
+    handleError(res, error, 'fetching document');
+  }
+});
+
+// @route   GET api/documents/:id/download
+// @desc    The document's file
+// @query   inline   "true" to display it in the browser instead of saving it
+router.get('/:id/download', async (req, res) => {
+  try {
+    const { document, stream } = await openDocument(req.params.id);
+    const filename = document.originalName.replace(/["\\\r\n]/g, '_');
+    res.setHeader('Content-Type', document.mimeType);
+    res.setHeader('Content-Length', document.size);
+    res.setHeader(
+      'Content-Disposition',
+      `${req.query.inline === 'true' ? 'inline' : 'attachment'}; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(document.originalName)}`
+    );
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cache-Control', 'private, no-store');
+    stream.on('error', (error) => {
+      console.error('Error streaming document:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    handleError(res, error, 'downloading document');
+  }
+});
+
+// @route   PUT api/documents/:id
+// @desc    Update a document's details
+// @body    { documentType?, expiresAt?, notes?, application? }
+router.put('/:id', async (req, res) => {
+  try {
+    res.json(await updateDocument(req.params.id, req.body));
+  } catch (error) {
+    handleError(res, error, 'updating document');
+  }
+});
+
+// Delete a document (moves it to the trash; the file is removed when purged)
+router.delete('/:id', async (req, res) => {
+  try {
+    await trashRecord('documents', req.params.id, req.user);
+    res.json({ message: 'Document deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'deleting document');
+  }
+});
+
+export default router;
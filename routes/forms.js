@@ -82,7 +82,7 @@ router.post(
 );
 
 // @route   DELETE api/forms/:id
-// @desc    Delete a form
+// @desc    Delete a form (moves it to the trash)
 // @access  Private
 router.delete('/:id', protect, async (req, res) => {
   try {
@@ -92,7 +92,7 @@ router.delete('/:id', protect, async (req, res) => {
       return res.status(404).json({ message: 'Form not found' });
     }
 
-    await Form.findByIdAndDelete(req.params.id);
+    await form.softDelete(req.user);
     res.json({ message: 'Form removed' });
   } catch (error) {
     console.error(error);
@@ -0,0 +1,127 @@
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import { RELATIONSHIPS } from '../models/Household.js';
+import { validationDetails } from '../utils/customerValidation.js';
+import {
+  findHousehold,
+  createHousehold,
+  updateHousehold,
+  addMember,
+  removeMember,
+  listHouseholds,
+  householdView
+} from '../utils/households.js';
+
+const router = express.Router();
+
+// Families served together (see models/Household.js). The customers in a
+// household are also listed by GET api/customers?household=<id>.
+
+const handleError = (res, error, action) => {
+  if (error.name === 'HouseholdError') {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.name === 'QueryError') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: 'Validation failed', details: validationDetails(error) });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: 'Server error' });
+};
+
+// @route   GET api/households
+// @desc    Households with their members' names and phones
+// @query   search     household name, or a member's name, e-mail, phone or service number
+//                     (a whole phone number only, with field encryption on)
+//          customer   customer ID; the household they belong to
+//          sort       name, createdAt or updatedAt (default "name")
+//          page, limit, cursor
+// @returns { data: [...], pagination }
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listHouseholds(req.query));
+  } catch (error) {
+    handleError(res, error, 'fetching households');
+  }
+});
+
+// @route   GET api/households/relationships
+// @desc    Relationships a member can have to the head of the household
+router.get('/relationships', (req, res) => {
+  res.json(RELATIONSHIPS);
+});
+
+// @route   POST api/households
+// @desc    Create a household
+// @body    { name?, notes?, members: [{ customer, relationship }] }   exactly one
+//          member is the 'head'; name defaults to "<head's name> family"
+router.post('/', protect, async (req, res) => {
+  try {
+    res.status(201).json(await createHousehold(req.body, req.user));
+  } catch (error) {
+    handleError(res, error, 'creating household');
+  }
+});
+
+// @route   GET api/households/:id
+// @desc    A household with its members, their active applications and
+//          upcoming renewals
+// @query   renewalDays   how far ahead to look for renewals (default 90, max 365)
+// @returns { household, members: [{ relationship, customer, activeApplications }],
+//          applications: [{ ...application, member }], renewals: { days, data } }
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await householdView(req.params.id, { renewalDays: req.query.renewalDays }));
+  } catch (error) {
+    handleError(res, error, 'fetching household');
+  }
+});
+
+// @route   PUT api/households/:id
+// @desc    Update a household; `members` replaces the whole member list
+// @body    { name?, notes?, members? }
+router.put('/:id', protect, async (req, res) => {
+  try {
+    res.json(await updateHousehold(req.params.id, req.body, req.user));
+  } catch (error) {
+    handleError(res, error, 'updating household');
+  }
+});
+
+// Delete a household; its customers are kept
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const household = await findHousehold(req.params.id);
+    await household.deleteOne();
+    res.json({ message: 'Household deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'deleting household');
+  }
+});
+
+// @route   POST api/households/:id/members
+// @desc    Add a customer to a household
+// @body    { customer, relationship }
+router.post('/:id/members', protect, async (req, res) => {
+  try {
+    res.status(201).json(await addMember(req.params.id, req.body, req.user));
+  } catch (error) {
+    handleError(res, error, 'adding household member');
+  }
+});
+
+// @route   DELETE api/households/:id/members/:customerId
+// @desc    Take a customer out of a household. Removing the last member
+//          deletes the household.
+router.delete('/:id/members/:customerId', protect, async (req, res) => {
+  try {
+    const household = await removeMember(req.params.id, req.params.customerId, req.user);
+    res.json(household || { message: 'Household deleted with its last member' });
+  } catch (error) {
+    handleError(res, error, 'removing household member');
+  }
+});
+
+export default router;
@@ -0,0 +1,160 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Invoice from '../models/Invoice.js';
+import { protect } from '../middleware/auth.js';
+import { paginate, parseList, parseDateRange, QueryError } from '../utils/pagination.js';
+import { validationDetails } from '../utils/customerValidation.js';
+import { createInvoice, cancelInvoice } from '../utils/invoicing.js';
+import { gstSummary } from '../utils/gstReport.js';
+import { LAYOUTS, renderInvoicePdf, sendPdf } from '../utils/invoicePdf.js';
+import { maskInvoiceParty } from '../utils/piiMasking.js';
+
+const router = express.Router();
+
+// Invoices carry the buyer's contact and tax details, so every route needs a
+// logged-in user
+router.use(protect);
+
+const INVOICE_SORT_FIELDS = ['issuedAt', 'grandTotal'];
+
+const handleError = (res, error, action) => {
+  if (error.name === 'InvoiceError') {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.name === 'QueryError') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: 'Validation failed', details: validationDetails(error) });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: 'Server error' });
+};
+
+// @route   GET api/invoices
+// @desc    List invoices and credit notes
+// @query   customer        ObjectId or comma-separated ObjectIds
+//          kind            invoice | credit_note (default: both)
+//          status          issued | cancelled
+//          financialYear   e.g. 2026-27, comma-separated
+//          from, to        inclusive bounds on issuedAt (YYYY-MM-DD or ISO)
+//          sort            issuedAt or grandTotal (default "-issuedAt")
+//          page, limit, cursor
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    const customers = parseList(req.query.customer);
+    if (customers.length) {
+      if (customers.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new QueryError('Invalid customer ID');
+      }
+      filter.customer = { $in: customers.map(id => new mongoose.Types.ObjectId(id)) };
+    }
+    [['kind', 'kind'], ['status', 'status'], ['financialYear', 'financialYear']].forEach(([param, field]) => {
+      const values = parseList(req.query[param]);
+      if (values.length) filter[field] = { $in: values };
+    });
+
+    const range = parseDateRange(req.query.from, req.query.to, 'from', 'to');
+    if (range) filter.issuedAt = range;
+
+    const result = await paginate(Invoice, filter, req.query, {
+      sortFields: INVOICE_SORT_FIELDS,
+      defaultSort: '-issuedAt',
+      select: '-lines -seller'
+    });
+    res.json(result);
+  } catch (error) {
+    handleError(res, error, 'fetching invoices');
+  }
+});
+
+// @route   GET api/invoices/gst-summary
+// @desc    GST summary of a period for filing returns: B2B by customer
+//          GSTIN, B2C by place of supply and rate, and totals by SAC code,
+//          with credit notes netted off
+// @query   from, to   the period (YYYY-MM-DD or ISO), both required
+// Registered before /:id so that "gst-summary" is not taken for an invoice ID
+router.get('/gst-summary', async (req, res) => {
+  try {
+    res.json(await gstSummary(req.query));
+  } catch (error) {
+    handleError(res, error, 'building GST summary');
+  }
+});
+
+// Get a single invoice or credit note
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid invoice ID' });
+    }
+    const invoice = await Invoice.findById(req.params.id)
+      .populate('creditNote originalInvoice', 'number issuedAt grandTotal')
+      .populate('createdBy cancelledBy', 'name');
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    res.json(invoice);
+  } catch (error) {
+    handleError(res, error, 'fetching invoice');
+  }
+});
+
+// @route   GET api/invoices/:id/pdf
+// @desc    Download (again) the PDF of an invoice or credit note. It is
+//          rendered from the details stored at issue time.
+// @query   layout     a4 (default) | thermal (80mm roll)
+//          download   "true" to save rather than open in the browser
+router.get('/:id/pdf', async (req, res) => {
+  try {
+    const layout = req.query.layout || 'a4';
+    if (!LAYOUTS.includes(layout)) {
+      throw new QueryError(`layout must be one of: ${LAYOUTS.join(', ')}`);
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid invoice ID' });
+    }
+    const invoice = await Invoice.findById(req.params.id)
+      .populate('creditNote originalInvoice', 'number issuedAt');
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    // Printed with the buyer masked for users who see it masked on screen
+    const printable = { ...invoice.toObject(), buyer: maskInvoiceParty(invoice.buyer?.toObject()) };
+    const related = invoice.kind === 'credit_note' ? invoice.originalInvoice : invoice.creditNote;
+    sendPdf(res, renderInvoicePdf(printable, { layout, related }), invoice.number, req.query.download === 'true');
+  } catch (error) {
+    handleError(res, error, 'rendering invoice');
+  }
+});
+
+// @route   POST api/invoices
+// @desc    Issue a tax invoice
+// @body    { customer, applications?: [id], items?: [{ description, amount, gstRate?, sacCode? }], notes? }
+//          Applications are billed at their fees. Amounts include GST unless
+//          INVOICE_PRICES_INCLUDE_GST=false.
+router.post('/', async (req, res) => {
+  try {
+    const invoice = await createInvoice(req.body, req.user);
+    res.status(201).json(invoice);
+  } catch (error) {
+    handleError(res, error, 'creating invoice');
+  }
+});
+
+// @route   POST api/invoices/:id/cancel
+// @desc    Cancel an invoice by issuing a credit note for it
+// @body    { reason }
+// @returns { invoice, creditNote }
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const result = await cancelInvoice(req.params.id, req.body.reason, req.user);
+    res.json(result);
+  } catch (error) {
+    handleError(res, error, 'cancelling invoice');
+  }
+});
+
+export default router;
@@ -0,0 +1,125 @@
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import { validationDetails } from '../utils/customerValidation.js';
+import {
+  mentionableUsers,
+  listNotes,
+  createNote,
+  editNote,
+  setPinned,
+  deleteNote,
+  noteHistory,
+  notesMentioning
+} from '../utils/customerNotes.js';
+
+const router = express.Router();
+
+// Notes staff leave on customers (see models/CustomerNote.js). Every note has
+// an author, so every route needs a logged-in user. Notes also show in
+// GET api/customers/:id/timeline.
+router.use(protect);
+
+const handleError = (res, error, action) => {
+  if (error.name === 'NoteError') {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.name === 'QueryError') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: 'Validation failed', details: validationDetails(error) });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: 'Server error' });
+};
+
+// @route   GET api/notes
+// @desc    A customer's notes as threads, pinned first, then newest first
+// @query   customer   customer ID (required)
+// @returns [{ ...note, replies: [...] }]
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listNotes(req.query.customer));
+  } catch (error) {
+    handleError(res, error, 'fetching notes');
+  }
+});
+
+// @route   GET api/notes/mentions
+// @desc    Notes mentioning the logged-in user, newest first
+// @query   page, limit, cursor
+router.get('/mentions', async (req, res) => {
+  try {
+    res.json(await notesMentioning(req.user, req.query));
+  } catch (error) {
+    handleError(res, error, 'fetching mentions');
+  }
+});
+
+// @route   GET api/notes/mentionable
+// @desc    Users who can be @mentioned, with the handle to type
+// @returns [{ _id, name, email, handle }]
+router.get('/mentionable', async (req, res) => {
+  try {
+    res.json(await mentionableUsers());
+  } catch (error) {
+    handleError(res, error, 'fetching users');
+  }
+});
+
+// @route   POST api/notes
+// @desc    Leave a note on a customer, or reply to a note with `parent`.
+//          "@handle" in the body mentions a user (see GET api/notes/mentionable).
+// @body    { customer, body, parent?, mentions?: [userId], pinned? }
+router.post('/', async (req, res) => {
+  try {
+    res.status(201).json(await createNote(req.body, req.user));
+  } catch (error) {
+    handleError(res, error, 'creating note');
+  }
+});
+
+// @route   PUT api/notes/:id
+// @desc    Edit a note (author only); the earlier text is kept
+// @body    { body, mentions?: [userId] }
+router.put('/:id', async (req, res) => {
+  try {
+    res.json(await editNote(req.params.id, req.body, req.user));
+  } catch (error) {
+    handleError(res, error, 'editing note');
+  }
+});
+
+// @route   PUT api/notes/:id/pin
+// @desc    Pin or unpin a note
+// @body    { pinned: true|false }
+router.put('/:id/pin', async (req, res) => {
+  try {
+    res.json(await setPinned(req.params.id, req.body.pinned === true || req.body.pinned === 'true', req.user));
+  } catch (error) {
+    handleError(res, error, 'pinning note');
+  }
+});
+
+// @route   GET api/notes/:id/history
+// @desc    Every version of a note, oldest first
+// @returns { note, customer, author, versions: [{ body, mentions, writtenAt, writtenBy }] }
+router.get('/:id/history', async (req, res) => {
+  try {
+    res.json(await noteHistory(req.params.id));
+  } catch (error) {
+    handleError(res, error, 'fetching note history');
+  }
+});
+
+// Delete a note and its replies (author or admin)
+router.delete('/:id', async (req, res) => {
+  try {
+    const { replies } = await deleteNote(req.params.id, req.user);
+    res.json({ message: 'Note deleted successfully', replies });
+  } catch (error) {
+    handleError(res, error, 'deleting note');
+  }
+});
+
+export default router;
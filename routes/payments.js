@@ -0,0 +1,165 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Payment, { PAYMENT_MODES } from '../models/Payment.js';
+import { protect } from '../middleware/auth.js';
+import { paginate, parseList, parseDateRange, QueryError } from '../utils/pagination.js';
+import { validationDetails } from '../utils/customerValidation.js';
+import { recordPayment, voidPayment, listDues } from '../utils/ledger.js';
+import { LAYOUTS, renderReceiptPdf, sendPdf } from '../utils/invoicePdf.js';
+
+const router = express.Router();
+
+// Payments and receipts name the customer, so every route needs a logged-in
+// user
+router.use(protect);
+
+const PAYMENT_SORT_FIELDS = ['receivedAt', 'amount', 'createdAt'];
+
+const handleError = (res, error, action) => {
+  if (error.name === 'LedgerError') {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.name === 'QueryError') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: 'Validation failed', details: validationDetails(error) });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: 'Server error' });
+};
+
+const parseIdFilter = (value, param) => {
+  const ids = parseList(value);
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new QueryError(`Invalid ${param} ID`);
+  }
+  return ids.length ? { $in: ids.map(id => new mongoose.Types.ObjectId(id)) } : null;
+};
+
+// @route   GET api/payments
+// @desc    List payments
+// @query   customer, application, collectedBy   ObjectId or comma-separated ObjectIds
+//          mode       Cash | UPI | Card | Bank Transfer, comma-separated
+//          status     active | voided (default: both)
+//          from, to   inclusive bounds on receivedAt (YYYY-MM-DD or ISO)
+//          sort       receivedAt, amount or createdAt (default "-receivedAt")
+//          page, limit, cursor
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    [['customer', 'customer'], ['application', 'service application'], ['collectedBy', 'user']].forEach(([field, label]) => {
+      const condition = parseIdFilter(req.query[field], label);
+      if (condition) filter[field] = condition;
+    });
+
+    const modes = parseList(req.query.mode);
+    if (modes.length) filter.mode = { $in: modes };
+    const statuses = parseList(req.query.status);
+    if (statuses.length) filter.status = { $in: statuses };
+
+    const range = parseDateRange(req.query.from, req.query.to, 'from', 'to');
+    if (range) filter.receivedAt = range;
+
+    const result = await paginate(Payment, filter, req.query, {
+      sortFields: PAYMENT_SORT_FIELDS,
+      defaultSort: '-receivedAt',
+      populate: [
+        { path: 'customer', select: 'name phone' },
+        { path: 'collectedBy', select: 'name' }
+      ]
+    });
+    res.json(result);
+  } catch (error) {
+    handleError(res, error, 'fetching payments');
+  }
+});
+
+// @route   GET api/payments/dues
+// @desc    Customers with an outstanding balance, largest first, plus the
+//          total outstanding across all of them
+// @query   minOutstanding (default 0), page, limit
+// Registered before /:id so that "dues" is not taken for a payment ID
+router.get('/dues', async (req, res) => {
+  try {
+    res.json(await listDues(req.query));
+  } catch (error) {
+    handleError(res, error, 'fetching dues');
+  }
+});
+
+// @route   GET api/payments/modes
+// @desc    Accepted payment modes
+router.get('/modes', (req, res) => {
+  res.json(PAYMENT_MODES);
+});
+
+// Get a single payment
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid payment ID' });
+    }
+    const payment = await Payment.findById(req.params.id)
+      .populate('customer', 'name phone')
+      .populate('collectedBy voidedBy', 'name');
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    res.json(payment);
+  } catch (error) {
+    handleError(res, error, 'fetching payment');
+  }
+});
+
+// @route   GET api/payments/:id/receipt
+// @desc    Printable receipt for a payment
+// @query   layout     a4 (default) | thermal (80mm roll)
+//          download   "true" to save rather than open in the browser
+router.get('/:id/receipt', async (req, res) => {
+  try {
+    const layout = req.query.layout || 'a4';
+    if (!LAYOUTS.includes(layout)) {
+      throw new QueryError(`layout must be one of: ${LAYOUTS.join(', ')}`);
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid payment ID' });
+    }
+    const payment = await Payment.findById(req.params.id)
+      .populate({ path: 'customer', select: 'name phone', options: { withDeleted: true } })
+      .populate({ path: 'application', select: 'serviceCategoryName serviceNumber', options: { withDeleted: true } });
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    sendPdf(res, renderReceiptPdf(payment, { layout }), payment.receiptNumber || `receipt-${payment._id}`, req.query.download === 'true');
+  } catch (error) {
+    handleError(res, error, 'rendering receipt');
+  }
+});
+
+// @route   POST api/payments
+// @desc    Record a payment; the logged-in user is the collector
+// @body    { customer, application?, amount, mode, referenceNumber?, receivedAt?, notes? }
+//          referenceNumber is required for UPI, card and bank transfers
+router.post('/', async (req, res) => {
+  try {
+    const payment = await recordPayment(req.body, req.user);
+    res.status(201).json(payment);
+  } catch (error) {
+    handleError(res, error, 'recording payment');
+  }
+});
+
+// @route   POST api/payments/:id/void
+// @desc    Void a payment. It stays in the ledger but no longer counts.
+// @body    { reason }
+router.post('/:id/void', async (req, res) => {
+  try {
+    const payment = await voidPayment(req.params.id, req.body.reason, req.user);
+    res.json(payment);
+  } catch (error) {
+    handleError(res, error, 'voiding payment');
+  }
+});
+
+export default router;
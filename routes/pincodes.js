@@ -0,0 +1,60 @@
+import express from 'express';
+import {
+  PINCODE_SEARCH_LIMIT,
+  canonicalCity,
+  isValidPincode,
+  lookupPincode,
+  normalizePincode,
+  searchPincodes
+} from '../utils/pincodes.js';
+
+const router = express.Router();
+
+// Lookups in the bundled India Post directory, for the customer form to fill
+// in city, district and state as a pincode is typed. Customers are saved with
+// these filled in whatever the form sends (see models/Customer.js).
+
+const handleError = (res, error, action) => {
+  if (error.name === 'PincodeError') {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: 'Server error' });
+};
+
+// @route   GET api/pincodes
+// @desc    Pincodes starting with the digits typed so far
+// @query   q       at least the first 3 digits
+//          limit   max 20 (default 20)
+// @returns [{ pincode, city, district, state, stateCode, areas }]
+router.get('/', (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || PINCODE_SEARCH_LIMIT, 1), PINCODE_SEARCH_LIMIT);
+    res.json(searchPincodes(req.query.q, limit));
+  } catch (error) {
+    handleError(res, error, 'searching pincodes');
+  }
+});
+
+// @route   GET api/pincodes/:pincode
+// @desc    Where a pincode is. With `city`, also the spelling a customer's
+//          typed city will be saved with.
+// @query   city?   e.g. "Madras"
+// @returns { pincode, city, district, state, stateCode, areas }
+router.get('/:pincode', (req, res) => {
+  try {
+    const pincode = normalizePincode(req.params.pincode);
+    if (!isValidPincode(pincode)) {
+      return res.status(400).json({ error: 'Please enter a valid 6-digit pincode' });
+    }
+    const place = lookupPincode(pincode);
+    if (!place) {
+      return res.status(404).json({ error: `Pincode ${pincode} is not in the India Post directory` });
+    }
+    res.json(req.query.city ? { ...place, city: canonicalCity(req.query.city, place) } : place);
+  } catch (error) {
+    handleError(res, error, 'looking up pincode');
+  }
+});
+
+export default router;
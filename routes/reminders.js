@@ -0,0 +1,100 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import RenewalReminder from '../models/RenewalReminder.js';
+import { protect } from '../middleware/auth.js';
+import { paginate, parseList, parseDateRange, QueryError } from '../utils/pagination.js';
+import {
+  REMINDER_WINDOWS,
+  REMINDER_PLACEHOLDERS,
+  sendRenewalReminders
+} from '../utils/renewalReminders.js';
+
+const router = express.Router();
+
+// Reminders name customers and their renewal dates, so every route needs a
+// logged-in user
+router.use(protect);
+
+const handleError = (res, error, action) => {
+  if (error.name === 'ReminderError') {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.name === 'QueryError') {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: 'Server error' });
+};
+
+// @route   GET api/reminders
+// @desc    Renewal reminders sent so far, newest first
+// @query   status        queued | sent | failed, comma-separated
+//          customer      customer ObjectId
+//          application   service application ObjectId
+//          from, to      inclusive date bounds on when the reminder was queued
+//          page, limit, cursor
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+
+    const statuses = parseList(req.query.status);
+    if (statuses.length) filter.status = { $in: statuses };
+
+    ['customer', 'application'].forEach(field => {
+      if (!req.query[field]) return;
+      if (!mongoose.Types.ObjectId.isValid(req.query[field])) {
+        throw new QueryError(`Invalid ${field} ID`);
+      }
+      filter[field] = req.query[field];
+    });
+
+    const range = parseDateRange(req.query.from, req.query.to, 'from', 'to');
+    if (range) filter.createdAt = range;
+
+    const result = await paginate(RenewalReminder, filter, req.query, {
+      sortFields: ['createdAt'],
+      defaultSort: '-createdAt',
+      populate: [{ path: 'customer', select: 'name phone' }]
+    });
+    res.json(result);
+  } catch (error) {
+    handleError(res, error, 'fetching reminders');
+  }
+});
+
+// @route   GET api/reminders/due
+// @desc    Preview the reminders the next run would send, rendered with the
+//          template, without sending or recording anything
+// @query   templateId    MessageTemplate ID or name (default RENEWAL_REMINDER_TEMPLATE)
+router.get('/due', async (req, res) => {
+  try {
+    const preview = await sendRenewalReminders({ templateId: req.query.templateId, dryRun: true });
+    res.json({ ...preview, placeholders: REMINDER_PLACEHOLDERS });
+  } catch (error) {
+    handleError(res, error, 'previewing reminders');
+  }
+});
+
+// @route   POST api/reminders/run
+// @desc    Send the due renewal reminders now (the scheduler does this
+//          periodically). Already reminded customers are skipped.
+// @body    { templateId, channel }   both optional, see GET api/reminders/due
+router.post('/run', async (req, res) => {
+  try {
+    const summary = await sendRenewalReminders({
+      templateId: req.body.templateId,
+      channel: req.body.channel
+    });
+    res.json(summary);
+  } catch (error) {
+    handleError(res, error, 'sending reminders');
+  }
+});
+
+// @route   GET api/reminders/windows
+// @desc    The configured reminder windows (RENEWAL_REMINDER_WINDOWS)
+router.get('/windows', (req, res) => {
+  res.json({ windows: REMINDER_WINDOWS, placeholders: REMINDER_PLACEHOLDERS });
+});
+
+export default router;
@@ -0,0 +1,142 @@
+import express from 'express';
+import Segment from '../models/Segment.js';
+import { protect } from '../middleware/auth.js';
+import { CUSTOMER_FILTER_PARAMS } from '../utils/customerQuery.js';
+import { validationDetails } from '../utils/customerValidation.js';
+import {
+  SEGMENT_PLACEHOLDERS,
+  cleanSegmentFilter,
+  findSegment,
+  createSegment,
+  updateSegment,
+  evaluateSegmentFilter,
+  messageSegment
+} from '../utils/segments.js';
+
+const router = express.Router();
+
+// Saved customer filters (see models/Segment.js). Elsewhere a segment is
+// targeted with `segment=<id>`: GET api/customers, GET api/customers/export
+// and the `filter` of POST api/customers/bulk all take it.
+router.use(protect);
+
+const handleError = (res, error, action) => {
+  if (error.name === 'SegmentError') {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.name === 'QueryError') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ error: 'A segment with this name already exists' });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: 'Validation failed', details: validationDetails(error) });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: 'Server error' });
+};
+
+// @route   GET api/segments
+// @desc    All saved segments by name
+router.get('/', async (req, res) => {
+  try {
+    const segments = await Segment.find().collation({ locale: 'en', strength: 2 }).sort({ name: 1 });
+    res.json(segments);
+  } catch (error) {
+    handleError(res, error, 'fetching segments');
+  }
+});
+
+// @route   GET api/segments/params
+// @desc    Parameters a segment filter may use, and placeholders for segment messages
+router.get('/params', (req, res) => {
+  res.json({ filter: CUSTOMER_FILTER_PARAMS, placeholders: SEGMENT_PLACEHOLDERS });
+});
+
+// @route   POST api/segments
+// @desc    Save a segment
+// @body    { name, description?, filter: { ...GET api/customers filters } }
+//          e.g. { city: 'Chennai', gstStatus: 'Not Paid',
+//                 nextRenewalDateFrom: 'today', nextRenewalDateTo: 'today+30' }
+router.post('/', async (req, res) => {
+  try {
+    res.status(201).json(await createSegment(req.body, req.user));
+  } catch (error) {
+    handleError(res, error, 'creating segment');
+  }
+});
+
+// @route   POST api/segments/preview
+// @desc    Evaluate a filter without saving it, as GET api/segments/:id/evaluate
+// @body    { filter }
+// @query   page, limit, cursor, sort
+router.post('/preview', async (req, res) => {
+  try {
+    res.json(await evaluateSegmentFilter(await cleanSegmentFilter(req.body.filter), req.query));
+  } catch (error) {
+    handleError(res, error, 'previewing segment');
+  }
+});
+
+// Get a single segment
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await findSegment(req.params.id));
+  } catch (error) {
+    handleError(res, error, 'fetching segment');
+  }
+});
+
+// @route   GET api/segments/:id/evaluate
+// @desc    The segment's current members, one page at a time, with counts
+// @query   page, limit, cursor, sort   as for GET api/customers
+// @returns { segment, counts: { customers, byStatus, applications }, data, pagination }
+router.get('/:id/evaluate', async (req, res) => {
+  try {
+    const segment = await findSegment(req.params.id);
+    const result = await evaluateSegmentFilter(segment.filter, req.query);
+    res.json({ segment: { _id: segment._id, name: segment.name, filter: segment.filter }, ...result });
+  } catch (error) {
+    handleError(res, error, 'evaluating segment');
+  }
+});
+
+// @route   PUT api/segments/:id
+// @desc    Update a segment
+// @body    { name?, description?, filter? }
+router.put('/:id', async (req, res) => {
+  try {
+    res.json(await updateSegment(req.params.id, req.body, req.user));
+  } catch (error) {
+    handleError(res, error, 'updating segment');
+  }
+});
+
+// Delete a segment
+router.delete('/:id', async (req, res) => {
+  try {
+    const segment = await findSegment(req.params.id);
+    await segment.deleteOne();
+    res.json({ message: 'Segment deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'deleting segment');
+  }
+});
+
+// @route   POST api/segments/:id/message
+// @desc    Send a message template to every customer in the segment
+// @body    { templateId, channel?, dryRun? }   templateId is a MessageTemplate ID or name
+router.post('/:id/message', async (req, res) => {
+  try {
+    res.json(await messageSegment(req.params.id, {
+      templateId: req.body.templateId,
+      channel: req.body.channel,
+      dryRun: req.body.dryRun === true || req.body.dryRun === 'true'
+    }, req.user));
+  } catch (error) {
+    handleError(res, error, 'messaging segment');
+  }
+});
+
+export default router;
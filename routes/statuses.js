@@ -1,5 +1,6 @@
 import express from 'express';
 import Customer from '../models/Customer.js';
+import ServiceApplication from '../models/ServiceApplication.js';
 
 const router = express.Router();
 
@@ -14,4 +15,15 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Get all delivery statuses in use on service applications
+router.get('/delivery', async (req, res) => {
+  try {
+    const statuses = await ServiceApplication.distinct('deliveryStatus');
+    res.json(statuses);
+  } catch (error) {
+    console.error('Error fetching delivery statuses:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 export default router;
@@ -3,6 +3,8 @@ import { body, param, validationResult } from 'express-validator';
 import mongoose from 'mongoose';
 import SubCategory from '../models/SubCategory.js';
 import Category from '../models/Category.js';
+import ServiceApplication from '../models/ServiceApplication.js';
+import { taxValidators } from '../utils/gst.js';
 
 const router = express.Router();
 
@@ -85,7 +87,8 @@ router.post(
         }
         return true;
       }),
-    body('description').optional().trim().isString()
+    body('description').optional().trim().isString(),
+    ...taxValidators
   ],
   async (req, res) => {
     try {
@@ -94,7 +97,7 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { name, categoryId, description } = req.body;
+      const { name, categoryId, description, gstRate, sacCode } = req.body;
       
       // Check if subcategory already exists in this category (case insensitive)
       const existingSubCategory = await SubCategory.findOne({ 
@@ -111,7 +114,9 @@ router.post(
       const subcategory = new SubCategory({
         name,
         category: categoryId,
-        description: description || ''
+        description: description || '',
+        gstRate: gstRate ?? null,
+        sacCode: sacCode || null
       });
 
       await subcategory.save();
@@ -154,7 +159,8 @@ router.put(
         }
         return true;
       }),
-    body('description').optional().trim().isString()
+    body('description').optional().trim().isString(),
+    ...taxValidators
   ],
   async (req, res) => {
     try {
@@ -163,7 +169,7 @@ router.put(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { name, categoryId, description } = req.body;
+      const { name, categoryId, description, gstRate, sacCode } = req.body;
       const subcategoryId = req.params.id;
       
       // Check if subcategory exists
@@ -191,6 +197,8 @@ router.put(
       subcategory.name = name;
       subcategory.category = categoryId;
       if (description !== undefined) subcategory.description = description;
+      if (gstRate !== undefined) subcategory.gstRate = gstRate;
+      if (sacCode !== undefined) subcategory.sacCode = sacCode || null;
       
       await subcategory.save();
       
@@ -222,16 +230,16 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Subcategory not found' });
     }
     
-    // Check if subcategory is being used in any customers
-    // Note: You'll need to implement this check based on your Customer model
-    // const customerCount = await Customer.countDocuments({ 'services.subCategory': req.params.id });
-    // if (customerCount > 0) {
-    //   return res.status(400).json({ 
-    //     error: 'Cannot delete subcategory as it is being used by one or more customers' 
-    //   });
-    // }
+    // Check if subcategory is being used by any service applications
+    const applicationCount = await ServiceApplication.countDocuments({ serviceSubCategory: req.params.id });
+    if (applicationCount > 0) {
+      return res.status(400).json({ 
+        error: 'Cannot delete subcategory as it is being used by one or more customers' 
+      });
+    }
     
-    await SubCategory.findByIdAndDelete(req.params.id);
+    // Moves it to the trash; see routes/trash.js
+    await subcategory.softDelete(req.user);
     res.json({ message: 'Subcategory deleted successfully' });
   } catch (error) {
     console.error('Error deleting subcategory:', error);
@@ -0,0 +1,99 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Tag from '../models/Tag.js';
+import Customer from '../models/Customer.js';
+import { protect } from '../middleware/auth.js';
+import { validationDetails } from '../utils/customerValidation.js';
+
+const router = express.Router();
+
+// Tags are put on customers with PUT api/customers/:id ({ tags: [id] }) or in
+// bulk with the addTags/removeTags operations of POST api/customers/bulk
+
+const handleError = (res, error, action) => {
+  if (error.code === 11000) {
+    return res.status(409).json({ error: 'A tag with this name already exists' });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: 'Validation failed', details: validationDetails(error) });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: 'Server error' });
+};
+
+const findTag = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: 'Invalid tag ID' });
+    return null;
+  }
+  const tag = await Tag.findById(req.params.id);
+  if (!tag) {
+    res.status(404).json({ error: 'Tag not found' });
+  }
+  return tag;
+};
+
+// @route   GET api/tags
+// @desc    All tags by name, each with the number of customers carrying it
+router.get('/', async (req, res) => {
+  try {
+    const [tags, counts] = await Promise.all([
+      Tag.find().collation({ locale: 'en', strength: 2 }).sort({ name: 1 }).lean(),
+      Customer.aggregate([
+        { $match: { 'tags.0': { $exists: true } } },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } }
+      ])
+    ]);
+    const byTag = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+    res.json(tags.map(tag => ({ ...tag, customers: byTag.get(String(tag._id)) || 0 })));
+  } catch (error) {
+    handleError(res, error, 'fetching tags');
+  }
+});
+
+// @route   POST api/tags
+// @desc    Create a tag
+// @body    { name, color?, description? }   color as "#rrggbb"
+router.post('/', protect, async (req, res) => {
+  try {
+    const { name, color, description } = req.body;
+    const tag = await Tag.create({ name, color, description, createdBy: req.user._id });
+    res.status(201).json(tag);
+  } catch (error) {
+    handleError(res, error, 'creating tag');
+  }
+});
+
+// @route   PUT api/tags/:id
+// @desc    Rename or recolour a tag; customers keep it
+// @body    { name?, color?, description? }
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const tag = await findTag(req, res);
+    if (!tag) return;
+    ['name', 'color', 'description'].forEach(field => {
+      if (req.body[field] !== undefined) tag[field] = req.body[field] === '' ? null : req.body[field];
+    });
+    await tag.save();
+    res.json(tag);
+  } catch (error) {
+    handleError(res, error, 'updating tag');
+  }
+});
+
+// @route   DELETE api/tags/:id
+// @desc    Delete a tag and take it off every customer, trashed ones included
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const tag = await findTag(req, res);
+    if (!tag) return;
+    const { modifiedCount } = await Customer.updateMany({ tags: tag._id }, { $pull: { tags: tag._id } });
+    await tag.deleteOne();
+    res.json({ message: 'Tag deleted successfully', customers: modifiedCount });
+  } catch (error) {
+    handleError(res, error, 'deleting tag');
+  }
+});
+
+export default router;
@@ -0,0 +1,114 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import {
+  TRACKING_PHONE_DIGITS,
+  isOtpAvailable,
+  trackByPhone,
+  requestTrackingOtp,
+  trackByOtp
+} from '../utils/tracking.js';
+
+const router = express.Router();
+
+// Public, unauthenticated routes for customers to check on their
+// applications. Details travel in POST bodies so they stay out of URLs and
+// access logs. Limits are kept in memory, per server process.
+
+const limitReached = (req, res, next, options) => {
+  res.status(options.statusCode).json({ error: 'Too many requests. Please try again later.' });
+};
+
+// Every tracking request, per client IP
+const ipLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: Number(process.env.TRACKING_RATE_LIMIT) || 30,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: limitReached
+});
+
+// Failed lookups per service number, whichever IPs they come from, so the
+// phone digits or a code cannot be guessed by spreading attempts out
+const serviceNumberKey = (req) => `service:${String(req.body?.serviceNumber || '').trim().toLowerCase()}`;
+
+const failedLookupLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  limit: 10,
+  keyGenerator: serviceNumberKey,
+  skipSuccessfulRequests: true,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: limitReached
+});
+
+// Codes sent per service number
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 3,
+  keyGenerator: serviceNumberKey,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: limitReached
+});
+
+router.use(ipLimiter);
+
+const handleError = (res, error, action) => {
+  if (error.name === 'TrackingError') {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: 'Server error' });
+};
+
+// @route   GET api/track
+// @desc    How tracking works: the number of phone digits asked for, and
+//          whether codes can be sent (an SMS channel is configured)
+router.get('/', (req, res) => {
+  res.json({ phoneDigits: TRACKING_PHONE_DIGITS, otp: isOtpAvailable() });
+});
+
+// @route   POST api/track
+// @desc    Track applications by service number and the last digits of the
+//          customer's phone number
+// @body    { serviceNumber, phoneDigits }
+// @returns { applications: [{ serviceNumber, serviceName, serviceSubCategoryName,
+//          deliveryStatus, expectedDeliveryDate, statusHistory: [{ from, to, changedAt }] }] }
+router.post('/', failedLookupLimiter, async (req, res) => {
+  try {
+    res.json({ applications: await trackByPhone(req.body || {}) });
+  } catch (error) {
+    handleError(res, error, 'tracking application');
+  }
+});
+
+// @route   POST api/track/otp
+// @desc    Send a one-time code to the phone on file for a service number.
+//          503 unless TRACKING_OTP_CHANNEL or MESSAGE_CHANNEL names an SMS
+//          channel; the built-in console and file channels are refused.
+// @body    { serviceNumber }
+router.post('/otp', otpLimiter, async (req, res) => {
+  try {
+    const { expiresInMinutes } = await requestTrackingOtp(req.body || {});
+    res.json({
+      message: 'If this service number is registered with us, a code has been sent to the phone number on file.',
+      expiresInMinutes
+    });
+  } catch (error) {
+    handleError(res, error, 'sending tracking code');
+  }
+});
+
+// @route   POST api/track/verify
+// @desc    Track applications by service number and a code from POST api/track/otp
+// @body    { serviceNumber, otp }
+// @returns as POST api/track
+router.post('/verify', failedLookupLimiter, async (req, res) => {
+  try {
+    res.json({ applications: await trackByOtp(req.body || {}) });
+  } catch (error) {
+    handleError(res, error, 'verifying tracking code');
+  }
+});
+
+export default router;
@@ -0,0 +1,78 @@
+import express from 'express';
+import { protect, authorize } from '../middleware/auth.js';
+import {
+  TRASH_RETENTION_DAYS,
+  listTrash,
+  restoreRecord,
+  purgeRecord,
+  purgeExpired
+} from '../utils/trash.js';
+
+const router = express.Router();
+
+// Trashed records are still customers' data, and restoring one is a write, so
+// every route needs a logged-in user; purging is for administrators
+router.use(protect);
+
+const handleError = (res, error, action) => {
+  if (error.name === 'TrashError') {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.name === 'QueryError') {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: 'Server error' });
+};
+
+// @route   POST api/trash/purge
+// @desc    Permanently delete every trashed record past the retention period
+//          (TRASH_RETENTION_DAYS, default 30). Admin only.
+router.post('/purge', authorize('admin'), async (req, res) => {
+  try {
+    const results = await purgeExpired();
+    res.json({ retentionDays: TRASH_RETENTION_DAYS, results });
+  } catch (error) {
+    handleError(res, error, 'purging trash');
+  }
+});
+
+// @route   GET api/trash/:entity
+// @desc    Trashed records of one collection (customers, applications,
+//          categories, subcategories, forms), most recently trashed first.
+//          Each carries `purgeAfter`, when it becomes eligible for purging.
+// @query   page, limit, cursor
+router.get('/:entity', async (req, res) => {
+  try {
+    const result = await listTrash(req.params.entity, req.query);
+    res.json({ ...result, retentionDays: TRASH_RETENTION_DAYS });
+  } catch (error) {
+    handleError(res, error, 'listing trash');
+  }
+});
+
+// @route   POST api/trash/:entity/:id/restore
+// @desc    Restore a trashed record. A customer comes back with the
+//          applications that were trashed with it.
+router.post('/:entity/:id/restore', async (req, res) => {
+  try {
+    const doc = await restoreRecord(req.params.entity, req.params.id);
+    res.json(doc);
+  } catch (error) {
+    handleError(res, error, 'restoring record');
+  }
+});
+
+// @route   DELETE api/trash/:entity/:id
+// @desc    Permanently delete a trashed record once its retention period has
+//          passed. Admin only.
+router.delete('/:entity/:id', authorize('admin'), async (req, res) => {
+  try {
+    await purgeRecord(req.params.entity, req.params.id);
+    res.json({ message: 'Record permanently deleted' });
+  } catch (error) {
+    handleError(res, error, 'purging record');
+  }
+});
+
+export default router;
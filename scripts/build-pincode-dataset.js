@@ -0,0 +1,111 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse } from 'csv-parse';
+import { GST_STATES, stateCodeFromName } from '../utils/gst.js';
+
+// Build data/pincodes.json, the offline dataset behind utils/pincodes.js, from
+// India Post's "All India Pincode Directory" CSV (published on data.gov.in
+// with the columns officename, pincode, officetype, delivery, district,
+// statename, ...). Rerun it with a newer download to pick up new pincodes.
+//
+//   node scripts/build-pincode-dataset.js <directory.csv>
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUTPUT = path.join(__dirname, '..', 'data', 'pincodes.json');
+
+// "KUMURAM BHEEM ASIFABAD" -> "Kumuram Bheem Asifabad"
+const titleCase = (value) => value.toLowerCase().replace(/(^|[\s(.-])([a-z])/g, (match, before, letter) => before + letter.toUpperCase());
+
+// Post office names without their type, e.g. "Mylapore S.O" -> "Mylapore",
+// and in title case when the directory has them in capitals
+const officeArea = (name) => {
+  const area = name
+    .replace(/\s+(B\.?O|S\.?O|H\.?O|NDSO|NDBO|NDHO|SO|BO|HO)\.?(\s*\(.*\))?$/i, '')
+    .trim();
+  return /[a-z]/.test(area) ? area : titleCase(area).replace(/\bGpo\b/, 'GPO');
+};
+
+// District names the directory spells differently from the districts themselves
+const DISTRICT_NAMES = {
+  'Visakhapatanam': 'Visakhapatnam',
+  'Pondicherry': 'Puducherry'
+};
+
+const districtName = (value) => {
+  const name = titleCase(value.trim());
+  return DISTRICT_NAMES[name] || name;
+};
+
+const blank = (value) => !value || value.trim().toUpperCase() === 'NA';
+
+// State names as GST uses them (see utils/gst.js), so addresses and invoices agree
+const stateName = (value) => {
+  const name = value.trim().replace(/^the\s+/i, '');
+  return GST_STATES[stateCodeFromName(name)] || titleCase(name);
+};
+
+async function buildPincodeDataset() {
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: node scripts/build-pincode-dataset.js <All India Pincode Directory CSV>');
+    process.exit(1);
+  }
+
+  // pincode -> { districts: Map(district|state -> offices), areas: Set }
+  const pincodes = new Map();
+  const parser = fs.createReadStream(file).pipe(parse({
+    columns: header => header.map(column => column.trim().toLowerCase()),
+    skip_empty_lines: true,
+    trim: true
+  }));
+
+  for await (const row of parser) {
+    const pincode = String(row.pincode || '');
+    if (!/^[1-9][0-9]{5}$/.test(pincode) || blank(row.district) || blank(row.statename)) continue;
+
+    if (!pincodes.has(pincode)) pincodes.set(pincode, { districts: new Map(), areas: new Set() });
+    const entry = pincodes.get(pincode);
+    const key = `${districtName(row.district)}|${stateName(row.statename)}`;
+    entry.districts.set(key, (entry.districts.get(key) || 0) + 1);
+    if (String(row.delivery).toLowerCase() === 'delivery') entry.areas.add(officeArea(row.officename));
+  }
+
+  const states = [];
+  const districts = [];
+  const districtIndex = new Map();
+  const indexOf = (list, value) => {
+    if (!list.includes(value)) list.push(value);
+    return list.indexOf(value);
+  };
+
+  const data = {};
+  [...pincodes.keys()].sort().forEach(pincode => {
+    const { districts: counts, areas } = pincodes.get(pincode);
+    // A pincode that crosses a district boundary goes with most of its offices
+    const [key] = [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0];
+    if (!districtIndex.has(key)) {
+      const [district, state] = key.split('|');
+      districtIndex.set(key, districts.push([district, indexOf(states, state)]) - 1);
+    }
+    data[pincode] = [districtIndex.get(key), [...areas].sort()];
+  });
+
+  const dataset = {
+    source: 'India Post, All India Pincode Directory (data.gov.in, Open Government Data Licence - India)',
+    generatedAt: new Date().toISOString().slice(0, 10),
+    // pincodes: { pincode: [index into districts, [delivery post office areas]] }
+    // districts: [[name, index into states]]
+    states,
+    districts,
+    pincodes: data
+  };
+
+  await fs.promises.mkdir(path.dirname(OUTPUT), { recursive: true });
+  await fs.promises.writeFile(OUTPUT, `${JSON.stringify(dataset)}\n`);
+  console.log(`Wrote ${Object.keys(data).length} pincodes in ${districts.length} districts to ${OUTPUT}`);
+}
+
+buildPincodeDataset().catch(error => {
+  console.error('Error building the pincode dataset:', error);
+  process.exit(1);
+});
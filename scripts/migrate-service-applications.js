@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Customer from '../models/Customer.js';
+import ServiceApplication from '../models/ServiceApplication.js';
+import { APPLICATION_FIELDS } from '../utils/customerValidation.js';
+
+dotenv.config();
+
+// Move the service fields that used to sit on each customer into a
+// ServiceApplication of their own, then rebuild the customer indexes (the old
+// text index covered serviceNumber). Safe to run more than once: customers
+// whose legacy fields are already gone are skipped.
+//
+//   npm run migrate:applications -- --dry-run
+const dryRun = process.argv.includes('--dry-run');
+
+// Read through the raw collection, the Customer schema no longer has these paths
+const LEGACY_FIELDS = [...APPLICATION_FIELDS, 'service'];
+
+async function migrateServiceApplications() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`Connected to MongoDB${dryRun ? ' (dry run, nothing will be written)' : ''}`);
+
+    const cursor = Customer.collection.find({ serviceCategory: { $exists: true } });
+    let created = 0;
+    let skipped = 0;
+
+    for await (const doc of cursor) {
+      const data = {};
+      APPLICATION_FIELDS.forEach(field => {
+        if (doc[field] !== undefined && doc[field] !== null && doc[field] !== '') data[field] = doc[field];
+      });
+
+      // A previous, interrupted run may already have created the application
+      const existing = await ServiceApplication.exists({
+        customer: doc._id,
+        serviceCategory: doc.serviceCategory,
+        ...(data.serviceNumber && { serviceNumber: data.serviceNumber })
+      });
+
+      if (existing) {
+        skipped++;
+      } else {
+        const application = new ServiceApplication({
+          ...data,
+          customer: doc._id,
+          importBatch: doc.importBatch,
+          createdBy: doc.createdBy,
+          updatedBy: doc.updatedBy,
+          createdAt: doc.createdAt,
+          updatedAt: doc.updatedAt
+        });
+        // Legacy records were not always valid; keep their data rather than drop it
+        if (!dryRun) await application.save({ validateBeforeSave: false, timestamps: false });
+        created++;
+      }
+
+      if (!dryRun) {
+        await Customer.collection.updateOne(
+          { _id: doc._id },
+          { $unset: Object.fromEntries(LEGACY_FIELDS.map(field => [field, ''])) }
+        );
+      }
+    }
+
+    console.log(`Applications created: ${created}, already present: ${skipped}`);
+
+    if (!dryRun) {
+      await Promise.all([Customer.syncIndexes(), ServiceApplication.syncIndexes()]);
+      console.log('Indexes synchronised');
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating service applications:', error);
+    process.exit(1);
+  }
+}
+
+migrateServiceApplications();
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Customer from '../models/Customer.js';
+import { addressFromPincode, isValidPincode, normalizePincode } from '../utils/pincodes.js';
+
+dotenv.config();
+
+// Fill in every customer's city, district and state from their pincode, with
+// the city spelt as the pincode dataset spells it ("chennai ", "Madras" ->
+// "Chennai"). Customers without a pincode, or with one that is malformed or
+// not in the dataset, are listed and left alone for staff to correct. Safe to
+// run more than once.
+//
+//   npm run migrate:addresses -- --dry-run
+const dryRun = process.argv.includes('--dry-run');
+
+const FIELDS = ['zipCode', 'city', 'district', 'state'];
+
+async function normalizeAddresses() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`Connected to MongoDB${dryRun ? ' (dry run, nothing will be written)' : ''}`);
+
+    // Through the raw collection so trashed customers are included and
+    // nothing else about the records is validated or changed
+    const cursor = Customer.collection.find({}, { projection: { name: 1, zipCode: 1, city: 1, district: 1, state: 1 } });
+    let updated = 0;
+    let unchanged = 0;
+    let missing = 0;
+    const unknown = [];
+    const changes = new Map();
+
+    for await (const doc of cursor) {
+      if (!doc.zipCode || !String(doc.zipCode).trim()) {
+        missing++;
+        continue;
+      }
+      const address = addressFromPincode(doc.zipCode, doc.city);
+      if (!address) {
+        const pincode = normalizePincode(doc.zipCode);
+        unknown.push({ customer: doc._id, name: doc.name, zipCode: doc.zipCode, malformed: !isValidPincode(pincode) });
+        continue;
+      }
+
+      const changed = FIELDS.filter(field => address[field] !== doc[field]);
+      if (!changed.length) {
+        unchanged++;
+        continue;
+      }
+      if (doc.city && address.city !== doc.city) {
+        const key = `${doc.city} -> ${address.city}`;
+        changes.set(key, (changes.get(key) || 0) + 1);
+      }
+      if (!dryRun) {
+        await Customer.collection.updateOne({ _id: doc._id }, { $set: address });
+      }
+      updated++;
+    }
+
+    console.log(`Customers updated: ${updated}, already normalised: ${unchanged}, without a pincode: ${missing}`);
+    if (changes.size) {
+      console.log('Cities respelt:');
+      [...changes].sort((a, b) => b[1] - a[1]).forEach(([change, count]) => console.log(`  ${change} (${count})`));
+    }
+    if (unknown.length) {
+      console.log(`${unknown.length} pincode(s) could not be looked up and were left as they are:`);
+      unknown.forEach(({ customer, name, zipCode, malformed }) => {
+        console.log(`  ${customer}  ${name}  ${zipCode}${malformed ? ' (not a 6-digit pincode)' : ' (not in the dataset)'}`);
+      });
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error normalising addresses:', error);
+    process.exit(1);
+  }
+}
+
+normalizeAddresses();
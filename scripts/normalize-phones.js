@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Customer from '../models/Customer.js';
+import { normalizePhone } from '../utils/phone.js';
+
+dotenv.config();
+
+// Rewrite every customer's phone and contact numbers in E.164 form and give
+// customers saved before contacts existed their primary contact. Numbers that
+// are not valid Indian mobile numbers are listed and left alone for staff to
+// correct. Safe to run more than once.
+//
+//   npm run migrate:phones -- --dry-run
+const dryRun = process.argv.includes('--dry-run');
+
+async function normalizePhones() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`Connected to MongoDB${dryRun ? ' (dry run, nothing will be written)' : ''}`);
+
+    // Through the raw collection so trashed customers are included and
+    // nothing else about the records is validated or changed
+    const cursor = Customer.collection.find({}, { projection: { name: 1, phone: 1, contacts: 1 } });
+    let updated = 0;
+    let unchanged = 0;
+    const invalid = [];
+
+    for await (const doc of cursor) {
+      const phone = normalizePhone(doc.phone) || doc.phone;
+      if (!normalizePhone(doc.phone)) {
+        invalid.push({ customer: doc._id, name: doc.name, number: doc.phone });
+      }
+
+      let contacts = (doc.contacts || []).map(contact => {
+        const number = normalizePhone(contact.number);
+        if (!number) invalid.push({ customer: doc._id, name: doc.name, number: contact.number, type: contact.type });
+        return { ...contact, number: number || contact.number };
+      });
+      if (!contacts.some(contact => contact.type === 'primary') && normalizePhone(phone)) {
+        contacts = [{ _id: new mongoose.Types.ObjectId(), type: 'primary', number: phone }, ...contacts];
+      }
+
+      const changed = phone !== doc.phone || JSON.stringify(contacts) !== JSON.stringify(doc.contacts || []);
+      if (!changed) {
+        unchanged++;
+        continue;
+      }
+      if (!dryRun) {
+        await Customer.collection.updateOne({ _id: doc._id }, { $set: { phone, contacts } });
+      }
+      updated++;
+    }
+
+    console.log(`Customers updated: ${updated}, already normalised: ${unchanged}`);
+    if (invalid.length) {
+      console.log(`${invalid.length} number(s) are not valid Indian mobile numbers and were left as they are:`);
+      invalid.forEach(({ customer, name, number, type }) => {
+        console.log(`  ${customer}  ${name}  ${type ? `${type} contact ` : ''}${number ?? '(none)'}`);
+      });
+    }
+
+    if (!dryRun) {
+      await Customer.syncIndexes();
+      console.log('Indexes synchronised');
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error normalising phone numbers:', error);
+    process.exit(1);
+  }
+}
+
+normalizePhones();
@@ -0,0 +1,273 @@
+// Load .env first: the model reads ENCRYPTED_CUSTOMER_FIELDS when imported
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Customer, { ENCRYPTED_FIELDS } from '../models/Customer.js';
+import CustomerMerge from '../models/CustomerMerge.js';
+import Invoice from '../models/Invoice.js';
+import MessageLog from '../models/MessageLog.js';
+import RenewalReminder from '../models/RenewalReminder.js';
+import { maskValue } from '../utils/piiMasking.js';
+import { openMergeRecord, sealMergeRecord } from '../utils/customerMerge.js';
+import {
+  blindIndex,
+  currentKeyId,
+  decryptValue,
+  encryptValue,
+  isEncryptionEnabled,
+  keyIdOf
+} from '../utils/fieldEncryption.js';
+
+// Bring every customer's encrypted fields (see utils/fieldEncryption.js) in
+// line with the configured keys:
+//   - values still held in plain text are encrypted,
+//   - values encrypted under an older key are re-encrypted under the current
+//     one (the first in FIELD_ENCRYPTION_KEYS),
+//   - blind indexes are recomputed, e.g. after FIELD_BLIND_INDEX_KEY changed.
+// Once it reports nothing left under an old key, that key can be dropped from
+// FIELD_ENCRYPTION_KEYS. The encrypted copies kept in merge records (see
+// utils/customerMerge.js) are brought along, and phone numbers copied out in
+// plain text before that stopped are cleared: masked in message logs and
+// reminders, dropped from invoice buyers. With --decrypt, everything is
+// written back in plain text instead, for turning encryption off. Safe to run
+// more than once.
+//
+//   npm run encryption:rotate -- --dry-run
+//   npm run encryption:rotate -- --decrypt
+const dryRun = process.argv.includes('--dry-run');
+const decrypt = process.argv.includes('--decrypt');
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const schemaTypeOf = (field) => {
+  const [array, path] = field.split('.');
+  return path ? Customer.schema.path(array).schema.path(path) : Customer.schema.path(field);
+};
+
+// A plaintext value as the model would store it, e.g. a phone number in
+// E.164 form; left as it is when the model would reject it
+const normalize = (schemaType, value) => {
+  try {
+    return schemaType.cast(schemaType.applySetters(value, null));
+  } catch (error) {
+    return value;
+  }
+};
+
+const readValue = (record, path, field, schemaType) => {
+  const payload = record.encrypted?.[path];
+  if (!payload) return isBlank(record[path]) ? null : normalize(schemaType, record[path]);
+  const text = decryptValue(payload, field);
+  if (schemaType.instance === 'Date') return new Date(text);
+  return text;
+};
+
+// The changes one record (or array element) needs for `path`, applied to
+// `record` itself; `keys` counts the keys values were found under
+const rotateValue = (record, path, field, keys) => {
+  const schemaType = schemaTypeOf(field);
+  const payload = record.encrypted?.[path];
+  const value = readValue(record, path, field, schemaType);
+  if (value === null) return false;
+  const key = payload ? keyIdOf(payload) : 'plain text';
+  keys.set(key, (keys.get(key) || 0) + 1);
+
+  if (decrypt) {
+    if (!payload) return false;
+    record[path] = value;
+    delete record.encrypted[path];
+    delete record.blindIndex?.[path];
+    return true;
+  }
+
+  let changed = false;
+  if (!payload || keyIdOf(payload) !== currentKeyId()) {
+    record.encrypted = { ...record.encrypted, [path]: encryptValue(value, field) };
+    changed = true;
+  }
+  const hash = blindIndex(value, field);
+  if (record.blindIndex?.[path] !== hash) {
+    record.blindIndex = { ...record.blindIndex, [path]: hash };
+    changed = true;
+  }
+  if (path in record) {
+    delete record[path];
+    changed = true;
+  }
+  return changed;
+};
+
+// Key ids of the encrypted values in a stored merge record
+const mergePayloadKeys = (merge) => {
+  const payloads = [];
+  const collect = (record) => {
+    if (record?.encrypted && typeof record.encrypted === 'object') payloads.push(...Object.values(record.encrypted));
+  };
+  (merge.merged || []).forEach(({ snapshot }) => {
+    collect(snapshot);
+    if (Array.isArray(snapshot?.contacts)) snapshot.contacts.forEach(collect);
+  });
+  (merge.fieldChanges || []).forEach(({ before, after }) => [before, after].forEach(value => {
+    if (typeof value?.encrypted === 'string') payloads.push(value.encrypted);
+    else if (Array.isArray(value)) value.forEach(collect);
+  }));
+  return payloads.map(keyIdOf);
+};
+
+// Open every merge record and seal it again under the current key (or leave it
+// in plain text with --decrypt) where it is not already
+const rotateMerges = async () => {
+  const cursor = CustomerMerge.collection.find({}, { projection: { merged: 1, fieldChanges: 1 } });
+  let updated = 0;
+  let unchanged = 0;
+  const failed = [];
+
+  for await (const merge of cursor) {
+    try {
+      const before = mergePayloadKeys(merge);
+      openMergeRecord(merge);
+      if (!decrypt) sealMergeRecord(merge);
+      const after = mergePayloadKeys(merge);
+      const changed = decrypt
+        ? before.length > 0
+        : before.length !== after.length || before.some(key => key !== currentKeyId());
+      if (!changed) {
+        unchanged++;
+        continue;
+      }
+      if (!dryRun) {
+        await CustomerMerge.collection.updateOne({ _id: merge._id }, {
+          $set: { merged: merge.merged, fieldChanges: merge.fieldChanges }
+        });
+      }
+      updated++;
+    } catch (error) {
+      failed.push({ merge: merge._id, error: error.message });
+    }
+  }
+  return { updated, unchanged, failed };
+};
+
+// Mask the phone numbers logged with messages and reminders, and drop the
+// ones copied onto invoice buyers, as they are kept now
+const clearPhoneCopies = async () => {
+  let messages = 0;
+  for (const model of [MessageLog, RenewalReminder]) {
+    const cursor = model.collection.find({ 'to.phone': { $nin: [null, ''] } }, { projection: { 'to.phone': 1 } });
+    for await (const doc of cursor) {
+      const masked = maskValue(doc.to.phone);
+      if (masked === doc.to.phone) continue;
+      if (!dryRun) {
+        await model.collection.updateOne({ _id: doc._id }, { $set: { 'to.phone': masked } });
+      }
+      messages++;
+    }
+  }
+
+  const withBuyerPhone = { 'buyer.phone': { $exists: true } };
+  const invoices = dryRun
+    ? await Invoice.collection.countDocuments(withBuyerPhone)
+    : (await Invoice.collection.updateMany(withBuyerPhone, { $unset: { 'buyer.phone': '' } })).modifiedCount;
+  return { messages, invoices };
+};
+
+async function rotateFieldKeys() {
+  try {
+    if (!isEncryptionEnabled()) {
+      throw new Error('FIELD_ENCRYPTION_KEYS is not set; there is nothing to encrypt with');
+    }
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`Connected to MongoDB${dryRun ? ' (dry run, nothing will be written)' : ''}`);
+    console.log(decrypt
+      ? `Decrypting ${ENCRYPTED_FIELDS.join(', ')}`
+      : `Encrypting ${ENCRYPTED_FIELDS.join(', ')} under key "${currentKeyId()}"`);
+
+    const topFields = ENCRYPTED_FIELDS.filter(field => !field.includes('.'));
+    const arrays = new Map();
+    ENCRYPTED_FIELDS.filter(field => field.includes('.')).forEach(field => {
+      const [array, path] = field.split('.');
+      arrays.set(array, [...(arrays.get(array) || []), { field, path }]);
+    });
+
+    // Through the raw collection so trashed customers are included and
+    // nothing else about the records is validated or changed
+    const projection = Object.fromEntries(
+      [...topFields, 'encrypted', 'blindIndex', ...arrays.keys()].map(field => [field, 1])
+    );
+    const cursor = Customer.collection.find({}, { projection });
+    const keys = new Map();
+    let updated = 0;
+    let unchanged = 0;
+    const failed = [];
+
+    for await (const doc of cursor) {
+      try {
+        const $set = {};
+        const $unset = {};
+        topFields.forEach(field => {
+          const hadPlaintext = field in doc;
+          if (!rotateValue(doc, field, field, keys)) return;
+          if (doc.encrypted?.[field] !== undefined) $set[`encrypted.${field}`] = doc.encrypted[field];
+          else $unset[`encrypted.${field}`] = '';
+          if (doc.blindIndex?.[field] !== undefined) $set[`blindIndex.${field}`] = doc.blindIndex[field];
+          else $unset[`blindIndex.${field}`] = '';
+          if (field in doc) $set[field] = doc[field];
+          else if (hadPlaintext) $unset[field] = '';
+        });
+        arrays.forEach((specs, array) => {
+          if (!Array.isArray(doc[array])) return;
+          const changed = doc[array]
+            .map(element => specs.map(({ field, path }) => rotateValue(element, path, field, keys)).some(Boolean))
+            .some(Boolean);
+          if (changed) $set[array] = doc[array];
+        });
+
+        if (!Object.keys($set).length && !Object.keys($unset).length) {
+          unchanged++;
+          continue;
+        }
+        if (!dryRun) {
+          await Customer.collection.updateOne({ _id: doc._id }, {
+            ...(Object.keys($set).length ? { $set } : {}),
+            ...(Object.keys($unset).length ? { $unset } : {})
+          });
+        }
+        updated++;
+      } catch (error) {
+        failed.push({ customer: doc._id, error: error.message });
+      }
+    }
+
+    console.log(`Customers updated: ${updated}, already up to date: ${unchanged}`);
+    console.log('Values found, by key:');
+    keys.forEach((count, key) => console.log(`  ${key}: ${count}`));
+    if (failed.length) {
+      console.log(`${failed.length} customer(s) could not be processed and were left as they are:`);
+      failed.forEach(({ customer, error }) => console.log(`  ${customer}  ${error}`));
+    }
+
+    const merges = await rotateMerges();
+    console.log(`Merge records updated: ${merges.updated}, already up to date: ${merges.unchanged}`);
+    if (merges.failed.length) {
+      console.log(`${merges.failed.length} merge record(s) could not be processed and were left as they are:`);
+      merges.failed.forEach(({ merge, error }) => console.log(`  ${merge}  ${error}`));
+    }
+
+    if (!decrypt) {
+      const copies = await clearPhoneCopies();
+      console.log(`Phone numbers masked in message logs: ${copies.messages}, dropped from invoices: ${copies.invoices}`);
+    }
+
+    if (!dryRun) {
+      await Customer.syncIndexes();
+      console.log('Indexes synchronised');
+    }
+
+    await mongoose.disconnect();
+    process.exit(failed.length || merges.failed.length ? 1 : 0);
+  } catch (error) {
+    console.error('Error rotating field encryption keys:', error);
+    process.exit(1);
+  }
+}
+
+rotateFieldKeys();
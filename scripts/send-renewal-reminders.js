@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Send the due renewal reminders once, for running from cron instead of the
+// in-process scheduler.
+//
+//   npm run reminders:send -- [--dry-run] [--template=<id or name>] [--channel=<name>]
+const option = (name) => process.argv.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+
+async function sendReminders() {
+  try {
+    // Imported after dotenv so RENEWAL_REMINDER_WINDOWS is seen
+    const { sendRenewalReminders } = await import('../utils/renewalReminders.js');
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    const summary = await sendRenewalReminders({
+      templateId: option('template'),
+      channel: option('channel'),
+      dryRun: process.argv.includes('--dry-run')
+    });
+
+    if (summary.dryRun) {
+      summary.results.forEach(result => console.log(`${result.to.phone || result.to.email}: ${result.body}`));
+    }
+    console.log(`Due: ${summary.due}, sent: ${summary.sent}, failed: ${summary.failed}`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error sending renewal reminders:', error);
+    process.exit(1);
+  }
+}
+
+sendReminders();
@@ -4,6 +4,8 @@ import dotenv from 'dotenv';
 import mongoose from 'mongoose';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { requestContext } from './utils/requestContext.js';
+import { identifyUser } from './middleware/auth.js';
 
 // Debug: Log start of server initialization
 console.log('Starting server initialization...');
@@ -27,6 +29,13 @@ const __dirname = path.dirname(__filename);
 // Initialize express
 const app = express();
 
+// Behind a load balancer (as on Render) the client IP, used for rate limits
+// and the audit trail, comes from X-Forwarded-For; TRUST_PROXY is the number
+// of proxies in front of the app
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Configure CORS
 app.use(cors({
   origin: function(origin, callback) {
@@ -64,21 +73,64 @@ app.use(cors({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Request context (acting user, IP) for the audit trail
+app.use(requestContext);
+app.use(identifyUser);
+
 // Import routes
 try {
   // Import route files
   const statusRoutes = (await import('./routes/statuses.js')).default;
   const authRoutes = (await import('./routes/auth.js')).default;
+  const customerImportRoutes = (await import('./routes/customerImports.js')).default;
+  const customerExportRoutes = (await import('./routes/customerExports.js')).default;
+  const customerDuplicateRoutes = (await import('./routes/customerDuplicates.js')).default;
+  const customerBulkRoutes = (await import('./routes/customerBulk.js')).default;
   const customerRoutes = (await import('./routes/customers.js')).default;
+  const applicationRoutes = (await import('./routes/applications.js')).default;
   const categoryRoutes = (await import('./routes/categories.js')).default;
   const subcategoryRoutes = (await import('./routes/subcategories.js')).default;
+  const auditRoutes = (await import('./routes/audit.js')).default;
+  const trashRoutes = (await import('./routes/trash.js')).default;
+  const reminderRoutes = (await import('./routes/reminders.js')).default;
+  const paymentRoutes = (await import('./routes/payments.js')).default;
+  const invoiceRoutes = (await import('./routes/invoices.js')).default;
+  const dashboardRoutes = (await import('./routes/dashboard.js')).default;
+  const documentRoutes = (await import('./routes/documents.js')).default;
+  const trackingRoutes = (await import('./routes/tracking.js')).default;
+  const tagRoutes = (await import('./routes/tags.js')).default;
+  const segmentRoutes = (await import('./routes/segments.js')).default;
+  const pincodeRoutes = (await import('./routes/pincodes.js')).default;
+  const householdRoutes = (await import('./routes/households.js')).default;
+  const noteRoutes = (await import('./routes/notes.js')).default;
+  const dataRequestRoutes = (await import('./routes/dataRequests.js')).default;
 
   // Mount routes
   app.use('/api/statuses', statusRoutes);
   app.use('/api/auth', authRoutes);
+  // Mounted ahead of the customer router so these paths are not read as customer IDs
+  app.use('/api/customers/import', customerImportRoutes);
+  app.use('/api/customers/export', customerExportRoutes);
+  app.use('/api/customers/duplicates', customerDuplicateRoutes);
+  app.use('/api/customers/bulk', customerBulkRoutes);
   app.use('/api/customers', customerRoutes);
+  app.use('/api/applications', applicationRoutes);
   app.use('/api/categories', categoryRoutes);
   app.use('/api/subcategories', subcategoryRoutes);
+  app.use('/api/audit', auditRoutes);
+  app.use('/api/trash', trashRoutes);
+  app.use('/api/reminders', reminderRoutes);
+  app.use('/api/payments', paymentRoutes);
+  app.use('/api/invoices', invoiceRoutes);
+  app.use('/api/dashboard', dashboardRoutes);
+  app.use('/api/documents', documentRoutes);
+  app.use('/api/track', trackingRoutes);
+  app.use('/api/tags', tagRoutes);
+  app.use('/api/segments', segmentRoutes);
+  app.use('/api/pincodes', pincodeRoutes);
+  app.use('/api/households', householdRoutes);
+  app.use('/api/notes', noteRoutes);
+  app.use('/api/data-requests', dataRequestRoutes);
   
   console.log('All routes imported successfully');
 } catch (err) {
@@ -196,6 +248,13 @@ const startServer = async () => {
     // Create test user if it doesn't exist
     await createTestUser();
     
+    // Renewal reminders run only once a template has been chosen for them
+    if (process.env.RENEWAL_REMINDER_TEMPLATE) {
+      const { startRenewalReminderScheduler } = await import('./utils/renewalReminders.js');
+      startRenewalReminderScheduler();
+      console.log('🔔 Renewal reminder scheduler started');
+    }
+    
     // Use a fixed port
     const PORT = process.env.PORT || 5002;
     
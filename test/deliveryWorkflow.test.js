@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DELIVERY_WORKFLOW,
+  DELIVERY_STATUSES,
+  WorkflowError,
+  allowedTransitions,
+  applyDeliveryStatus
+} from '../utils/deliveryWorkflow.js';
+
+// Stands in for a ServiceApplication document
+const application = (deliveryStatus, isNew = false) => ({ isNew, deliveryStatus, statusHistory: [] });
+
+describe('delivery workflow', () => {
+  it('starts in a known status and only refers to known statuses', () => {
+    assert.ok(DELIVERY_STATUSES.includes(DELIVERY_WORKFLOW.initial));
+    DELIVERY_STATUSES.forEach(status => {
+      allowedTransitions(status).forEach(next => assert.ok(DELIVERY_STATUSES.includes(next), next));
+    });
+  });
+
+  it('has no transitions out of a final or unknown status', () => {
+    assert.deepEqual(allowedTransitions('Completed'), []);
+    assert.deepEqual(allowedTransitions('Lost'), []);
+  });
+});
+
+describe('applyDeliveryStatus', () => {
+  it('applies an allowed transition and records it', () => {
+    const user = { _id: 'user-1' };
+    const app = applyDeliveryStatus(application('Pending'), 'In Progress', { user });
+    assert.equal(app.deliveryStatus, 'In Progress');
+    assert.equal(app.statusHistory.length, 1);
+    const [entry] = app.statusHistory;
+    assert.equal(entry.from, 'Pending');
+    assert.equal(entry.to, 'In Progress');
+    assert.equal(entry.reason, undefined);
+    assert.equal(entry.changedBy, 'user-1');
+    assert.ok(entry.changedAt instanceof Date);
+  });
+
+  it('records no change when the status stays the same', () => {
+    const app = applyDeliveryStatus(application('On Hold'), 'On Hold');
+    assert.deepEqual(app.statusHistory, []);
+  });
+
+  it('refuses a transition the workflow does not allow', () => {
+    const app = application('Pending');
+    assert.throws(() => applyDeliveryStatus(app, 'Completed'), error => {
+      assert.ok(error instanceof WorkflowError);
+      assert.equal(error.name, 'WorkflowError');
+      assert.match(error.message, /Allowed next statuses: In Progress, Awaiting Documents, On Hold, Rejected/);
+      assert.deepEqual(error.details, { from: 'Pending', to: 'Completed', allowed: allowedTransitions('Pending') });
+      return true;
+    });
+    assert.equal(app.deliveryStatus, 'Pending');
+    assert.deepEqual(app.statusHistory, []);
+  });
+
+  it('refuses to move a completed application', () => {
+    assert.throws(() => applyDeliveryStatus(application('Completed'), 'In Progress'), /"Completed" is a final status/);
+  });
+
+  it('refuses an unknown status', () => {
+    assert.throws(() => applyDeliveryStatus(application('Pending'), 'Lost'), error => {
+      assert.equal(error.message, 'Unknown delivery status "Lost"');
+      assert.deepEqual(error.details.statuses, DELIVERY_STATUSES);
+      return true;
+    });
+  });
+
+  it('requires a reason to reject, and keeps it trimmed', () => {
+    assert.throws(() => applyDeliveryStatus(application('In Progress'), 'Rejected'), /A reason is required/);
+    assert.throws(() => applyDeliveryStatus(application('In Progress'), 'Rejected', { reason: '   ' }), /A reason is required/);
+
+    const app = applyDeliveryStatus(application('In Progress'), 'Rejected', { reason: ' Documents expired ' });
+    assert.equal(app.statusHistory[0].reason, 'Documents expired');
+  });
+
+  it('lets a rejected application be filed again', () => {
+    const app = applyDeliveryStatus(application('Rejected'), 'Resubmitted');
+    assert.equal(app.deliveryStatus, 'Resubmitted');
+  });
+
+  it('lets a new application start in any status', () => {
+    const app = applyDeliveryStatus(application(DELIVERY_WORKFLOW.initial, true), 'Completed');
+    assert.equal(app.deliveryStatus, 'Completed');
+    assert.equal(app.statusHistory[0].from, null);
+    assert.equal(app.statusHistory[0].changedBy, null);
+  });
+});
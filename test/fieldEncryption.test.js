@@ -0,0 +1,146 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import {
+  EncryptionError,
+  isEncryptionEnabled,
+  currentKeyId,
+  encryptValue,
+  decryptValue,
+  keyIdOf,
+  blindIndex,
+  fieldEncryption
+} from '../utils/fieldEncryption.js';
+
+const newKey = () => crypto.randomBytes(32).toString('base64');
+
+const KEY_2025 = newKey();
+const KEY_2024 = newKey();
+const BLIND_INDEX_KEY = newKey();
+
+// The keys are read from the environment on use; null unsets a variable
+const setKeys = (keys, blindIndexKey = BLIND_INDEX_KEY) => {
+  if (keys == null) delete process.env.FIELD_ENCRYPTION_KEYS;
+  else process.env.FIELD_ENCRYPTION_KEYS = keys;
+  if (blindIndexKey == null) delete process.env.FIELD_BLIND_INDEX_KEY;
+  else process.env.FIELD_BLIND_INDEX_KEY = blindIndexKey;
+};
+
+describe('fieldEncryption', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    saved.keys = process.env.FIELD_ENCRYPTION_KEYS;
+    saved.blindIndexKey = process.env.FIELD_BLIND_INDEX_KEY;
+    setKeys(`2025:${KEY_2025},2024:${KEY_2024}`);
+  });
+
+  afterEach(() => setKeys(saved.keys ?? null, saved.blindIndexKey ?? null));
+
+  describe('encryptValue / decryptValue', () => {
+    it('round-trips a value under the first key', () => {
+      const payload = encryptValue('+919876543210', 'phone');
+      assert.equal(keyIdOf(payload), '2025');
+      assert.equal(currentKeyId(), '2025');
+      assert.ok(!payload.includes('9876543210'));
+      assert.equal(decryptValue(payload, 'phone'), '+919876543210');
+    });
+
+    it('encrypts the same value differently each time', () => {
+      assert.notEqual(encryptValue('secret', 'phone'), encryptValue('secret', 'phone'));
+    });
+
+    it('stores dates in their ISO form', () => {
+      const payload = encryptValue(new Date('1990-05-17T00:00:00Z'), 'dateOfBirth');
+      assert.equal(decryptValue(payload, 'dateOfBirth'), '1990-05-17T00:00:00.000Z');
+    });
+
+    it('still decrypts values written under an older key', () => {
+      setKeys(`2024:${KEY_2024}`);
+      const payload = encryptValue('secret', 'phone');
+      setKeys(`2025:${KEY_2025},2024:${KEY_2024}`);
+      assert.equal(keyIdOf(payload), '2024');
+      assert.equal(decryptValue(payload, 'phone'), 'secret');
+    });
+
+    it('refuses a value copied into another field', () => {
+      const payload = encryptValue('secret', 'phone');
+      assert.throws(() => decryptValue(payload, 'email'), EncryptionError);
+    });
+
+    it('refuses tampered values and unknown keys', () => {
+      const [keyId, iv, tag, data] = encryptValue('secret', 'phone').split(':');
+      const flipped = Buffer.from(data, 'base64');
+      flipped[0] ^= 1;
+      assert.throws(() => decryptValue([keyId, iv, tag, flipped.toString('base64')].join(':'), 'phone'), /corrupt/);
+      assert.throws(() => decryptValue(['2023', iv, tag, data].join(':'), 'phone'), /key "2023" is not in/);
+    });
+  });
+
+  describe('blindIndex', () => {
+    it('is deterministic and differs between fields', () => {
+      assert.equal(blindIndex('+919876543210', 'phone'), blindIndex('+919876543210', 'phone'));
+      assert.notEqual(blindIndex('+919876543210', 'phone'), blindIndex('+919876543210', 'alternatePhone'));
+      assert.notEqual(blindIndex('+919876543210', 'phone'), blindIndex('+919876543211', 'phone'));
+    });
+
+    it('depends on the blind index key', () => {
+      const before = blindIndex('+919876543210', 'phone');
+      setKeys(`2025:${KEY_2025}`, newKey());
+      assert.notEqual(blindIndex('+919876543210', 'phone'), before);
+    });
+  });
+
+  describe('keys', () => {
+    it('leaves encryption off without keys', () => {
+      setKeys(null, null);
+      assert.equal(isEncryptionEnabled(), false);
+      assert.throws(() => encryptValue('secret', 'phone'), /No encryption key configured/);
+      assert.throws(() => blindIndex('secret', 'phone'), /No blind index key configured/);
+    });
+
+    it('refuses malformed keys', () => {
+      setKeys('2025');
+      assert.throws(() => isEncryptionEnabled(), /must look like "<key id>:<base64 key>"/);
+      setKeys(`2025:${crypto.randomBytes(16).toString('base64')}`);
+      assert.throws(() => isEncryptionEnabled(), /must be 32 bytes/);
+      setKeys(`2025:${KEY_2025},2025:${KEY_2024}`);
+      assert.throws(() => isEncryptionEnabled(), /listed twice/);
+      setKeys(`2025:${KEY_2025}`, null);
+      assert.throws(() => isEncryptionEnabled(), EncryptionError);
+    });
+  });
+
+  describe('encryptRecord / decryptRecord', () => {
+    const schema = new mongoose.Schema({
+      name: String,
+      phone: String,
+      contacts: [new mongoose.Schema({ label: String, number: String })]
+    });
+    schema.plugin(fieldEncryption, { fields: ['phone', 'contacts.number'] });
+    const Model = mongoose.model('FieldEncryptionTest', schema);
+
+    it('seals plain copies of records and opens them again', () => {
+      const record = Model.encryptRecord({
+        name: 'Asha',
+        phone: '+919876543210',
+        contacts: [{ label: 'home', number: '+919876543211' }]
+      });
+      assert.equal(record.phone, undefined);
+      assert.equal(record.contacts[0].number, undefined);
+      assert.equal(keyIdOf(record.encrypted.phone), '2025');
+
+      assert.deepEqual(Model.decryptRecord(record), {
+        name: 'Asha',
+        phone: '+919876543210',
+        contacts: [{ label: 'home', number: '+919876543211' }]
+      });
+    });
+
+    it('leaves records alone while encryption is off', () => {
+      setKeys(null, null);
+      assert.deepEqual(Model.encryptRecord({ phone: '+919876543210' }), { phone: '+919876543210' });
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validationResult } from 'express-validator';
+import {
+  DEFAULT_GST_RATE,
+  DEFAULT_SAC_CODE,
+  validateGstin,
+  gstinCheckCharacter,
+  serviceTax,
+  placeOfSupply,
+  computeTax,
+  taxValidators
+} from '../utils/gst.js';
+
+describe('validateGstin', () => {
+  it('accepts a valid GSTIN as typed, with spaces, hyphens and lower case', () => {
+    assert.deepEqual(validateGstin('29 aagcb-7383j1z4'), {
+      valid: true,
+      gstin: '29AAGCB7383J1Z4',
+      stateCode: '29',
+      stateName: 'Karnataka',
+      pan: 'AAGCB7383J'
+    });
+  });
+
+  it('computes the check character', () => {
+    assert.equal(gstinCheckCharacter('27AAPFU0939F1Z'), 'V');
+  });
+
+  it('reports what is wrong', () => {
+    assert.match(validateGstin('27AAPFU0939F1Z').error, /15 characters/);
+    assert.match(validateGstin('27AAPFU0939F19Z').error, /format/);
+    assert.match(validateGstin('99AAPFU0939F1ZV').error, /state code 99/);
+    assert.match(validateGstin('27AAPFU0939F1ZW').error, /check character/);
+  });
+});
+
+describe('serviceTax', () => {
+  it("takes the subcategory's values, then the category's, then the defaults", () => {
+    assert.deepEqual(serviceTax({ category: { gstRate: 12, sacCode: '9985' }, subCategory: { gstRate: 5 } }), {
+      gstRate: 5,
+      sacCode: '9985'
+    });
+    assert.deepEqual(serviceTax({ category: { gstRate: 0 }, subCategory: { gstRate: null, sacCode: '' } }), {
+      gstRate: 0,
+      sacCode: DEFAULT_SAC_CODE
+    });
+    assert.deepEqual(serviceTax(), { gstRate: DEFAULT_GST_RATE, sacCode: DEFAULT_SAC_CODE });
+  });
+});
+
+describe('placeOfSupply', () => {
+  it("prefers the GSTIN's state, then the address, then the supplier's state", () => {
+    assert.equal(placeOfSupply({ gstin: '27AAPFU0939F1ZV', state: 'Tamil Nadu' }, '33').stateCode, '27');
+    assert.equal(placeOfSupply({ state: ' pondy ' }, '33').stateCode, '34');
+    assert.deepEqual(placeOfSupply({ state: 'Atlantis' }, '33'), { stateCode: '33', stateName: 'Tamil Nadu' });
+  });
+});
+
+describe('computeTax', () => {
+  it('splits tax included in the price equally into CGST and SGST', () => {
+    assert.deepEqual(computeTax(100, 5), {
+      taxableValue: 95.24,
+      gstRate: 5,
+      cgst: 2.38,
+      sgst: 2.38,
+      igst: 0,
+      total: 100
+    });
+  });
+
+  it('adds IGST to an exclusive price for an inter-state supply', () => {
+    assert.deepEqual(computeTax(100, 18, { inclusive: false, interState: true }), {
+      taxableValue: 100,
+      gstRate: 18,
+      cgst: 0,
+      sgst: 0,
+      igst: 18,
+      total: 118
+    });
+  });
+
+  it('keeps CGST and SGST adding up to the tax when it does not halve evenly', () => {
+    const { taxableValue, cgst, sgst, total } = computeTax(100.01, 18, { inclusive: false });
+    assert.equal(Math.round((cgst + sgst) * 100), Math.round(taxableValue * 18));
+    assert.equal(total, Math.round((taxableValue + cgst + sgst) * 100) / 100);
+  });
+});
+
+describe('taxValidators', () => {
+  const run = async (body) => {
+    const req = { body };
+    for (const validator of taxValidators) {
+      await validator.run(req);
+    }
+    return { body: req.body, errors: validationResult(req).array().map(error => error.msg) };
+  };
+
+  it('accepts a GST slab and a SAC code', async () => {
+    assert.deepEqual(await run({ gstRate: '18', sacCode: ' 998599 ' }), {
+      body: { gstRate: 18, sacCode: '998599' },
+      errors: []
+    });
+  });
+
+  it('lets null clear the rate', async () => {
+    assert.deepEqual((await run({ gstRate: null })).errors, []);
+  });
+
+  it('refuses rates that are not GST slabs and malformed SAC codes', async () => {
+    assert.deepEqual((await run({ gstRate: 10, sacCode: '12' })).errors, [
+      'GST rate must be one of: 0, 0.25, 3, 5, 12, 18, 28',
+      'SAC code must be 4 to 8 digits'
+    ]);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Counter from '../models/Counter.js';
+import { financialYear, nextDocumentNumber, amountInWords } from '../utils/invoicing.js';
+
+describe('financialYear', () => {
+  it('runs from April to March', () => {
+    assert.equal(financialYear(new Date('2026-03-15T06:00:00Z')), '2025-26');
+    assert.equal(financialYear(new Date('2026-04-15T06:00:00Z')), '2026-27');
+    assert.equal(financialYear(new Date('2099-12-31T06:00:00Z')), '2099-00');
+  });
+
+  it('changes year at midnight on 1 April in India', () => {
+    // 23:59 and 00:01 IST
+    assert.equal(financialYear(new Date('2026-03-31T18:29:00Z')), '2025-26');
+    assert.equal(financialYear(new Date('2026-03-31T18:31:00Z')), '2026-27');
+  });
+});
+
+describe('nextDocumentNumber', () => {
+  afterEach(() => mock.restoreAll());
+
+  it("numbers each prefix's documents separately per financial year", async () => {
+    const sequences = new Map();
+    const next = mock.method(Counter, 'findOneAndUpdate', async (filter, update, options) => {
+      assert.deepEqual(update, { $inc: { seq: 1 } });
+      assert.deepEqual(options, { new: true, upsert: true });
+      sequences.set(filter._id, (sequences.get(filter._id) || 0) + 1);
+      return { _id: filter._id, seq: sequences.get(filter._id) };
+    });
+
+    const march = new Date('2026-03-20T06:00:00Z');
+    const april = new Date('2026-04-02T06:00:00Z');
+    assert.deepEqual(await nextDocumentNumber('INV', march), {
+      number: 'INV/2025-26/0001',
+      financialYear: '2025-26',
+      sequence: 1
+    });
+    assert.equal((await nextDocumentNumber('INV', march)).number, 'INV/2025-26/0002');
+    assert.equal((await nextDocumentNumber('CN', march)).number, 'CN/2025-26/0001');
+    assert.equal((await nextDocumentNumber('INV', april)).number, 'INV/2026-27/0001');
+    assert.deepEqual(next.mock.calls.map(call => call.arguments[0]._id), [
+      'INV/2025-26', 'INV/2025-26', 'CN/2025-26', 'INV/2026-27'
+    ]);
+  });
+
+  it('keeps counting past four digits', async () => {
+    mock.method(Counter, 'findOneAndUpdate', async () => ({ seq: 12345 }));
+    assert.equal((await nextDocumentNumber('RCPT', new Date('2026-06-01T06:00:00Z'))).number, 'RCPT/2026-27/12345');
+  });
+});
+
+describe('amountInWords', () => {
+  it('spells out rupees and paise with Indian grouping', () => {
+    assert.equal(amountInWords(0), 'Rupees Zero Only');
+    assert.equal(amountInWords(1180.5), 'Rupees One Thousand One Hundred Eighty and Fifty Paise Only');
+    assert.equal(amountInWords(118), 'Rupees One Hundred Eighteen Only');
+    assert.equal(amountInWords(12345678.09), 'Rupees One Crore Twenty Three Lakh Forty Five Thousand Six Hundred Seventy Eight and Nine Paise Only');
+  });
+
+  it('marks credit amounts as negative', () => {
+    assert.equal(amountInWords(-250), 'Minus Rupees Two Hundred Fifty Only');
+  });
+});
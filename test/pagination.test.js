@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+  QueryError,
+  parseList,
+  parseDateRange,
+  parseSort,
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  cursorCondition
+} from '../utils/pagination.js';
+
+describe('parseList', () => {
+  it('accepts repeated and comma-separated values', () => {
+    assert.deepEqual(parseList(['a', 'b']), ['a', 'b']);
+    assert.deepEqual(parseList(' a, ,b '), ['a', 'b']);
+    assert.deepEqual(parseList(undefined), []);
+  });
+});
+
+describe('parseSort', () => {
+  it('adds _id as a tie-breaker in the direction of the first field', () => {
+    assert.deepEqual(parseSort({ sort: '-createdAt,name' }, ['createdAt', 'name']), [
+      ['createdAt', -1],
+      ['name', 1],
+      ['_id', -1]
+    ]);
+  });
+
+  it('honours the legacy sortBy/sortOrder pair', () => {
+    assert.deepEqual(parseSort({ sortBy: 'name', sortOrder: 'asc' }, ['name']), [['name', 1], ['_id', 1]]);
+  });
+
+  it('refuses fields that are not allowed', () => {
+    assert.throws(() => parseSort({ sort: 'password' }, ['name']), QueryError);
+  });
+});
+
+describe('parsePagination', () => {
+  it('caps the limit at 100', () => {
+    assert.deepEqual(parsePagination({ limit: '500', page: '2' }), { limit: 100, page: 2, cursor: null });
+  });
+
+  it('refuses a non-positive page', () => {
+    assert.throws(() => parsePagination({ page: '0' }), QueryError);
+  });
+});
+
+describe('parseDateRange', () => {
+  it('makes a bare upper date cover the whole day', () => {
+    const range = parseDateRange('2024-04-01', '2024-04-30', 'from', 'to');
+    assert.equal(range.$gte.toISOString(), '2024-04-01T00:00:00.000Z');
+    assert.equal(range.$lte.toISOString(), '2024-04-30T23:59:59.999Z');
+  });
+
+  it('refuses a range that ends before it starts', () => {
+    assert.throws(() => parseDateRange('2024-05-01', '2024-04-01', 'from', 'to'), QueryError);
+  });
+});
+
+describe('cursors', () => {
+  const sort = [['createdAt', -1], ['_id', -1]];
+  const doc = {
+    createdAt: new Date('2024-04-01T10:00:00.000Z'),
+    _id: new mongoose.Types.ObjectId('64b000000000000000000001')
+  };
+
+  it('round-trips dates and ObjectIds', () => {
+    const [createdAt, id] = decodeCursor(encodeCursor(doc, sort), sort);
+    assert.ok(createdAt instanceof Date);
+    assert.equal(createdAt.getTime(), doc.createdAt.getTime());
+    assert.ok(id instanceof mongoose.Types.ObjectId);
+    assert.ok(id.equals(doc._id));
+  });
+
+  it('refuses a cursor made for another sort', () => {
+    const cursor = encodeCursor(doc, sort);
+    assert.throws(() => decodeCursor(cursor, [['name', 1], ['_id', 1]]), /does not match/);
+  });
+
+  it('refuses a cursor that is not one', () => {
+    assert.throws(() => decodeCursor('not-a-cursor', sort), QueryError);
+  });
+
+  it('continues strictly after the last document', () => {
+    const condition = cursorCondition(encodeCursor(doc, sort), sort);
+    assert.deepEqual(condition, {
+      $or: [
+        { $or: [{ createdAt: { $lt: doc.createdAt } }, { createdAt: null }] },
+        { $and: [{ createdAt: doc.createdAt }, { $or: [{ _id: { $lt: doc._id } }, { _id: null }] }] }
+      ]
+    });
+  });
+
+  it('puts documents with a null sort value first in ascending order', () => {
+    const ascending = [['deliveryDate', 1], ['_id', 1]];
+    const cursor = encodeCursor({ deliveryDate: null, _id: doc._id }, ascending);
+    assert.deepEqual(cursorCondition(cursor, ascending), {
+      $or: [
+        { deliveryDate: { $ne: null } },
+        { $and: [{ deliveryDate: null }, { _id: { $gt: doc._id } }] }
+      ]
+    });
+  });
+});
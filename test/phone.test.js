@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validatePhone,
+  normalizePhone,
+  isValidPhone,
+  phoneSetter,
+  formatPhone,
+  phoneSearchDigits
+} from '../utils/phone.js';
+
+describe('normalizePhone', () => {
+  it('stores every way of typing a number in E.164 form', () => {
+    for (const typed of [
+      '9876543210',
+      '98765 43210',
+      '098765-43210',
+      '+91 98765 43210',
+      '0091 9876543210',
+      '919876543210',
+      '(+91) 98765.43210'
+    ]) {
+      assert.equal(normalizePhone(typed), '+919876543210', typed);
+    }
+  });
+
+  it('returns null for anything that is not an Indian mobile number', () => {
+    assert.equal(normalizePhone('5876543210'), null);
+    assert.equal(normalizePhone('+1 415 555 0100'), null);
+    assert.equal(normalizePhone(undefined), null);
+  });
+});
+
+describe('validatePhone', () => {
+  it('says what is wrong with the number', () => {
+    assert.deepEqual(validatePhone('  '), { valid: false, error: 'Phone number is required' });
+    assert.match(validatePhone('98765x43210').error, /may only contain digits/);
+    assert.equal(validatePhone('98765 4321').error, 'Please enter a valid 10-digit Indian mobile number');
+    assert.equal(validatePhone('5876543210').error, 'Indian mobile numbers start with 6, 7, 8 or 9');
+  });
+});
+
+describe('isValidPhone', () => {
+  it('accepts only the stored E.164 form', () => {
+    assert.equal(isValidPhone('+919876543210'), true);
+    assert.equal(isValidPhone('9876543210'), false);
+    assert.equal(isValidPhone(null), false);
+  });
+});
+
+describe('phoneSetter', () => {
+  it('normalises valid numbers and leaves the rest as typed for the validator', () => {
+    assert.equal(phoneSetter('098765-43210'), '+919876543210');
+    assert.equal(phoneSetter(' 12345 '), '12345');
+    assert.equal(phoneSetter(''), '');
+    assert.equal(phoneSetter(null), null);
+  });
+});
+
+describe('formatPhone', () => {
+  it('spaces out stored numbers for display', () => {
+    assert.equal(formatPhone('+919876543210'), '+91 98765 43210');
+    assert.equal(formatPhone('12345'), '12345');
+    assert.equal(formatPhone(undefined), '');
+  });
+});
+
+describe('phoneSearchDigits', () => {
+  it('searches by the national digits whether or not the prefix was typed', () => {
+    assert.equal(phoneSearchDigits('+91 98765'), '98765');
+    assert.equal(phoneSearchDigits('98765'), '98765');
+    assert.equal(phoneSearchDigits('0091 98765 43210'), '9876543210');
+  });
+});
@@ -0,0 +1,168 @@
+import AuditLog from '../models/AuditLog.js';
+import { currentActor } from './requestContext.js';
+
+// Never worth recording: bookkeeping fields, and the actor fields which the
+// audit entry already carries
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy'];
+
+const UPDATE_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'];
+const DELETE_QUERIES = ['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'];
+
+const snapshot = (doc) => doc.toObject({ depopulate: true, virtuals: false, getters: false });
+
+// ObjectIds and Dates compare by their JSON form
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Stands in for the values of redacted fields
+const REDACTED = '[redacted]';
+
+const redactValue = (value) => (value === undefined || value === null || value === '' ? value : REDACTED);
+
+// [{ field, before, after }] for the top-level fields that differ. Fields in
+// `redacted` show that they changed, not what to.
+const diffFields = (before, after, ignored, redacted = new Set()) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields]
+    .filter(field => !ignored.has(field) && !sameValue(before[field], after[field]))
+    .map(field => (redacted.has(field)
+      ? { field, before: redactValue(before[field]), after: redactValue(after[field]) }
+      : { field, before: before[field], after: after[field] }));
+};
+
+// Entries for a change made in a transaction are written in the same session,
+// so they are rolled back with it
+const record = async (entries, session = null) => {
+  const { user, ip, userAgent } = currentActor();
+  const logs = entries
+    .filter(entry => entry.changes.length)
+    .map(entry => ({ ...entry, actor: user, ip, userAgent }));
+  if (!logs.length) return;
+
+  // A failed audit write is logged but does not fail the change itself
+  try {
+    await AuditLog.insertMany(logs, session ? { session } : {});
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+  }
+};
+
+// Mongoose plugin recording every create, update and delete of a model in
+// AuditLog, with the acting user and IP taken from the request context. Covers
+// document saves and deletes as well as the update/delete query helpers
+// (findByIdAndUpdate, deleteMany, ...). Also fills createdBy/updatedBy when
+// the schema has them. `ignore` lists further fields to leave out of diffs, and
+// `redact` fields whose values must not be copied into the log.
+const auditTrail = (schema, options = {}) => {
+  const ignored = new Set([...IGNORED_FIELDS, ...(options.ignore || [])]);
+  const redacted = new Set(options.redact || []);
+  const hasCreatedBy = Boolean(schema.path('createdBy'));
+  const hasUpdatedBy = Boolean(schema.path('updatedBy'));
+
+  // Keep what was loaded so a later save can be diffed against it
+  schema.post('init', function() {
+    this.$locals.auditOriginal = snapshot(this);
+  });
+
+  schema.pre('save', function(next) {
+    const { user } = currentActor();
+    if (user) {
+      if (this.isNew && hasCreatedBy && !this.createdBy) this.createdBy = user;
+      if (hasUpdatedBy) this.updatedBy = user;
+    }
+    this.$locals.auditCreated = this.isNew;
+    next();
+  });
+
+  schema.post('save', async function(doc) {
+    const after = snapshot(doc);
+    const before = doc.$locals.auditCreated ? {} : doc.$locals.auditOriginal || {};
+    doc.$locals.auditOriginal = after;
+
+    // Moving a record in or out of the trash (softDelete.js) is a save too
+    let action = doc.$locals.auditCreated ? 'create' : 'update';
+    if (!before.deletedAt && after.deletedAt) action = 'delete';
+    if (before.deletedAt && !after.deletedAt) action = 'restore';
+
+    await record([{
+      entity: doc.constructor.modelName,
+      entityId: doc._id,
+      action,
+      changes: diffFields(before, after, ignored, redacted)
+    }], doc.$session());
+  });
+
+  schema.post('insertMany', async function(docs) {
+    await record(docs.map(doc => ({
+      entity: this.modelName,
+      entityId: doc._id,
+      action: 'create',
+      changes: diffFields({}, snapshot(doc), ignored, redacted)
+    })));
+  });
+
+  schema.pre('deleteOne', { document: true, query: false }, function() {
+    this.$locals.auditDeleted = snapshot(this);
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    await record([{
+      entity: doc.constructor.modelName,
+      entityId: doc._id,
+      action: 'delete',
+      changes: diffFields(doc.$locals.auditDeleted || snapshot(doc), {}, ignored, redacted)
+    }]);
+  });
+
+  // Query helpers never load documents, so read the affected ones first.
+  // withDeleted: trashed records are audited too (see softDelete.js).
+  const loadAffected = async function() {
+    const finder = this.model.find(this.getFilter()).setOptions({ withDeleted: true }).lean();
+    if (this.op !== 'updateMany' && this.op !== 'deleteMany') finder.limit(1);
+    this._auditBefore = await finder;
+  };
+
+  schema.pre(UPDATE_QUERIES, { document: false, query: true }, async function() {
+    const { user } = currentActor();
+    if (user && hasUpdatedBy) this.set('updatedBy', user);
+    await loadAffected.call(this);
+  });
+
+  schema.post(UPDATE_QUERIES, { document: false, query: true }, async function() {
+    const before = this._auditBefore || [];
+    if (!before.length) return;
+
+    const after = await this.model.find({ _id: { $in: before.map(doc => doc._id) } })
+      .setOptions({ withDeleted: true })
+      .lean();
+    const afterById = new Map(after.map(doc => [String(doc._id), doc]));
+    await record(before.map(doc => ({
+      entity: this.model.modelName,
+      entityId: doc._id,
+      action: 'update',
+      changes: diffFields(doc, afterById.get(String(doc._id)) || {}, ignored, redacted)
+    })));
+  });
+
+  schema.pre(DELETE_QUERIES, { document: false, query: true }, loadAffected);
+
+  schema.post(DELETE_QUERIES, { document: false, query: true }, async function() {
+    const before = this._auditBefore || [];
+    if (!before.length) return;
+
+    const remaining = await this.model.find({ _id: { $in: before.map(doc => doc._id) } })
+      .setOptions({ withDeleted: true })
+      .select('_id')
+      .lean();
+    const remainingIds = new Set(remaining.map(doc => String(doc._id)));
+    await record(before
+      .filter(doc => !remainingIds.has(String(doc._id)))
+      .map(doc => ({
+        entity: this.model.modelName,
+        entityId: doc._id,
+        action: 'delete',
+        changes: diffFields(doc, {}, ignored, redacted)
+      })));
+  });
+};
+
+export { auditTrail, diffFields };
@@ -0,0 +1,368 @@
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+import ServiceApplication from '../models/ServiceApplication.js';
+import Category from '../models/Category.js';
+import SubCategory from '../models/SubCategory.js';
+import Tag from '../models/Tag.js';
+import { buildCustomerFilter, resolveApplicationFilter } from './customerQuery.js';
+import { validationDetails } from './customerValidation.js';
+import { DELIVERY_STATUSES, applyDeliveryStatus } from './deliveryWorkflow.js';
+import { trashRecord } from './trash.js';
+import { withTransaction } from './transactions.js';
+
+// Most records one bulk request may touch
+const MAX_BULK_ITEMS = 500;
+
+const CUSTOMER_STATUSES = Customer.schema.path('status').enumValues;
+
+// Raised for a bulk request that cannot be run at all; routes answer with `status`.
+// Problems with single records are reported per item instead.
+class BulkError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BulkError';
+    this.status = status;
+  }
+}
+
+const parseDeliveryDate = (value) => {
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (value === undefined || Number.isNaN(date.getTime())) {
+    throw new BulkError('deliveryDate must be a date (YYYY-MM-DD or ISO), or null to clear it');
+  }
+  return date;
+};
+
+const loadCategory = async ({ serviceCategory, serviceSubCategory }) => {
+  if (!mongoose.Types.ObjectId.isValid(serviceCategory)) {
+    throw new BulkError('A valid serviceCategory ID is required');
+  }
+  const category = await Category.findById(serviceCategory);
+  if (!category) {
+    throw new BulkError('Service category not found', 404);
+  }
+  if (!serviceSubCategory) {
+    return { category, subCategory: null };
+  }
+  if (!mongoose.Types.ObjectId.isValid(serviceSubCategory)) {
+    throw new BulkError('Invalid serviceSubCategory ID');
+  }
+  const subCategory = await SubCategory.findOne({ _id: serviceSubCategory, category: category._id });
+  if (!subCategory) {
+    throw new BulkError('Subcategory not found in this service category', 404);
+  }
+  return { category, subCategory };
+};
+
+const loadTags = async ({ tags }) => {
+  const ids = [...new Set((Array.isArray(tags) ? tags : [tags]).filter(Boolean).map(String))];
+  if (!ids.length) {
+    throw new BulkError('tags must list at least one tag ID');
+  }
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new BulkError('Invalid tag ID');
+  }
+  const found = await Tag.find({ _id: { $in: ids } }).select('_id').lean();
+  if (found.length !== ids.length) {
+    throw new BulkError('Tag not found', 404);
+  }
+  return { tags: ids };
+};
+
+const sameId = (a, b) => String(a || '') === String(b || '');
+
+// Bulk operations by name. `target` is the kind of record each item is.
+// `params` checks the request once and returns what `change` needs; `change`
+// edits one loaded record in memory and returns false when it would not
+// change. `apply` replaces the save for operations that are not plain edits.
+const BULK_OPERATIONS = {
+  status: {
+    target: 'customers',
+    params: ({ status }) => {
+      if (!CUSTOMER_STATUSES.includes(status)) {
+        throw new BulkError(`status must be one of: ${CUSTOMER_STATUSES.join(', ')}`);
+      }
+      return { status };
+    },
+    change: (customer, { status }) => {
+      if (customer.status === status) return false;
+      customer.status = status;
+      return true;
+    }
+  },
+  deliveryStatus: {
+    target: 'applications',
+    params: ({ deliveryStatus, reason }) => {
+      if (!DELIVERY_STATUSES.includes(deliveryStatus)) {
+        throw new BulkError(`deliveryStatus must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+      }
+      return { deliveryStatus, reason };
+    },
+    change: (application, { deliveryStatus, reason }, user) => {
+      if (application.deliveryStatus === deliveryStatus) return false;
+      applyDeliveryStatus(application, deliveryStatus, { reason, user });
+      return true;
+    }
+  },
+  deliveryDate: {
+    target: 'applications',
+    params: ({ deliveryDate }) => ({ deliveryDate: parseDeliveryDate(deliveryDate) }),
+    change: (application, { deliveryDate }) => {
+      if ((application.deliveryDate?.getTime() ?? null) === (deliveryDate?.getTime() ?? null)) return false;
+      application.deliveryDate = deliveryDate;
+      return true;
+    }
+  },
+  category: {
+    target: 'applications',
+    params: loadCategory,
+    change: (application, { category, subCategory }) => {
+      if (sameId(application.serviceCategory, category._id) && sameId(application.serviceSubCategory, subCategory?._id)) {
+        return false;
+      }
+      application.set({
+        serviceCategory: category._id,
+        serviceCategoryName: category.name,
+        serviceSubCategory: subCategory?._id || null,
+        serviceSubCategoryName: subCategory?.name || null
+      });
+      return true;
+    }
+  },
+  addTags: {
+    target: 'customers',
+    params: loadTags,
+    change: (customer, { tags }) => {
+      const current = customer.tags.map(String);
+      const added = tags.filter(tag => !current.includes(tag));
+      if (!added.length) return false;
+      customer.tags = [...current, ...added];
+      return true;
+    }
+  },
+  removeTags: {
+    target: 'customers',
+    params: loadTags,
+    change: (customer, { tags }) => {
+      const kept = customer.tags.map(String).filter(tag => !tags.includes(tag));
+      if (kept.length === customer.tags.length) return false;
+      customer.tags = kept;
+      return true;
+    }
+  },
+  // Both deletes move records to the trash, as the single-record routes do
+  delete: {
+    target: 'customers',
+    apply: (customer, params, user, session) => trashRecord('customers', customer._id, user, { session })
+  },
+  deleteApplications: {
+    target: 'applications',
+    apply: (application, params, user, session) => trashRecord('applications', application._id, user, { session })
+  }
+};
+
+const TARGETS = {
+  customers: { model: Customer, label: 'Customer', describe: ({ name }) => ({ name }) },
+  applications: {
+    model: ServiceApplication,
+    label: 'Service application',
+    describe: ({ customer, serviceNumber, serviceCategoryName }) => ({ customer, serviceNumber, serviceCategoryName })
+  }
+};
+
+const checkIds = (ids, field) => {
+  if (!Array.isArray(ids) || !ids.length) {
+    throw new BulkError(`${field} must be a non-empty array of IDs`);
+  }
+  const invalid = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid.length) {
+    throw new BulkError(`Invalid ID(s) in ${field}: ${invalid.join(', ')}`);
+  }
+  return [...new Set(ids.map(String))];
+};
+
+// The records a request selects, and the requested IDs that were not found.
+// `customers` picks customers by ID and `filter` by the GET api/customers
+// filters; for application operations the filter's application conditions
+// (deliveryStatus, serviceCategory, ...) narrow those customers' applications.
+// `applications` picks applications by ID.
+const findTargets = async (target, { customers, applications, filter = {} }) => {
+  const { model } = TARGETS[target];
+  let requested = null;
+  let query;
+
+  if (applications !== undefined) {
+    if (target !== 'applications') {
+      throw new BulkError('This operation applies to customers; select them with `customers` or `filter`');
+    }
+    requested = checkIds(applications, 'applications');
+    query = { _id: { $in: requested } };
+  } else if (customers !== undefined) {
+    const ids = checkIds(customers, 'customers');
+    if (target === 'customers') {
+      requested = ids;
+      query = { _id: { $in: ids } };
+    } else {
+      query = { customer: { $in: ids }, ...await resolveApplicationFilter(filter) };
+    }
+  } else {
+    const customerFilter = await buildCustomerFilter(filter);
+    if (!Object.keys(customerFilter).length) {
+      throw new BulkError('Select records with `customers`, `applications` or a non-empty `filter`');
+    }
+    query = target === 'customers'
+      ? customerFilter
+      : { customer: { $in: await Customer.distinct('_id', customerFilter) }, ...await resolveApplicationFilter(filter) };
+  }
+
+  const docs = await model.find(query).sort({ createdAt: 1 }).limit(MAX_BULK_ITEMS + 1);
+  if (docs.length > MAX_BULK_ITEMS) {
+    throw new BulkError(`The selection matches more than ${MAX_BULK_ITEMS} records; narrow it down and run the operation in parts`);
+  }
+  const found = new Set(docs.map(doc => String(doc._id)));
+  const missing = (requested || []).filter(id => !found.has(id));
+  return { docs, missing };
+};
+
+// An item's error for the report
+const itemError = (error) => {
+  if (error.name === 'ValidationError') {
+    return { error: 'Validation failed', details: validationDetails(error) };
+  }
+  if (error.name === 'WorkflowError') {
+    return { error: error.message, details: error.details };
+  }
+  if (error.name === 'TrashError') {
+    return { error: error.message };
+  }
+  console.error('Error applying bulk operation:', error);
+  return { error: 'Server error' };
+};
+
+// Edit a record in memory and validate it. Returns the item status.
+const prepare = async (operation, doc, params, user) => {
+  if (operation.apply) return 'valid';
+  if (!operation.change(doc, params, user)) return 'unchanged';
+  if (user && doc.schema.path('updatedBy')) doc.updatedBy = user._id;
+  await doc.validate();
+  return 'valid';
+};
+
+// Make one item's change. The record is read again (inside the session, when
+// there is one) so the change applies to its current state.
+const applyItem = async (operation, target, id, params, user, session) => {
+  const doc = await TARGETS[target].model.findById(id).session(session);
+  if (!doc) {
+    throw new BulkError(`${TARGETS[target].label} not found`, 404);
+  }
+  if (operation.apply) {
+    await operation.apply(doc, params, user, session);
+    return 'applied';
+  }
+  if (await prepare(operation, doc, params, user) === 'unchanged') return 'unchanged';
+  doc.$session(session);
+  await doc.save();
+  return 'applied';
+};
+
+const summarize = (results) => results.reduce((summary, { status }) => {
+  summary[status] = (summary[status] || 0) + 1;
+  return summary;
+}, { total: results.length });
+
+// Run a bulk operation and report on every selected record.
+//
+// Each record is first checked on its own: items come back as `valid`,
+// `unchanged` (already in the requested state) or `invalid` with an error.
+// With `dryRun` nothing more happens. Otherwise:
+//  - atomic (the default): any invalid item stops the whole request. The
+//    changes are made in one transaction when MongoDB supports them (replica
+//    sets); if one fails, it is reported `failed`, the others `rolled_back`
+//    and nothing is kept. Without transactions the run stops at the failure;
+//    items already `applied` stay applied and the rest are `skipped`.
+//  - not atomic: every valid item is applied on its own (a delete with its
+//    cascade in its own transaction) and failures do not stop the others.
+const runBulkOperation = async (body = {}, user) => {
+  const operation = BULK_OPERATIONS[body.operation];
+  if (!operation) {
+    throw new BulkError(`operation must be one of: ${Object.keys(BULK_OPERATIONS).join(', ')}`);
+  }
+  const { target } = operation;
+  const dryRun = body.dryRun === true || body.dryRun === 'true';
+  const atomic = body.atomic !== false && body.atomic !== 'false';
+  const params = operation.params ? await operation.params(body) : {};
+
+  const { docs, missing } = await findTargets(target, body);
+  if (!docs.length && !missing.length) {
+    throw new BulkError('No records match the selection', 404);
+  }
+
+  const results = missing.map(id => ({ id, status: 'invalid', error: `${TARGETS[target].label} not found` }));
+  for (const doc of docs) {
+    const item = { id: String(doc._id), ...TARGETS[target].describe(doc) };
+    try {
+      item.status = await prepare(operation, doc, params, user);
+    } catch (error) {
+      Object.assign(item, { status: 'invalid' }, itemError(error));
+    }
+    results.push(item);
+  }
+
+  const report = { operation: body.operation, target, dryRun, atomic, transactional: false };
+  const pending = results.filter(item => item.status === 'valid');
+  const blocked = atomic && results.some(item => item.status === 'invalid');
+  if (dryRun || blocked || !pending.length) {
+    return { ...report, applied: false, summary: summarize(results), results };
+  }
+
+  const applyOne = async (item, session) => {
+    try {
+      item.status = await applyItem(operation, target, item.id, params, user, session);
+    } catch (error) {
+      Object.assign(item, { status: 'failed' }, itemError(error));
+      throw error;
+    }
+  };
+
+  if (atomic) {
+    pending.forEach(item => { item.status = 'skipped'; });
+    let transactional = false;
+    try {
+      ({ transactional } = await withTransaction(async (session) => {
+        transactional = Boolean(session);
+        // A retried transaction starts over
+        pending.forEach(item => { item.status = 'skipped'; delete item.error; delete item.details; });
+        for (const item of pending) {
+          await applyOne(item, session);
+        }
+      }));
+    } catch (error) {
+      // Anything but a failed item (a commit that did not go through, say) is
+      // a server error
+      if (!pending.some(item => item.status === 'failed')) throw error;
+      if (transactional) {
+        pending.filter(item => item.status === 'applied').forEach(item => { item.status = 'rolled_back'; });
+      }
+    }
+    report.transactional = transactional;
+  } else {
+    for (const item of pending) {
+      try {
+        const { transactional } = await withTransaction(session => applyOne(item, session));
+        report.transactional = transactional;
+      } catch {
+        // Reported on the item
+      }
+    }
+  }
+
+  return {
+    ...report,
+    applied: results.some(item => item.status === 'applied'),
+    summary: summarize(results),
+    results
+  };
+};
+
+export { MAX_BULK_ITEMS, BULK_OPERATIONS, BulkError, runBulkOperation };
@@ -0,0 +1,72 @@
+// Spreadsheet columns for customer import/export, in default export order.
+// `aliases` are alternative header spellings seen in the registers we migrate
+// from; headers are compared case-insensitively with punctuation ignored.
+// `exportOnly` columns are never read from an import. `application` columns
+// belong to a service application: an import row creates one, and an export
+// writes one row per application.
+const CUSTOMER_COLUMNS = [
+  { field: '_id', label: 'Customer ID', exportOnly: true },
+  { field: 'name', label: 'Name', aliases: ['customer name', 'full name'] },
+  { field: 'phone', label: 'Phone', aliases: ['mobile', 'mobile no', 'mobile number', 'phone number', 'contact'] },
+  { field: 'email', label: 'Email', aliases: ['email id', 'mail'] },
+  { field: 'dateOfBirth', label: 'Date of Birth', type: 'date', aliases: ['dob', 'birth date'] },
+  { field: 'address', label: 'Address' },
+  { field: 'city', label: 'City', aliases: ['town'] },
+  { field: 'district', label: 'District' },
+  { field: 'state', label: 'State' },
+  { field: 'zipCode', label: 'ZIP Code', aliases: ['pincode', 'pin code', 'pin', 'zip'] },
+  { field: 'serviceCategoryName', label: 'Service Category', aliases: ['category', 'service'], application: true },
+  { field: 'serviceSubCategoryName', label: 'Service Subcategory', aliases: ['subcategory', 'sub category'], application: true },
+  { field: 'serviceCategoryUrl', label: 'Service URL', aliases: ['url'], application: true },
+  { field: 'serviceNumber', label: 'Service Number', aliases: ['application number', 'application no', 'reference number'], application: true },
+  { field: 'status', label: 'Status' },
+  { field: 'fees', label: 'Fees', type: 'number', aliases: ['amount', 'fee'], application: true },
+  { field: 'gstStatus', label: 'GST Status', application: true },
+  { field: 'gstNumber', label: 'GST Number', aliases: ['gstin', 'gst no'] },
+  { field: 'deliveryDate', label: 'Delivery Date', type: 'date', application: true },
+  { field: 'nextRenewalDate', label: 'Next Renewal Date', type: 'date', aliases: ['renewal date'], application: true },
+  { field: 'deliveryStatus', label: 'Delivery Status', application: true },
+  { field: 'notes', label: 'Notes', aliases: ['remarks', 'comments'] },
+  { field: 'tags', label: 'Tags', exportOnly: true },
+  { field: 'createdAt', label: 'Created At', type: 'datetime', exportOnly: true },
+  { field: 'updatedAt', label: 'Updated At', type: 'datetime', exportOnly: true }
+];
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const COLUMNS_BY_FIELD = new Map(CUSTOMER_COLUMNS.map(column => [column.field, column]));
+
+const HEADER_LOOKUP = new Map();
+CUSTOMER_COLUMNS.filter(column => !column.exportOnly).forEach(column => {
+  [column.field, column.label, ...(column.aliases || [])].forEach(name => {
+    HEADER_LOOKUP.set(normalizeHeader(name), column.field);
+  });
+});
+
+// Map spreadsheet headers to customer fields. `overrides` ({ header: field })
+// wins over the built-in aliases; unknown headers are reported, not guessed.
+const mapHeaders = (headers, overrides = {}) => {
+  const normalizedOverrides = new Map(
+    Object.entries(overrides).map(([header, field]) => [normalizeHeader(header), field])
+  );
+
+  const mapping = {};
+  const unmapped = [];
+  headers.forEach(header => {
+    const key = normalizeHeader(header);
+    const field = normalizedOverrides.get(key) || HEADER_LOOKUP.get(key);
+    if (field && COLUMNS_BY_FIELD.has(field)) {
+      mapping[header] = field;
+    } else {
+      unmapped.push(header);
+    }
+  });
+
+  return { mapping, unmapped };
+};
+
+export {
+  CUSTOMER_COLUMNS,
+  COLUMNS_BY_FIELD,
+  mapHeaders
+};
@@ -0,0 +1,210 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import Customer from '../models/Customer.js';
+import ServiceApplication from '../models/ServiceApplication.js';
+import Category from '../models/Category.js';
+import SubCategory from '../models/SubCategory.js';
+import Tag from '../models/Tag.js';
+import { CUSTOMER_COLUMNS, COLUMNS_BY_FIELD } from './customerColumns.js';
+import { QueryError, parseList } from './pagination.js';
+import { maskCustomer } from './piiMasking.js';
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Resolve `columns=name,phone,...`; defaults to every column
+const resolveColumns = (value) => {
+  const fields = parseList(value);
+  if (!fields.length) return CUSTOMER_COLUMNS;
+
+  return fields.map(field => {
+    const column = COLUMNS_BY_FIELD.get(field);
+    if (!column) {
+      throw new QueryError(`Unknown export column "${field}". Allowed columns: ${
+        CUSTOMER_COLUMNS.map(c => c.field).join(', ')}`);
+    }
+    return column;
+  });
+};
+
+// Category and subcategory names come from the catalog rather than the copy
+// stored on the application, which goes stale when a category is renamed.
+// Tags are written by name too.
+const loadCatalogNames = async () => {
+  const [categories, subcategories, tags] = await Promise.all([
+    Category.find().select('name').lean(),
+    SubCategory.find().select('name').lean(),
+    Tag.find().select('name').lean()
+  ]);
+  return {
+    categories: new Map(categories.map(c => [String(c._id), c.name])),
+    subcategories: new Map(subcategories.map(s => [String(s._id), s.name])),
+    tags: new Map(tags.map(t => [String(t._id), t.name]))
+  };
+};
+
+// Customers are read in batches so their applications can be fetched together
+const APPLICATION_BATCH_SIZE = 200;
+
+// Yield { customer, application } rows: one per application matching
+// `applicationFilter`, or a single row with `application` null for a customer
+// that has none
+async function* exportRows(cursor, applicationFilter) {
+  let batch = [];
+
+  async function* flush() {
+    const applications = await ServiceApplication
+      .find({ ...applicationFilter, customer: { $in: batch.map(customer => customer._id) } })
+      .sort({ createdAt: 1 })
+      .lean();
+    const byCustomer = new Map();
+    applications.forEach(application => {
+      const key = String(application.customer);
+      if (!byCustomer.has(key)) byCustomer.set(key, []);
+      byCustomer.get(key).push(application);
+    });
+
+    for (const customer of batch) {
+      const customerApplications = byCustomer.get(String(customer._id)) || [null];
+      for (const application of customerApplications) {
+        yield { customer, application };
+      }
+    }
+    batch = [];
+  }
+
+  // Exports are masked for users who would see masked values on screen
+  for await (const customer of cursor) {
+    batch.push(maskCustomer(customer));
+    if (batch.length >= APPLICATION_BATCH_SIZE) yield* flush();
+  }
+  if (batch.length) yield* flush();
+}
+
+const columnValue = ({ customer, application }, column, names) => {
+  if (column.application && !application) return null;
+
+  if (column.field === 'serviceCategoryName') {
+    return names.categories.get(String(application.serviceCategory)) || application.serviceCategoryName || null;
+  }
+  if (column.field === 'serviceSubCategoryName') {
+    return names.subcategories.get(String(application.serviceSubCategory)) || application.serviceSubCategoryName || null;
+  }
+
+  if (column.field === 'tags') {
+    const tags = (customer.tags || []).map(id => names.tags.get(String(id))).filter(Boolean);
+    return tags.length ? tags.join(', ') : null;
+  }
+
+  const value = (column.application ? application : customer)[column.field];
+  if (value === undefined || value === null) return null;
+  if (column.field === '_id') return String(value);
+  return value;
+};
+
+// Text form used by CSV and JSON: dates as YYYY-MM-DD, timestamps as ISO
+const textValue = (value, column) => {
+  if (value === null) return '';
+  if (value instanceof Date) {
+    return column.type === 'datetime' ? value.toISOString() : value.toISOString().slice(0, 10);
+  }
+  return String(value);
+};
+
+// Spreadsheet apps execute cells starting with these characters as formulas
+const csvCell = (text) => {
+  let cell = text;
+  if (/^[=@\t\r]/.test(cell) || /^[+-](?![\d\s.]*$)/.test(cell)) {
+    cell = `'${cell}`;
+  }
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+// Write and respect backpressure so a slow client does not buffer the whole export
+const write = async (stream, chunk) => {
+  if (!stream.write(chunk)) {
+    await once(stream, 'drain');
+  }
+};
+
+const writeCsv = async (rows, res, columns, names) => {
+  // BOM so Excel opens UTF-8 (Tamil names) correctly
+  await write(res, `\uFEFF${columns.map(column => csvCell(column.label)).join(',')}\r\n`);
+  for await (const row of rows) {
+    const cells = columns.map(column => csvCell(textValue(columnValue(row, column, names), column)));
+    await write(res, `${cells.join(',')}\r\n`);
+  }
+  res.end();
+};
+
+const writeJson = async (rows, res, columns, names) => {
+  let first = true;
+  await write(res, '[');
+  for await (const row of rows) {
+    const record = {};
+    columns.forEach(column => {
+      const value = columnValue(row, column, names);
+      record[column.field] = value instanceof Date ? textValue(value, column) : value;
+    });
+    await write(res, `${first ? '' : ','}\n${JSON.stringify(record)}`);
+    first = false;
+  }
+  await write(res, '\n]\n');
+  res.end();
+};
+
+const writeXlsx = async (rows, res, columns, names) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const worksheet = workbook.addWorksheet('Customers');
+  worksheet.columns = columns.map(column => ({
+    header: column.label,
+    key: column.field,
+    width: Math.max(12, column.label.length + 2),
+    ...(column.type === 'date' && { style: { numFmt: 'dd/mm/yyyy' } })
+  }));
+
+  for await (const row of rows) {
+    const values = {};
+    columns.forEach(column => {
+      values[column.field] = columnValue(row, column, names);
+    });
+    worksheet.addRow(values).commit();
+  }
+
+  await worksheet.commit();
+  await workbook.commit();
+};
+
+const WRITERS = { csv: writeCsv, json: writeJson, xlsx: writeXlsx };
+
+// Stream customers matching `filter` to `res` in the requested format, one
+// row per service application matching `applicationFilter`. Customers are
+// read through a cursor, so memory use does not grow with the size of the
+// export.
+const streamCustomerExport = async (res, { format, filter, applicationFilter = {}, sort, columns }) => {
+  const names = await loadCatalogNames();
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const stamp = new Date().toISOString().slice(0, 16).replace(/[-:T]/g, '');
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="customers-${stamp}.${extension}"`);
+
+  const cursor = Customer.find(filter).sort(sort).lean().cursor();
+  try {
+    await WRITERS[format](exportRows(cursor, applicationFilter), res, columns, names);
+  } finally {
+    await cursor.close();
+  }
+};
+
+export {
+  EXPORT_FORMATS,
+  resolveColumns,
+  streamCustomerExport
+};
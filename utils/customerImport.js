@@ -0,0 +1,409 @@
+import path from 'path';
+import { parse } from 'csv-parse/sync';
+import ExcelJS from 'exceljs';
+import Customer from '../models/Customer.js';
+import ServiceApplication from '../models/ServiceApplication.js';
+import Category from '../models/Category.js';
+import SubCategory from '../models/SubCategory.js';
+import ImportBatch from '../models/ImportBatch.js';
+import Payment from '../models/Payment.js';
+import Invoice from '../models/Invoice.js';
+import Document from '../models/Document.js';
+import CustomerNote from '../models/CustomerNote.js';
+import RenewalReminder from '../models/RenewalReminder.js';
+import MessageLog from '../models/MessageLog.js';
+import Household from '../models/Household.js';
+import { COLUMNS_BY_FIELD, mapHeaders } from './customerColumns.js';
+import { buildValidatedCustomer, validationDetails } from './customerValidation.js';
+import { withTransaction } from './transactions.js';
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Raised when the uploaded file itself cannot be used; routes answer with a 400
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+const detectFormat = (fileName) => {
+  const extname = path.extname(fileName || '').toLowerCase();
+  if (extname === '.csv') return 'csv';
+  if (extname === '.xlsx') return 'xlsx';
+  throw new ImportError('Only CSV and XLSX files are supported');
+};
+
+// ExcelJS hands back rich text, hyperlinks and formulas as objects
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return value.text;
+    if (value.result !== undefined) return cellValue(value.result);
+    return '';
+  }
+  return value;
+};
+
+const isBlank = (value) => value === '' || value === null || value === undefined ||
+  (typeof value === 'string' && value.trim() === '');
+
+// Returns { headers, rows: [{ rowNumber, values }] }; rowNumber is the line in
+// the spreadsheet as the user sees it (the header is line 1)
+const parseSpreadsheet = async (buffer, format) => {
+  let table;
+
+  try {
+    if (format === 'csv') {
+      table = parse(buffer, { bom: true, relax_column_count: true, skip_empty_lines: false });
+    } else {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(buffer);
+      const worksheet = workbook.worksheets[0];
+      table = [];
+      if (worksheet) {
+        worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+          // row.values is 1-based
+          table[rowNumber - 1] = row.values.slice(1).map(cellValue);
+        });
+      }
+      table = Array.from(table, row => row || []);
+    }
+  } catch (error) {
+    throw new ImportError(`Could not read ${format.toUpperCase()} file: ${error.message}`);
+  }
+
+  if (!table.length) {
+    throw new ImportError('The file is empty');
+  }
+
+  const headers = table[0].map(header => String(cellValue(header)).trim());
+  const rows = [];
+  table.slice(1).forEach((cells, index) => {
+    if (cells.every(isBlank)) return;
+    const values = {};
+    headers.forEach((header, column) => {
+      if (header) values[header] = cells[column];
+    });
+    rows.push({ rowNumber: index + 2, values });
+  });
+
+  if (!rows.length) {
+    throw new ImportError('The file has no data rows');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ImportError(`A single import is limited to ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  return { headers: headers.filter(Boolean), rows };
+};
+
+// Accepts real dates, Excel serial numbers, ISO strings and the DD/MM/YYYY
+// (or DD-MM-YYYY) form used in our registers
+const parseSpreadsheetDate = (value) => {
+  if (value instanceof Date) return value;
+  if (typeof value === 'number') {
+    return new Date(Date.UTC(1899, 11, 30) + Math.round(value * 86400000));
+  }
+
+  const text = String(value).trim();
+  const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  const date = dayFirst
+    ? new Date(Date.UTC(Number(dayFirst[3]), Number(dayFirst[2]) - 1, Number(dayFirst[1])))
+    : new Date(text);
+
+  if (Number.isNaN(date.getTime())) return null;
+  if (dayFirst && date.getUTCDate() !== Number(dayFirst[1])) return null;
+  return date;
+};
+
+const convertValue = (field, value) => {
+  const column = COLUMNS_BY_FIELD.get(field);
+
+  if (column.type === 'date') {
+    const date = parseSpreadsheetDate(value);
+    if (!date) return { error: `"${value}" is not a valid date` };
+    return { value: date };
+  }
+
+  if (column.type === 'number') {
+    const number = typeof value === 'number' ? value : Number(String(value).replace(/[₹,\s]/g, ''));
+    if (Number.isNaN(number)) return { error: `"${value}" is not a valid number` };
+    return { value: number };
+  }
+
+  if (field === 'phone') {
+    return { value: String(value).replace(/[\s-]/g, '') };
+  }
+
+  return { value: String(value instanceof Date ? value.toISOString() : value).trim() };
+};
+
+const loadCatalog = async () => {
+  const [categories, subcategories] = await Promise.all([
+    Category.find(),
+    SubCategory.find()
+  ]);
+
+  const categoriesByName = new Map(
+    categories.map(category => [category.name.trim().toLowerCase(), category])
+  );
+  const subcategoriesByKey = new Map(
+    subcategories.map(sub => [`${sub.category}:${sub.name.trim().toLowerCase()}`, sub])
+  );
+
+  return { categoriesByName, subcategoriesByKey };
+};
+
+// Turn one spreadsheet row into customer data, resolving category names to IDs.
+// Service columns become the customer's first application. Conversion problems
+// are returned alongside so they can be merged with the schema validation
+// errors.
+const rowToCustomerData = (values, mapping, catalog) => {
+  const data = {};
+  const errors = {};
+
+  Object.entries(mapping).forEach(([header, field]) => {
+    const raw = values[header];
+    if (isBlank(raw)) return;
+    const converted = convertValue(field, raw);
+    if (converted.error) {
+      errors[field] = converted.error;
+    } else {
+      data[field] = converted.value;
+    }
+  });
+
+  if (data.serviceCategoryName) {
+    const category = catalog.categoriesByName.get(data.serviceCategoryName.toLowerCase());
+    if (category) {
+      data.serviceCategory = category._id;
+      data.serviceCategoryName = category.name;
+      if (!data.serviceCategoryUrl && category.url) data.serviceCategoryUrl = category.url;
+    } else {
+      errors.serviceCategoryName = `Unknown service category "${data.serviceCategoryName}"`;
+    }
+  }
+
+  if (data.serviceSubCategoryName && data.serviceCategory) {
+    const key = `${data.serviceCategory}:${data.serviceSubCategoryName.toLowerCase()}`;
+    const subcategory = catalog.subcategoriesByKey.get(key);
+    if (subcategory) {
+      data.serviceSubCategory = subcategory._id;
+      data.serviceSubCategoryName = subcategory.name;
+    } else {
+      errors.serviceSubCategoryName =
+        `Unknown subcategory "${data.serviceSubCategoryName}" for ${data.serviceCategoryName}`;
+    }
+  }
+
+  return { data, errors };
+};
+
+// Parse, map and validate an uploaded file without writing anything.
+// Every row gets a status of "valid" or "invalid" with per-field errors.
+const previewImport = async (file, overrides = {}) => {
+  const format = detectFormat(file.originalname);
+  const { headers, rows } = await parseSpreadsheet(file.buffer, format);
+  const { mapping, unmapped } = mapHeaders(headers, overrides);
+
+  if (!Object.keys(mapping).length) {
+    throw new ImportError('None of the columns could be matched to customer fields');
+  }
+
+  const catalog = await loadCatalog();
+  const results = [];
+
+  for (const { rowNumber, values } of rows) {
+    const { data, errors: conversionErrors } = rowToCustomerData(values, mapping, catalog);
+    const { customer, applications, errors: validationErrors } = await buildValidatedCustomer(data);
+    const errors = { ...(validationErrors || {}), ...conversionErrors };
+    const valid = Object.keys(errors).length === 0;
+
+    results.push({
+      row: rowNumber,
+      status: valid ? 'valid' : 'invalid',
+      errors: valid ? undefined : errors,
+      data,
+      customer: valid ? customer : undefined,
+      applications: valid ? applications : undefined
+    });
+  }
+
+  return {
+    fileName: file.originalname,
+    format,
+    columnMapping: mapping,
+    unmappedColumns: unmapped,
+    rows: results
+  };
+};
+
+const rowErrors = (error) => (error.name === 'ValidationError'
+  ? validationDetails(error)
+  : { _error: error.message });
+
+// Save the valid rows of a preview as one ImportBatch. Where the server has
+// transactions the batch and its rows are written together, so an import that
+// fails part-way leaves nothing behind. Without them each row stands on its
+// own and the rows that could not be saved are reported as failed.
+const commitImport = async (preview, user) => {
+  const rows = preview.rows.filter(result => result.status === 'valid');
+
+  const { result: batch } = await withTransaction(async (session) => {
+    // A retried transaction starts over
+    rows.forEach(result => {
+      result.status = 'valid';
+      delete result.errors;
+      delete result.customerId;
+    });
+
+    const [batch] = await ImportBatch.create([{
+      fileName: preview.fileName,
+      format: preview.format,
+      columnMapping: preview.columnMapping,
+      totalRows: preview.rows.length,
+      createdBy: user?._id
+    }], { session });
+
+    for (const result of rows) {
+      const documents = [result.customer, ...result.applications];
+      try {
+        documents.forEach(doc => {
+          doc.isNew = true;
+          doc.importBatch = batch._id;
+          if (user) doc.createdBy = user._id;
+        });
+        // Checked before anything is written, so that an application that
+        // cannot be saved does not leave its customer behind
+        for (const doc of documents) {
+          await doc.validate();
+        }
+      } catch (error) {
+        result.status = 'failed';
+        result.errors = rowErrors(error);
+        continue;
+      }
+
+      try {
+        for (const doc of documents) {
+          await doc.save({ session });
+        }
+      } catch (error) {
+        // A failed write ends the transaction, and the import with it
+        if (session) throw error;
+        await ServiceApplication.deleteMany({ customer: result.customer._id });
+        await result.customer.deleteOne();
+        result.status = 'failed';
+        result.errors = rowErrors(error);
+        continue;
+      }
+      result.status = 'imported';
+      result.customerId = result.customer._id;
+    }
+
+    batch.importedCount = preview.rows.filter(result => result.status === 'imported').length;
+    batch.skippedRows = preview.rows
+      .filter(result => result.status !== 'imported')
+      .map(result => ({ row: result.row, details: result.errors }));
+    await batch.save({ session });
+    return batch;
+  });
+
+  return batch;
+};
+
+// Delete every customer and application created by a committed batch, with
+// any documents uploaded for those customers since. Refused once anything
+// else refers to the customers.
+const rollbackImport = async (batch, user) => {
+  if (batch.status !== 'committed') {
+    throw new ImportError('This import has already been rolled back');
+  }
+
+  // Payments and invoices are financial records; once one exists the import stays
+  const customerIds = await Customer.find({ importBatch: batch._id })
+    .setOptions({ withDeleted: true })
+    .distinct('_id');
+  if (await Payment.exists({ customer: { $in: customerIds } })) {
+    throw new ImportError('Payments have been recorded for customers in this import, so it cannot be rolled back');
+  }
+  if (await Invoice.exists({ customer: { $in: customerIds } })) {
+    throw new ImportError('Invoices have been issued to customers in this import, so it cannot be rolled back');
+  }
+
+  // Anything else added for the customers since would be left pointing at
+  // deleted records, so it has to be cleared up by hand first
+  const laterRecords = [
+    [ServiceApplication, { importBatch: { $ne: batch._id } }, 'Applications have been added for'],
+    [CustomerNote, {}, 'Notes have been left on'],
+    [RenewalReminder, {}, 'Renewal reminders have been scheduled for'],
+    [MessageLog, {}, 'Messages have been sent to'],
+    [Household, null, 'Households have been set up with']
+  ];
+  for (const [model, filter, what] of laterRecords) {
+    const query = filter
+      ? { ...filter, customer: { $in: customerIds } }
+      : { 'members.customer': { $in: customerIds } };
+    if (await model.exists(query).setOptions({ withDeleted: true })) {
+      throw new ImportError(`${what} customers in this import, so it cannot be rolled back`);
+    }
+  }
+
+  // Together where the server has transactions. Without them the batch is
+  // marked last, so a rollback cut short can simply be run again.
+  const rolledBack = {
+    status: 'rolled_back',
+    rolledBackAt: new Date(),
+    rolledBackBy: user?._id
+  };
+  await withTransaction(async (session) => {
+    const { deletedCount } = await Customer.deleteMany({ importBatch: batch._id }).session(session);
+    await ServiceApplication.deleteMany({ importBatch: batch._id }).session(session);
+    await Document.deleteMany({ customer: { $in: customerIds } }).session(session);
+
+    rolledBack.rolledBackCount = deletedCount;
+    const { matchedCount } = await ImportBatch.updateOne(
+      { _id: batch._id, status: 'committed' },
+      { $set: rolledBack },
+      { session }
+    );
+    if (!matchedCount) {
+      throw new ImportError('This import has already been rolled back');
+    }
+  });
+
+  batch.set(rolledBack);
+  return batch;
+};
+
+// Report rows without the unsaved Mongoose documents
+const summarizeImport = (preview) => {
+  const counts = preview.rows.reduce((acc, result) => {
+    acc[result.status] = (acc[result.status] || 0) + 1;
+    return acc;
+  }, {});
+
+  return {
+    fileName: preview.fileName,
+    format: preview.format,
+    columnMapping: preview.columnMapping,
+    unmappedColumns: preview.unmappedColumns,
+    totalRows: preview.rows.length,
+    counts,
+    rows: preview.rows.map(({ customer, applications, ...result }) => ({
+      ...result,
+      customerId: result.customerId
+    }))
+  };
+};
+
+export {
+  ImportError,
+  previewImport,
+  commitImport,
+  rollbackImport,
+  summarizeImport
+};
@@ -0,0 +1,196 @@
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+import CustomerMerge from '../models/CustomerMerge.js';
+import { repointCustomerReferences } from './customerRelations.js';
+import { withTransaction } from './transactions.js';
+import { phoneSetter } from './phone.js';
+
+// Raised for merge requests that cannot be carried out; routes answer with a 400/404
+class MergeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MergeError';
+    this.status = status;
+  }
+}
+
+// Never merged, with everything under them: bookkeeping, the trash, and the
+// stored form of encrypted fields, which follows their plaintext on save
+const SYSTEM_FIELDS = new Set([
+  '_id', '__v', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy', 'importBatch',
+  'deletedAt', 'deletedBy', 'erasedAt', 'encrypted', 'blindIndex'
+]);
+
+// Fields whose values are combined from every customer rather than picked
+const COMBINED_FIELDS = new Set(['tags', 'contacts']);
+
+const mergeableFields = () => {
+  const fields = [];
+  Customer.schema.eachPath(path => {
+    if (!SYSTEM_FIELDS.has(path.split('.')[0]) && !COMBINED_FIELDS.has(path)) fields.push(path);
+  });
+  return fields;
+};
+
+// Merge records keep copies of customer values outside the customers
+// collection, so encrypted fields (see utils/fieldEncryption.js) stay
+// encrypted in them: snapshots are kept in the customer's stored form, and
+// the before/after of an encrypted field as { encrypted: <ciphertext> }.
+// openMergeRecord() puts the plaintext back for reading.
+const sealChangeValue = (field, value) => {
+  const sealed = Customer.encryptRecord({ [field]: value });
+  return sealed.encrypted ? { encrypted: sealed.encrypted[field] } : sealed[field];
+};
+
+const openChangeValue = (field, value) => {
+  if (typeof value?.encrypted === 'string') {
+    return Customer.decryptRecord({ encrypted: { [field]: value.encrypted } })[field];
+  }
+  return Customer.decryptRecord({ [field]: value })[field];
+};
+
+// A merge record as a plain object, encrypted in place
+const sealMergeRecord = (merge) => {
+  (merge.merged || []).forEach(entry => {
+    entry.snapshot = Customer.encryptRecord(entry.snapshot);
+  });
+  (merge.fieldChanges || []).forEach(change => {
+    change.before = sealChangeValue(change.field, change.before);
+    change.after = sealChangeValue(change.field, change.after);
+  });
+  return merge;
+};
+
+// A merge record as a plain object (lean, or toJSON()), decrypted in place
+const openMergeRecord = (merge) => {
+  (merge.merged || []).forEach(entry => {
+    entry.snapshot = Customer.decryptRecord(entry.snapshot);
+  });
+  (merge.fieldChanges || []).forEach(change => {
+    change.before = openChangeValue(change.field, change.before);
+    change.after = openChangeValue(change.field, change.after);
+  });
+  return merge;
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// The merge itself, with every read and write in `session` (when given)
+const applyMerge = async ({ survivorId, duplicateIds, fields, fillEmpty, reason, user }, session) => {
+  const ids = [survivorId, ...duplicateIds];
+  const customers = await Customer.find({ _id: { $in: ids } }).session(session);
+  const byId = new Map(customers.map(customer => [customer.id, customer]));
+  const missing = ids.filter(id => !byId.has(String(id)));
+  if (missing.length) {
+    throw new MergeError(`Customer not found: ${missing.join(', ')}`, 404);
+  }
+
+  const survivor = byId.get(String(survivorId));
+  const duplicates = duplicateIds
+    .map(id => byId.get(String(id)))
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+  const allowed = mergeableFields();
+  const fieldChanges = [];
+  const take = (field, source) => {
+    const before = survivor.get(field);
+    const after = source.get(field);
+    if (String(before) === String(after)) return;
+    survivor.set(field, after);
+    fieldChanges.push({ field, before, after, source: source._id });
+  };
+
+  Object.entries(fields).forEach(([field, sourceId]) => {
+    if (!allowed.includes(field)) {
+      throw new MergeError(`Field "${field}" cannot be merged`);
+    }
+    const source = duplicates.find(duplicate => duplicate.id === String(sourceId));
+    if (!source) {
+      throw new MergeError(`Source for "${field}" must be one of the duplicates`);
+    }
+    take(field, source);
+  });
+
+  if (fillEmpty) {
+    allowed
+      .filter(field => !fields[field] && isEmpty(survivor.get(field)))
+      .forEach(field => {
+        const source = duplicates.find(duplicate => !isEmpty(duplicate.get(field)));
+        if (source) take(field, source);
+      });
+  }
+
+  // The survivor keeps its tags and gains the duplicates'
+  const tags = [...new Set([survivor, ...duplicates].flatMap(customer => (customer.tags || []).map(String)))];
+  if (tags.length !== survivor.tags.length) {
+    fieldChanges.push({ field: 'tags', before: [...survivor.tags], after: tags });
+    survivor.tags = tags;
+  }
+
+  // The duplicates' numbers stay reachable as the survivor's other contacts
+  const numbers = new Set([survivor.phone, ...survivor.contacts.map(contact => contact.number)].map(phoneSetter));
+  const contactsBefore = survivor.contacts.map(contact => contact.toObject());
+  duplicates.forEach(duplicate => {
+    const contacts = duplicate.contacts.length ? duplicate.contacts : [{ type: 'primary', number: duplicate.phone }];
+    contacts.forEach(({ type, number, name }) => {
+      const normalized = phoneSetter(number);
+      if (!normalized || numbers.has(normalized)) return;
+      numbers.add(normalized);
+      survivor.contacts.push({ type: type === 'primary' ? 'alternate' : type, number: normalized, name });
+    });
+  });
+  if (survivor.contacts.length !== contactsBefore.length) {
+    fieldChanges.push({ field: 'contacts', before: contactsBefore, after: survivor.contacts.map(contact => contact.toObject()) });
+  }
+
+  if (user) survivor.updatedBy = user._id;
+  await survivor.save({ session });
+
+  const duplicateObjectIds = duplicates.map(duplicate => duplicate._id);
+  const repointed = await repointCustomerReferences(duplicateObjectIds, survivor._id, session);
+
+  const [merge] = await CustomerMerge.create([sealMergeRecord({
+    survivor: survivor._id,
+    merged: duplicates.map(duplicate => ({
+      customer: duplicate._id,
+      snapshot: duplicate.toObject({ virtuals: false })
+    })),
+    fieldChanges,
+    repointed,
+    reason,
+    mergedBy: user?._id
+  })], { session });
+
+  await Customer.deleteMany({ _id: { $in: duplicateObjectIds } }).session(session);
+
+  return { survivor, merge };
+};
+
+// Merge `duplicateIds` into `survivorId`.
+// `fields` ({ field: duplicateId }) picks values from a specific duplicate; with
+// `fillEmpty` the survivor's blank fields are also filled from the duplicates,
+// oldest first. References in other collections (service applications
+// included) are moved to the survivor, the duplicates are deleted and a
+// CustomerMerge audit record is returned.
+const mergeCustomers = async ({ survivorId, duplicateIds, fields = {}, fillEmpty = true, reason, user }) => {
+  const ids = [survivorId, ...(duplicateIds || [])];
+  if (!duplicateIds || !duplicateIds.length) {
+    throw new MergeError('At least one duplicate customer is required');
+  }
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new MergeError('Invalid customer ID');
+  }
+  if (new Set(ids.map(String)).size !== ids.length) {
+    throw new MergeError('The survivor and duplicates must be distinct customers');
+  }
+
+  // The survivor, the references and the duplicates change together where the
+  // server has transactions. A retried transaction reads everything again.
+  const { result } = await withTransaction(session => applyMerge({
+    survivorId, duplicateIds, fields, fillEmpty, reason, user
+  }, session));
+  return result;
+};
+
+export { MergeError, mergeCustomers, sealMergeRecord, openMergeRecord };
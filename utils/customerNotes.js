@@ -0,0 +1,221 @@
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+import CustomerNote from '../models/CustomerNote.js';
+import User from '../models/User.js';
+import { paginate } from './pagination.js';
+
+const USER_FIELDS = 'name email';
+
+// Raised for note changes that cannot be made; routes answer with `status`
+class NoteError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'NoteError';
+    this.status = status;
+  }
+}
+
+const checkId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new NoteError(`Invalid ${label} ID`);
+  }
+};
+
+// Staff are mentioned by the part of their e-mail address before the "@":
+// ravi.k@shop.in is "@ravi.k". The whole address works too.
+const mentionHandle = (user) => String(user.email || '').split('@')[0].toLowerCase();
+
+// "@ravi.k" and "@ravi.k@shop.in" in a note, without trailing punctuation
+const MENTION_PATTERN = /(^|[^\w@.])@([a-z0-9][\w.+-]*(?:@[\w-]+(?:\.[\w-]+)+)?)/gi;
+
+const mentionedHandles = (body) => [...String(body || '').matchAll(MENTION_PATTERN)]
+  .map(match => match[2].replace(/[.]+$/, '').toLowerCase());
+
+// Users mentioned in `body`, plus any given by ID (as a frontend picker would
+// send them). Handles that match no user are left as plain text.
+const resolveMentions = async (body, ids = []) => {
+  if (!Array.isArray(ids)) {
+    throw new NoteError('mentions must be a list of user IDs');
+  }
+  ids.forEach(id => checkId(id, 'user'));
+
+  const handles = new Set(mentionedHandles(body));
+  const users = handles.size || ids.length ? await User.find().select(USER_FIELDS).lean() : [];
+  const byId = new Map(users.map(user => [String(user._id), user]));
+  const unknown = ids.filter(id => !byId.has(String(id)));
+  if (unknown.length) {
+    throw new NoteError(`Unknown user(s) mentioned: ${unknown.join(', ')}`);
+  }
+
+  const mentioned = users.filter(user => handles.has(mentionHandle(user)) || handles.has(String(user.email).toLowerCase()));
+  return [...new Set([...mentioned.map(user => String(user._id)), ...ids.map(String)])]
+    .map(id => new mongoose.Types.ObjectId(id));
+};
+
+// Everyone who can be mentioned, with their handle, for autocomplete
+const mentionableUsers = async () => {
+  const users = await User.find().select(USER_FIELDS).sort({ name: 1 }).lean();
+  return users.map(user => ({ ...user, handle: mentionHandle(user) }));
+};
+
+const findNote = async (id) => {
+  checkId(id, 'note');
+  const note = await CustomerNote.findById(id);
+  if (!note) {
+    throw new NoteError('Note not found', 404);
+  }
+  return note;
+};
+
+const isAdmin = (user) => user?.role === 'admin';
+
+// A customer's notes as threads: pinned notes first, then the newest, each
+// with its replies oldest first. Earlier versions are left out; see noteHistory.
+const listNotes = async (customerId) => {
+  checkId(customerId, 'customer');
+  const notes = await CustomerNote.find({ customer: customerId })
+    .select('-edits')
+    .populate('author', USER_FIELDS)
+    .populate('mentions', USER_FIELDS)
+    .populate('pinnedBy', USER_FIELDS)
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const replies = new Map();
+  notes.filter(note => note.parent).forEach(note => {
+    const key = String(note.parent);
+    replies.set(key, [...(replies.get(key) || []), note]);
+  });
+
+  return notes
+    .filter(note => !note.parent)
+    .sort((a, b) => Number(b.pinned) - Number(a.pinned) || b.createdAt - a.createdAt)
+    .map(note => ({ ...note, replies: replies.get(String(note._id)) || [] }));
+};
+
+// Leave a note on a customer, or reply to one with `parent`
+const createNote = async ({ customer, body, parent, mentions, pinned }, user) => {
+  checkId(customer, 'customer');
+  if (!await Customer.exists({ _id: customer })) {
+    throw new NoteError('Customer not found', 404);
+  }
+  if (parent) {
+    const thread = await findNote(parent);
+    if (!thread.customer.equals(customer)) {
+      throw new NoteError('A reply must be on the same customer as the note it answers');
+    }
+    if (thread.parent) {
+      throw new NoteError('Reply to the first note of the thread');
+    }
+    if (pinned) {
+      throw new NoteError('Only the first note of a thread can be pinned');
+    }
+  }
+
+  const now = new Date();
+  return CustomerNote.create({
+    customer,
+    parent: parent || null,
+    body,
+    author: user._id,
+    mentions: await resolveMentions(body, mentions),
+    ...(pinned ? { pinned: true, pinnedAt: now, pinnedBy: user._id } : {})
+  });
+};
+
+// Change a note's text. Only its author can; the earlier text is kept.
+const editNote = async (id, { body, mentions }, user) => {
+  const note = await findNote(id);
+  if (!note.author.equals(user._id)) {
+    throw new NoteError('Only the author can edit a note', 403);
+  }
+  if (body === undefined || body === note.body) return note;
+
+  note.edits.push({ body: note.body, mentions: note.mentions, editedAt: new Date(), editedBy: user._id });
+  note.body = body;
+  note.mentions = await resolveMentions(body, mentions);
+  note.editedAt = new Date();
+  await note.save();
+  return note;
+};
+
+const setPinned = async (id, pinned, user) => {
+  const note = await findNote(id);
+  if (note.parent) {
+    throw new NoteError('Only the first note of a thread can be pinned');
+  }
+  note.pinned = Boolean(pinned);
+  note.pinnedAt = note.pinned ? new Date() : undefined;
+  note.pinnedBy = note.pinned ? user._id : undefined;
+  await note.save();
+  return note;
+};
+
+// Delete a note, and its replies with it. Authors delete their own notes,
+// admins anyone's.
+const deleteNote = async (id, user) => {
+  const note = await findNote(id);
+  if (!note.author.equals(user._id) && !isAdmin(user)) {
+    throw new NoteError('Only the author or an admin can delete a note', 403);
+  }
+  const at = new Date();
+  const replies = await CustomerNote.find({ parent: note._id });
+  for (const reply of replies) {
+    await reply.softDelete(user, at);
+  }
+  await note.softDelete(user, at);
+  return { note, replies: replies.length };
+};
+
+// Every version of a note, oldest first, ending with the current one
+const noteHistory = async (id) => {
+  checkId(id, 'note');
+  const note = await CustomerNote.findById(id)
+    .populate('author', USER_FIELDS)
+    .populate('edits.editedBy', USER_FIELDS)
+    .populate('edits.mentions', USER_FIELDS)
+    .populate('mentions', USER_FIELDS)
+    .lean();
+  if (!note) {
+    throw new NoteError('Note not found', 404);
+  }
+  // Each edit kept the text it replaced, so version i was written when the
+  // note was created (i = 0) or at edit i - 1
+  const texts = [...note.edits, note];
+  return {
+    note: note._id,
+    customer: note.customer,
+    author: note.author,
+    versions: texts.map(({ body, mentions }, index) => ({
+      body,
+      mentions,
+      writtenAt: index ? note.edits[index - 1].editedAt : note.createdAt,
+      writtenBy: index ? note.edits[index - 1].editedBy : note.author
+    }))
+  };
+};
+
+// Notes mentioning `user`, newest first, each with its customer's name
+const notesMentioning = (user, query) => paginate(CustomerNote, { mentions: user._id }, query, {
+  sortFields: ['createdAt'],
+  defaultSort: '-createdAt',
+  select: '-edits',
+  populate: [
+    { path: 'customer', select: 'name phone' },
+    { path: 'author', select: USER_FIELDS }
+  ]
+});
+
+export {
+  NoteError,
+  mentionHandle,
+  mentionableUsers,
+  resolveMentions,
+  listNotes,
+  createNote,
+  editNote,
+  setPinned,
+  deleteNote,
+  noteHistory,
+  notesMentioning
+};
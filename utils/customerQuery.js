@@ -0,0 +1,204 @@
+import mongoose from 'mongoose';
+import ServiceApplication from '../models/ServiceApplication.js';
+import Segment from '../models/Segment.js';
+import Household from '../models/Household.js';
+import { QueryError, parseList, parseDateRange } from './pagination.js';
+import { normalizePhone, phoneSearchDigits } from './phone.js';
+import { isEncryptionEnabled } from './fieldEncryption.js';
+
+// Enum fields filtered by exact value; each accepts a comma-separated list
+const CUSTOMER_ENUM_FILTERS = ['status'];
+const APPLICATION_ENUM_FILTERS = ['deliveryStatus', 'gstStatus'];
+
+// Application reference fields filtered by ObjectId
+const APPLICATION_ID_FILTERS = ['serviceCategory', 'serviceSubCategory'];
+
+// Date fields filtered with `<field>From` / `<field>To` (both inclusive)
+const CUSTOMER_DATE_FILTERS = ['createdAt'];
+const APPLICATION_DATE_FILTERS = ['deliveryDate', 'nextRenewalDate'];
+
+// Every filter parameter GET api/customers understands, which is also what a
+// saved segment's filter may hold
+const CUSTOMER_FILTER_PARAMS = [
+  'status',
+  'city',
+  'district',
+  ...CUSTOMER_DATE_FILTERS.flatMap(field => [`${field}From`, `${field}To`]),
+  'tags',
+  'tagMatch',
+  'household',
+  ...APPLICATION_ENUM_FILTERS,
+  ...APPLICATION_ID_FILTERS,
+  ...APPLICATION_DATE_FILTERS.flatMap(field => [`${field}From`, `${field}To`]),
+  'search'
+];
+
+const CUSTOMER_SORT_FIELDS = [
+  'createdAt',
+  'updatedAt',
+  'name',
+  'city',
+  'state',
+  'status'
+];
+
+const APPLICATION_SORT_FIELDS = [
+  'createdAt',
+  'updatedAt',
+  'deliveryStatus',
+  'gstStatus',
+  'fees',
+  'deliveryDate',
+  'nextRenewalDate',
+  'serviceCategoryName',
+  'serviceSubCategoryName',
+  'serviceNumber'
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const applyEnumFilters = (filter, query, fields) => {
+  fields.forEach(field => {
+    const values = parseList(query[field]);
+    if (values.length) filter[field] = { $in: values };
+  });
+};
+
+const parseObjectIds = (value, param) => parseList(value).map(id => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new QueryError(`Invalid ${param} ID: ${id}`);
+  }
+  return new mongoose.Types.ObjectId(id);
+});
+
+const applyDateFilters = (filter, query, fields) => {
+  fields.forEach(field => {
+    const range = parseDateRange(query[`${field}From`], query[`${field}To`], `${field}From`, `${field}To`);
+    if (range) filter[field] = range;
+  });
+};
+
+// Conditions on service applications: deliveryStatus, gstStatus,
+// serviceCategory, serviceSubCategory and the delivery/renewal date ranges.
+// `dateFields` lets the application listing filter on its own createdAt too.
+const buildApplicationFilter = (query, dateFields = APPLICATION_DATE_FILTERS) => {
+  const filter = {};
+
+  applyEnumFilters(filter, query, APPLICATION_ENUM_FILTERS);
+
+  APPLICATION_ID_FILTERS.forEach(field => {
+    const ids = parseObjectIds(query[field], field);
+    if (ids.length) filter[field] = { $in: ids };
+  });
+
+  applyDateFilters(filter, query, dateFields);
+
+  return filter;
+};
+
+// The filter parameters saved in a segment
+const segmentQuery = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new QueryError('Invalid segment ID');
+  }
+  const segment = await Segment.findById(id).select('filter').lean();
+  if (!segment) {
+    throw new QueryError(`Segment ${id} not found`);
+  }
+  const { segment: nested, ...filter } = segment.filter || {};
+  return filter;
+};
+
+// Combine filters that must all hold, leaving out empty ones
+const allOf = (filters) => {
+  const conditions = filters.filter(filter => Object.keys(filter).length);
+  if (conditions.length <= 1) return conditions[0] || {};
+  return { $and: conditions };
+};
+
+// Translate the customer list query string into a MongoDB filter on customers.
+// Application-level filters select customers with at least one matching
+// application, so this needs a round trip and is async. `segment` names a
+// saved segment whose filters apply on top of the others.
+const buildCustomerFilter = async (query) => {
+  if (query.segment) {
+    const { segment, ...rest } = query;
+    return allOf([await buildCustomerFilter(await segmentQuery(segment)), await buildCustomerFilter(rest)]);
+  }
+
+  const filter = {};
+
+  applyEnumFilters(filter, query, CUSTOMER_ENUM_FILTERS);
+
+  // City is free text, so match it (and district, to match) case-insensitively
+  // and ignore stray whitespace
+  ['city', 'district'].forEach(field => {
+    const places = parseList(query[field]);
+    if (places.length) {
+      filter[field] = { $in: places.map(place => new RegExp(`^\\s*${escapeRegex(place)}\\s*$`, 'i')) };
+    }
+  });
+
+  applyDateFilters(filter, query, CUSTOMER_DATE_FILTERS);
+
+  // Customers with any of the tags, or with `tagMatch=all` every one of them
+  const tags = parseObjectIds(query.tags, 'tag');
+  if (tags.length) {
+    if (query.tagMatch && !['any', 'all'].includes(query.tagMatch)) {
+      throw new QueryError('tagMatch must be "any" or "all"');
+    }
+    filter.tags = query.tagMatch === 'all' ? { $all: tags } : { $in: tags };
+  }
+
+  const applicationFilter = buildApplicationFilter(query);
+  if (Object.keys(applicationFilter).length) {
+    filter._id = { $in: await ServiceApplication.distinct('customer', applicationFilter) };
+  }
+
+  if (query.search && String(query.search).trim()) {
+    const search = String(query.search).trim();
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    // "+91 98765 43210" and "098765-43210" find the stored "+919876543210"
+    const digits = phoneSearchDigits(search);
+    const phonePattern = /^[0-9+\s().-]+$/.test(search) && digits ? new RegExp(digits) : pattern;
+    const byServiceNumber = await ServiceApplication.distinct('customer', { serviceNumber: pattern });
+    // Encrypted numbers (see utils/fieldEncryption.js) only match in full. A
+    // pattern would still find the records not yet encrypted, so with
+    // encryption on it is not tried at all, rather than finding some.
+    const phone = normalizePhone(search);
+    filter.$or = [
+      { name: pattern },
+      { email: pattern },
+      ...(isEncryptionEnabled() ? [] : [{ phone: phonePattern }, { 'contacts.number': phonePattern }]),
+      ...(phone ? [{ phone }, { 'contacts.number': phone }] : []),
+      { _id: { $in: byServiceNumber } }
+    ];
+  }
+
+  // Members of any of the households
+  const households = parseObjectIds(query.household, 'household');
+  if (households.length) {
+    const members = await Household.distinct('members.customer', { _id: { $in: households } });
+    return allOf([filter, { _id: { $in: members } }]);
+  }
+
+  return filter;
+};
+
+// buildApplicationFilter for a query that may name a segment, whose
+// application filters then apply as well
+const resolveApplicationFilter = async (query) => {
+  if (!query.segment) return buildApplicationFilter(query);
+  const { segment, ...rest } = query;
+  return allOf([buildApplicationFilter(await segmentQuery(segment)), buildApplicationFilter(rest)]);
+};
+
+export {
+  CUSTOMER_FILTER_PARAMS,
+  CUSTOMER_SORT_FIELDS,
+  APPLICATION_SORT_FIELDS,
+  buildCustomerFilter,
+  buildApplicationFilter,
+  resolveApplicationFilter,
+  escapeRegex
+};
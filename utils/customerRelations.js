@@ -0,0 +1,77 @@
+import ServiceApplication from '../models/ServiceApplication.js';
+import Payment from '../models/Payment.js';
+import Invoice from '../models/Invoice.js';
+import Document from '../models/Document.js';
+import Household from '../models/Household.js';
+import CustomerNote from '../models/CustomerNote.js';
+import MessageLog from '../models/MessageLog.js';
+import RenewalReminder from '../models/RenewalReminder.js';
+
+// Every collection that stores a reference to a Customer. Merging customers
+// re-points these references at the surviving record, so a new model that
+// links to customers must be listed here. `array: true` marks paths holding
+// an array of customer IDs rather than a single one; `element` marks an array
+// of subdocuments whose `element` field holds the customer ID.
+const CUSTOMER_REFERENCES = [
+  { model: ServiceApplication, path: 'customer' },
+  { model: Payment, path: 'customer' },
+  { model: Invoice, path: 'customer' },
+  { model: Document, path: 'customer' },
+  { model: CustomerNote, path: 'customer' },
+  { model: MessageLog, path: 'customer' },
+  { model: RenewalReminder, path: 'customer' },
+  { model: Household, path: 'members', element: 'customer' }
+];
+
+// Move references from `fromIds` to `toId` in every registered collection.
+// Returns [{ model, path, modified }] for the collections that changed. With a
+// `session` every write is part of that session's transaction.
+const repointCustomerReferences = async (fromIds, toId, session = null) => {
+  const results = [];
+
+  for (const { model, path, array, element } of CUSTOMER_REFERENCES) {
+    let modified;
+    if (element) {
+      // Where `toId` is already listed, the old entries just go
+      const field = `${path}.${element}`;
+      const pulled = await model.updateMany(
+        { $and: [{ [field]: toId }, { [field]: { $in: fromIds } }] },
+        { $pull: { [path]: { [element]: { $in: fromIds } } } },
+        { session }
+      );
+      const updated = await model.updateMany(
+        { [field]: { $in: fromIds } },
+        { $set: { [`${path}.$[entry].${element}`]: toId } },
+        { arrayFilters: [{ [`entry.${element}`]: { $in: fromIds } }], session }
+      );
+      modified = pulled.modifiedCount + updated.modifiedCount;
+    } else if (array) {
+      const added = await model.updateMany(
+        { [path]: { $in: fromIds } },
+        { $addToSet: { [path]: toId } },
+        { session }
+      );
+      await model.updateMany(
+        { [path]: { $in: fromIds } },
+        { $pull: { [path]: { $in: fromIds } } },
+        { session }
+      );
+      modified = added.modifiedCount;
+    } else {
+      const updated = await model.updateMany(
+        { [path]: { $in: fromIds } },
+        { $set: { [path]: toId } },
+        { session }
+      );
+      modified = updated.modifiedCount;
+    }
+
+    if (modified) {
+      results.push({ model: model.modelName, path, modified });
+    }
+  }
+
+  return results;
+};
+
+export { CUSTOMER_REFERENCES, repointCustomerReferences };
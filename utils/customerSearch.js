@@ -0,0 +1,242 @@
+import Customer from '../models/Customer.js';
+import ServiceApplication from '../models/ServiceApplication.js';
+import { escapeRegex } from './customerQuery.js';
+import { COUNTRY_CODE, normalizePhone, phoneSearchDigits } from './phone.js';
+import { isEncryptionEnabled } from './fieldEncryption.js';
+
+// Fields inspected when building highlights, in display order
+const HIGHLIGHT_FIELDS = [
+  'name',
+  'phone',
+  'email',
+  'address',
+  'city',
+  'state',
+  'zipCode',
+  'gstNumber',
+  'notes'
+];
+
+// Long fields are cut down to a window around the first match
+const SNIPPET_RADIUS = 40;
+
+// Prefix hits on phone/serviceNumber are what the counter staff usually mean,
+// so they rank above any text-score match
+const EXACT_MATCH_SCORE = 100;
+const PREFIX_MATCH_SCORE = 50;
+
+const MIN_PREFIX_LENGTH = 3;
+
+// Numbers are stored as "+91..." (see utils/phone.js); records saved before
+// that may still hold the bare ten digits
+const phonePrefixPattern = (digits) => new RegExp(`^(?:\\+${COUNTRY_CODE})?${digits}`);
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Split the query the way $text does and reduce each word to a rough stem,
+// so "certificates" still highlights "certificate"
+const searchTerms = (q) => q
+  .split(/\s+/)
+  .map(term => term.replace(/^[-"]+|"+$/g, ''))
+  .filter(Boolean)
+  .map(term => {
+    const stem = term.replace(/(ing|ed|es|s)$/i, '');
+    return stem.length >= 3 ? stem : term;
+  });
+
+const highlightValue = (value, pattern) => {
+  const text = String(value);
+  pattern.lastIndex = 0;
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_RADIUS * 3) {
+    start = Math.max(0, first.index - SNIPPET_RADIUS);
+    end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+  }
+
+  const snippet = text.slice(start, end);
+  let result = '';
+  let lastIndex = 0;
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(snippet)) !== null) {
+    result += escapeHtml(snippet.slice(lastIndex, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  result += escapeHtml(snippet.slice(lastIndex));
+
+  return `${start > 0 ? '…' : ''}${result}${end < text.length ? '…' : ''}`;
+};
+
+// Return { matchedFields, highlights } for one customer document.
+// Service numbers live on applications, so the matching ones are passed in.
+const buildHighlights = (customer, q, serviceNumbers = []) => {
+  const terms = searchTerms(q);
+  const digits = phoneSearchDigits(q);
+  const highlights = {};
+
+  HIGHLIGHT_FIELDS.forEach(field => {
+    const value = customer[field];
+    if (value === undefined || value === null || value === '') return;
+
+    // Phone numbers only ever match by prefix, so highlight just the typed digits
+    const alternatives = field === 'phone'
+      ? []
+      : terms.map(term => `\\b${escapeRegex(term)}\\w*`);
+    if (field === 'phone' && digits.length >= MIN_PREFIX_LENGTH) {
+      alternatives.push(`(?<=^(?:\\+${COUNTRY_CODE})?)${digits}`);
+    }
+    if (!alternatives.length) return;
+
+    const highlighted = highlightValue(value, new RegExp(alternatives.join('|'), 'gi'));
+    if (highlighted) highlights[field] = highlighted;
+  });
+
+  // Other contact numbers, as "whatsapp: +91<mark>98765</mark>43210"
+  if (digits.length >= MIN_PREFIX_LENGTH) {
+    const contactPattern = new RegExp(`(?<=^(?:\\+${COUNTRY_CODE})?)${digits}`, 'g');
+    const highlightedContacts = (customer.contacts || [])
+      .filter(contact => contact.type !== 'primary')
+      .map(contact => {
+        const highlighted = highlightValue(contact.number, contactPattern);
+        return highlighted && `${escapeHtml(contact.type)}: ${highlighted}`;
+      })
+      .filter(Boolean);
+    if (highlightedContacts.length) highlights.contacts = highlightedContacts.join(', ');
+  }
+
+  const serviceNumberPattern = new RegExp(`^${escapeRegex(q.trim())}`, 'gi');
+  const highlightedNumbers = serviceNumbers
+    .map(serviceNumber => highlightValue(serviceNumber, serviceNumberPattern))
+    .filter(Boolean);
+  if (highlightedNumbers.length) highlights.serviceNumber = highlightedNumbers.join(', ');
+
+  return { matchedFields: Object.keys(highlights), highlights };
+};
+
+// Relevance-ranked customer search combining the text index with prefix
+// matching on phone (any of the customer's contact numbers) and application
+// serviceNumber. `scope` is an extra
+// customer filter (category, status, ...) applied to both lookups.
+const searchCustomers = async (q, scope = {}, limit = 20) => {
+  const term = q.trim();
+  const digits = phoneSearchDigits(term);
+
+  // customer id -> service numbers that prefix-matched
+  const serviceNumbers = new Map();
+  if (term.length >= MIN_PREFIX_LENGTH) {
+    const applications = await ServiceApplication
+      .find({ serviceNumber: new RegExp(`^${escapeRegex(term)}`, 'i') })
+      .select('customer serviceNumber')
+      .limit(limit * 5)
+      .lean();
+    applications.forEach(({ customer, serviceNumber }) => {
+      const key = String(customer);
+      serviceNumbers.set(key, [...(serviceNumbers.get(key) || []), serviceNumber]);
+    });
+  }
+
+  // Encrypted numbers (see utils/fieldEncryption.js) have no prefix to match,
+  // only the whole number. With encryption on, prefixes are not tried, so that
+  // records not yet encrypted do not match where the rest would not.
+  const prefixConditions = [];
+  if (digits.length >= MIN_PREFIX_LENGTH && !isEncryptionEnabled()) {
+    prefixConditions.push({ phone: phonePrefixPattern(digits) }, { 'contacts.number': phonePrefixPattern(digits) });
+  }
+  const phone = normalizePhone(term);
+  if (phone) {
+    prefixConditions.push({ phone }, { 'contacts.number': phone });
+  }
+  if (serviceNumbers.size) {
+    prefixConditions.push({ _id: { $in: [...serviceNumbers.keys()] } });
+  }
+
+  const [textMatches, prefixMatches] = await Promise.all([
+    Customer.find(
+      { ...scope, $text: { $search: term } },
+      { score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit),
+    prefixConditions.length
+      ? Customer.find({ ...scope, $or: prefixConditions }).limit(limit)
+      : []
+  ]);
+
+  const results = new Map();
+
+  prefixMatches.forEach(customer => {
+    const numbers = [customer.phone, ...(customer.contacts || []).map(contact => contact.number)];
+    const exact = numbers.some(number => number === digits || number === `+${COUNTRY_CODE}${digits}`) ||
+      (serviceNumbers.get(customer.id) || []).some(number => number.toLowerCase() === term.toLowerCase());
+    results.set(customer.id, {
+      customer,
+      score: exact ? EXACT_MATCH_SCORE : PREFIX_MATCH_SCORE
+    });
+  });
+
+  textMatches.forEach(customer => {
+    const textScore = customer.get('score') || 0;
+    const existing = results.get(customer.id);
+    if (existing) {
+      existing.score += textScore;
+    } else {
+      results.set(customer.id, { customer, score: textScore });
+    }
+  });
+
+  return [...results.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ customer, score }) => {
+      const json = customer.toJSON();
+      delete json.score;
+      const { matchedFields, highlights } = buildHighlights(customer, term, serviceNumbers.get(customer.id));
+      // Highlights would show masked values (see utils/piiMasking.js) in full
+      (json.maskedFields || []).forEach(field => delete highlights[field.split('.')[0]]);
+      return {
+        ...json,
+        score: Math.round(score * 1000) / 1000,
+        matchedFields,
+        highlights
+      };
+    });
+};
+
+// Customers with a number, as primary phone or any other contact. Each comes
+// with the contacts that matched. Resolves to null for a number that is not a
+// valid Indian mobile number.
+const findCustomersByPhone = async (value, scope = {}) => {
+  const phone = normalizePhone(value);
+  if (!phone) return null;
+  const national = phone.slice(COUNTRY_CODE.length + 1);
+
+  const customers = await Customer.find({
+    ...scope,
+    $or: [{ phone }, { 'contacts.number': phone }, { phone: national }]
+  })
+    .select('name phone email city status contacts')
+    .limit(50);
+
+  // Matched contacts are taken from the JSON, which is masked where needed
+  return customers.map(customer => {
+    const json = customer.toJSON();
+    const matched = new Set(customer.contacts.filter(contact => contact.number === phone).map(contact => contact.id));
+    return {
+      ...json,
+      matchedContacts: customer.contacts.length
+        ? json.contacts.filter(contact => matched.has(String(contact._id)))
+        : [{ type: 'primary', number: json.phone }]
+    };
+  });
+};
+
+export { searchCustomers, buildHighlights, findCustomersByPhone };
@@ -0,0 +1,217 @@
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+import CustomerNote from '../models/CustomerNote.js';
+import ServiceApplication from '../models/ServiceApplication.js';
+import Payment from '../models/Payment.js';
+import Document from '../models/Document.js';
+import RenewalReminder from '../models/RenewalReminder.js';
+import MessageLog from '../models/MessageLog.js';
+import AuditLog from '../models/AuditLog.js';
+import User from '../models/User.js';
+import { QueryError, parseDate, parseList } from './pagination.js';
+import { maskValue, shouldMask } from './piiMasking.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Each source reads at most `limit` of its own entries before `before`,
+// newest first, and turns them into timeline entries:
+//   { type, event, at, actor, summary, data }
+// `user` is who is asking; the audit log behind customer status changes is
+// for administrators only, as at GET api/audit.
+// `actor` is a user ID here; timeline() swaps in { _id, name }.
+const SOURCES = {
+  note: async (customer, before, limit) => {
+    const notes = await CustomerNote.find({ customer, createdAt: { $lt: before } })
+      .select('parent body author mentions pinned editedAt createdAt')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    return notes.map(note => ({
+      type: 'note',
+      event: note.parent ? 'reply' : 'note',
+      at: note.createdAt,
+      actor: note.author,
+      summary: note.body,
+      data: note
+    }));
+  },
+
+  status: async (customer, before, limit, user) => {
+    const [changes, customerChanges] = await Promise.all([
+      ServiceApplication.aggregate([
+        { $match: { customer: new mongoose.Types.ObjectId(customer) } },
+        { $unwind: '$statusHistory' },
+        { $match: { 'statusHistory.changedAt': { $lt: before } } },
+        { $sort: { 'statusHistory.changedAt': -1 } },
+        { $limit: limit },
+        { $project: { serviceNumber: 1, serviceCategoryName: 1, change: '$statusHistory' } }
+      ]),
+      user?.role === 'admin'
+        ? AuditLog.find({
+          entity: Customer.modelName,
+          entityId: customer,
+          'changes.field': 'status',
+          createdAt: { $lt: before }
+        })
+          .sort({ createdAt: -1 })
+          .limit(limit)
+          .lean()
+        : []
+    ]);
+
+    return [
+      ...changes.map(({ _id, serviceNumber, serviceCategoryName, change }) => ({
+        type: 'status',
+        event: 'application-status',
+        at: change.changedAt,
+        actor: change.changedBy,
+        summary: change.from
+          ? `${serviceCategoryName}: ${change.from} → ${change.to}`
+          : `${serviceCategoryName}: application opened as ${change.to}`,
+        data: { application: _id, serviceNumber, serviceCategoryName, ...change }
+      })),
+      ...customerChanges.map(log => {
+        const { before: from, after: to } = log.changes.find(change => change.field === 'status');
+        return {
+          type: 'status',
+          event: 'customer-status',
+          at: log.createdAt,
+          actor: log.actor,
+          summary: from ? `Customer status: ${from} → ${to}` : `Customer added as ${to}`,
+          data: { from: from ?? null, to }
+        };
+      })
+    ];
+  },
+
+  payment: async (customer, before, limit) => {
+    const [received, voided] = await Promise.all([
+      Payment.find({ customer, receivedAt: { $lt: before } })
+        .select('application amount mode receiptNumber referenceNumber receivedAt collectedBy status')
+        .sort({ receivedAt: -1 })
+        .limit(limit)
+        .lean(),
+      Payment.find({ customer, status: 'voided', voidedAt: { $lt: before } })
+        .select('application amount receiptNumber voidedAt voidedBy voidReason')
+        .sort({ voidedAt: -1 })
+        .limit(limit)
+        .lean()
+    ]);
+    return [
+      ...received.map(payment => ({
+        type: 'payment',
+        event: 'payment',
+        at: payment.receivedAt,
+        actor: payment.collectedBy,
+        summary: `₹${payment.amount} received by ${payment.mode}${payment.receiptNumber ? ` (${payment.receiptNumber})` : ''}`,
+        data: payment
+      })),
+      ...voided.map(payment => ({
+        type: 'payment',
+        event: 'payment-voided',
+        at: payment.voidedAt,
+        actor: payment.voidedBy,
+        summary: `Payment ${payment.receiptNumber || ''} of ₹${payment.amount} voided: ${payment.voidReason || ''}`.replace(/\s+/g, ' ').trim(),
+        data: payment
+      }))
+    ];
+  },
+
+  // The number a message went to is masked like the customer's own
+  message: async (customer, before, limit) => {
+    const [reminders, messages] = await Promise.all([
+      RenewalReminder.find({ customer, status: { $ne: 'queued' }, createdAt: { $lt: before } })
+        .select('application renewalDate window channel status subject to messageId error sentAt createdAt')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean(),
+      MessageLog.find({ customer, sentAt: { $lt: before } })
+        .select('purpose channel status subject to messageId error segment template sentBy sentAt')
+        .sort({ sentAt: -1 })
+        .limit(limit)
+        .lean()
+    ]);
+    if (shouldMask()) {
+      [...reminders, ...messages].forEach(message => {
+        if (message.to?.phone) message.to.phone = maskValue(message.to.phone);
+      });
+    }
+    return [
+      ...reminders.map(reminder => ({
+        type: 'message',
+        event: 'renewal-reminder',
+        at: reminder.createdAt,
+        actor: null,
+        summary: `Renewal reminder ${reminder.status === 'sent' ? 'sent' : 'failed'} by ${reminder.channel}: ${reminder.subject || ''}`.trim(),
+        data: reminder
+      })),
+      ...messages.map(message => ({
+        type: 'message',
+        event: message.purpose,
+        at: message.sentAt,
+        actor: message.sentBy,
+        summary: `Message ${message.status === 'sent' ? 'sent' : 'failed'} by ${message.channel}: ${message.subject || ''}`.trim(),
+        data: message
+      }))
+    ];
+  },
+
+  document: async (customer, before, limit) => {
+    const documents = await Document.find({ customer, createdAt: { $lt: before } })
+      .select('application documentType originalName mimeType size uploadedBy createdAt')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    return documents.map(document => ({
+      type: 'document',
+      event: 'document-upload',
+      at: document.createdAt,
+      actor: document.uploadedBy,
+      summary: `${document.documentType} uploaded: ${document.originalName}`,
+      data: document
+    }));
+  }
+};
+
+const TIMELINE_TYPES = Object.keys(SOURCES);
+
+// A customer's activity, newest first: notes, customer and application status
+// changes, payments, messages sent and document uploads. Customer status
+// changes come from the audit log and are left out unless `user` is an admin.
+// `types` limits it to some of TIMELINE_TYPES; `before` (a date, or the
+// previous page's nextBefore) and `limit` page through it.
+// Returns { data, nextBefore }.
+const customerTimeline = async (customerId, query = {}, user) => {
+  const types = parseList(query.types);
+  const unknown = types.filter(type => !TIMELINE_TYPES.includes(type));
+  if (unknown.length) {
+    throw new QueryError(`Unknown timeline type(s): ${unknown.join(', ')}. Allowed: ${TIMELINE_TYPES.join(', ')}`);
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new QueryError(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+  }
+  const before = query.before ? parseDate(query.before, 'before') : new Date(Date.now() + 1);
+
+  const entries = (await Promise.all((types.length ? types : TIMELINE_TYPES)
+    .map(type => SOURCES[type](customerId, before, limit, user))))
+    .flat()
+    .filter(entry => entry.at)
+    .sort((a, b) => b.at - a.at)
+    .slice(0, limit);
+
+  const actorIds = [...new Set(entries.map(entry => entry.actor).filter(Boolean).map(String))];
+  const actors = new Map((await User.find({ _id: { $in: actorIds } }).select('name').lean())
+    .map(user => [String(user._id), user]));
+
+  return {
+    data: entries.map(entry => ({ ...entry, actor: entry.actor ? actors.get(String(entry.actor)) || { _id: entry.actor } : null })),
+    // Entries sharing the last entry's timestamp to the millisecond can fall
+    // between pages
+    nextBefore: entries.length === limit ? entries[entries.length - 1].at : null
+  };
+};
+
+export { TIMELINE_TYPES, customerTimeline };
@@ -0,0 +1,121 @@
+import Customer from '../models/Customer.js';
+import ServiceApplication from '../models/ServiceApplication.js';
+
+// Fields that belong to a service application rather than the customer. They
+// used to live on Customer, so requests may still send them at the top level.
+const APPLICATION_FIELDS = [
+  'serviceCategory',
+  'serviceCategoryName',
+  'serviceCategoryUrl',
+  'serviceSubCategory',
+  'serviceSubCategoryName',
+  'serviceNumber',
+  'fees',
+  'gstStatus',
+  'deliveryDate',
+  'nextRenewalDate',
+  'deliveryStatus'
+];
+
+// Normalise incoming application data the way POST /api/customers always has:
+// serviceCategoryUrl is trimmed, dropped when empty and given a protocol, and
+// an empty subcategory is stored as null
+const prepareApplicationData = (input) => {
+  const applicationData = { ...input };
+
+  if (applicationData.serviceCategoryUrl) {
+    applicationData.serviceCategoryUrl = applicationData.serviceCategoryUrl.trim();
+    if (applicationData.serviceCategoryUrl === '') {
+      delete applicationData.serviceCategoryUrl;
+    } else if (!applicationData.serviceCategoryUrl.startsWith('http')) {
+      applicationData.serviceCategoryUrl = `https://${applicationData.serviceCategoryUrl}`;
+    }
+  }
+
+  if (applicationData.serviceSubCategory === '') {
+    applicationData.serviceSubCategory = null;
+    applicationData.serviceSubCategoryName = null;
+  }
+
+  return applicationData;
+};
+
+// Split a customer request body into customer fields, the legacy top-level
+// service fields (if any) and an explicit `applications` array
+const splitCustomerPayload = (body) => {
+  const customerData = {};
+  const legacyApplication = {};
+
+  Object.entries(body || {}).forEach(([key, value]) => {
+    if (key === 'applications' || key === 'applicationId') return;
+    // statusReason accompanies a deliveryStatus change (see deliveryWorkflow.js)
+    if (APPLICATION_FIELDS.includes(key) || key === 'statusReason') {
+      legacyApplication[key] = value;
+    } else {
+      customerData[key] = value;
+    }
+  });
+
+  return {
+    customerData,
+    legacyApplication: Object.keys(legacyApplication).length ? legacyApplication : null,
+    applications: Array.isArray(body?.applications) ? body.applications : []
+  };
+};
+
+// Flatten a Mongoose ValidationError into { field: message }
+const validationDetails = (validationError, prefix = '') => {
+  const errors = {};
+  Object.keys(validationError.errors).forEach(key => {
+    errors[`${prefix}${key}`] = validationError.errors[key].message;
+  });
+  return errors;
+};
+
+const validateDocument = async (doc, prefix) => {
+  try {
+    await doc.validate();
+    return {};
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return validationDetails(error, prefix);
+  }
+};
+
+// Build an unsaved Customer plus its ServiceApplications from a request body
+// and run the schema validators on all of them. Errors on legacy top-level
+// service fields keep their plain field names, errors in the `applications`
+// array are keyed as "applications.<index>.<field>". Resolves to { customer,
+// applications, errors } where errors is null when everything is valid.
+const buildValidatedCustomer = async (input) => {
+  const { customerData, legacyApplication, applications } = splitCustomerPayload(input);
+  const customer = new Customer(customerData);
+
+  const entries = applications.map((data, index) => ({ data, prefix: `applications.${index}.` }));
+  if (legacyApplication) entries.unshift({ data: legacyApplication, prefix: '' });
+
+  const applicationDocs = entries.map(({ data }) => new ServiceApplication({
+    ...prepareApplicationData(data),
+    customer: customer._id
+  }));
+
+  const results = await Promise.all([
+    validateDocument(customer, ''),
+    ...applicationDocs.map((doc, index) => validateDocument(doc, entries[index].prefix))
+  ]);
+  const errors = Object.assign({}, ...results);
+
+  return {
+    customer,
+    applications: applicationDocs,
+    errors: Object.keys(errors).length ? errors : null
+  };
+};
+
+export {
+  APPLICATION_FIELDS,
+  prepareApplicationData,
+  splitCustomerPayload,
+  validationDetails,
+  buildValidatedCustomer
+};
@@ -0,0 +1,242 @@
+import Customer from '../models/Customer.js';
+import ServiceApplication from '../models/ServiceApplication.js';
+import Payment from '../models/Payment.js';
+import Invoice from '../models/Invoice.js';
+import { DELIVERY_WORKFLOW } from './deliveryWorkflow.js';
+import { QueryError, parseDateRange } from './pagination.js';
+import { maskCustomer } from './piiMasking.js';
+
+// Days are counted in the shop's time zone
+const TIME_ZONE = process.env.DASHBOARD_TIME_ZONE || 'Asia/Kolkata';
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const LIST_LIMIT = 10;
+
+// Applications that no longer need work from the shop: final statuses, and
+// rejected ones, which wait on the customer
+const CLOSED_STATUSES = Object.entries(DELIVERY_WORKFLOW.transitions)
+  .filter(([status, next]) => !next.length || status === 'Rejected')
+  .map(([status]) => status);
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const parsePositiveInt = (value, param, fallback, max) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw new QueryError(`${param} must be a whole number from 1 to ${max}`);
+  }
+  return number;
+};
+
+// The requested range, defaulting to the last 30 days up to now
+const resolveRange = (query, now) => {
+  const range = parseDateRange(query.from, query.to, 'from', 'to') || {};
+  const to = range.$lte || now;
+  const from = range.$gte || new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY);
+  if ((to - from) / DAY > MAX_RANGE_DAYS) {
+    throw new QueryError(`The dashboard covers at most ${MAX_RANGE_DAYS} days`);
+  }
+  return { $gte: from, $lte: to };
+};
+
+// { key: count } from [{ _id: key, count }]
+const toCounts = (rows) => Object.fromEntries(rows.map(({ _id, count }) => [_id ?? 'Unknown', count]));
+
+const dayKey = (field) => ({ $dateToString: { format: '%Y-%m-%d', date: `$${field}`, timezone: TIME_ZONE } });
+
+// Every day of the range as YYYY-MM-DD in the dashboard time zone
+const daysOf = ({ $gte: from, $lte: to }) => {
+  const format = (time) => new Date(time).toLocaleDateString('en-CA', { timeZone: TIME_ZONE });
+  const last = format(to);
+  const days = [];
+  // Stepping 24 hours can land on the same day twice across a DST change
+  for (let time = from.getTime(); format(time) <= last; time += DAY) {
+    if (days[days.length - 1] !== format(time)) days.push(format(time));
+  }
+  return days;
+};
+
+const countsByStatus = (model, match, field) => model.aggregate([
+  { $match: match },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+]);
+
+// Top categories or subcategories by applications filed in the range
+const topServices = (range, idField, nameField, limit) => ServiceApplication.aggregate([
+  { $match: { createdAt: range, [idField]: { $ne: null } } },
+  {
+    $group: {
+      _id: `$${idField}`,
+      name: { $first: `$${nameField}` },
+      applications: { $sum: 1 },
+      fees: { $sum: { $ifNull: ['$fees', 0] } }
+    }
+  },
+  { $sort: { applications: -1, fees: -1 } },
+  { $limit: limit },
+  { $project: { _id: 0, id: '$_id', name: 1, applications: 1, fees: 1 } }
+]);
+
+// Applications matching `match`, with a count and the first few (with the
+// customer's name and phone, decrypted and masked here as the lookup bypasses
+// the model), in `sort` order
+const applicationList = (match, sort, limit) => ServiceApplication.aggregate([
+  { $match: match },
+  {
+    $facet: {
+      total: [{ $count: 'count' }],
+      data: [
+        { $sort: sort },
+        { $limit: limit },
+        {
+          $lookup: {
+            from: Customer.collection.name,
+            localField: 'customer',
+            foreignField: '_id',
+            as: 'customer'
+          }
+        },
+        { $unwind: '$customer' },
+        {
+          $project: {
+            customer: { _id: 1, name: 1, phone: 1, encrypted: { phone: 1 } },
+            serviceCategoryName: 1,
+            serviceSubCategoryName: 1,
+            serviceNumber: 1,
+            deliveryStatus: 1,
+            deliveryDate: 1,
+            nextRenewalDate: 1
+          }
+        }
+      ]
+    }
+  }
+]).then(([result]) => ({
+  total: result.total[0]?.count || 0,
+  data: result.data.map(row => ({ ...row, customer: maskCustomer(Customer.decryptRecord(row.customer)) }))
+}));
+
+// Per-day sums or counts of one collection, keyed by day
+const dailySeries = (model, match, dateField, value) => model.aggregate([
+  { $match: match },
+  { $group: { _id: dayKey(dateField), value: value ? { $sum: value } : { $sum: 1 } } }
+]).then(rows => new Map(rows.map(({ _id, value: total }) => [_id, total])));
+
+// Dashboard figures for a date range (`from`, `to`; default the last 30
+// days). Activity counts, revenue, GST and trends cover the range; overdue
+// deliveries and upcoming renewals are as of now.
+// `top` limits the category lists, `renewalDays` sets how far ahead
+// renewals are looked for.
+const buildDashboard = async (query = {}, now = new Date()) => {
+  const range = resolveRange(query, now);
+  const top = parsePositiveInt(query.top, 'top', 5, 50);
+  const renewalDays = parsePositiveInt(query.renewalDays, 'renewalDays', 30, 365);
+  const renewalUntil = new Date(now.getTime() + renewalDays * DAY);
+
+  // Credit notes count against the period they are issued in
+  const signed = (field) => ({ $cond: [{ $eq: ['$kind', 'credit_note'] }, { $multiply: [-1, `$${field}`] }, `$${field}`] });
+
+  const [
+    customerStatus,
+    deliveryStatus,
+    payments,
+    invoices,
+    topCategories,
+    topSubCategories,
+    overdue,
+    renewals,
+    customerTrend,
+    applicationTrend,
+    paymentTrend,
+    invoiceTrend
+  ] = await Promise.all([
+    countsByStatus(Customer, { createdAt: range }, 'status'),
+    countsByStatus(ServiceApplication, { createdAt: range }, 'deliveryStatus'),
+    Payment.aggregate([
+      { $match: { status: 'active', receivedAt: range } },
+      {
+        $facet: {
+          total: [{ $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } }],
+          byMode: [{ $group: { _id: '$mode', amount: { $sum: '$amount' }, count: { $sum: 1 } } }, { $sort: { amount: -1 } }]
+        }
+      }
+    ]),
+    Invoice.aggregate([
+      { $match: { issuedAt: range } },
+      {
+        $group: {
+          _id: null,
+          invoices: { $sum: { $cond: [{ $eq: ['$kind', 'invoice'] }, 1, 0] } },
+          creditNotes: { $sum: { $cond: [{ $eq: ['$kind', 'credit_note'] }, 1, 0] } },
+          taxableValue: { $sum: signed('taxableValue') },
+          cgst: { $sum: signed('cgst') },
+          sgst: { $sum: signed('sgst') },
+          igst: { $sum: signed('igst') },
+          invoiced: { $sum: signed('grandTotal') }
+        }
+      }
+    ]),
+    topServices(range, 'serviceCategory', 'serviceCategoryName', top),
+    topServices(range, 'serviceSubCategory', 'serviceSubCategoryName', top),
+    applicationList(
+      { deliveryDate: { $lt: now }, deliveryStatus: { $nin: CLOSED_STATUSES } },
+      { deliveryDate: 1, _id: 1 },
+      LIST_LIMIT
+    ),
+    applicationList(
+      { nextRenewalDate: { $gte: now, $lte: renewalUntil } },
+      { nextRenewalDate: 1, _id: 1 },
+      LIST_LIMIT
+    ),
+    dailySeries(Customer, { createdAt: range }, 'createdAt'),
+    dailySeries(ServiceApplication, { createdAt: range }, 'createdAt'),
+    dailySeries(Payment, { status: 'active', receivedAt: range }, 'receivedAt', '$amount'),
+    dailySeries(Invoice, { issuedAt: range }, 'issuedAt', signed('grandTotal'))
+  ]);
+
+  const paid = payments[0].total[0] || { amount: 0, count: 0 };
+  const tax = invoices[0] || { invoices: 0, creditNotes: 0, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, invoiced: 0 };
+
+  return {
+    range: { from: range.$gte, to: range.$lte, timeZone: TIME_ZONE },
+    customers: {
+      new: customerStatus.reduce((sum, { count }) => sum + count, 0),
+      byStatus: toCounts(customerStatus)
+    },
+    applications: {
+      new: deliveryStatus.reduce((sum, { count }) => sum + count, 0),
+      byDeliveryStatus: toCounts(deliveryStatus)
+    },
+    revenue: {
+      collected: round(paid.amount),
+      payments: paid.count,
+      byMode: payments[0].byMode.map(({ _id, amount, count }) => ({ mode: _id, amount: round(amount), count })),
+      invoiced: round(tax.invoiced),
+      invoices: tax.invoices,
+      creditNotes: tax.creditNotes
+    },
+    gst: {
+      taxableValue: round(tax.taxableValue),
+      cgst: round(tax.cgst),
+      sgst: round(tax.sgst),
+      igst: round(tax.igst),
+      total: round(tax.cgst + tax.sgst + tax.igst)
+    },
+    topCategories,
+    topSubCategories,
+    overdueDeliveries: overdue,
+    upcomingRenewals: { days: renewalDays, ...renewals },
+    trends: daysOf(range).map(day => ({
+      date: day,
+      customers: customerTrend.get(day) || 0,
+      applications: applicationTrend.get(day) || 0,
+      collected: round(paymentTrend.get(day) || 0),
+      invoiced: round(invoiceTrend.get(day) || 0)
+    }))
+  };
+};
+
+export { CLOSED_STATUSES, buildDashboard };
@@ -0,0 +1,484 @@
+import mongoose from 'mongoose';
+import archiver from 'archiver';
+import { finished } from 'stream/promises';
+import Customer from '../models/Customer.js';
+import ServiceApplication from '../models/ServiceApplication.js';
+import Payment from '../models/Payment.js';
+import Invoice from '../models/Invoice.js';
+import Document from '../models/Document.js';
+import CustomerNote from '../models/CustomerNote.js';
+import CustomerMerge from '../models/CustomerMerge.js';
+import Household from '../models/Household.js';
+import RenewalReminder from '../models/RenewalReminder.js';
+import MessageLog from '../models/MessageLog.js';
+import TrackingOtp from '../models/TrackingOtp.js';
+import AuditLog from '../models/AuditLog.js';
+import DataRequest, { REQUEST_TYPES, REQUEST_STATUSES } from '../models/DataRequest.js';
+import { getStorage } from './documentStorage.js';
+import { openMergeRecord } from './customerMerge.js';
+import { phoneHash } from './tracking.js';
+import { currentActor } from './requestContext.js';
+import { QueryError, paginate, parseDate, parseDateRange } from './pagination.js';
+
+// Days the business has to answer a request, counted from when it was received
+const DATA_REQUEST_DUE_DAYS = Number(process.env.DATA_REQUEST_DUE_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXPORT_FORMATS = ['json', 'zip'];
+
+// Stands in for erased values in records that are kept, such as audit entries
+const ERASED = '[erased]';
+const ERASED_NAME = 'Erased customer';
+
+// Customer fields that identify the person. `state` is kept: it is the place
+// of supply on the invoices that have to be retained.
+const PERSONAL_FIELDS = [
+  'name', 'phone', 'contacts', 'email', 'dateOfBirth', 'address',
+  'city', 'district', 'zipCode', 'gstNumber', 'notes', 'tags'
+];
+
+// Raised for data requests that cannot be taken or carried out; routes answer
+// with `status`
+class DataRequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DataRequestError';
+    this.status = status;
+  }
+}
+
+const checkId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new DataRequestError(`Invalid ${label} ID`);
+  }
+};
+
+const findRequest = async (id) => {
+  checkId(id, 'data request');
+  const request = await DataRequest.findById(id);
+  if (!request) {
+    throw new DataRequestError('Data request not found', 404);
+  }
+  return request;
+};
+
+// Trashed customers still have data to hand over or erase
+const findCustomer = (id) => Customer.findById(id).setOptions({ withDeleted: true }).lean();
+
+const checkPending = (request, type) => {
+  if (request.type !== type) {
+    throw new DataRequestError(`This is an ${request.type} request, not an ${type} request`, 409);
+  }
+  if (request.status !== 'pending') {
+    throw new DataRequestError(`This request is already ${request.status}`, 409);
+  }
+};
+
+// Log a request as received. It is due DATA_REQUEST_DUE_DAYS after
+// `receivedAt` (default now). A customer has at most one open request of each
+// type.
+const createDataRequest = async ({ customer: customerId, type, receivedAt, notes }, user) => {
+  checkId(customerId, 'customer');
+  if (!REQUEST_TYPES.includes(type)) {
+    throw new DataRequestError(`Request type must be one of: ${REQUEST_TYPES.join(', ')}`);
+  }
+  let received = new Date();
+  if (receivedAt) {
+    try {
+      received = parseDate(receivedAt, 'receivedAt');
+    } catch (error) {
+      throw new DataRequestError(error.message);
+    }
+    if (received > new Date()) {
+      throw new DataRequestError('receivedAt cannot be in the future');
+    }
+  }
+
+  const customer = await findCustomer(customerId);
+  if (!customer) {
+    throw new DataRequestError('Customer not found', 404);
+  }
+  if (customer.erasedAt) {
+    throw new DataRequestError("This customer's personal data has already been erased", 409);
+  }
+  const open = await DataRequest.exists({ customer: customer._id, type, status: 'pending' });
+  if (open) {
+    throw new DataRequestError(`This customer already has a pending ${type} request`, 409);
+  }
+
+  return DataRequest.create({
+    customer: customer._id,
+    type,
+    receivedAt: received,
+    dueAt: new Date(received.getTime() + DATA_REQUEST_DUE_DAYS * DAY_MS),
+    notes,
+    createdBy: user?._id
+  });
+};
+
+// Requests by `customer`, `type`, `status` and `receivedFrom`/`receivedTo`;
+// `overdue=true` lists pending requests past their due date
+const listDataRequests = async (query) => {
+  const filter = {};
+  if (query.customer) {
+    if (!mongoose.Types.ObjectId.isValid(query.customer)) {
+      throw new QueryError('Invalid customer ID');
+    }
+    filter.customer = new mongoose.Types.ObjectId(query.customer);
+  }
+  if (query.type) {
+    if (!REQUEST_TYPES.includes(query.type)) {
+      throw new QueryError(`type must be one of: ${REQUEST_TYPES.join(', ')}`);
+    }
+    filter.type = query.type;
+  }
+  if (query.status) {
+    if (!REQUEST_STATUSES.includes(query.status)) {
+      throw new QueryError(`status must be one of: ${REQUEST_STATUSES.join(', ')}`);
+    }
+    filter.status = query.status;
+  }
+  const received = parseDateRange(query.receivedFrom, query.receivedTo, 'receivedFrom', 'receivedTo');
+  if (received) filter.receivedAt = received;
+  if (query.overdue === 'true') {
+    filter.status = 'pending';
+    filter.dueAt = { $lt: new Date() };
+  }
+
+  return paginate(DataRequest, filter, query, {
+    sortFields: ['receivedAt', 'dueAt', 'createdAt'],
+    defaultSort: 'dueAt',
+    populate: [
+      { path: 'customer', select: 'name erasedAt', options: { withDeleted: true } },
+      { path: 'completedBy', select: 'name email' }
+    ]
+  });
+};
+
+const getDataRequest = async (id) => {
+  checkId(id, 'data request');
+  const request = await DataRequest.findById(id)
+    .populate({ path: 'customer', select: 'name erasedAt', options: { withDeleted: true } })
+    .populate('createdBy completedBy', 'name email');
+  if (!request) {
+    throw new DataRequestError('Data request not found', 404);
+  }
+  return request;
+};
+
+// Turn down a pending request, e.g. when the requester's identity could not
+// be confirmed
+const rejectDataRequest = async (id, { reason }, user) => {
+  const request = await findRequest(id);
+  checkPending(request, request.type);
+  const why = String(reason || '').trim();
+  if (!why) {
+    throw new DataRequestError('Give the reason the request is rejected');
+  }
+  request.set({ status: 'rejected', rejectedReason: why, completedAt: new Date(), completedBy: user?._id });
+  await request.save();
+  return request;
+};
+
+// Everything held about a customer, trashed records included, as plain
+// objects with encrypted fields decrypted and nothing masked. Sections are
+// the files of the ZIP export.
+const compileCustomerData = async (customerId) => {
+  const customer = await findCustomer(customerId);
+  if (!customer) {
+    throw new DataRequestError('Customer not found', 404);
+  }
+  const byCustomer = { customer: customer._id };
+  const all = (model, filter = byCustomer) => model.find(filter).setOptions({ withDeleted: true }).sort({ createdAt: 1 }).lean();
+
+  const [
+    applications, payments, invoices, documents, notes,
+    renewalReminders, messages, households, merges, dataRequests
+  ] = await Promise.all([
+    all(ServiceApplication),
+    all(Payment),
+    all(Invoice),
+    all(Document),
+    all(CustomerNote),
+    all(RenewalReminder),
+    MessageLog.find(byCustomer).sort({ sentAt: 1 }).lean(),
+    all(Household, { 'members.customer': customer._id }),
+    all(CustomerMerge, { survivor: customer._id }),
+    all(DataRequest)
+  ]);
+
+  const audited = [
+    [Customer, [customer]],
+    [ServiceApplication, applications],
+    [Payment, payments],
+    [Invoice, invoices],
+    [Document, documents],
+    [CustomerNote, notes],
+    [DataRequest, dataRequests]
+  ].filter(([, records]) => records.length);
+  const auditLog = await AuditLog.find({
+    $or: audited.map(([model, records]) => ({
+      entity: model.modelName,
+      entityId: { $in: records.map(record => record._id) }
+    }))
+  }).sort({ createdAt: 1 }).lean();
+
+  return {
+    customer,
+    applications,
+    payments,
+    invoices,
+    documents,
+    notes,
+    renewalReminders,
+    messages,
+    // Other members are someone else's data; only the customer's own place is given
+    households: households.map(({ _id, name, members }) => ({
+      _id,
+      name,
+      relationship: members.find(member => member.customer.equals(customer._id)).relationship
+    })),
+    merges: merges.map(openMergeRecord),
+    dataRequests,
+    auditLog
+  };
+};
+
+// Where each document's file goes in the ZIP export
+const documentEntryName = (document) =>
+  `documents/${document._id}-${document.originalName.replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')}`;
+
+// Storage details are internal, as in the documents API
+const documentMetadata = ({ storage, storageKey, ...document }) => ({
+  ...document,
+  ...(document.originalName && { file: documentEntryName(document) })
+});
+
+// Resolves once archiver has taken in the entry called `name`, so files are
+// read from storage one at a time rather than all opened at once
+const appendEntry = (archive, source, name) => new Promise((resolve, reject) => {
+  const onEntry = (entry) => {
+    if (entry.name !== name) return;
+    archive.off('entry', onEntry).off('error', reject);
+    resolve();
+  };
+  archive.on('entry', onEntry).once('error', reject);
+  archive.append(source, { name });
+});
+
+const writeJson = async (res, bundle) => {
+  res.end(`${JSON.stringify(bundle, null, 2)}\n`);
+  await finished(res);
+};
+
+// One JSON file per section, plus the files behind the customer's documents.
+// Files missing from storage are listed in manifest.json instead.
+const writeZip = async (res, bundle, sections) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.pipe(res);
+
+  const missing = [];
+  for (const document of sections.documents) {
+    let stream;
+    try {
+      stream = await getStorage(document.storage).get(document.storageKey);
+    } catch (error) {
+      console.error(`Error reading document ${document._id} from ${document.storage} storage:`, error);
+      missing.push(document._id);
+      continue;
+    }
+    await appendEntry(archive, stream, documentEntryName(document));
+  }
+
+  const { generatedAt, request, ...data } = bundle;
+  archive.append(`${JSON.stringify({ generatedAt, request, files: Object.keys(data), missingFiles: missing }, null, 2)}\n`, {
+    name: 'manifest.json'
+  });
+  Object.entries(data).forEach(([section, records]) => {
+    archive.append(`${JSON.stringify(records, null, 2)}\n`, { name: `${section}.json` });
+  });
+
+  await archive.finalize();
+  await finished(res);
+};
+
+// Answer an access request: stream everything held about the customer to
+// `res` as one JSON file or a ZIP, and mark the request completed once it has
+// been sent. A completed request can be downloaded again; it is compiled
+// afresh each time.
+const exportDataRequest = async (id, format, res, user) => {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new DataRequestError(`Unsupported export format "${format}". Use one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  const request = await findRequest(id);
+  if (request.type !== 'access') {
+    throw new DataRequestError(`This is an ${request.type} request, not an access request`, 409);
+  }
+  if (request.status === 'rejected') {
+    throw new DataRequestError('This request was rejected', 409);
+  }
+
+  const sections = await compileCustomerData(request.customer);
+  const bundle = {
+    generatedAt: new Date(),
+    request: request._id,
+    ...sections,
+    documents: sections.documents.map(documentMetadata)
+  };
+
+  const stamp = bundle.generatedAt.toISOString().slice(0, 16).replace(/[-:T]/g, '');
+  res.setHeader('Content-Type', format === 'zip' ? 'application/zip' : 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="customer-data-${request.customer}-${stamp}.${format}"`);
+  if (format === 'zip') {
+    await writeZip(res, bundle, sections);
+  } else {
+    await writeJson(res, bundle);
+  }
+
+  if (request.status === 'pending') {
+    const counts = Object.fromEntries(Object.entries(sections)
+      .filter(([, records]) => Array.isArray(records))
+      .map(([section, records]) => [section, records.length]));
+    request.set({ status: 'completed', completedAt: new Date(), completedBy: user?._id, result: { format, counts } });
+    await request.save();
+  }
+  return request;
+};
+
+// Overwrite the values of audit entries for `entity` records in `ids`. Only
+// `fields` are erased when given; null and empty values are left as they are.
+const eraseAuditValues = async (entity, ids, fields = null) => {
+  if (!ids.length) return 0;
+  let modified = 0;
+  for (const side of ['before', 'after']) {
+    const result = await AuditLog.updateMany(
+      { entity, entityId: { $in: ids } },
+      { $set: { [`changes.$[change].${side}`]: ERASED } },
+      { arrayFilters: [{ [`change.${side}`]: { $nin: [null, '', ERASED] }, ...(fields && { 'change.field': { $in: fields } }) }] }
+    );
+    modified += result.modifiedCount;
+  }
+  return modified;
+};
+
+// Answer an erasure request by anonymising the customer. What names or
+// reaches the person goes: their details on the customer record, documents
+// and their files, notes, messages sent, tracking codes, household membership,
+// merge snapshots, free-text notes on applications and payments, and the
+// values of all of that in the audit log. Invoices are kept as issued and
+// payments, applications and the customer's ID are kept with them: GST law
+// requires the records, and the anonymised customer holds them together.
+// `confirm` must be true. Every step can run again, so an erasure that failed
+// part-way is finished by retrying it.
+const eraseDataRequest = async (id, { confirm }, user) => {
+  const request = await findRequest(id);
+  checkPending(request, 'erasure');
+  if (confirm !== true && confirm !== 'true') {
+    throw new DataRequestError("Erasure cannot be undone; send confirm: true to erase this customer's personal data");
+  }
+  const customer = await findCustomer(request.customer);
+  if (!customer) {
+    throw new DataRequestError('Customer not found', 404);
+  }
+
+  // The same rule as removing a member by hand (see utils/households.js)
+  const household = await Household.findOne({ 'members.customer': customer._id });
+  const member = household?.members.find(existing => existing.customer.equals(customer._id));
+  if (member?.relationship === 'head' && household.members.length > 1) {
+    throw new DataRequestError(
+      `The customer heads the household "${household.name}"; make another member the head first`,
+      409
+    );
+  }
+
+  const byCustomer = { customer: customer._id };
+  const [documentIds, noteIds, applicationIds, paymentIds] = await Promise.all([
+    Document.distinct('_id', byCustomer).setOptions({ withDeleted: true }),
+    CustomerNote.distinct('_id', byCustomer).setOptions({ withDeleted: true }),
+    ServiceApplication.distinct('_id', byCustomer).setOptions({ withDeleted: true }),
+    Payment.distinct('_id', byCustomer)
+  ]);
+  const phones = [...new Set([customer.phone, ...(customer.contacts || []).map(contact => contact.number)])].filter(Boolean);
+
+  // Deleting documents also deletes their files (see models/Document.js)
+  const erased = {
+    documents: (await Document.deleteMany(byCustomer)).deletedCount,
+    notes: (await CustomerNote.deleteMany(byCustomer)).deletedCount,
+    renewalReminders: (await RenewalReminder.deleteMany(byCustomer)).deletedCount,
+    messages: (await MessageLog.deleteMany(byCustomer)).deletedCount,
+    trackingCodes: (await TrackingOtp.deleteMany({ phoneHash: { $in: phones.map(phoneHash) } })).deletedCount,
+    households: 0,
+    merges: (await CustomerMerge.updateMany({ survivor: customer._id }, {
+      $set: {
+        'merged.$[].snapshot': { erased: true },
+        'fieldChanges.$[].before': ERASED,
+        'fieldChanges.$[].after': ERASED
+      }
+    })).modifiedCount
+  };
+  if (member && household.members.length === 1) {
+    await household.deleteOne();
+    await eraseAuditValues(Household.modelName, [household._id]);
+    erased.households = 1;
+  } else if (member) {
+    household.members.pull(member);
+    await household.save();
+    erased.households = 1;
+  }
+  await ServiceApplication.updateMany(byCustomer, { $unset: { notes: '' } });
+  await Payment.updateMany(byCustomer, { $unset: { notes: '' } });
+
+  // Through the raw collection, so neither the audit trail nor field
+  // encryption copies the old values anywhere. The record is kept only to
+  // hold the customer's invoices, payments and applications together.
+  const erasedAt = customer.erasedAt || new Date();
+  await Customer.collection.updateOne({ _id: customer._id }, {
+    $set: { name: ERASED_NAME, status: 'Inactive', erasedAt, updatedAt: new Date() },
+    $unset: Object.fromEntries([...PERSONAL_FIELDS, 'encrypted', 'blindIndex']
+      .filter(field => field !== 'name')
+      .map(field => [field, '']))
+  });
+
+  erased.auditValues = (await Promise.all([
+    eraseAuditValues(Customer.modelName, [customer._id], PERSONAL_FIELDS),
+    eraseAuditValues(Document.modelName, documentIds),
+    eraseAuditValues(CustomerNote.modelName, noteIds),
+    eraseAuditValues(ServiceApplication.modelName, applicationIds, ['notes']),
+    eraseAuditValues(Payment.modelName, paymentIds, ['notes'])
+  ])).reduce((sum, count) => sum + count, 0);
+
+  const { ip, userAgent } = currentActor();
+  await AuditLog.create({
+    entity: Customer.modelName,
+    entityId: customer._id,
+    action: 'erase',
+    changes: PERSONAL_FIELDS.map(field => ({ field })),
+    reason: `Erasure request ${request._id}`,
+    actor: user?._id,
+    ip,
+    userAgent
+  });
+
+  const kept = {
+    invoices: await Invoice.countDocuments(byCustomer),
+    payments: paymentIds.length,
+    applications: applicationIds.length
+  };
+  request.set({ status: 'completed', completedAt: new Date(), completedBy: user?._id, result: { erased, kept } });
+  await request.save();
+  return request;
+};
+
+export {
+  DATA_REQUEST_DUE_DAYS,
+  EXPORT_FORMATS,
+  DataRequestError,
+  createDataRequest,
+  listDataRequests,
+  getDataRequest,
+  rejectDataRequest,
+  compileCustomerData,
+  exportDataRequest,
+  eraseDataRequest
+};
@@ -0,0 +1,103 @@
+import fs from 'fs';
+import { currentActor } from './requestContext.js';
+
+// Delivery status state machine for service applications.
+// `transitions` lists the statuses each status may move to; a status with no
+// outgoing transitions is final. Moving into a status listed in
+// `reasonRequired` needs a reason, which is kept in the history.
+// Deployments can replace this with a JSON file of the same shape named by
+// DELIVERY_WORKFLOW_FILE; it is read once at startup.
+const DEFAULT_WORKFLOW = {
+  initial: 'Pending',
+  transitions: {
+    'Pending': ['In Progress', 'Awaiting Documents', 'On Hold', 'Rejected'],
+    'In Progress': ['Completed', 'Awaiting Documents', 'On Hold', 'Rejected'],
+    'Awaiting Documents': ['Resubmitted', 'On Hold', 'Rejected'],
+    'Resubmitted': ['In Progress', 'Awaiting Documents', 'Rejected'],
+    'On Hold': ['Pending', 'In Progress', 'Rejected'],
+    'Completed': [],
+    // A rejected application can be filed again once the problem is fixed
+    'Rejected': ['Resubmitted']
+  },
+  reasonRequired: ['Rejected']
+};
+
+// Raised for a status change the workflow does not allow; routes answer with a 400
+class WorkflowError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.details = details;
+  }
+}
+
+const checkWorkflow = (workflow) => {
+  const statuses = Object.keys(workflow.transitions || {});
+  if (!statuses.length) {
+    throw new Error('Delivery workflow has no statuses');
+  }
+  if (!statuses.includes(workflow.initial)) {
+    throw new Error(`Delivery workflow initial status "${workflow.initial}" is not a known status`);
+  }
+  [...Object.values(workflow.transitions).flat(), ...(workflow.reasonRequired || [])].forEach(status => {
+    if (!statuses.includes(status)) {
+      throw new Error(`Delivery workflow refers to unknown status "${status}"`);
+    }
+  });
+  return { reasonRequired: [], ...workflow };
+};
+
+const loadWorkflow = () => {
+  const file = process.env.DELIVERY_WORKFLOW_FILE;
+  if (!file) return checkWorkflow(DEFAULT_WORKFLOW);
+  return checkWorkflow(JSON.parse(fs.readFileSync(file, 'utf8')));
+};
+
+const DELIVERY_WORKFLOW = loadWorkflow();
+const DELIVERY_STATUSES = Object.keys(DELIVERY_WORKFLOW.transitions);
+
+const allowedTransitions = (from) => DELIVERY_WORKFLOW.transitions[from] || [];
+
+// Apply a status change to an unsaved ServiceApplication document and record
+// it in statusHistory. A new application may start in any status (imports
+// carry finished work); afterwards only the configured transitions are allowed.
+const applyDeliveryStatus = (application, to, { reason, user } = {}) => {
+  const from = application.isNew ? null : application.deliveryStatus;
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : undefined;
+
+  if (!DELIVERY_STATUSES.includes(to)) {
+    throw new WorkflowError(`Unknown delivery status "${to}"`, { to, statuses: DELIVERY_STATUSES });
+  }
+  if (from === to) return application;
+
+  if (from !== null && !allowedTransitions(from).includes(to)) {
+    const allowed = allowedTransitions(from);
+    throw new WorkflowError(
+      `Cannot move delivery status from "${from}" to "${to}". ${allowed.length
+        ? `Allowed next statuses: ${allowed.join(', ')}`
+        : `"${from}" is a final status`}`,
+      { from, to, allowed }
+    );
+  }
+  if (DELIVERY_WORKFLOW.reasonRequired.includes(to) && !trimmedReason) {
+    throw new WorkflowError(`A reason is required to move an application to "${to}"`, { from, to });
+  }
+
+  application.deliveryStatus = to;
+  application.statusHistory.push({
+    from,
+    to,
+    reason: trimmedReason || undefined,
+    changedBy: user?._id || currentActor().user,
+    changedAt: new Date()
+  });
+  return application;
+};
+
+export {
+  DELIVERY_WORKFLOW,
+  DELIVERY_STATUSES,
+  WorkflowError,
+  allowedTransitions,
+  applyDeliveryStatus
+};
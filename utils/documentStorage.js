@@ -0,0 +1,130 @@
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3';
+
+// Where uploaded documents are kept. A storage backend is an object with
+//   put(key, buffer, { contentType }) -> Promise
+//   get(key)                          -> Promise<Readable>
+//   exists(key)                       -> Promise<boolean>
+//   remove(key)                       -> Promise (no error if already gone)
+// Keys are relative paths such as "sha256/ab/abcdef...". Nothing here is
+// served statically; documents are only read through the documents routes.
+const backends = new Map();
+
+const registerStorage = (name, backend) => {
+  ['put', 'get', 'exists', 'remove'].forEach(method => {
+    if (!backend || typeof backend[method] !== 'function') {
+      throw new Error(`Document storage "${name}" must have a ${method}() method`);
+    }
+  });
+  backends.set(name, backend);
+};
+
+// DOCUMENT_STORAGE picks the backend for new uploads; "local" when unset.
+// Existing documents are read from the backend recorded on them.
+const storageName = () => process.env.DOCUMENT_STORAGE || 'local';
+
+const getStorage = (name = storageName()) => {
+  const backend = backends.get(name);
+  if (!backend) {
+    throw new Error(`Unknown document storage "${name}". Registered storages: ${[...backends.keys()].join(', ')}`);
+  }
+  return backend;
+};
+
+// Files under DOCUMENT_STORAGE_DIR (default storage/documents, outside public/)
+const localStorage = (root = process.env.DOCUMENT_STORAGE_DIR || path.join('storage', 'documents')) => {
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  };
+
+  return {
+    async put(key, buffer) {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      // Write then rename, so a half-written file is never read
+      const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(temp, buffer);
+      await fs.promises.rename(temp, file);
+    },
+    async get(key) {
+      const file = resolve(key);
+      await fs.promises.access(file);
+      return fs.createReadStream(file);
+    },
+    async exists(key) {
+      try {
+        await fs.promises.access(resolve(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+// An S3 bucket or an S3-compatible service such as MinIO. Configured with
+// S3_BUCKET, S3_REGION (default us-east-1), S3_ENDPOINT for non-AWS services,
+// S3_FORCE_PATH_STYLE=true for services without virtual-host buckets, and
+// S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY (else the usual AWS credential chain).
+// S3_PREFIX is prepended to every key.
+const s3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  prefix = process.env.S3_PREFIX || '',
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY
+} = {}) => {
+  let client;
+  // Created on first use so that deployments without S3 need no settings
+  const s3 = () => {
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 document storage');
+    }
+    client ||= new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+    return client;
+  };
+  const Key = (key) => `${prefix}${key}`;
+
+  return {
+    async put(key, buffer, { contentType } = {}) {
+      await s3().send(new PutObjectCommand({ Bucket: bucket, Key: Key(key), Body: buffer, ContentType: contentType }));
+    },
+    async get(key) {
+      const { Body } = await s3().send(new GetObjectCommand({ Bucket: bucket, Key: Key(key) }));
+      return Body instanceof Readable ? Body : Readable.fromWeb(Body);
+    },
+    async exists(key) {
+      try {
+        await s3().send(new HeadObjectCommand({ Bucket: bucket, Key: Key(key) }));
+        return true;
+      } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return false;
+        throw error;
+      }
+    },
+    async remove(key) {
+      await s3().send(new DeleteObjectCommand({ Bucket: bucket, Key: Key(key) }));
+    }
+  };
+};
+
+registerStorage('local', localStorage());
+registerStorage('s3', s3Storage());
+
+export { registerStorage, getStorage, storageName, localStorage, s3Storage };
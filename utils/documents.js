@@ -0,0 +1,178 @@
+import crypto from 'crypto';
+import path from 'path';
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+import ServiceApplication from '../models/ServiceApplication.js';
+import Document from '../models/Document.js';
+import { getStorage, storageName } from './documentStorage.js';
+
+// Accepted file types and their extensions. The type is read from the file's
+// contents; the name and the browser's claimed type are not trusted.
+const ALLOWED_TYPES = {
+  'application/pdf': ['.pdf'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'image/webp': ['.webp']
+};
+const ALLOWED_EXTENSIONS = Object.values(ALLOWED_TYPES).flat();
+
+// Raised for documents that cannot be stored or found; routes answer with `status`
+class DocumentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DocumentError';
+    this.status = status;
+  }
+}
+
+// MIME type from a file's leading bytes, or null for anything not accepted
+const sniffMimeType = (buffer) => {
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'application/pdf';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+};
+
+// Storage key of a file's contents; identical files share one key
+const storageKeyFor = (checksum) => `sha256/${checksum.slice(0, 2)}/${checksum}`;
+
+const checkOwner = async ({ customer, application }) => {
+  if (!mongoose.Types.ObjectId.isValid(customer)) {
+    throw new DocumentError('A valid customer ID is required');
+  }
+  if (!await Customer.exists({ _id: customer })) {
+    throw new DocumentError('Customer not found', 404);
+  }
+  if (application) {
+    if (!mongoose.Types.ObjectId.isValid(application)) {
+      throw new DocumentError('Invalid service application ID');
+    }
+    if (!await ServiceApplication.exists({ _id: application, customer })) {
+      throw new DocumentError('Service application not found for this customer', 404);
+    }
+  }
+};
+
+// Store one uploaded file. Returns { status: 'created' | 'duplicate', document }
+// or { status: 'rejected', error }.
+const storeFile = async (file, metadata, user) => {
+  const mimeType = sniffMimeType(file.buffer);
+  const extension = path.extname(file.originalname).toLowerCase();
+  if (!mimeType) {
+    return { status: 'rejected', error: 'Only PDF, JPEG, PNG and WebP files are accepted' };
+  }
+  if (!ALLOWED_TYPES[mimeType].includes(extension)) {
+    return { status: 'rejected', error: `The file's contents (${mimeType}) do not match its extension "${extension}"` };
+  }
+
+  const checksum = crypto.createHash('sha256').update(file.buffer).digest('hex');
+
+  // The same file uploaded again for the same customer is not stored twice
+  const existing = await Document.findOne({ customer: metadata.customer, checksum });
+  if (existing) {
+    return { status: 'duplicate', document: existing };
+  }
+
+  const document = new Document({
+    ...metadata,
+    originalName: file.originalname,
+    mimeType,
+    size: file.size,
+    checksum,
+    storage: storageName(),
+    storageKey: storageKeyFor(checksum),
+    uploadedBy: user?._id
+  });
+  await document.validate();
+
+  const storage = getStorage(document.storage);
+  if (!await storage.exists(document.storageKey)) {
+    await storage.put(document.storageKey, file.buffer, { contentType: mimeType });
+  }
+  await document.save();
+  return { status: 'created', document };
+};
+
+// Store the uploaded files for a customer (and optionally one of their
+// applications) with shared metadata. Each file is reported on separately;
+// one bad file does not stop the others.
+const storeDocuments = async (body, files, user) => {
+  if (!files?.length) {
+    throw new DocumentError('No files were uploaded');
+  }
+  const metadata = {
+    customer: body.customer,
+    application: body.application || null,
+    documentType: body.documentType || undefined,
+    expiresAt: body.expiresAt || null,
+    notes: body.notes
+  };
+  await checkOwner(metadata);
+
+  const results = [];
+  for (const file of files) {
+    try {
+      results.push({ file: file.originalname, ...await storeFile(file, metadata, user) });
+    } catch (error) {
+      if (error.name !== 'ValidationError') throw error;
+      results.push({
+        file: file.originalname,
+        status: 'rejected',
+        error: Object.values(error.errors).map(({ message }) => message).join('; ')
+      });
+    }
+  }
+  return results;
+};
+
+// Change a document's type, expiry, notes or application
+const updateDocument = async (id, body) => {
+  const document = await findDocument(id);
+  const changes = {};
+  ['documentType', 'expiresAt', 'notes', 'application'].forEach(field => {
+    if (body[field] !== undefined) changes[field] = body[field] === '' ? null : body[field];
+  });
+  if (changes.application) {
+    await checkOwner({ customer: document.customer, application: changes.application });
+  }
+  document.set(changes);
+  await document.save();
+  return document;
+};
+
+const findDocument = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new DocumentError('Invalid document ID');
+  }
+  const document = await Document.findById(id);
+  if (!document) {
+    throw new DocumentError('Document not found', 404);
+  }
+  return document;
+};
+
+// A document with a readable stream of its file
+const openDocument = async (id) => {
+  const document = await findDocument(id);
+  try {
+    const stream = await getStorage(document.storage).get(document.storageKey);
+    return { document, stream };
+  } catch (error) {
+    console.error(`Error reading document ${id} from ${document.storage} storage:`, error);
+    throw new DocumentError('The file for this document is missing from storage', 500);
+  }
+};
+
+export {
+  ALLOWED_TYPES,
+  ALLOWED_EXTENSIONS,
+  DocumentError,
+  sniffMimeType,
+  storeDocuments,
+  updateDocument,
+  findDocument,
+  openDocument
+};
@@ -0,0 +1,220 @@
+import Customer from '../models/Customer.js';
+import { maskCustomer } from './piiMasking.js';
+
+// Honorifics and initials carry no identity; "Mr. R. Kumar" and "Kumar R" are the same person
+const NAME_NOISE = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'smt', 'shri', 'sri', 'thiru', 'tmt', 'selvi']);
+
+const DEFAULT_NAME_THRESHOLD = 0.88;
+const DEFAULT_ADDRESS_THRESHOLD = 0.5;
+
+// Keep the last ten digits so "+91 98765 43210", "098765-43210" and "9876543210" agree
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : digits;
+};
+
+// Lowercase and drop "+tag" suffixes, which deliver to the same mailbox
+const normalizeEmail = (email) => {
+  const value = String(email || '').trim().toLowerCase();
+  const [local, domain] = value.split('@');
+  if (!domain) return value;
+  return `${local.split('+')[0]}@${domain}`;
+};
+
+// Latin letters, digits and Tamil script survive; everything else separates words
+const tokens = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\u0B80-\u0BFF\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean);
+
+const nameTokens = (name) => tokens(name).filter(token => !NAME_NOISE.has(token));
+
+// Token-sorted form so word order and initials placement do not matter
+const normalizeName = (name) => nameTokens(name)
+  .filter(token => token.length > 1)
+  .sort()
+  .join(' ');
+
+const jaro = (a, b) => {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(i + window + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (bMatches[j] || a[i] !== b[j]) continue;
+      aMatches[i] = true;
+      bMatches[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (!matches) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  return (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+};
+
+// Jaro-Winkler similarity in [0, 1]
+const stringSimilarity = (a, b) => {
+  const score = jaro(a, b);
+  let prefix = 0;
+  while (prefix < 4 && prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  return score + prefix * 0.1 * (1 - score);
+};
+
+const nameSimilarity = (a, b) => {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+  return stringSimilarity(left, right);
+};
+
+// Jaccard overlap of address words (door numbers included, they matter here)
+const addressSimilarity = (a, b) => {
+  const left = new Set(tokens(a));
+  const right = new Set(tokens(b));
+  if (!left.size || !right.size) return 0;
+  let shared = 0;
+  left.forEach(token => {
+    if (right.has(token)) shared++;
+  });
+  return shared / (left.size + right.size - shared);
+};
+
+// Small union-find keyed by customer id
+const createGroups = () => {
+  const parent = new Map();
+  const find = (id) => {
+    if (!parent.has(id)) parent.set(id, id);
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(id, root);
+    return root;
+  };
+  const union = (a, b) => parent.set(find(a), find(b));
+  return { find, union, ids: () => [...parent.keys()] };
+};
+
+const FIELDS = 'name phone email address city zipCode createdAt';
+
+// Group customers that are probably the same person. Exact matches on the
+// normalised phone or email link records outright; otherwise two records need
+// a similar name *and* a similar address (or the same ZIP code).
+const findDuplicateGroups = async (filter = {}, options = {}) => {
+  const nameThreshold = options.nameThreshold || DEFAULT_NAME_THRESHOLD;
+  const addressThreshold = options.addressThreshold || DEFAULT_ADDRESS_THRESHOLD;
+
+  const customers = await Customer.find(filter).select(FIELDS).lean();
+  const byId = new Map(customers.map(customer => [String(customer._id), customer]));
+  const groups = createGroups();
+  const reasons = [];
+
+  const link = (a, b, reason, score) => {
+    const idA = String(a._id);
+    const idB = String(b._id);
+    if (idA === idB) return;
+    groups.union(idA, idB);
+    reasons.push({ customers: [idA, idB], reason, score: Math.round(score * 1000) / 1000 });
+  };
+
+  // Exact keys
+  const exactKeys = [
+    ['phone', customer => normalizePhone(customer.phone)],
+    ['email', customer => customer.email && normalizeEmail(customer.email)]
+  ];
+  exactKeys.forEach(([reason, keyOf]) => {
+    const buckets = new Map();
+    customers.forEach(customer => {
+      const key = keyOf(customer);
+      if (!key || (reason === 'phone' && key.length < 10)) return;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(customer);
+    });
+    buckets.forEach(bucket => {
+      bucket.slice(1).forEach(customer => link(bucket[0], customer, reason, 1));
+    });
+  });
+
+  // Fuzzy name + address. Only records sharing a name-token prefix are compared,
+  // which keeps this far below n² on a real register.
+  const blocks = new Map();
+  customers.forEach(customer => {
+    const keys = new Set(nameTokens(customer.name).filter(t => t.length > 2).map(t => t.slice(0, 3)));
+    keys.forEach(key => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(customer);
+    });
+  });
+
+  const compared = new Set();
+  blocks.forEach(block => {
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const a = block[i];
+        const b = block[j];
+        const pairKey = [String(a._id), String(b._id)].sort().join(':');
+        if (compared.has(pairKey)) continue;
+        compared.add(pairKey);
+
+        const nameScore = nameSimilarity(a.name, b.name);
+        if (nameScore < nameThreshold) continue;
+
+        const sameZip = a.zipCode && b.zipCode && a.zipCode.trim() === b.zipCode.trim();
+        const addressScore = addressSimilarity(a.address, b.address);
+        if (addressScore >= addressThreshold || sameZip) {
+          link(a, b, 'name+address', (nameScore + Math.max(addressScore, sameZip ? addressThreshold : 0)) / 2);
+        }
+      }
+    }
+  });
+
+  const members = new Map();
+  groups.ids().forEach(id => {
+    const root = groups.find(id);
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(byId.get(id));
+  });
+
+  return [...members.entries()]
+    .filter(([, group]) => group.length > 1)
+    .map(([root, group]) => {
+      const ids = new Set(group.map(customer => String(customer._id)));
+      const groupReasons = reasons.filter(r => ids.has(r.customers[0]));
+      return {
+        key: root,
+        score: Math.max(...groupReasons.map(r => r.score)),
+        reasons: groupReasons,
+        // Oldest first: the original record is the usual merge survivor
+        customers: group
+          .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+          .map(customer => maskCustomer({ ...customer }))
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.customers.length - a.customers.length);
+};
+
+export {
+  normalizePhone,
+  normalizeEmail,
+  normalizeName,
+  stringSimilarity,
+  nameSimilarity,
+  addressSimilarity,
+  findDuplicateGroups
+};
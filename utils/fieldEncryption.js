@@ -0,0 +1,579 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+// Raised for missing or malformed keys and for values that cannot be decrypted
+class EncryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EncryptionError';
+  }
+}
+
+const parseKey = (value, label) => {
+  const key = Buffer.from(String(value || '').trim(), 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new EncryptionError(`${label} must be ${KEY_BYTES} bytes, base64-encoded (e.g. \`openssl rand -base64 32\`)`);
+  }
+  return key;
+};
+
+// Keys come from the environment:
+//
+//   FIELD_ENCRYPTION_KEYS="2025:<base64>,2024:<base64>"
+//   FIELD_BLIND_INDEX_KEY="<base64>"
+//
+// The first encryption key encrypts; the others are only kept to decrypt
+// values written before a rotation (see scripts/rotate-field-keys.js). Read on
+// use rather than at import, since scripts load .env after their imports.
+let cachedKeyring = null;
+
+const keyring = () => {
+  const source = `${process.env.FIELD_ENCRYPTION_KEYS || ''}|${process.env.FIELD_BLIND_INDEX_KEY || ''}`;
+  if (cachedKeyring?.source === source) return cachedKeyring;
+
+  const keys = new Map();
+  String(process.env.FIELD_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const [id, value] = entry.split(/:(.*)/s);
+      if (!/^[\w-]+$/.test(id) || value === undefined) {
+        throw new EncryptionError('FIELD_ENCRYPTION_KEYS entries must look like "<key id>:<base64 key>"');
+      }
+      if (keys.has(id)) {
+        throw new EncryptionError(`Encryption key id "${id}" is listed twice`);
+      }
+      keys.set(id, parseKey(value, `Encryption key "${id}"`));
+    });
+  if (keys.size && !process.env.FIELD_BLIND_INDEX_KEY) {
+    throw new EncryptionError('FIELD_BLIND_INDEX_KEY is required when FIELD_ENCRYPTION_KEYS is set');
+  }
+
+  cachedKeyring = {
+    source,
+    keys,
+    currentKeyId: keys.keys().next().value || null,
+    blindIndexKey: keys.size ? parseKey(process.env.FIELD_BLIND_INDEX_KEY, 'FIELD_BLIND_INDEX_KEY') : null
+  };
+  return cachedKeyring;
+};
+
+// Without keys, encrypted fields are stored in plain text as before
+const isEncryptionEnabled = () => keyring().keys.size > 0;
+
+const currentKeyId = () => keyring().currentKeyId;
+
+// Dates are encrypted and indexed in their ISO form, everything else as text
+const serialize = (value) => (value instanceof Date ? value.toISOString() : String(value));
+
+const deserialize = (text, schemaType) => {
+  if (schemaType.instance === 'Date') return new Date(text);
+  if (schemaType.instance === 'Number') return Number(text);
+  return text;
+};
+
+// "<key id>:<iv>:<auth tag>:<ciphertext>", base64 parts. The field name is
+// bound in as associated data, so a value cannot be copied into another field.
+const encryptValue = (value, field) => {
+  const { keys, currentKeyId: keyId } = keyring();
+  if (!keyId) {
+    throw new EncryptionError('No encryption key configured (FIELD_ENCRYPTION_KEYS)');
+  }
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(keyId), iv);
+  cipher.setAAD(Buffer.from(field));
+  const data = Buffer.concat([cipher.update(serialize(value), 'utf8'), cipher.final()]);
+  return [keyId, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+};
+
+const keyIdOf = (payload) => String(payload).split(':')[0];
+
+const decryptValue = (payload, field) => {
+  const [keyId, iv, tag, data] = String(payload).split(':');
+  const key = keyring().keys.get(keyId);
+  if (!key) {
+    throw new EncryptionError(`Cannot decrypt ${field}: key "${keyId}" is not in FIELD_ENCRYPTION_KEYS`);
+  }
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(field));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new EncryptionError(`Cannot decrypt ${field}: the value is corrupt or was encrypted with a different key`);
+  }
+};
+
+// Keyed hash of a value for exact-match lookups, without storing the value
+const blindIndex = (value, field) => {
+  const { blindIndexKey } = keyring();
+  if (!blindIndexKey) {
+    throw new EncryptionError('No blind index key configured (FIELD_BLIND_INDEX_KEY)');
+  }
+  return crypto.createHmac('sha256', blindIndexKey).update(`${field}:${serialize(value)}`).digest('base64');
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// 'phone' -> { field: 'phone', path: 'phone' }
+// 'contacts.number' -> { field: 'contacts.number', array: 'contacts', path: 'number' }
+// `path` is where the value lives in the record (or array element), and
+// encrypted.<path> / blindIndex.<path> next to it hold the ciphertext and hash.
+const resolveFields = (schema, fields) => fields.map(field => {
+  const topLevel = schema.path(field);
+  if (topLevel && !field.includes('.')) {
+    return { field, path: field, schemaType: topLevel };
+  }
+  const [array, path] = field.split(/\.(.*)/s);
+  const arrayType = schema.path(array);
+  const schemaType = arrayType?.$isMongooseDocumentArray && arrayType.schema.path(path);
+  if (!schemaType || path.includes('.')) {
+    throw new Error(`fieldEncryption: "${field}" must be a top-level field or a field of a document array`);
+  }
+  return { field, array, path, schemaType, arrayType };
+});
+
+const storagePaths = (specs) => ({
+  encrypted: Object.fromEntries(specs.map(({ path }) => [path, { type: String }])),
+  blindIndex: Object.fromEntries(specs.map(({ path }) => [path, { type: String }]))
+});
+
+// Plaintext `value` of `spec` after the schema's setters and casting, e.g. a
+// phone number in E.164 form, or a Date
+const castValue = (spec, value) => {
+  if (isBlank(value)) return value;
+  try {
+    return spec.schemaType.cast(spec.schemaType.applySetters(value, null));
+  } catch (error) {
+    const validationError = new mongoose.Error.ValidationError();
+    validationError.addError(spec.field, new mongoose.Error.CastError(spec.schemaType.instance, value, spec.field, error));
+    throw validationError;
+  }
+};
+
+const validateValue = (spec, value, scope) => new Promise((resolve, reject) => {
+  spec.schemaType.doValidate(value, error => {
+    if (!error) return resolve();
+    const validationError = new mongoose.Error.ValidationError();
+    validationError.addError(spec.field, error);
+    reject(validationError);
+  }, scope);
+});
+
+// { encrypted, blindIndex } to store for a plaintext value
+const sealValue = (spec, value) => (isBlank(value)
+  ? { encrypted: undefined, blindIndex: undefined }
+  : { encrypted: encryptValue(value, spec.field), blindIndex: blindIndex(value, spec.field) });
+
+// Put the plaintext back into a stored record (or array element) and drop the
+// ciphertext and hashes. Records saved before encryption was turned on still
+// carry plain text and are left as they are.
+const openRecord = (record, specs) => {
+  if (!record || typeof record !== 'object') return record;
+  specs.forEach(spec => {
+    const payload = record.encrypted?.[spec.path];
+    if (payload) record[spec.path] = deserialize(decryptValue(payload, spec.field), spec.schemaType);
+  });
+  delete record.encrypted;
+  delete record.blindIndex;
+  return record;
+};
+
+const decryptStored = (record, topSpecs, arraySpecs) => {
+  if (!record || typeof record !== 'object') return record;
+  openRecord(record, topSpecs);
+  new Set(arraySpecs.map(spec => spec.array)).forEach(array => {
+    if (!Array.isArray(record[array])) return;
+    const specs = arraySpecs.filter(spec => spec.array === array);
+    record[array].forEach(element => openRecord(element, specs));
+  });
+  return record;
+};
+
+// The reverse: encrypt the plaintext of a plain record (or array element) into
+// encrypted.<path>, as it would be stored. Only the ciphertext is kept; these
+// copies are not searched, so they get no blind index.
+const sealRecord = (record, specs) => {
+  if (!record || typeof record !== 'object') return record;
+  specs.forEach(spec => {
+    const value = record[spec.path];
+    if (isBlank(value)) return;
+    record.encrypted = { ...record.encrypted, [spec.path]: encryptValue(value, spec.field) };
+    delete record[spec.path];
+  });
+  delete record.blindIndex;
+  return record;
+};
+
+const encryptStored = (record, topSpecs, arraySpecs) => {
+  if (!record || typeof record !== 'object' || !isEncryptionEnabled()) return record;
+  sealRecord(record, topSpecs);
+  new Set(arraySpecs.map(spec => spec.array)).forEach(array => {
+    if (!Array.isArray(record[array])) return;
+    const specs = arraySpecs.filter(spec => spec.array === array);
+    record[array].forEach(element => sealRecord(element, specs));
+  });
+  return record;
+};
+
+// ----- Queries ---------------------------------------------------------------
+
+const OPERATOR_PATTERN = /^\$/;
+
+// Where a condition on `key` has to look instead: 'phone' ->
+// { hash: 'blindIndex.phone', cipher: 'encrypted.phone' }
+const lookupPaths = (spec) => {
+  const prefix = spec.array ? `${spec.array}.` : '';
+  return {
+    hash: `${prefix}blindIndex.${spec.path}`,
+    cipher: `${prefix}encrypted.${spec.path}`
+  };
+};
+
+const hashesOf = (spec, values) => values.map(value => (isBlank(value) ? value : blindIndex(castValue(spec, value), spec.field)));
+
+// One filter condition on an encrypted field, as conditions that also find
+// encrypted records. Equality ($eq, $in, $ne, $nin) goes through the blind
+// index; $exists checks the ciphertext. The original condition is kept
+// alongside, for records still in plain text. Anything else (regex, ranges)
+// can only match those plain-text records.
+const translateCondition = (spec, key, condition) => {
+  const original = { [key]: condition };
+  const { hash, cipher } = lookupPaths(spec);
+  const isOperators = condition && typeof condition === 'object' && !(condition instanceof Date) &&
+    !(condition instanceof RegExp) && !Array.isArray(condition) &&
+    Object.keys(condition).some(operator => OPERATOR_PATTERN.test(operator));
+
+  if (!isOperators) {
+    if (condition instanceof RegExp || isBlank(condition)) return original;
+    return { $or: [{ [hash]: hashesOf(spec, [condition])[0] }, original] };
+  }
+
+  const operators = Object.keys(condition);
+  if (operators.length !== 1) return original;
+  const [operator] = operators;
+  const operand = condition[operator];
+  switch (operator) {
+    case '$eq':
+      return isBlank(operand) ? original : { $or: [{ [hash]: hashesOf(spec, [operand])[0] }, original] };
+    case '$in':
+      return { $or: [{ [hash]: { $in: hashesOf(spec, operand.filter(value => !(value instanceof RegExp))) } }, original] };
+    case '$ne':
+      return isBlank(operand) ? original : { $and: [{ [hash]: { $ne: hashesOf(spec, [operand])[0] } }, original] };
+    case '$nin':
+      return { $and: [{ [hash]: { $nin: hashesOf(spec, operand.filter(value => !(value instanceof RegExp))) } }, original] };
+    case '$exists':
+      return operand
+        ? { $or: [{ [cipher]: { $exists: true } }, original] }
+        : { $and: [{ [cipher]: { $exists: false } }, original] };
+    default:
+      return original;
+  }
+};
+
+// A filter with every condition on an encrypted field translated, including
+// those inside $and/$or/$nor
+const translateFilter = (filter, specsByField) => {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) return filter;
+  const rest = {};
+  const translated = [];
+  Object.entries(filter).forEach(([key, condition]) => {
+    if (['$and', '$or', '$nor'].includes(key) && Array.isArray(condition)) {
+      rest[key] = condition.map(part => translateFilter(part, specsByField));
+    } else if (specsByField.has(key)) {
+      const result = translateCondition(specsByField.get(key), key, condition);
+      if (result[key] === condition && Object.keys(result).length === 1) {
+        rest[key] = condition;
+      } else {
+        translated.push(result);
+      }
+    } else {
+      rest[key] = condition;
+    }
+  });
+  if (!translated.length) return rest;
+  const parts = [rest, ...translated].filter(part => Object.keys(part).length);
+  return parts.length === 1 ? parts[0] : { $and: parts };
+};
+
+// Selecting an encrypted field selects its ciphertext too; leaving it out
+// leaves the ciphertext out. Selecting a whole array covers its elements'.
+const translateProjection = (fields, specs) => {
+  if (!fields || typeof fields !== 'object') return fields;
+  const projection = { ...fields };
+  specs.forEach(spec => {
+    const value = projection[spec.field];
+    if (value === undefined || typeof value === 'object') return;
+    const { cipher } = lookupPaths(spec);
+    if (!(cipher in projection)) projection[cipher] = value;
+  });
+  return projection;
+};
+
+// ----- Updates ---------------------------------------------------------------
+
+const UPDATE_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+const UPDATE_OPERATORS = ['$set', '$setOnInsert'];
+
+// An array element given whole (in `contacts: [...]` or $push), sealed
+const sealElement = async (element, specs, runValidators) => {
+  if (!element || typeof element !== 'object') return element;
+  const plain = element instanceof mongoose.Document ? element.toObject() : { ...element };
+  for (const spec of specs) {
+    if (!(spec.path in plain)) continue;
+    const value = castValue(spec, plain[spec.path]);
+    if (runValidators) await validateValue(spec, value, plain);
+    const { encrypted, blindIndex: hash } = sealValue(spec, value);
+    delete plain[spec.path];
+    if (encrypted) {
+      plain.encrypted = { ...plain.encrypted, [spec.path]: encrypted };
+      plain.blindIndex = { ...plain.blindIndex, [spec.path]: hash };
+    }
+  }
+  return plain;
+};
+
+// Encrypt the values an update writes to encrypted fields, in place. Handles
+// the whole field (`phone`), the whole array (`contacts`), one element's field
+// (`contacts.$[primary].number`, `contacts.0.number`), $unset and $push /
+// $addToSet of new elements.
+const sealUpdate = async (update, topSpecs, arraySpecs, runValidators) => {
+  // Updates without operators are $set
+  const plainKeys = Object.keys(update).filter(key => !OPERATOR_PATTERN.test(key));
+  if (plainKeys.length) {
+    update.$set = { ...update.$set };
+    plainKeys.forEach(key => {
+      update.$set[key] = update[key];
+      delete update[key];
+    });
+  }
+  // Unsetting an encrypted field unsets its ciphertext and hash
+  if (update.$unset) {
+    topSpecs.forEach(spec => {
+      if (!(spec.field in update.$unset)) return;
+      update.$unset[`encrypted.${spec.field}`] = '';
+      update.$unset[`blindIndex.${spec.field}`] = '';
+    });
+  }
+  const arrays = new Map();
+  arraySpecs.forEach(spec => arrays.set(spec.array, [...(arrays.get(spec.array) || []), spec]));
+
+  for (const operator of UPDATE_OPERATORS) {
+    const values = update[operator];
+    if (!values) continue;
+    // Whole fields first, so their errors are the ones reported
+    const keys = Object.keys(values).sort((a, b) => Number(a.includes('.')) - Number(b.includes('.')));
+    for (const key of keys) {
+      const topSpec = topSpecs.find(spec => spec.field === key);
+      if (topSpec) {
+        const value = castValue(topSpec, values[key]);
+        if (runValidators) await validateValue(topSpec, value, null);
+        const { encrypted, blindIndex: hash } = sealValue(topSpec, value);
+        delete values[key];
+        if (encrypted) {
+          values[`encrypted.${key}`] = encrypted;
+          values[`blindIndex.${key}`] = hash;
+        } else {
+          update.$unset = { ...update.$unset, [`encrypted.${key}`]: '', [`blindIndex.${key}`]: '' };
+        }
+        update.$unset = { ...update.$unset, [key]: '' };
+        continue;
+      }
+      if (arrays.has(key) && Array.isArray(values[key])) {
+        values[key] = await Promise.all(values[key].map(element => sealElement(element, arrays.get(key), runValidators)));
+        continue;
+      }
+      // contacts.<position>.number
+      const [array, position, path, ...more] = key.split('.');
+      const elementSpec = !more.length && (arrays.get(array) || []).find(spec => spec.path === path);
+      if (elementSpec && position) {
+        const value = castValue(elementSpec, values[key]);
+        if (runValidators) await validateValue(elementSpec, value, null);
+        const { encrypted, blindIndex: hash } = sealValue(elementSpec, value);
+        delete values[key];
+        values[`${array}.${position}.encrypted.${path}`] = encrypted;
+        values[`${array}.${position}.blindIndex.${path}`] = hash;
+        update.$unset = { ...update.$unset, [key]: '' };
+      }
+    }
+    if (!Object.keys(values).length) delete update[operator];
+  }
+
+  for (const operator of ['$push', '$addToSet']) {
+    const values = update[operator];
+    if (!values) continue;
+    for (const [array, specs] of arrays) {
+      const value = values[array];
+      if (value === undefined) continue;
+      if (value && typeof value === 'object' && Array.isArray(value.$each)) {
+        value.$each = await Promise.all(value.$each.map(element => sealElement(element, specs, runValidators)));
+      } else {
+        values[array] = await sealElement(value, specs, runValidators);
+      }
+    }
+  }
+
+  return update;
+};
+
+// ----- Plugin ----------------------------------------------------------------
+
+// Mongoose plugin encrypting sensitive fields at rest with AES-256-GCM. Each
+// field in `fields` ('phone', or 'contacts.number' for a field of a document
+// array) is stored as encrypted.<field> plus a blind index (an HMAC of the
+// value) in blindIndex.<field>, and not in plain text.
+//
+// Everything else is transparent to the code using the model: documents and
+// lean results come back decrypted, exact-match filters on the fields
+// ({ phone }, $in, $ne, ...) are answered through the blind index, and updates
+// encrypt what they write. Pattern and range queries on the fields only match
+// records still held in plain text. Aggregations over the model's collection
+// must select encrypted.<field> and call Model.decryptRecord() on the result.
+//
+// Nothing is encrypted until FIELD_ENCRYPTION_KEYS is configured. Records
+// saved before that are encrypted on their next save or by
+// scripts/rotate-field-keys.js, which also re-encrypts under a new key.
+const fieldEncryption = (schema, options = {}) => {
+  const specs = resolveFields(schema, options.fields || []);
+  if (!specs.length) return;
+  const topSpecs = specs.filter(spec => !spec.array);
+  const arraySpecs = specs.filter(spec => spec.array);
+  const specsByField = new Map(specs.map(spec => [spec.field, spec]));
+
+  if (topSpecs.length) schema.add(storagePaths(topSpecs));
+  new Set(arraySpecs.map(spec => spec.arrayType)).forEach(arrayType => {
+    arrayType.schema.add(storagePaths(arraySpecs.filter(spec => spec.arrayType === arrayType)));
+  });
+  specs.forEach(spec => schema.index({ [lookupPaths(spec).hash]: 1 }));
+
+  // Hide the stored form from API responses
+  ['toJSON', 'toObject'].forEach(option => {
+    const settings = schema.get(option) || {};
+    const { transform } = settings;
+    schema.set(option, {
+      ...settings,
+      transform(doc, ret, transformOptions) {
+        const result = typeof transform === 'function' ? transform(doc, ret, transformOptions) : ret;
+        if (result && doc instanceof mongoose.Document && !doc.$isSubdocument) {
+          delete result.encrypted;
+          delete result.blindIndex;
+          new Set(arraySpecs.map(spec => spec.array)).forEach(array => {
+            (Array.isArray(result[array]) ? result[array] : []).forEach(element => {
+              delete element?.encrypted;
+              delete element?.blindIndex;
+            });
+          });
+        }
+        return result;
+      }
+    });
+  });
+
+  // Loaded documents carry both forms: the plaintext to work with and the
+  // stored ciphertext, so an unchanged value is written back as it was
+  schema.pre('init', function(raw) {
+    if (!raw || typeof raw !== 'object') return;
+    specs.forEach(spec => {
+      const records = spec.array ? (Array.isArray(raw[spec.array]) ? raw[spec.array] : []) : [raw];
+      records.forEach(record => {
+        const payload = record?.encrypted?.[spec.path];
+        if (payload) record[spec.path] = deserialize(decryptValue(payload, spec.field), spec.schemaType);
+      });
+    });
+  });
+
+  // Validation has run on the plaintext by now. Encrypt new and changed
+  // values, and any still held in plain text, and keep the plaintext aside
+  // until the write is done. A changed array is written whole, so all of its
+  // elements' plaintext is set aside.
+  schema.pre('save', function() {
+    if (!isEncryptionEnabled()) return;
+    const restore = [];
+    const seal = (record, spec, written) => {
+      const value = record.get(spec.path);
+      const unchanged = !isBlank(value) && Boolean(record.get(`encrypted.${spec.path}`)) &&
+        record.get(`blindIndex.${spec.path}`) === blindIndex(value, spec.field);
+      if (!unchanged) {
+        const { encrypted, blindIndex: hash } = sealValue(spec, value);
+        record.set(`encrypted.${spec.path}`, encrypted);
+        record.set(`blindIndex.${spec.path}`, hash);
+      }
+      if (!isBlank(value) && (written || !unchanged || record.isModified(spec.path))) {
+        record.set(spec.path, undefined);
+        restore.push([record, spec.path, value]);
+      }
+    };
+    topSpecs.forEach(spec => seal(this, spec, false));
+    arraySpecs.forEach(spec => {
+      const written = this.isNew || this.isModified(spec.array);
+      (this.get(spec.array) || []).forEach(element => seal(element, spec, written));
+    });
+    this.$locals.encryptionRestore = restore;
+  });
+
+  // Put the plaintext back once written, or if the write failed, without
+  // marking anything modified
+  const restorePlaintext = (doc) => {
+    (doc.$locals.encryptionRestore || []).forEach(([record, path, value]) => record.$__setValue(path, value));
+    delete doc.$locals.encryptionRestore;
+  };
+  schema.post('save', function(doc) {
+    restorePlaintext(doc);
+  });
+  schema.post('save', function(error, doc, next) {
+    restorePlaintext(this);
+    next(error);
+  });
+
+  const decryptLean = result => {
+    (Array.isArray(result) ? result : [result]).forEach(record => decryptStored(record, topSpecs, arraySpecs));
+    return result;
+  };
+
+  // Filters, projections and updates of queries, populate included. Lean
+  // results skip init, so they are decrypted by a transform, which also
+  // covers lean cursors.
+  schema.pre(['find', 'findOne', 'countDocuments', 'count', 'distinct', 'findOneAndUpdate',
+    'findOneAndDelete', 'findOneAndRemove', 'updateOne', 'updateMany', 'deleteOne', 'deleteMany', 'replaceOne'],
+  { document: false, query: true }, async function() {
+    if (this._mongooseOptions.lean && ['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'findOneAndRemove'].includes(this.op)) {
+      this.transform(decryptLean);
+    }
+    if (!isEncryptionEnabled()) return;
+    this.setQuery(translateFilter(this.getFilter(), specsByField));
+    if (this._fields) this._fields = translateProjection(this._fields, specs);
+    if (UPDATE_QUERIES.includes(this.op) && this.getUpdate()) {
+      this.setUpdate(await sealUpdate(this.getUpdate(), topSpecs, arraySpecs, this.getOptions().runValidators));
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    if (!isEncryptionEnabled()) return;
+    this.pipeline().forEach(stage => {
+      if (stage.$match) stage.$match = translateFilter(stage.$match, specsByField);
+    });
+  });
+
+  // For records read by aggregation, e.g. through $lookup from another collection
+  schema.statics.decryptRecord = record => decryptStored(record, topSpecs, arraySpecs);
+
+  // For copies of records kept elsewhere, e.g. the snapshots in a merge record;
+  // Model.decryptRecord() opens them again
+  schema.statics.encryptRecord = record => encryptStored(record, topSpecs, arraySpecs);
+};
+
+export {
+  EncryptionError,
+  isEncryptionEnabled,
+  currentKeyId,
+  encryptValue,
+  decryptValue,
+  keyIdOf,
+  blindIndex,
+  fieldEncryption
+};
@@ -65,4 +65,60 @@ const uploadAvatar = (req, res, next) => {
   });
 };
 
-export { uploadAvatar };
+// Spreadsheets are parsed straight from memory and never written to disk
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: function (req, file, cb) {
+    const extname = path.extname(file.originalname).toLowerCase();
+    if (extname === '.csv' || extname === '.xlsx') {
+      return cb(null, true);
+    }
+    cb(new Error('Only CSV and XLSX files are allowed'));
+  },
+}).single('file');
+
+// Middleware to handle spreadsheet uploads for bulk imports
+const uploadSpreadsheet = (req, res, next) => {
+  spreadsheetUpload(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ 
+        success: false, 
+        message: err.message || 'Error uploading file' 
+      });
+    }
+    next();
+  });
+};
+
+// Customer documents are checked and checksummed in memory before they reach
+// document storage (see utils/documents.js)
+const MAX_DOCUMENT_SIZE_MB = Number(process.env.DOCUMENT_MAX_SIZE_MB) || 10;
+const MAX_DOCUMENT_FILES = 10;
+
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_SIZE_MB * 1024 * 1024, files: MAX_DOCUMENT_FILES },
+  fileFilter: function (req, file, cb) {
+    const extname = path.extname(file.originalname).toLowerCase();
+    if (['.pdf', '.jpg', '.jpeg', '.png', '.webp'].includes(extname)) {
+      return cb(null, true);
+    }
+    cb(new Error('Only PDF, JPEG, PNG and WebP files are allowed'));
+  },
+}).array('files', MAX_DOCUMENT_FILES);
+
+// Middleware to handle customer document uploads (up to 10 files in "files")
+const uploadDocuments = (req, res, next) => {
+  documentUpload(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ 
+        success: false, 
+        message: err.message || 'Error uploading file' 
+      });
+    }
+    next();
+  });
+};
+
+export { uploadAvatar, uploadSpreadsheet, uploadDocuments };
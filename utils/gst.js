@@ -0,0 +1,204 @@
+import { body } from 'express-validator';
+
+// GST helpers: GSTIN validation, state codes, place of supply, service tax
+// rates and the CGST/SGST/IGST split.
+
+// Rate (%) and SAC code for services whose category does not set its own
+const DEFAULT_GST_RATE = process.env.GST_RATE === undefined ? 18 : Number(process.env.GST_RATE);
+const DEFAULT_SAC_CODE = process.env.GST_SAC_CODE || '998599';
+
+// Rates (%) that exist under GST
+const GST_RATE_SLABS = [0, 0.25, 3, 5, 12, 18, 28];
+
+// GST state and union territory codes (first two digits of a GSTIN)
+const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '28': 'Andhra Pradesh (Before Division)',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+// Spellings seen in the customer register's free-text `state` field
+const STATE_ALIASES = {
+  'tn': '33',
+  'tamilnadu': '33',
+  'pondicherry': '34',
+  'pondy': '34',
+  'orissa': '21',
+  'j&k': '01',
+  'jammu & kashmir': '01',
+  'andhra pradesh': '37',
+  'ap': '37',
+  'new delhi': '07',
+  'nct of delhi': '07'
+};
+
+const normalizeStateName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const STATE_CODES_BY_NAME = new Map([
+  ...Object.entries(GST_STATES).map(([code, name]) => [normalizeStateName(name), code]),
+  ...Object.entries(STATE_ALIASES)
+]);
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+// A GSTIN is the two-digit state code, the holder's PAN, an entity number
+// (1-9, then A-Z), the letter Z and a check character
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARACTERS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Upper case, without the spaces and hyphens people type in
+const normalizeGstin = (value) => String(value || '').toUpperCase().replace(/[\s-]/g, '');
+
+// Check character for the first 14 characters of a GSTIN (a base-36 Luhn
+// variant: alternate characters are doubled and the base-36 digits summed)
+const gstinCheckCharacter = (first14) => {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARACTERS.indexOf(first14[i]) * (i % 2 ? 2 : 1);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARACTERS[(36 - (sum % 36)) % 36];
+};
+
+// Check a GSTIN's format, state code and check character. Returns
+// { valid: true, gstin, stateCode, stateName, pan } or { valid: false, gstin, error }.
+const validateGstin = (value) => {
+  const gstin = normalizeGstin(value);
+  if (gstin.length !== 15) {
+    return { valid: false, gstin, error: 'GSTIN must be 15 characters long' };
+  }
+  if (!GSTIN_PATTERN.test(gstin)) {
+    return { valid: false, gstin, error: 'GSTIN format is invalid' };
+  }
+  const stateCode = gstin.slice(0, 2);
+  if (!GST_STATES[stateCode]) {
+    return { valid: false, gstin, error: `GSTIN state code ${stateCode} does not exist` };
+  }
+  if (gstinCheckCharacter(gstin) !== gstin[14]) {
+    return { valid: false, gstin, error: 'GSTIN check character does not match; please re-check the number' };
+  }
+  return { valid: true, gstin, stateCode, stateName: GST_STATES[stateCode], pan: gstin.slice(2, 12) };
+};
+
+const isValidGstin = (value) => validateGstin(value).valid;
+
+const isValidGstRate = (rate) => GST_RATE_SLABS.includes(rate);
+
+// Request validators for the GST rate and SAC code of a category or
+// subcategory; null clears them so they are inherited
+const taxValidators = [
+  body('gstRate').optional({ values: 'null' })
+    .isFloat().withMessage('GST rate must be a number').bail()
+    .toFloat()
+    .custom(isValidGstRate).withMessage(`GST rate must be one of: ${GST_RATE_SLABS.join(', ')}`),
+  body('sacCode').optional({ values: 'falsy' }).trim()
+    .matches(/^[0-9]{4,8}$/).withMessage('SAC code must be 4 to 8 digits')
+];
+
+// GST rate and SAC code of a service: the subcategory's own values, else the
+// category's, else the defaults
+const serviceTax = ({ category, subCategory } = {}) => {
+  const pick = (field) => [subCategory?.[field], category?.[field]].find(value => value !== null && value !== undefined && value !== '');
+  const gstRate = pick('gstRate');
+  const sacCode = pick('sacCode');
+  return {
+    gstRate: gstRate === undefined ? DEFAULT_GST_RATE : gstRate,
+    sacCode: sacCode === undefined ? DEFAULT_SAC_CODE : sacCode
+  };
+};
+
+// State code of a valid GSTIN, otherwise null
+const stateCodeFromGstin = (gstin) => {
+  const result = validateGstin(gstin);
+  return result.valid ? result.stateCode : null;
+};
+
+const stateCodeFromName = (name) => STATE_CODES_BY_NAME.get(normalizeStateName(name)) || null;
+
+// Place of supply for a service to a customer: the state of a registered
+// customer's GSTIN, otherwise the state on their address, otherwise the
+// supplier's own state
+const placeOfSupply = ({ gstin, state }, supplierStateCode) => {
+  const code = stateCodeFromGstin(gstin) || stateCodeFromName(state) || supplierStateCode;
+  return { stateCode: code, stateName: GST_STATES[code] || null };
+};
+
+// Tax on one line. `amount` is the price charged; with `inclusive` it already
+// contains the tax. Intra-state supplies split the tax equally into CGST and
+// SGST, inter-state supplies carry IGST.
+const computeTax = (amount, rate, { inclusive = true, interState = false } = {}) => {
+  const taxableValue = round2(inclusive ? amount / (1 + rate / 100) : amount);
+  let cgst = 0;
+  let sgst = 0;
+  let igst = 0;
+
+  if (interState) {
+    igst = inclusive ? round2(amount - taxableValue) : round2(taxableValue * rate / 100);
+  } else {
+    const totalTax = inclusive ? round2(amount - taxableValue) : round2(taxableValue * rate / 100);
+    cgst = round2(totalTax / 2);
+    sgst = round2(totalTax - cgst);
+  }
+
+  return {
+    taxableValue,
+    gstRate: rate,
+    cgst,
+    sgst,
+    igst,
+    total: round2(taxableValue + cgst + sgst + igst)
+  };
+};
+
+export {
+  DEFAULT_GST_RATE,
+  DEFAULT_SAC_CODE,
+  GST_RATE_SLABS,
+  GST_STATES,
+  normalizeGstin,
+  gstinCheckCharacter,
+  validateGstin,
+  isValidGstin,
+  isValidGstRate,
+  taxValidators,
+  serviceTax,
+  stateCodeFromGstin,
+  stateCodeFromName,
+  placeOfSupply,
+  computeTax
+};
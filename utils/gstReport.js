@@ -0,0 +1,95 @@
+import Invoice from '../models/Invoice.js';
+import { GST_STATES, validateGstin } from './gst.js';
+import { QueryError, parseDateRange } from './pagination.js';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const TAX_FIELDS = ['taxableValue', 'cgst', 'sgst', 'igst'];
+
+const emptyTotals = () => ({ taxableValue: 0, cgst: 0, sgst: 0, igst: 0 });
+
+// Add a line (negated for credit notes) to a running total
+const accumulate = (totals, line, sign) => {
+  TAX_FIELDS.forEach(field => {
+    totals[field] += sign * (line[field] || 0);
+  });
+};
+
+const finish = (totals) => {
+  TAX_FIELDS.forEach(field => {
+    totals[field] = round(totals[field]);
+  });
+  totals.totalTax = round(totals.cgst + totals.sgst + totals.igst);
+  return totals;
+};
+
+// Row of a grouped summary, created on first use
+const groupRow = (groups, key, init) => {
+  if (!groups.has(key)) groups.set(key, { ...init, ...emptyTotals() });
+  return groups.get(key);
+};
+
+// Outward supplies for a period, arranged the way the GSTR-1 return asks for
+// them: B2B per customer GSTIN, B2C per place of supply and rate, and a
+// summary by SAC code. Credit notes issued in the period are netted off.
+// Invoices whose buyer GSTIN does not validate are reported as B2C and listed
+// under `invalidGstins` so they can be corrected.
+const gstSummary = async ({ from, to }) => {
+  const range = parseDateRange(from, to, 'from', 'to');
+  if (!range?.$gte || !range?.$lte) {
+    throw new QueryError('from and to are required');
+  }
+
+  const invoices = await Invoice.find({ issuedAt: range })
+    .select('kind number issuedAt buyer placeOfSupply lines')
+    .sort({ issuedAt: 1 })
+    .lean();
+
+  const b2b = new Map();
+  const b2c = new Map();
+  const bySac = new Map();
+  const invalidGstins = [];
+  const totals = emptyTotals();
+  const counts = { invoices: 0, creditNotes: 0 };
+
+  invoices.forEach(invoice => {
+    const sign = invoice.kind === 'credit_note' ? -1 : 1;
+    counts[sign > 0 ? 'invoices' : 'creditNotes']++;
+
+    let gstin = null;
+    if (invoice.buyer?.gstin) {
+      const check = validateGstin(invoice.buyer.gstin);
+      if (check.valid) {
+        gstin = check.gstin;
+      } else {
+        invalidGstins.push({ number: invoice.number, gstin: invoice.buyer.gstin, error: check.error });
+      }
+    }
+
+    const stateCode = invoice.placeOfSupply?.stateCode;
+    invoice.lines.forEach(line => {
+      const row = gstin
+        ? groupRow(b2b, gstin, { gstin, name: invoice.buyer.name, documents: new Set() })
+        : groupRow(b2c, `${stateCode}|${line.gstRate}`, {
+          placeOfSupply: { stateCode, stateName: GST_STATES[stateCode] || null },
+          gstRate: line.gstRate
+        });
+      if (gstin) row.documents.add(invoice.number);
+      accumulate(row, line, sign);
+      accumulate(groupRow(bySac, `${line.sacCode}|${line.gstRate}`, { sacCode: line.sacCode, gstRate: line.gstRate }), line, sign);
+      accumulate(totals, line, sign);
+    });
+  });
+
+  return {
+    period: { from: range.$gte, to: range.$lte },
+    ...counts,
+    b2b: [...b2b.values()].map(({ documents, ...row }) => finish({ ...row, documents: documents.size })),
+    b2c: [...b2c.values()].map(finish),
+    bySac: [...bySac.values()].map(finish),
+    totals: finish(totals),
+    invalidGstins
+  };
+};
+
+export { gstSummary };
@@ -0,0 +1,242 @@
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+import Household, { RELATIONSHIPS } from '../models/Household.js';
+import ServiceApplication from '../models/ServiceApplication.js';
+import { CLOSED_STATUSES } from './dashboard.js';
+import { buildCustomerFilter, escapeRegex } from './customerQuery.js';
+import { QueryError, paginate } from './pagination.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How far ahead the household view looks for renewals, by default and at most
+const DEFAULT_RENEWAL_DAYS = 90;
+const MAX_RENEWAL_DAYS = 365;
+
+const MEMBER_FIELDS = 'name phone email dateOfBirth city status';
+
+// Raised for household changes that cannot be made; routes answer with `status`
+class HouseholdError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'HouseholdError';
+    this.status = status;
+  }
+}
+
+const checkId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new HouseholdError(`Invalid ${label} ID`);
+  }
+};
+
+const findHousehold = async (id) => {
+  checkId(id, 'household');
+  const household = await Household.findById(id);
+  if (!household) {
+    throw new HouseholdError('Household not found', 404);
+  }
+  return household;
+};
+
+// Members as given in a request body, checked for shape
+const parseMembers = (members) => {
+  if (!Array.isArray(members) || !members.length) {
+    throw new HouseholdError('members must be a non-empty list of { customer, relationship }');
+  }
+  return members.map(member => {
+    checkId(member?.customer, 'customer');
+    if (!RELATIONSHIPS.includes(member.relationship)) {
+      throw new HouseholdError(`Relationship must be one of: ${RELATIONSHIPS.join(', ')}`);
+    }
+    return { customer: new mongoose.Types.ObjectId(member.customer), relationship: member.relationship };
+  });
+};
+
+// The customers behind `members`, which must exist and not belong to another
+// household. Resolves to a Map of customer ID -> customer.
+const checkCustomers = async (members, householdId = null) => {
+  const ids = members.map(member => member.customer);
+  const customers = await Customer.find({ _id: { $in: ids } }).select('name').lean();
+  const byId = new Map(customers.map(customer => [String(customer._id), customer]));
+  const missing = ids.filter(id => !byId.has(String(id)));
+  if (missing.length) {
+    throw new HouseholdError(`Customer(s) not found: ${missing.join(', ')}`, 404);
+  }
+
+  const elsewhere = await Household.find({
+    _id: { $ne: householdId },
+    'members.customer': { $in: ids }
+  }).select('name members').lean();
+  if (elsewhere.length) {
+    const taken = elsewhere.flatMap(household => household.members
+      .filter(member => byId.has(String(member.customer)))
+      .map(member => `${byId.get(String(member.customer)).name} (in "${household.name}")`));
+    throw new HouseholdError(`A customer can belong to only one household: ${taken.join(', ')}`, 409);
+  }
+  return byId;
+};
+
+// Create a household. Without a name it is called after its head, e.g.
+// "Ravi Kumar family".
+const createHousehold = async ({ name, members, notes }, user) => {
+  const parsed = parseMembers(members);
+  const customers = await checkCustomers(parsed);
+  const head = parsed.find(member => member.relationship === 'head');
+  return Household.create({
+    name: name || (head && `${customers.get(String(head.customer)).name} family`),
+    members: parsed,
+    notes,
+    createdBy: user?._id
+  });
+};
+
+// Rename, re-note or replace the member list of a household. A new member
+// list is how the head is changed.
+const updateHousehold = async (id, { name, notes, members }, user) => {
+  const household = await findHousehold(id);
+  if (name !== undefined) household.name = name;
+  if (notes !== undefined) household.notes = notes;
+  if (members !== undefined) {
+    const parsed = parseMembers(members);
+    await checkCustomers(parsed, household._id);
+    household.members = parsed;
+  }
+  if (user) household.updatedBy = user._id;
+  await household.save();
+  return household;
+};
+
+const addMember = async (id, { customer, relationship }, user) => {
+  const household = await findHousehold(id);
+  const [member] = parseMembers([{ customer, relationship }]);
+  if (household.members.some(existing => existing.customer.equals(member.customer))) {
+    throw new HouseholdError('Customer is already a member of this household', 409);
+  }
+  await checkCustomers([member], household._id);
+  household.members.push(member);
+  if (user) household.updatedBy = user._id;
+  await household.save();
+  return household;
+};
+
+// Take a customer out of a household. The head can only leave last, which
+// deletes the household; make someone else head first otherwise.
+const removeMember = async (id, customerId, user) => {
+  const household = await findHousehold(id);
+  checkId(customerId, 'customer');
+  const member = household.members.find(existing => existing.customer.equals(customerId));
+  if (!member) {
+    throw new HouseholdError('Customer is not a member of this household', 404);
+  }
+  if (household.members.length === 1) {
+    await household.deleteOne();
+    return null;
+  }
+  if (member.relationship === 'head') {
+    throw new HouseholdError('Make another member the head of the household before removing this one', 409);
+  }
+  household.members.pull(member);
+  if (user) household.updatedBy = user._id;
+  await household.save();
+  return household;
+};
+
+// Households by name. `search` also finds households with a member whose
+// name, e-mail or phone matches (as GET api/customers?search=), and
+// `customer` finds the household a customer belongs to.
+const listHouseholds = async (query) => {
+  const conditions = [];
+  if (query.customer) {
+    if (!mongoose.Types.ObjectId.isValid(query.customer)) {
+      throw new QueryError('Invalid customer ID');
+    }
+    conditions.push({ 'members.customer': new mongoose.Types.ObjectId(query.customer) });
+  }
+  if (query.search && String(query.search).trim()) {
+    const search = String(query.search).trim();
+    const members = await Customer.distinct('_id', await buildCustomerFilter({ search }));
+    conditions.push({ $or: [
+      { name: new RegExp(escapeRegex(search), 'i') },
+      { 'members.customer': { $in: members } }
+    ] });
+  }
+  const filter = conditions.length > 1 ? { $and: conditions } : conditions[0] || {};
+
+  return paginate(Household, filter, query, {
+    sortFields: ['name', 'createdAt', 'updatedAt'],
+    defaultSort: 'name',
+    populate: [{ path: 'members.customer', select: 'name phone' }]
+  });
+};
+
+const parseRenewalDays = (value) => {
+  if (value === undefined || value === '') return DEFAULT_RENEWAL_DAYS;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_RENEWAL_DAYS) {
+    throw new HouseholdError(`renewalDays must be a whole number from 1 to ${MAX_RENEWAL_DAYS}`);
+  }
+  return days;
+};
+
+// A household with its members, every member's active applications (those
+// still being worked on) and renewals due within `renewalDays` (default 90),
+// soonest first. Members in the trash are left out.
+const householdView = async (id, { renewalDays: days, now = new Date() } = {}) => {
+  const renewalDays = parseRenewalDays(days);
+  const household = await findHousehold(id);
+  await household.populate({ path: 'members.customer', select: MEMBER_FIELDS });
+
+  const members = household.members
+    .filter(member => member.customer)
+    .map(({ customer, relationship }) => ({ relationship, customer }));
+  const memberIds = members.map(member => member.customer._id);
+  const byCustomer = new Map(members.map(member => [String(member.customer._id), member]));
+
+  const fields = 'customer serviceCategoryName serviceSubCategoryName serviceNumber deliveryStatus deliveryDate nextRenewalDate fees gstStatus createdAt';
+  const [applications, renewals] = await Promise.all([
+    ServiceApplication.find({ customer: { $in: memberIds }, deliveryStatus: { $nin: CLOSED_STATUSES } })
+      .select(fields)
+      .sort({ deliveryDate: 1, createdAt: 1 })
+      .lean(),
+    ServiceApplication.find({
+      customer: { $in: memberIds },
+      nextRenewalDate: { $gte: now, $lte: new Date(now.getTime() + renewalDays * DAY) }
+    })
+      .select(fields)
+      .sort({ nextRenewalDate: 1 })
+      .lean()
+  ]);
+
+  // Each application says whose it is
+  const withMember = (application) => {
+    const { customer, relationship } = byCustomer.get(String(application.customer));
+    return { ...application, member: { _id: customer._id, name: customer.name, relationship } };
+  };
+
+  return {
+    household: {
+      _id: household._id,
+      name: household.name,
+      notes: household.notes,
+      createdAt: household.createdAt,
+      updatedAt: household.updatedAt
+    },
+    members: members.map(member => ({
+      ...member,
+      activeApplications: applications.filter(application => member.customer._id.equals(application.customer)).length
+    })),
+    applications: applications.map(withMember),
+    renewals: { days: renewalDays, data: renewals.map(withMember) }
+  };
+};
+
+export {
+  HouseholdError,
+  findHousehold,
+  createHousehold,
+  updateHousehold,
+  addMember,
+  removeMember,
+  listHouseholds,
+  householdView
+};
@@ -0,0 +1,318 @@
+import PDFDocument from 'pdfkit';
+import { amountInWords, shopProfile } from './invoicing.js';
+
+// Page layouts. Thermal rolls are 80mm wide (about 72mm printable); their
+// page height is fitted to the content.
+const LAYOUTS = ['a4', 'thermal'];
+const THERMAL_WIDTH = 227;
+const THERMAL_MARGIN = 8;
+
+// The standard PDF fonts have no rupee sign. Point INVOICE_FONT (and
+// optionally INVOICE_FONT_BOLD) at TTF files to print "₹" and Tamil names.
+const FONT_FILE = process.env.INVOICE_FONT;
+const BOLD_FONT_FILE = process.env.INVOICE_FONT_BOLD || FONT_FILE;
+const CURRENCY = FONT_FILE ? '₹' : 'Rs.';
+
+const TITLES = {
+  invoice: 'TAX INVOICE',
+  credit_note: 'CREDIT NOTE'
+};
+
+const money = (amount) =>
+  (amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-GB', { timeZone: 'Asia/Kolkata' });
+
+const createDocument = (size, margin) => {
+  const doc = new PDFDocument({ size, margin, bufferPages: false });
+  if (FONT_FILE) {
+    doc.registerFont('regular', FONT_FILE);
+    doc.registerFont('bold', BOLD_FONT_FILE);
+  } else {
+    doc.registerFont('regular', 'Helvetica');
+    doc.registerFont('bold', 'Helvetica-Bold');
+  }
+  return doc.font('regular');
+};
+
+// Tax rows of a totals block: CGST + SGST within the state, IGST across states
+const taxRows = (invoice) => (invoice.interState
+  ? [['IGST', invoice.igst]]
+  : [['CGST', invoice.cgst], ['SGST', invoice.sgst]]);
+
+// Text line with a label on the left and a value on the right
+const row = (doc, label, value, { x, width, bold = false }) => {
+  const y = doc.y;
+  doc.font(bold ? 'bold' : 'regular');
+  doc.text(label, x, y, { width: width * 0.6 });
+  const labelBottom = doc.y;
+  doc.text(value, x, y, { width, align: 'right' });
+  doc.y = Math.max(labelBottom, doc.y);
+  doc.font('regular');
+};
+
+const partyLines = (party, { withState = false } = {}) => [
+  party.address,
+  party.phone && `Phone: ${party.phone}`,
+  party.email && `Email: ${party.email}`,
+  withState && party.stateName && `State: ${party.stateName} (${party.stateCode})`,
+  `GSTIN: ${party.gstin || 'Unregistered'}`
+].filter(Boolean);
+
+const drawInvoiceA4 = (doc, invoice, related) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const { seller, buyer } = invoice;
+
+  // Seller on the left, document details on the right
+  const top = doc.y;
+  doc.font('bold').fontSize(16).text(seller.name, left, top, { width: width * 0.6 });
+  doc.font('regular').fontSize(9);
+  partyLines(seller, { withState: true }).forEach(line => doc.text(line, { width: width * 0.6 }));
+  const sellerBottom = doc.y;
+
+  doc.font('bold').fontSize(14).text(TITLES[invoice.kind], left, top, { width, align: 'right' });
+  doc.font('regular').fontSize(9);
+  [
+    `No: ${invoice.number}`,
+    `Date: ${formatDate(invoice.issuedAt)}`,
+    `Place of supply: ${invoice.placeOfSupply.stateName || ''} (${invoice.placeOfSupply.stateCode})`,
+    invoice.kind === 'credit_note' && related && `Against invoice ${related.number} dated ${formatDate(related.issuedAt)}`
+  ].filter(Boolean).forEach(line => doc.text(line, left, doc.y, { width, align: 'right' }));
+  doc.y = Math.max(sellerBottom, doc.y) + 12;
+
+  doc.font('bold').text('Bill to', left);
+  doc.text(buyer.name);
+  doc.font('regular');
+  partyLines(buyer, { withState: true }).forEach(line => doc.text(line, { width: width * 0.6 }));
+  doc.moveDown();
+
+  // Line items
+  const taxColumns = invoice.interState ? ['IGST'] : ['CGST', 'SGST'];
+  const columns = [
+    { label: '#', width: 20 },
+    { label: 'Description', width: 0 },
+    { label: 'SAC', width: 50 },
+    { label: 'Taxable', width: 65, align: 'right' },
+    { label: 'GST %', width: 40, align: 'right' },
+    ...taxColumns.map(label => ({ label, width: 55, align: 'right' })),
+    { label: 'Total', width: 65, align: 'right' }
+  ];
+  columns[1].width = width - columns.reduce((sum, column) => sum + column.width, 0);
+
+  const drawRow = (values, { bold = false } = {}) => {
+    const y = doc.y;
+    let x = left;
+    let bottom = y;
+    doc.font(bold ? 'bold' : 'regular');
+    columns.forEach((column, index) => {
+      doc.text(values[index], x + 2, y, { width: column.width - 4, align: column.align || 'left' });
+      bottom = Math.max(bottom, doc.y);
+      x += column.width;
+    });
+    doc.y = bottom + 3;
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(0.5).stroke();
+    doc.y += 3;
+  };
+
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).lineWidth(0.5).stroke();
+  doc.y += 3;
+  drawRow(columns.map(column => column.label), { bold: true });
+  invoice.lines.forEach((line, index) => {
+    drawRow([
+      String(index + 1),
+      line.description,
+      line.sacCode || '',
+      money(line.taxableValue),
+      String(line.gstRate),
+      ...(invoice.interState ? [money(line.igst)] : [money(line.cgst), money(line.sgst)]),
+      money(line.total)
+    ]);
+  });
+
+  // Totals on the right
+  doc.moveDown(0.5);
+  const totalsX = left + width * 0.55;
+  const totalsWidth = width * 0.45;
+  row(doc, 'Taxable value', money(invoice.taxableValue), { x: totalsX, width: totalsWidth });
+  taxRows(invoice).forEach(([label, amount]) => row(doc, label, money(amount), { x: totalsX, width: totalsWidth }));
+  if (invoice.roundOff) {
+    row(doc, 'Round off', money(invoice.roundOff), { x: totalsX, width: totalsWidth });
+  }
+  row(doc, `Grand total (${CURRENCY})`, money(invoice.grandTotal), { x: totalsX, width: totalsWidth, bold: true });
+
+  doc.moveDown();
+  doc.text(amountInWords(invoice.grandTotal), left, doc.y, { width });
+  if (invoice.pricesIncludeTax) {
+    doc.fontSize(8).text('Prices are inclusive of GST.', { width });
+    doc.fontSize(9);
+  }
+  if (invoice.notes) {
+    doc.moveDown(0.5).text(`${invoice.kind === 'credit_note' ? 'Reason' : 'Notes'}: ${invoice.notes}`, { width });
+  }
+  if (invoice.status === 'cancelled') {
+    doc.moveDown().font('bold').fontSize(12)
+      .text(`CANCELLED${related ? ` - see credit note ${related.number}` : ''}`, { width, align: 'center' });
+    doc.font('regular').fontSize(9);
+  }
+
+  doc.moveDown(2).fontSize(8)
+    .text('This is a computer-generated document and does not require a signature.', left, doc.y, { width, align: 'center' });
+};
+
+const drawInvoiceThermal = (doc, invoice, related) => {
+  const x = THERMAL_MARGIN;
+  const width = THERMAL_WIDTH - 2 * THERMAL_MARGIN;
+  const { seller, buyer } = invoice;
+  const rule = () => {
+    doc.moveDown(0.3);
+    doc.moveTo(x, doc.y).lineTo(x + width, doc.y).dash(2, { space: 2 }).lineWidth(0.5).stroke().undash();
+    doc.moveDown(0.3);
+  };
+
+  doc.font('bold').fontSize(11).text(seller.name, x, doc.y, { width, align: 'center' });
+  doc.font('regular').fontSize(7);
+  partyLines(seller).forEach(line => doc.text(line, { width, align: 'center' }));
+  rule();
+
+  doc.font('bold').fontSize(9).text(TITLES[invoice.kind], { width, align: 'center' });
+  doc.font('regular').fontSize(7);
+  row(doc, `No: ${invoice.number}`, formatDate(invoice.issuedAt), { x, width });
+  doc.text(`Place of supply: ${invoice.placeOfSupply.stateName || ''} (${invoice.placeOfSupply.stateCode})`, x, doc.y, { width });
+  if (invoice.kind === 'credit_note' && related) {
+    doc.text(`Against: ${related.number}`, { width });
+  }
+  doc.text(`To: ${buyer.name}${buyer.phone ? `, ${buyer.phone}` : ''}`, { width });
+  if (buyer.gstin) doc.text(`GSTIN: ${buyer.gstin}`, { width });
+  rule();
+
+  invoice.lines.forEach(line => {
+    doc.text(line.description, x, doc.y, { width });
+    row(doc, `  ${money(line.taxableValue)} + ${line.gstRate}% GST`, money(line.total), { x, width });
+  });
+  rule();
+
+  row(doc, 'Taxable value', money(invoice.taxableValue), { x, width });
+  taxRows(invoice).forEach(([label, amount]) => row(doc, label, money(amount), { x, width }));
+  if (invoice.roundOff) row(doc, 'Round off', money(invoice.roundOff), { x, width });
+  doc.fontSize(9);
+  row(doc, `TOTAL ${CURRENCY}`, money(invoice.grandTotal), { x, width, bold: true });
+  doc.fontSize(7).text(amountInWords(invoice.grandTotal), x, doc.y, { width });
+  if (invoice.status === 'cancelled') {
+    rule();
+    doc.font('bold').text(`CANCELLED${related ? ` - ${related.number}` : ''}`, { width, align: 'center' }).font('regular');
+  }
+  rule();
+  doc.text('Thank you!', { width, align: 'center' });
+};
+
+const drawReceiptA4 = (doc, payment, seller) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const customer = payment.customer || {};
+
+  doc.font('bold').fontSize(16).text(seller.name, left, doc.y, { width, align: 'center' });
+  doc.font('regular').fontSize(9);
+  partyLines(seller).forEach(line => doc.text(line, { width, align: 'center' }));
+  doc.moveDown();
+  doc.font('bold').fontSize(14).text('PAYMENT RECEIPT', { width, align: 'center' });
+  doc.font('regular').fontSize(10).moveDown();
+
+  [
+    ['Receipt no', payment.receiptNumber || String(payment._id)],
+    ['Date', formatDate(payment.receivedAt)],
+    ['Received from', [customer.name, customer.phone].filter(Boolean).join(', ')],
+    ['Towards', payment.application?.serviceCategoryName
+      ? [payment.application.serviceCategoryName, payment.application.serviceNumber].filter(Boolean).join(' - ')
+      : 'Advance / account'],
+    ['Mode', payment.mode],
+    payment.referenceNumber && ['Reference', payment.referenceNumber],
+    ['Amount', `${CURRENCY} ${money(payment.amount)}`]
+  ].filter(Boolean).forEach(([label, value]) => {
+    row(doc, label, value, { x: left + width * 0.2, width: width * 0.6 });
+    doc.moveDown(0.3);
+  });
+  doc.moveDown().text(amountInWords(payment.amount), left, doc.y, { width, align: 'center' });
+  if (payment.status === 'voided') {
+    doc.moveDown().font('bold').fontSize(12).text('VOID', { width, align: 'center' }).font('regular');
+  }
+  doc.moveDown(2).fontSize(8)
+    .text('This is a computer-generated receipt and does not require a signature.', left, doc.y, { width, align: 'center' });
+};
+
+const drawReceiptThermal = (doc, payment, seller) => {
+  const x = THERMAL_MARGIN;
+  const width = THERMAL_WIDTH - 2 * THERMAL_MARGIN;
+  const customer = payment.customer || {};
+
+  doc.font('bold').fontSize(11).text(seller.name, x, doc.y, { width, align: 'center' });
+  doc.font('regular').fontSize(7);
+  partyLines(seller).forEach(line => doc.text(line, { width, align: 'center' }));
+  doc.moveDown(0.5).font('bold').fontSize(9).text('RECEIPT', { width, align: 'center' });
+  doc.font('regular').fontSize(7).moveDown(0.3);
+  row(doc, `No: ${payment.receiptNumber || payment._id}`, formatDate(payment.receivedAt), { x, width });
+  doc.text(`From: ${[customer.name, customer.phone].filter(Boolean).join(', ')}`, x, doc.y, { width });
+  if (payment.application?.serviceCategoryName) {
+    doc.text(`For: ${payment.application.serviceCategoryName}`, { width });
+  }
+  row(doc, 'Mode', [payment.mode, payment.referenceNumber].filter(Boolean).join(' '), { x, width });
+  doc.fontSize(9);
+  row(doc, `AMOUNT ${CURRENCY}`, money(payment.amount), { x, width, bold: true });
+  doc.fontSize(7).text(amountInWords(payment.amount), x, doc.y, { width });
+  if (payment.status === 'voided') {
+    doc.font('bold').text('VOID', { width, align: 'center' }).font('regular');
+  }
+  doc.moveDown(0.5).text('Thank you!', { width, align: 'center' });
+};
+
+// Render with `draw` into a new PDF. Thermal pages are drawn once on a tall
+// scratch page to measure the content, then again on a page of that height.
+const render = (layout, draw) => {
+  if (layout === 'thermal') {
+    const scratch = createDocument([THERMAL_WIDTH, 10000], THERMAL_MARGIN);
+    draw(scratch);
+    const height = Math.ceil(scratch.y + THERMAL_MARGIN);
+    scratch.end();
+
+    const doc = createDocument([THERMAL_WIDTH, height], THERMAL_MARGIN);
+    draw(doc);
+    return doc;
+  }
+  const doc = createDocument('A4', 40);
+  draw(doc);
+  return doc;
+};
+
+// PDF of an invoice or credit note, as a finished readable stream. `related`
+// is the credit note of a cancelled invoice, or the original of a credit note.
+const renderInvoicePdf = (invoice, { layout = 'a4', related = null } = {}) => {
+  const doc = render(layout, target => (layout === 'thermal'
+    ? drawInvoiceThermal(target, invoice, related)
+    : drawInvoiceA4(target, invoice, related)));
+  doc.end();
+  return doc;
+};
+
+// PDF receipt for a payment, with `customer` and `application` populated
+const renderReceiptPdf = (payment, { layout = 'a4' } = {}) => {
+  const seller = shopProfile();
+  const doc = render(layout, target => (layout === 'thermal'
+    ? drawReceiptThermal(target, payment, seller)
+    : drawReceiptA4(target, payment, seller)));
+  doc.end();
+  return doc;
+};
+
+// Send a rendered PDF. With `download` the browser saves it instead of
+// opening it.
+const sendPdf = (res, doc, filename, download = false) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader(
+    'Content-Disposition',
+    `${download ? 'attachment' : 'inline'}; filename="${filename.replace(/[^\w.-]+/g, '-')}.pdf"`
+  );
+  doc.pipe(res);
+};
+
+export { LAYOUTS, renderInvoicePdf, renderReceiptPdf, sendPdf };
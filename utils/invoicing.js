@@ -0,0 +1,374 @@
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+import ServiceApplication from '../models/ServiceApplication.js';
+import Invoice from '../models/Invoice.js';
+import Counter from '../models/Counter.js';
+import Category from '../models/Category.js';
+import SubCategory from '../models/SubCategory.js';
+import {
+  GST_RATE_SLABS,
+  GST_STATES,
+  DEFAULT_SAC_CODE,
+  normalizeGstin,
+  validateGstin,
+  isValidGstRate,
+  serviceTax,
+  stateCodeFromGstin,
+  stateCodeFromName,
+  placeOfSupply,
+  computeTax
+} from './gst.js';
+
+// Document number prefixes; each is numbered separately per financial year
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'INV';
+const CREDIT_NOTE_PREFIX = process.env.CREDIT_NOTE_PREFIX || 'CN';
+const RECEIPT_PREFIX = process.env.RECEIPT_PREFIX || 'RCPT';
+
+// Whether fees and item amounts already include GST (the usual counter price)
+const PRICES_INCLUDE_GST = process.env.INVOICE_PRICES_INCLUDE_GST !== 'false';
+
+// Raised for invoices that cannot be issued or cancelled; routes answer with `status`
+class InvoiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.status = status;
+  }
+}
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// The shop's own details as printed on every invoice
+const shopProfile = () => {
+  const gstin = normalizeGstin(process.env.SHOP_GSTIN);
+  const stateCode = stateCodeFromGstin(gstin) || stateCodeFromName(process.env.SHOP_STATE) || '33';
+  return {
+    name: process.env.SHOP_NAME || 'Ganesa E-Seva',
+    address: process.env.SHOP_ADDRESS || '',
+    phone: process.env.SHOP_PHONE || '',
+    email: process.env.SHOP_EMAIL || '',
+    gstin,
+    stateCode,
+    stateName: GST_STATES[stateCode]
+  };
+};
+
+// Indian financial year (April to March) of a date, e.g. "2026-27". Worked
+// out in IST so that documents issued just after midnight on 1 April are not
+// numbered in the previous year.
+const financialYear = (date = new Date()) => {
+  const ist = new Date(date.getTime() + 330 * 60 * 1000);
+  const year = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+};
+
+// Next number in a prefix's sequence for the financial year of `date`,
+// e.g. INV/2026-27/0001
+const nextDocumentNumber = async (prefix, date = new Date()) => {
+  const year = financialYear(date);
+  const sequence = await Counter.next(`${prefix}/${year}`);
+  return {
+    number: `${prefix}/${year}/${String(sequence).padStart(4, '0')}`,
+    financialYear: year,
+    sequence
+  };
+};
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowHundred = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]} ${ONES[n % 10]}`.trim());
+
+const belowThousand = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = belowHundred(n % 100);
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest].filter(Boolean).join(' ');
+};
+
+// Whole number in words with Indian grouping (thousand, lakh, crore)
+const numberInWords = (n) => {
+  if (n === 0) return 'Zero';
+  const parts = [];
+  const crores = Math.floor(n / 10000000);
+  if (crores) parts.push(`${numberInWords(crores)} Crore`);
+  const lakhs = Math.floor(n / 100000) % 100;
+  if (lakhs) parts.push(`${belowHundred(lakhs)} Lakh`);
+  const thousands = Math.floor(n / 1000) % 100;
+  if (thousands) parts.push(`${belowHundred(thousands)} Thousand`);
+  const rest = n % 1000;
+  if (rest) parts.push(belowThousand(rest));
+  return parts.join(' ');
+};
+
+// e.g. 1180.5 -> "Rupees One Thousand One Hundred Eighty and Fifty Paise Only"
+const amountInWords = (amount) => {
+  const rupees = Math.floor(Math.abs(amount));
+  const paise = Math.round((Math.abs(amount) - rupees) * 100);
+  const words = `Rupees ${numberInWords(rupees)}${paise ? ` and ${belowHundred(paise)} Paise` : ''} Only`;
+  return amount < 0 ? `Minus ${words}` : words;
+};
+
+// GST rate and SAC code of each application's service, by application ID.
+// Trashed categories still apply to the applications filed under them.
+const applicationTaxes = async (applications) => {
+  const [categories, subCategories] = await Promise.all([
+    Category.find({ _id: { $in: applications.map(application => application.serviceCategory) } })
+      .setOptions({ withDeleted: true })
+      .select('gstRate sacCode')
+      .lean(),
+    SubCategory.find({ _id: { $in: applications.map(application => application.serviceSubCategory).filter(Boolean) } })
+      .setOptions({ withDeleted: true })
+      .select('gstRate sacCode')
+      .lean()
+  ]);
+  const byId = (docs) => new Map(docs.map(doc => [String(doc._id), doc]));
+  const categoryById = byId(categories);
+  const subCategoryById = byId(subCategories);
+
+  return new Map(applications.map(application => [String(application._id), serviceTax({
+    category: categoryById.get(String(application.serviceCategory)),
+    subCategory: subCategoryById.get(String(application.serviceSubCategory))
+  })]));
+};
+
+// Invoice lines for the requested applications and extra items, taxed for the
+// place of supply
+const buildLines = (applications, taxes, items, interState) => {
+  const lines = applications.map(application => {
+    const { gstRate, sacCode } = taxes.get(String(application._id));
+    return {
+      application: application._id,
+      description: [application.serviceCategoryName, application.serviceSubCategoryName].filter(Boolean).join(' - ')
+        + (application.serviceNumber ? ` (${application.serviceNumber})` : ''),
+      sacCode,
+      amount: application.fees,
+      ...computeTax(application.fees, gstRate, { inclusive: PRICES_INCLUDE_GST, interState })
+    };
+  });
+
+  items.forEach((item, index) => {
+    const amount = Number(item.amount);
+    const rate = item.gstRate === undefined || item.gstRate === null ? serviceTax().gstRate : Number(item.gstRate);
+    if (!item.description || !String(item.description).trim()) {
+      throw new InvoiceError(`Item ${index + 1}: a description is required`);
+    }
+    if (!(amount > 0)) {
+      throw new InvoiceError(`Item ${index + 1}: amount must be greater than zero`);
+    }
+    if (!isValidGstRate(rate)) {
+      throw new InvoiceError(`Item ${index + 1}: gstRate must be one of ${GST_RATE_SLABS.join(', ')}`);
+    }
+    lines.push({
+      description: String(item.description).trim(),
+      sacCode: item.sacCode || DEFAULT_SAC_CODE,
+      amount: round(amount),
+      ...computeTax(amount, rate, { inclusive: PRICES_INCLUDE_GST, interState })
+    });
+  });
+
+  return lines;
+};
+
+// Invoice totals, rounded to the nearest rupee as is customary
+const summarizeLines = (lines) => {
+  const sum = (field) => round(lines.reduce((total, line) => total + (line[field] || 0), 0));
+  const exact = sum('total');
+  const grandTotal = Math.round(exact);
+  return {
+    taxableValue: sum('taxableValue'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    totalTax: round(sum('cgst') + sum('sgst') + sum('igst')),
+    roundOff: round(grandTotal - exact),
+    grandTotal
+  };
+};
+
+// Issue a tax invoice to a customer for some of their service applications
+// (billed at their fees) and/or free-form items. An application can be on
+// only one live invoice; cancel that invoice first to bill it again.
+const createInvoice = async (data, user) => {
+  const { customer: customerId, notes } = data;
+  const applicationIds = [...new Set((data.applications || []).map(String))];
+  const items = Array.isArray(data.items) ? data.items : [];
+
+  if (!mongoose.Types.ObjectId.isValid(customerId)) {
+    throw new InvoiceError('A valid customer ID is required');
+  }
+  if (applicationIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new InvoiceError('Invalid service application ID');
+  }
+  if (!applicationIds.length && !items.length) {
+    throw new InvoiceError('An invoice needs at least one service application or item');
+  }
+
+  const customer = await Customer.findById(customerId);
+  if (!customer) {
+    throw new InvoiceError('Customer not found', 404);
+  }
+
+  const applications = await ServiceApplication.find({ _id: { $in: applicationIds }, customer: customer._id });
+  if (applications.length !== applicationIds.length) {
+    throw new InvoiceError('Service application not found for this customer', 404);
+  }
+  const unpriced = applications.filter(application => !(application.fees > 0));
+  if (unpriced.length) {
+    throw new InvoiceError(`Service application ${unpriced[0]._id} has no fees to invoice`);
+  }
+
+  const billed = await Invoice.findOne({
+    kind: 'invoice',
+    status: 'issued',
+    'lines.application': { $in: applicationIds }
+  }).select('number');
+  if (billed) {
+    throw new InvoiceError(`A service application is already billed on invoice ${billed.number}`, 409);
+  }
+
+  // GSTINs entered before they were validated may be wrong; a tax invoice
+  // must not carry one
+  let buyerGstin;
+  if (customer.gstNumber) {
+    const check = validateGstin(customer.gstNumber);
+    if (!check.valid) {
+      throw new InvoiceError(`The customer's GSTIN ${check.gstin} is invalid (${check.error}); correct it before invoicing`);
+    }
+    buyerGstin = check.gstin;
+  }
+
+  const seller = shopProfile();
+  if (seller.gstin && !validateGstin(seller.gstin).valid) {
+    throw new InvoiceError(`SHOP_GSTIN is invalid: ${validateGstin(seller.gstin).error}`, 500);
+  }
+  const supply = placeOfSupply({ gstin: buyerGstin, state: customer.state }, seller.stateCode);
+  const interState = supply.stateCode !== seller.stateCode;
+  const lines = buildLines(applications, await applicationTaxes(applications), items, interState);
+
+  // Everything is validated before a number is taken, so the sequence does
+  // not skip numbers for rejected requests
+  const issuedAt = new Date();
+  const numbering = await nextDocumentNumber(INVOICE_PREFIX, issuedAt);
+
+  const invoice = new Invoice({
+    kind: 'invoice',
+    ...numbering,
+    issuedAt,
+    customer: customer._id,
+    seller,
+    buyer: {
+      name: customer.name,
+      address: [customer.address, customer.city, customer.state, customer.zipCode].filter(Boolean).join(', '),
+      email: customer.email,
+      gstin: buyerGstin,
+      stateCode: supply.stateCode,
+      stateName: supply.stateName
+    },
+    placeOfSupply: supply,
+    interState,
+    pricesIncludeTax: PRICES_INCLUDE_GST,
+    lines,
+    ...summarizeLines(lines),
+    notes,
+    createdBy: user?._id
+  });
+  // The check above gives the usual answer; the index on billedApplications
+  // settles requests racing for the same application. The loser's number is
+  // then left unused.
+  try {
+    await invoice.save();
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.billedApplications) {
+      throw new InvoiceError('A service application was billed on another invoice at the same time', 409);
+    }
+    throw error;
+  }
+  return invoice;
+};
+
+// Cancel an invoice by issuing a credit note for its full value. The invoice
+// itself is kept, marked cancelled and linked to the credit note.
+const cancelInvoice = async (id, reason, user) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new InvoiceError('Invalid invoice ID');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new InvoiceError('A reason is required to cancel an invoice');
+  }
+
+  // Claim the invoice by marking it cancelled in one step, so that of two
+  // cancels made at the same moment only one goes on to issue a credit note
+  const issuedAt = new Date();
+  const cancelReason = String(reason).trim();
+  const invoice = await Invoice.findOneAndUpdate(
+    { _id: id, kind: 'invoice', status: 'issued' },
+    { $set: { status: 'cancelled', cancelledAt: issuedAt, cancelledBy: user?._id, cancelReason } },
+    { new: true }
+  );
+  if (!invoice) {
+    const existing = await Invoice.findById(id).select('kind status');
+    if (!existing) {
+      throw new InvoiceError('Invoice not found', 404);
+    }
+    if (existing.kind !== 'invoice') {
+      throw new InvoiceError('Only invoices can be cancelled');
+    }
+    throw new InvoiceError('This invoice has already been cancelled', 409);
+  }
+
+  const original = invoice.toObject();
+  const creditNote = new Invoice({
+    kind: 'credit_note',
+    issuedAt,
+    customer: original.customer,
+    seller: original.seller,
+    buyer: original.buyer,
+    placeOfSupply: original.placeOfSupply,
+    interState: original.interState,
+    pricesIncludeTax: original.pricesIncludeTax,
+    lines: original.lines,
+    taxableValue: original.taxableValue,
+    cgst: original.cgst,
+    sgst: original.sgst,
+    igst: original.igst,
+    totalTax: original.totalTax,
+    roundOff: original.roundOff,
+    grandTotal: original.grandTotal,
+    notes: cancelReason,
+    originalInvoice: invoice._id,
+    createdBy: user?._id
+  });
+  // Without its credit note the invoice is still live; hand it back
+  try {
+    const numbering = await nextDocumentNumber(CREDIT_NOTE_PREFIX, issuedAt);
+    creditNote.set(numbering);
+    await creditNote.save();
+  } catch (error) {
+    await Invoice.updateOne(
+      { _id: invoice._id },
+      { $set: { status: 'issued' }, $unset: { cancelledAt: '', cancelledBy: '', cancelReason: '' } }
+    );
+    throw error;
+  }
+
+  invoice.creditNote = creditNote._id;
+  await invoice.save();
+
+  return { invoice, creditNote };
+};
+
+export {
+  INVOICE_PREFIX,
+  CREDIT_NOTE_PREFIX,
+  RECEIPT_PREFIX,
+  InvoiceError,
+  shopProfile,
+  financialYear,
+  nextDocumentNumber,
+  amountInWords,
+  createInvoice,
+  cancelInvoice
+};
@@ -0,0 +1,233 @@
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+import ServiceApplication from '../models/ServiceApplication.js';
+import Payment from '../models/Payment.js';
+import { QueryError, parsePagination } from './pagination.js';
+import { RECEIPT_PREFIX, nextDocumentNumber } from './invoicing.js';
+import { maskCustomer } from './piiMasking.js';
+
+// Raised for payments that cannot be recorded or voided; routes answer with `status`
+class LedgerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LedgerError';
+    this.status = status;
+  }
+}
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const paymentStatus = (fees, paid) => {
+  if (!fees) return paid > 0 ? 'Paid' : 'No Fees';
+  if (paid >= fees) return 'Paid';
+  return paid > 0 ? 'Partially Paid' : 'Unpaid';
+};
+
+// Record a payment. An application, if given, must belong to the customer.
+const recordPayment = async (data, user) => {
+  const { customer: customerId, application: applicationId } = data;
+  if (!mongoose.Types.ObjectId.isValid(customerId)) {
+    throw new LedgerError('A valid customer ID is required');
+  }
+  if (!await Customer.exists({ _id: customerId })) {
+    throw new LedgerError('Customer not found', 404);
+  }
+  if (applicationId) {
+    if (!mongoose.Types.ObjectId.isValid(applicationId)) {
+      throw new LedgerError('Invalid service application ID');
+    }
+    if (!await ServiceApplication.exists({ _id: applicationId, customer: customerId })) {
+      throw new LedgerError('Service application not found for this customer', 404);
+    }
+  }
+
+  const payment = new Payment({
+    customer: customerId,
+    application: applicationId || null,
+    amount: data.amount,
+    mode: data.mode,
+    referenceNumber: data.referenceNumber,
+    receivedAt: data.receivedAt,
+    notes: data.notes,
+    collectedBy: user?._id
+  });
+  // Numbered only once valid, so rejected payments leave no gaps
+  await payment.validate();
+  payment.receiptNumber = (await nextDocumentNumber(RECEIPT_PREFIX, payment.receivedAt)).number;
+  await payment.save();
+  return payment;
+};
+
+const voidPayment = async (id, reason, user) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new LedgerError('Invalid payment ID');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new LedgerError('A reason is required to void a payment');
+  }
+
+  const payment = await Payment.findById(id);
+  if (!payment) {
+    throw new LedgerError('Payment not found', 404);
+  }
+  if (payment.status === 'voided') {
+    throw new LedgerError('This payment has already been voided', 409);
+  }
+
+  payment.status = 'voided';
+  payment.voidedAt = new Date();
+  payment.voidedBy = user?._id;
+  payment.voidReason = reason;
+  await payment.save();
+  return payment;
+};
+
+// Stages dropping payments on trashed applications: their fees are out of
+// the balance, so what was paid towards them is too. Advances always count.
+const excludeTrashedApplications = [
+  {
+    $lookup: {
+      from: ServiceApplication.collection.name,
+      let: { application: '$application' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$_id', '$$application'] }, deletedAt: { $ne: null } } },
+        { $project: { _id: 1 } }
+      ],
+      as: 'trashedApplication'
+    }
+  },
+  { $match: { trashedApplication: { $size: 0 } } }
+];
+
+// Fees, payments and outstanding balance of one customer, in total and per
+// application. Payments not tied to an application (advances) count towards
+// the total only. A negative outstanding balance is credit.
+const customerBalance = async (customerId) => {
+  const customer = new mongoose.Types.ObjectId(customerId);
+  const [applications, paid] = await Promise.all([
+    ServiceApplication.find({ customer })
+      .select('serviceCategoryName serviceSubCategoryName serviceNumber fees')
+      .sort({ createdAt: 1 })
+      .lean(),
+    Payment.aggregate([
+      { $match: { customer, status: 'active' } },
+      ...excludeTrashedApplications,
+      { $group: { _id: '$application', paid: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const paidByApplication = new Map(paid.map(({ _id, paid: amount }) => [String(_id), amount]));
+  const lines = applications.map(application => {
+    const fees = application.fees || 0;
+    const applicationPaid = round(paidByApplication.get(String(application._id)) || 0);
+    return {
+      application: application._id,
+      serviceCategoryName: application.serviceCategoryName,
+      serviceSubCategoryName: application.serviceSubCategoryName,
+      serviceNumber: application.serviceNumber,
+      fees,
+      paid: applicationPaid,
+      outstanding: round(fees - applicationPaid),
+      paymentStatus: paymentStatus(fees, applicationPaid)
+    };
+  });
+
+  const totalFees = round(lines.reduce((sum, line) => sum + line.fees, 0));
+  const totalPaid = round(paid.reduce((sum, line) => sum + line.paid, 0));
+
+  return {
+    customer,
+    totalFees,
+    totalPaid,
+    unallocated: round(paidByApplication.get('null') || 0),
+    outstanding: round(totalFees - totalPaid),
+    applications: lines
+  };
+};
+
+// Customers who owe money, largest balance first, in the standard list
+// envelope (page-based only). `minOutstanding` raises the threshold above 0.
+const listDues = async (query) => {
+  const { limit, page, cursor } = parsePagination(query);
+  if (cursor) {
+    throw new QueryError('The dues list supports page-based pagination only');
+  }
+  const minOutstanding = query.minOutstanding === undefined ? 0 : Number(query.minOutstanding);
+  if (Number.isNaN(minOutstanding)) {
+    throw new QueryError('minOutstanding must be a number');
+  }
+
+  const [result] = await ServiceApplication.aggregate([
+    { $group: { _id: '$customer', totalFees: { $sum: { $ifNull: ['$fees', 0] } }, applications: { $sum: 1 } } },
+    {
+      $lookup: {
+        from: Payment.collection.name,
+        let: { customer: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$customer', '$$customer'] }, status: 'active' } },
+          ...excludeTrashedApplications,
+          { $group: { _id: null, paid: { $sum: '$amount' } } }
+        ],
+        as: 'payments'
+      }
+    },
+    { $addFields: { totalPaid: { $ifNull: [{ $arrayElemAt: ['$payments.paid', 0] }, 0] } } },
+    { $addFields: { outstanding: { $round: [{ $subtract: ['$totalFees', '$totalPaid'] }, 2] } } },
+    { $match: { outstanding: { $gt: minOutstanding } } },
+    {
+      $lookup: {
+        from: Customer.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        as: 'customer'
+      }
+    },
+    { $unwind: '$customer' },
+    { $match: { 'customer.deletedAt': null } },
+    { $sort: { outstanding: -1, _id: 1 } },
+    {
+      $facet: {
+        data: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              _id: 0,
+              customer: { _id: 1, name: 1, phone: 1, encrypted: { phone: 1 } },
+              applications: 1,
+              totalFees: 1,
+              totalPaid: 1,
+              outstanding: 1
+            }
+          }
+        ],
+        total: [{ $count: 'count' }],
+        sum: [{ $group: { _id: null, outstanding: { $sum: '$outstanding' } } }]
+      }
+    }
+  ]);
+
+  const total = result.total[0]?.count || 0;
+  return {
+    // The lookup reads the collection directly, so phones come back encrypted
+    // and unmasked
+    data: result.data.map(row => ({ ...row, customer: maskCustomer(Customer.decryptRecord(row.customer)) })),
+    totalOutstanding: round(result.sum[0]?.outstanding || 0),
+    pagination: {
+      total,
+      limit,
+      page,
+      totalPages: Math.ceil(total / limit),
+      hasNextPage: page * limit < total,
+      nextCursor: null
+    }
+  };
+};
+
+export {
+  LedgerError,
+  recordPayment,
+  voidPayment,
+  customerBalance,
+  listDues
+};
@@ -0,0 +1,61 @@
+import fs from 'fs';
+import path from 'path';
+import { maskValue } from './piiMasking.js';
+
+// Outgoing message channels. A channel is an object with
+//   send({ to: { name, phone, email }, subject, body, metadata }) -> Promise<{ id }>
+// and may throw to report a failed delivery. SMS, WhatsApp or e-mail
+// providers are added with registerChannel(); the built-in ones are for
+// development and testing.
+const channels = new Map();
+// The built-in channels keep messages on the server rather than delivering them
+const BUILT_IN_CHANNELS = ['console', 'file'];
+
+const isBuiltInChannel = (name) => BUILT_IN_CHANNELS.includes(name);
+
+const registerChannel = (name, channel) => {
+  if (!channel || typeof channel.send !== 'function') {
+    throw new Error(`Message channel "${name}" must have a send() method`);
+  }
+  channels.set(name, channel);
+};
+
+// MESSAGE_CHANNEL picks the default channel; "console" when unset
+const getChannel = (name = process.env.MESSAGE_CHANNEL || 'console') => {
+  const channel = channels.get(name);
+  if (!channel) {
+    throw new Error(`Unknown message channel "${name}". Registered channels: ${[...channels.keys()].join(', ')}`);
+  }
+  return channel;
+};
+
+// A recipient as kept in message logs and reminders. Those are not encrypted,
+// so the number is masked; the customer record holds it in full.
+const loggedRecipient = ({ name, phone, email } = {}) => ({ name, phone: maskValue(phone), email });
+
+let sequence = 0;
+const nextId = (prefix) => `${prefix}-${Date.now()}-${++sequence}`;
+
+// Notes each message in the server log: the recipient's number masked and
+// the length of the body, which may hold a one-time code, rather than the text
+registerChannel('console', {
+  async send({ to, subject, body }) {
+    const id = nextId('console');
+    console.log(`📨 [${id}] To: ${to.name || ''} <${maskValue(to.phone) || to.email || 'unknown'}>\n   Subject: ${subject}\n   (${String(body || '').length} characters)`);
+    return { id };
+  }
+});
+
+// Appends each message as a JSON line to MESSAGE_OUTBOX_FILE
+// (default logs/outbox.jsonl)
+registerChannel('file', {
+  async send(message) {
+    const file = process.env.MESSAGE_OUTBOX_FILE || path.join('logs', 'outbox.jsonl');
+    const id = nextId('file');
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, `${JSON.stringify({ id, queuedAt: new Date(), ...message })}\n`);
+    return { id };
+  }
+});
+
+export { BUILT_IN_CHANNELS, isBuiltInChannel, loggedRecipient, registerChannel, getChannel };
@@ -0,0 +1,217 @@
+import mongoose from 'mongoose';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Raised for malformed query-string input; routes answer these with a 400
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+// Accepts `?a=x&a=y` as well as `?a=x,y` and returns the trimmed, non-empty values
+const parseList = (value) => {
+  if (value === undefined || value === null) return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(Boolean);
+};
+
+// "today", "today+30" or "today-7": a day counted from the current UTC date,
+// so that saved filters (see models/Segment.js) stay current
+const RELATIVE_DAY = /^today(?:([+-])(\d+))?$/i;
+
+const parseDate = (value, param, endOfDay) => {
+  const relative = RELATIVE_DAY.exec(String(value).trim());
+  if (relative) {
+    const day = new Date();
+    day.setUTCHours(0, 0, 0, 0);
+    day.setUTCDate(day.getUTCDate() + (relative[1] === '-' ? -1 : 1) * Number(relative[2] || 0));
+    if (endOfDay) day.setUTCHours(23, 59, 59, 999);
+    return day;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new QueryError(`${param} must be a valid date or a day such as "today+30"`);
+  }
+  // A bare YYYY-MM-DD upper bound covers the whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+// Inclusive { $gte, $lte } condition from two query values, or null when both
+// are absent. `fromParam`/`toParam` name the parameters in error messages.
+const parseDateRange = (from, to, fromParam, toParam) => {
+  if (!from && !to) return null;
+
+  const range = {};
+  if (from) range.$gte = parseDate(from, fromParam, false);
+  if (to) range.$lte = parseDate(to, toParam, true);
+  if (range.$gte && range.$lte && range.$gte > range.$lte) {
+    throw new QueryError(`${fromParam} must not be after ${toParam}`);
+  }
+  return range;
+};
+
+// Parse `sort=-createdAt,name` into [[field, direction], ...].
+// The legacy `sortBy`/`sortOrder` pair is still honoured when `sort` is absent.
+const parseSort = (query, allowedFields, defaultSort = '-createdAt') => {
+  let fields = parseList(query.sort);
+  if (fields.length === 0 && query.sortBy) {
+    fields = [`${query.sortOrder === 'asc' ? '' : '-'}${query.sortBy}`];
+  }
+  if (fields.length === 0) fields = parseList(defaultSort);
+
+  const sort = fields.map(token => {
+    const direction = token.startsWith('-') ? -1 : 1;
+    const field = token.replace(/^[-+]/, '');
+    if (!allowedFields.includes(field)) {
+      throw new QueryError(`Cannot sort by "${field}". Allowed fields: ${allowedFields.join(', ')}`);
+    }
+    return [field, direction];
+  });
+
+  // _id breaks ties so that page and cursor boundaries are stable
+  if (!sort.some(([field]) => field === '_id')) {
+    sort.push(['_id', sort[0][1]]);
+  }
+  return sort;
+};
+
+const toMongoSort = (sort) => Object.fromEntries(sort);
+
+const parsePagination = (query) => {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new QueryError('limit must be a positive integer');
+  }
+
+  const page = query.page === undefined ? 1 : parseInt(query.page, 10);
+  if (!Number.isInteger(page) || page < 1) {
+    throw new QueryError('page must be a positive integer');
+  }
+
+  return {
+    limit: Math.min(limit, MAX_LIMIT),
+    page,
+    cursor: query.cursor ? String(query.cursor) : null
+  };
+};
+
+// Cursor values are tagged so dates and ObjectIds survive the JSON round trip
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $o: value.toHexString() };
+  return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (value.$d) return new Date(value.$d);
+    if (value.$o) return new mongoose.Types.ObjectId(value.$o);
+  }
+  return value;
+};
+
+const encodeCursor = (doc, sort) => {
+  const payload = {
+    k: sort.map(([field, direction]) => `${direction === -1 ? '-' : ''}${field}`).join(','),
+    v: sort.map(([field]) => encodeValue(typeof doc.get === 'function' ? doc.get(field) : doc[field]))
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new QueryError('Invalid cursor');
+  }
+
+  const signature = sort.map(([field, direction]) => `${direction === -1 ? '-' : ''}${field}`).join(',');
+  if (!payload || payload.k !== signature || !Array.isArray(payload.v) || payload.v.length !== sort.length) {
+    throw new QueryError('Cursor does not match the requested sort');
+  }
+  return payload.v.map(decodeValue);
+};
+
+// Condition matching documents that sort strictly after `value` on one field.
+// MongoDB orders null before any other value, which is mirrored here.
+const afterCondition = (field, value, direction) => {
+  if (value === null) {
+    return direction === 1 ? { [field]: { $ne: null } } : null;
+  }
+  if (direction === 1) return { [field]: { $gt: value } };
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Keyset condition: (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ...
+const cursorCondition = (cursor, sort) => {
+  const values = decodeCursor(cursor, sort);
+  const branches = [];
+
+  sort.forEach(([field, direction], index) => {
+    const after = afterCondition(field, values[index], direction);
+    if (!after) return;
+    const equalities = sort.slice(0, index).map(([prevField], i) => ({ [prevField]: values[i] }));
+    branches.push(equalities.length ? { $and: [...equalities, after] } : after);
+  });
+
+  return branches.length ? { $or: branches } : { _id: { $exists: false } };
+};
+
+// Run a paginated find and wrap the result in the standard list envelope.
+// Page mode (`page`, `limit`) reports `totalPages`; cursor mode (`cursor`, `limit`)
+// continues after the last document of the previous response. Both modes return
+// `nextCursor`, so a client can start with page 1 and switch to cursors.
+const paginate = async (model, filter, query, options = {}) => {
+  const sort = parseSort(query, options.sortFields, options.defaultSort);
+  const { limit, page, cursor } = parsePagination(query);
+
+  const conditions = cursor ? { $and: [filter, cursorCondition(cursor, sort)] } : filter;
+  let finder = model.find(conditions).sort(toMongoSort(sort)).limit(limit + 1);
+  if (!cursor) finder = finder.skip((page - 1) * limit);
+  if (options.select) finder = finder.select(options.select);
+  (options.populate || []).forEach(populate => {
+    finder = finder.populate(populate);
+  });
+
+  const [total, docs] = await Promise.all([
+    model.countDocuments(filter),
+    finder
+  ]);
+
+  const hasNextPage = docs.length > limit;
+  const data = hasNextPage ? docs.slice(0, limit) : docs;
+
+  return {
+    data,
+    pagination: {
+      total,
+      limit,
+      page: cursor ? null : page,
+      totalPages: Math.ceil(total / limit),
+      hasNextPage,
+      nextCursor: hasNextPage ? encodeCursor(data[data.length - 1], sort) : null
+    }
+  };
+};
+
+export {
+  QueryError,
+  parseList,
+  parseDate,
+  parseDateRange,
+  parseSort,
+  toMongoSort,
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  cursorCondition,
+  paginate
+};
@@ -0,0 +1,80 @@
+// Indian phone numbers. Numbers are stored in E.164 form, "+919876543210",
+// whichever way they were typed: "98765 43210", "098765-43210",
+// "+91 98765 43210", "0091 9876543210" or "919876543210".
+
+const COUNTRY_CODE = '91';
+
+// Indian mobile numbers are ten digits starting with 6, 7, 8 or 9
+const MOBILE_NUMBER = /^[6-9][0-9]{9}$/;
+
+const E164_MOBILE = new RegExp(`^\\+${COUNTRY_CODE}[6-9][0-9]{9}$`);
+
+// The ten-digit national number in a typed phone number, or the digits as
+// typed when no prefix can be recognised
+const nationalDigits = (value) => {
+  const text = String(value ?? '').trim();
+  let digits = text.replace(/\D/g, '');
+  if (text.startsWith('+') || digits.startsWith(`00${COUNTRY_CODE}`)) {
+    digits = digits.replace(/^0*/, '');
+    return digits.startsWith(COUNTRY_CODE) ? digits.slice(COUNTRY_CODE.length) : digits;
+  }
+  if (digits.length === 12 && digits.startsWith(COUNTRY_CODE)) return digits.slice(COUNTRY_CODE.length);
+  if (digits.length === 11 && digits.startsWith('0')) return digits.slice(1);
+  return digits;
+};
+
+// Check a typed number. Returns { valid: true, phone } with the E.164 form, or
+// { valid: false, error }.
+const validatePhone = (value) => {
+  const text = String(value ?? '').trim();
+  if (!text) {
+    return { valid: false, error: 'Phone number is required' };
+  }
+  if (/[^0-9+\s().-]/.test(text)) {
+    return { valid: false, error: 'Phone number may only contain digits, spaces, "+", "-", "." and brackets' };
+  }
+  const national = nationalDigits(text);
+  if (national.length !== 10) {
+    return { valid: false, error: 'Please enter a valid 10-digit Indian mobile number' };
+  }
+  if (!MOBILE_NUMBER.test(national)) {
+    return { valid: false, error: 'Indian mobile numbers start with 6, 7, 8 or 9' };
+  }
+  return { valid: true, phone: `+${COUNTRY_CODE}${national}` };
+};
+
+// E.164 form of a typed number, or null when it is not a valid mobile number
+const normalizePhone = (value) => {
+  const result = validatePhone(value);
+  return result.valid ? result.phone : null;
+};
+
+const isValidPhone = (value) => E164_MOBILE.test(String(value ?? ''));
+
+// Mongoose setter: store valid numbers in E.164 form and leave anything else
+// as typed, so the validator can report it
+const phoneSetter = (value) => {
+  if (value === undefined || value === null || value === '') return value;
+  return normalizePhone(value) || String(value).trim();
+};
+
+// "+91 98765 43210" for display
+const formatPhone = (phone) => {
+  if (!isValidPhone(phone)) return phone || '';
+  const national = phone.slice(COUNTRY_CODE.length + 1);
+  return `+${COUNTRY_CODE} ${national.slice(0, 5)} ${national.slice(5)}`;
+};
+
+// The national digits typed into a search box, for prefix matching stored
+// numbers: "+91 98765" and "98765" both search for "98765"
+const phoneSearchDigits = (query) => nationalDigits(query);
+
+export {
+  COUNTRY_CODE,
+  validatePhone,
+  normalizePhone,
+  isValidPhone,
+  phoneSetter,
+  formatPhone,
+  phoneSearchDigits
+};
@@ -0,0 +1,136 @@
+import { isValidPhone, COUNTRY_CODE } from './phone.js';
+import { currentRequest } from './requestContext.js';
+
+const parseFields = (value) => String(value)
+  .split(',')
+  .map(field => field.trim())
+  .filter(Boolean);
+
+// Customer fields shown masked ("98******21") to users whose role is not in
+// PII_UNMASKED_ROLES. 'contacts.number' is the number of every contact.
+// POST api/customers/:id/reveal shows them in full, and logs it.
+const MASKED_CUSTOMER_FIELDS = parseFields(process.env.PII_MASKED_FIELDS ?? 'phone,contacts.number,dateOfBirth,gstNumber');
+const UNMASKED_ROLES = parseFields(process.env.PII_UNMASKED_ROLES ?? 'admin');
+
+const canSeePii = (user) => Boolean(user) && UNMASKED_ROLES.includes(user.role);
+
+// Values are masked in API responses only: scripts, scheduled jobs and the
+// code behind a request all work with the real values
+const shouldMask = () => {
+  const req = currentRequest();
+  return Boolean(req) && !canSeePii(req.user);
+};
+
+// First and last two characters kept: "98******21"
+const maskText = (text) => {
+  if (text.length <= 4) return '*'.repeat(text.length);
+  return `${text.slice(0, 2)}${'*'.repeat(text.length - 4)}${text.slice(-2)}`;
+};
+
+// Phone numbers are masked on their ten national digits, dates on their
+// YYYY-MM-DD form
+const maskValue = (value) => {
+  if (value === undefined || value === null || value === '') return value;
+  if (value instanceof Date) return maskText(value.toISOString().slice(0, 10));
+  const text = String(value);
+  if (isValidPhone(text)) return maskText(text.slice(COUNTRY_CODE.length + 1));
+  return maskText(text);
+};
+
+// Mask `fields` of a plain record in place, and list the ones that had a value
+// in `maskedFields` so clients know what can be revealed
+const maskRecord = (record, fields) => {
+  if (!record || typeof record !== 'object') return record;
+  const masked = [];
+  fields.forEach(field => {
+    const [first, rest] = field.split(/\.(.*)/s);
+    if (rest && Array.isArray(record[first])) {
+      record[first].forEach(element => {
+        if (!element || element[rest] === undefined || element[rest] === null || element[rest] === '') return;
+        element[rest] = maskValue(element[rest]);
+        if (!masked.includes(field)) masked.push(field);
+      });
+    } else if (!rest && record[field] !== undefined && record[field] !== null && record[field] !== '') {
+      record[field] = maskValue(record[field]);
+      masked.push(field);
+    }
+  });
+  if (masked.length) record.maskedFields = masked;
+  return record;
+};
+
+// A customer read with lean() or through an aggregation, masked for the
+// current request's user where needed
+const maskCustomer = (record) => (shouldMask() ? maskRecord(record, MASKED_CUSTOMER_FIELDS) : record);
+
+// One { field, before, after } change to a customer, as kept in merge
+// records, masked the same way
+const maskCustomerChange = (change) => {
+  if (!shouldMask()) return change;
+  ['before', 'after'].forEach(side => {
+    change[side] = maskRecord({ [change.field]: change[side] }, MASKED_CUSTOMER_FIELDS)[change.field];
+  });
+  return change;
+};
+
+// Invoice party fields by the customer field they were copied from
+const PARTY_FIELDS = { phone: 'phone', email: 'email', address: 'address', gstin: 'gstNumber' };
+
+// An invoice's buyer block (a plain record), masked like the customer it was
+// copied from
+const maskInvoiceParty = (party) => {
+  if (!party || !shouldMask()) return party;
+  const fields = Object.keys(PARTY_FIELDS).filter(field => MASKED_CUSTOMER_FIELDS.includes(PARTY_FIELDS[field]));
+  return maskRecord(party, fields);
+};
+
+const MASKED_PATTERN = /^[^*]{0,2}\*+[^*]{0,2}$/;
+const isMaskedValue = (value) => typeof value === 'string' && MASKED_PATTERN.test(value);
+
+// An update with the masked values a client sent back unchanged left out, so
+// saving a customer as it was shown keeps the real values. A list (contacts)
+// with any masked entry is left out whole.
+const withoutMaskedValues = (data, fields = MASKED_CUSTOMER_FIELDS) => {
+  const result = { ...data };
+  fields.forEach(field => {
+    const [first, rest] = field.split(/\.(.*)/s);
+    if (rest && Array.isArray(result[first]) && result[first].some(element => isMaskedValue(element?.[rest]))) {
+      delete result[first];
+    } else if (!rest && isMaskedValue(result[field])) {
+      delete result[field];
+    }
+  });
+  return result;
+};
+
+// Mongoose plugin masking `fields` when a document is turned into JSON for a
+// user who may not see them (see shouldMask). Lean results bypass it; pass
+// those through maskCustomer().
+const piiMasking = (schema, options = {}) => {
+  const fields = options.fields || [];
+  if (!fields.length) return;
+
+  const settings = schema.get('toJSON') || {};
+  const { transform } = settings;
+  schema.set('toJSON', {
+    ...settings,
+    transform(doc, ret, transformOptions) {
+      const result = typeof transform === 'function' ? transform(doc, ret, transformOptions) : ret;
+      if (result && !doc.$isSubdocument && shouldMask()) maskRecord(result, fields);
+      return result;
+    }
+  });
+};
+
+export {
+  MASKED_CUSTOMER_FIELDS,
+  canSeePii,
+  shouldMask,
+  maskValue,
+  maskRecord,
+  maskCustomer,
+  maskCustomerChange,
+  maskInvoiceParty,
+  withoutMaskedValues,
+  piiMasking
+};
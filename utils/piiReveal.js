@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+import AuditLog from '../models/AuditLog.js';
+import { MASKED_CUSTOMER_FIELDS } from './piiMasking.js';
+import { currentActor } from './requestContext.js';
+
+const REASON_MIN_LENGTH = 5;
+const REASON_MAX_LENGTH = 500;
+
+// Raised for reveal requests that cannot be granted; routes answer with `status`
+class RevealError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RevealError';
+    this.status = status;
+  }
+}
+
+// The full values of masked customer fields (see utils/piiMasking.js), with
+// who asked, and why, logged as a `reveal` entry in the audit log. Nothing is
+// revealed unless the entry was written.
+// Returns { customer, fields: { phone, contacts: [{ _id, type, number }], ... } }
+const revealCustomerFields = async (customerId, { fields, reason }, user) => {
+  if (!mongoose.Types.ObjectId.isValid(customerId)) {
+    throw new RevealError('Invalid customer ID');
+  }
+  const requested = [...new Set(Array.isArray(fields) ? fields : String(fields || '').split(','))]
+    .map(field => String(field).trim())
+    .filter(Boolean);
+  if (!requested.length) {
+    throw new RevealError(`Name the fields to reveal: ${MASKED_CUSTOMER_FIELDS.join(', ')}`);
+  }
+  const unknown = requested.filter(field => !MASKED_CUSTOMER_FIELDS.includes(field));
+  if (unknown.length) {
+    throw new RevealError(`Not masked: ${unknown.join(', ')}. Masked fields: ${MASKED_CUSTOMER_FIELDS.join(', ')}`);
+  }
+  const why = String(reason || '').trim();
+  if (why.length < REASON_MIN_LENGTH || why.length > REASON_MAX_LENGTH) {
+    throw new RevealError(`Give a reason of ${REASON_MIN_LENGTH} to ${REASON_MAX_LENGTH} characters`);
+  }
+
+  const customer = await Customer.findById(customerId)
+    .select([...new Set(requested.map(field => field.split('.')[0]))].join(' '))
+    .lean();
+  if (!customer) {
+    throw new RevealError('Customer not found', 404);
+  }
+
+  const { ip, userAgent } = currentActor();
+  await AuditLog.create({
+    entity: Customer.modelName,
+    entityId: customer._id,
+    action: 'reveal',
+    changes: requested.map(field => ({ field })),
+    reason: why,
+    actor: user._id,
+    ip,
+    userAgent
+  });
+
+  const values = {};
+  requested.forEach(field => {
+    const [first, rest] = field.split('.');
+    values[first] = rest
+      ? (customer[first] || []).map(element => ({ _id: element._id, type: element.type, [rest]: element[rest] ?? null }))
+      : customer[first] ?? null;
+  });
+  return { customer: customer._id, fields: values };
+};
+
+export { RevealError, revealCustomerFields };
@@ -0,0 +1,187 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { stateCodeFromName } from './gst.js';
+
+// Indian postal index numbers, looked up in the offline India Post directory
+// bundled as data/pincodes.json (rebuilt by scripts/build-pincode-dataset.js).
+// The dataset is read on first use and kept in memory.
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATASET = path.join(__dirname, '..', 'data', 'pincodes.json');
+
+// Six digits, never starting with 0
+const PINCODE_PATTERN = /^[1-9][0-9]{5}$/;
+
+// Accept well-formed pincodes that are missing from the dataset, for when
+// India Post has opened an office since the dataset was built
+const ALLOW_UNKNOWN_PINCODES = process.env.PINCODE_ALLOW_UNKNOWN === 'true';
+
+// Most matches GET api/pincodes?q= returns
+const PINCODE_SEARCH_LIMIT = 20;
+
+// Old and colloquial names of cities, by the name the dataset uses
+const CITY_ALIASES = {
+  madras: 'Chennai',
+  bombay: 'Mumbai',
+  calcutta: 'Kolkata',
+  bangalore: 'Bengaluru',
+  mysore: 'Mysuru',
+  mangalore: 'Mangaluru',
+  trivandrum: 'Thiruvananthapuram',
+  cochin: 'Ernakulam',
+  kochi: 'Ernakulam',
+  calicut: 'Kozhikode',
+  pondicherry: 'Puducherry',
+  pondy: 'Puducherry',
+  trichy: 'Tiruchirappalli',
+  tanjore: 'Thanjavur',
+  gurgaon: 'Gurugram',
+  poona: 'Pune',
+  baroda: 'Vadodara',
+  benares: 'Varanasi',
+  banaras: 'Varanasi',
+  vizag: 'Visakhapatnam'
+};
+
+// Districts that are parts of one city, by that city
+const DISTRICT_CITIES = {
+  'Mumbai Suburban': 'Mumbai',
+  'Bengaluru Urban': 'Bengaluru',
+  'Hyderabad': 'Hyderabad',
+  'Medchal Malkajgiri': 'Hyderabad'
+};
+
+// Raised for pincodes that cannot be looked up; routes answer with `status`
+class PincodeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PincodeError';
+    this.status = status;
+  }
+}
+
+let dataset;
+
+const loadDataset = () => {
+  if (!dataset) {
+    dataset = JSON.parse(fs.readFileSync(DATASET, 'utf8'));
+  }
+  return dataset;
+};
+
+// "600 001" and "600-001" as "600001"; anything else trimmed, for the
+// validator to report
+const normalizePincode = (value) => {
+  const text = String(value ?? '').trim();
+  const compact = text.replace(/[\s-]/g, '');
+  return /^[0-9]{6}$/.test(compact) ? compact : text;
+};
+
+const isValidPincode = (value) => PINCODE_PATTERN.test(String(value ?? ''));
+
+// The city a pincode is in: the district, or the city its district is part of.
+// Delhi's districts ("East", "South West") are all Delhi, apart from New Delhi.
+const cityOf = (district, state) => {
+  if (DISTRICT_CITIES[district]) return DISTRICT_CITIES[district];
+  if (state === 'Delhi' && district !== 'New Delhi') return 'Delhi';
+  return district;
+};
+
+// { pincode, city, district, state, stateCode, areas } for a pincode, or null
+// when it is malformed or not in the dataset. `areas` are the delivery post
+// offices under it, e.g. ["Kelambakkam", "Pudupakkam"].
+const lookupPincode = (value) => {
+  const pincode = normalizePincode(value);
+  if (!isValidPincode(pincode)) return null;
+
+  const { pincodes, districts, states } = loadDataset();
+  const entry = pincodes[pincode];
+  if (!entry) return null;
+
+  const [districtIndex, areas] = entry;
+  const [district, stateIndex] = districts[districtIndex];
+  const state = states[stateIndex];
+  return {
+    pincode,
+    city: cityOf(district, state),
+    district,
+    state,
+    stateCode: stateCodeFromName(state),
+    areas
+  };
+};
+
+// Check a typed pincode. Returns { valid: true, pincode, place } with `place`
+// as lookupPincode gives it (null for an unknown pincode that is allowed), or
+// { valid: false, error }.
+const validatePincode = (value) => {
+  const pincode = normalizePincode(value);
+  if (!isValidPincode(pincode)) {
+    return { valid: false, error: 'Please enter a valid 6-digit pincode' };
+  }
+  const place = lookupPincode(pincode);
+  if (!place && !ALLOW_UNKNOWN_PINCODES) {
+    return { valid: false, error: `Pincode ${pincode} is not in the India Post directory` };
+  }
+  return { valid: true, pincode, place };
+};
+
+const comparable = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// The city to store for a customer at `place`: the pincode's city when none
+// was typed, otherwise the typed one spelt as the dataset spells it ("chennai ",
+// "Madras" -> "Chennai"; a post office area -> its name). Cities the dataset
+// does not know are kept as typed, with stray whitespace removed.
+const canonicalCity = (typed, place) => {
+  const text = String(typed ?? '').trim().replace(/\s+/g, ' ');
+  if (!place) return text;
+  if (!text) return place.city;
+
+  const key = comparable(text);
+  const alias = CITY_ALIASES[key];
+  if (alias) return comparable(alias) === comparable(place.district) ? place.city : alias;
+
+  const known = [place.city, place.district, ...place.areas].find(name => comparable(name) === key);
+  if (known) return known === place.district ? place.city : known;
+  return text;
+};
+
+// { zipCode, city, district, state } for a customer's typed pincode and city;
+// null when the pincode is not in the dataset
+const addressFromPincode = (zipCode, city) => {
+  const place = lookupPincode(zipCode);
+  if (!place) return null;
+  return {
+    zipCode: place.pincode,
+    city: canonicalCity(city, place),
+    district: place.district,
+    state: place.state
+  };
+};
+
+// Pincodes starting with `prefix` (at least three digits), for autocomplete
+const searchPincodes = (prefix, limit = PINCODE_SEARCH_LIMIT) => {
+  const digits = String(prefix ?? '').replace(/\D/g, '');
+  if (digits.length < 3) {
+    throw new PincodeError('Type at least the first 3 digits of the pincode');
+  }
+  const results = [];
+  for (const pincode of Object.keys(loadDataset().pincodes)) {
+    if (!pincode.startsWith(digits)) continue;
+    results.push(lookupPincode(pincode));
+    if (results.length >= limit) break;
+  }
+  return results;
+};
+
+export {
+  PINCODE_SEARCH_LIMIT,
+  PincodeError,
+  normalizePincode,
+  isValidPincode,
+  validatePincode,
+  lookupPincode,
+  canonicalCity,
+  addressFromPincode,
+  searchPincodes
+};
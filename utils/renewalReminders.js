@@ -0,0 +1,247 @@
+import mongoose from 'mongoose';
+import ServiceApplication from '../models/ServiceApplication.js';
+import MessageTemplate from '../models/MessageTemplate.js';
+import RenewalReminder from '../models/RenewalReminder.js';
+import { getChannel, loggedRecipient } from './messageChannels.js';
+import { renderTemplate } from './templateRender.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Raised when a reminder run cannot start; routes answer with `status`
+class ReminderError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReminderError';
+    this.status = status;
+  }
+}
+
+const parseWindows = (value) => {
+  const windows = String(value).split(',').map(Number);
+  if (!windows.length || windows.some(days => !Number.isInteger(days) || days < 0)) {
+    throw new Error(`Invalid reminder windows "${value}"; expected whole days such as "30,7,1"`);
+  }
+  return [...new Set(windows)].sort((a, b) => a - b);
+};
+
+// Days before the renewal date at which customers are reminded, smallest first
+const REMINDER_WINDOWS = parseWindows(process.env.RENEWAL_REMINDER_WINDOWS || '30,7,1');
+
+// Placeholders available to reminder templates, e.g. "Dear {{name}}, your
+// {{serviceCategoryName}} is due for renewal on {{renewalDate}}"
+const REMINDER_PLACEHOLDERS = [
+  'name', 'phone', 'email', 'serviceCategoryName', 'serviceSubCategoryName',
+  'serviceNumber', 'fees', 'renewalDate', 'daysLeft'
+];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const formatDate = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}`;
+};
+
+const reminderKey = (application, renewalDate, window) =>
+  `${application}:${new Date(renewalDate).getTime()}:${window}`;
+
+// Template given by ID or name, falling back to RENEWAL_REMINDER_TEMPLATE
+const resolveTemplate = async (templateRef = process.env.RENEWAL_REMINDER_TEMPLATE) => {
+  if (!templateRef) {
+    throw new ReminderError('No reminder template given; pass templateId or set RENEWAL_REMINDER_TEMPLATE');
+  }
+  const template = mongoose.Types.ObjectId.isValid(templateRef)
+    ? await MessageTemplate.findById(templateRef)
+    : await MessageTemplate.findOne({ name: templateRef });
+  if (!template) {
+    throw new ReminderError(`Message template "${templateRef}" not found`, 404);
+  }
+  return template;
+};
+
+// Applications whose renewal falls inside a reminder window and who have not
+// had that window's reminder yet. Each is matched to the tightest window that
+// contains it, so a run after some downtime sends one reminder, not a burst.
+const findDueReminders = async ({ now = new Date(), windows = REMINDER_WINDOWS } = {}) => {
+  const today = startOfDay(now);
+  const horizon = new Date(today.getTime() + (windows[windows.length - 1] + 1) * DAY_MS);
+
+  const applications = await ServiceApplication.find({
+    nextRenewalDate: { $gte: today, $lt: horizon },
+    deliveryStatus: { $ne: 'Rejected' }
+  }).populate('customer', 'name phone email erasedAt');
+
+  const existing = await RenewalReminder.find({
+    application: { $in: applications.map(application => application._id) },
+    status: { $ne: 'failed' }
+  }).select('application renewalDate window').lean();
+  const done = new Set(existing.map(r => reminderKey(r.application, r.renewalDate, r.window)));
+
+  return applications
+    // Trashed customers are not populated; erased ones are not to be contacted
+    .filter(application => application.customer && !application.customer.erasedAt)
+    .map(application => {
+      const daysLeft = Math.round((startOfDay(application.nextRenewalDate) - today) / DAY_MS);
+      return {
+        application,
+        customer: application.customer,
+        daysLeft,
+        window: windows.find(days => days >= daysLeft)
+      };
+    })
+    .filter(({ application, window }) =>
+      window !== undefined && !done.has(reminderKey(application._id, application.nextRenewalDate, window)));
+};
+
+const buildMessage = (template, { application, customer, daysLeft, window }) => {
+  const variables = {
+    name: customer.name,
+    phone: customer.phone,
+    email: customer.email,
+    serviceCategoryName: application.serviceCategoryName,
+    serviceSubCategoryName: application.serviceSubCategoryName,
+    serviceNumber: application.serviceNumber,
+    fees: application.fees,
+    renewalDate: formatDate(application.nextRenewalDate),
+    daysLeft
+  };
+
+  return {
+    to: { name: customer.name, phone: customer.phone, email: customer.email },
+    subject: renderTemplate(template.subject, variables),
+    body: renderTemplate(template.content, variables),
+    metadata: { type: 'renewal-reminder', application: application._id, customer: customer._id, window }
+  };
+};
+
+// Claim a reminder before sending it. The unique index makes a second run
+// (or a second server) skip it; a failed attempt may be claimed again.
+const claimReminder = async (due, template, channelName, message) => {
+  const key = { application: due.application._id, renewalDate: due.application.nextRenewalDate, window: due.window };
+  const fields = {
+    customer: due.customer._id,
+    template: template._id,
+    channel: channelName,
+    to: loggedRecipient(message.to),
+    subject: message.subject,
+    body: message.body
+  };
+
+  try {
+    return await RenewalReminder.create({ ...key, ...fields });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return RenewalReminder.findOneAndUpdate(
+      { ...key, status: 'failed' },
+      { $set: { ...fields, status: 'queued', error: null }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+};
+
+// Send every due renewal reminder through `channel` (MESSAGE_CHANNEL by
+// default) using `templateId` (RENEWAL_REMINDER_TEMPLATE by default). With
+// `dryRun` the rendered messages are returned and nothing is sent or recorded.
+const sendRenewalReminders = async ({ templateId, channel: channelName, now = new Date(), dryRun = false } = {}) => {
+  const template = await resolveTemplate(templateId);
+  const name = channelName || process.env.MESSAGE_CHANNEL || 'console';
+  let channel;
+  try {
+    channel = getChannel(name);
+  } catch (error) {
+    throw new ReminderError(error.message);
+  }
+  const due = await findDueReminders({ now });
+
+  const results = [];
+  for (const item of due) {
+    const message = buildMessage(template, item);
+    const summary = {
+      application: item.application._id,
+      customer: item.customer._id,
+      renewalDate: item.application.nextRenewalDate,
+      daysLeft: item.daysLeft,
+      window: item.window
+    };
+
+    if (dryRun) {
+      results.push({ ...summary, status: 'preview', to: message.to, subject: message.subject, body: message.body });
+      continue;
+    }
+
+    const reminder = await claimReminder(item, template, name, message);
+    if (!reminder) {
+      results.push({ ...summary, status: 'skipped' });
+      continue;
+    }
+
+    try {
+      const { id } = await channel.send(message);
+      reminder.status = 'sent';
+      reminder.messageId = id;
+      reminder.sentAt = new Date();
+      reminder.error = undefined;
+    } catch (error) {
+      reminder.status = 'failed';
+      reminder.error = error.message;
+    }
+    await reminder.save();
+    results.push({ ...summary, status: reminder.status, reminder: reminder._id, error: reminder.error });
+  }
+
+  return {
+    template: template._id,
+    channel: name,
+    windows: REMINDER_WINDOWS,
+    dryRun,
+    due: due.length,
+    sent: results.filter(result => result.status === 'sent').length,
+    failed: results.filter(result => result.status === 'failed').length,
+    results
+  };
+};
+
+let schedulerTimer = null;
+let schedulerRunning = false;
+
+// Run sendRenewalReminders every RENEWAL_REMINDER_INTERVAL_MINUTES (default
+// 60), starting now. A run still in progress is never overlapped.
+const startRenewalReminderScheduler = (intervalMinutes = Number(process.env.RENEWAL_REMINDER_INTERVAL_MINUTES) || 60) => {
+  if (schedulerTimer) return schedulerTimer;
+
+  const tick = async () => {
+    if (schedulerRunning) return;
+    schedulerRunning = true;
+    try {
+      const { due, sent, failed } = await sendRenewalReminders();
+      if (due) console.log(`🔔 Renewal reminders: ${sent} sent, ${failed} failed of ${due} due`);
+    } catch (error) {
+      console.error('Error sending renewal reminders:', error);
+    } finally {
+      schedulerRunning = false;
+    }
+  };
+
+  schedulerTimer = setInterval(tick, intervalMinutes * 60 * 1000);
+  schedulerTimer.unref();
+  tick();
+  return schedulerTimer;
+};
+
+const stopRenewalReminderScheduler = () => {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+};
+
+export {
+  REMINDER_WINDOWS,
+  REMINDER_PLACEHOLDERS,
+  ReminderError,
+  findDueReminders,
+  sendRenewalReminders,
+  startRenewalReminderScheduler,
+  stopRenewalReminderScheduler
+};
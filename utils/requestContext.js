@@ -0,0 +1,26 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Per-request context available to code that has no access to `req`, such
+// as Mongoose middleware. The request itself is stored rather than a copy so
+// that `req.user`, set later by the auth middleware, is seen as well.
+const storage = new AsyncLocalStorage();
+
+const requestContext = (req, res, next) => {
+  storage.run({ req }, next);
+};
+
+// { user, ip, userAgent } of the current request; all null outside one
+// (scripts, scheduled jobs)
+const currentActor = () => {
+  const req = storage.getStore()?.req;
+  return {
+    user: req?.user?._id || null,
+    ip: req?.ip || null,
+    userAgent: req?.get?.('user-agent') || null
+  };
+};
+
+// The request being handled, or null outside one
+const currentRequest = () => storage.getStore()?.req || null;
+
+export { requestContext, currentActor, currentRequest };
@@ -0,0 +1,239 @@
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+import ServiceApplication from '../models/ServiceApplication.js';
+import MessageTemplate from '../models/MessageTemplate.js';
+import Segment from '../models/Segment.js';
+import MessageLog from '../models/MessageLog.js';
+import {
+  CUSTOMER_FILTER_PARAMS,
+  CUSTOMER_SORT_FIELDS,
+  buildCustomerFilter,
+  buildApplicationFilter
+} from './customerQuery.js';
+import { paginate } from './pagination.js';
+import { getChannel, loggedRecipient } from './messageChannels.js';
+import { renderTemplate } from './templateRender.js';
+
+// Most customers one segment message may go to (SEGMENT_MESSAGE_LIMIT)
+const SEGMENT_MESSAGE_LIMIT = Number(process.env.SEGMENT_MESSAGE_LIMIT) || 1000;
+
+// Placeholders available to segment messages, e.g. "Dear {{name}}, ..."
+const SEGMENT_PLACEHOLDERS = ['name', 'phone', 'email', 'city', 'state'];
+
+// Raised for segment requests that cannot be carried out; routes answer with `status`
+class SegmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SegmentError';
+    this.status = status;
+  }
+}
+
+const isBlank = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && !value.length);
+
+// Check a segment filter and return it without empty parameters. Values are
+// what the GET api/customers query string takes: strings, or arrays of them.
+const cleanSegmentFilter = async (filter) => {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new SegmentError('filter must be an object of customer filter parameters');
+  }
+  const unknown = Object.keys(filter).filter(param => !CUSTOMER_FILTER_PARAMS.includes(param));
+  if (unknown.length) {
+    throw new SegmentError(`Unknown filter parameter(s): ${unknown.join(', ')}. Allowed: ${CUSTOMER_FILTER_PARAMS.join(', ')}`);
+  }
+
+  const cleaned = {};
+  Object.entries(filter).forEach(([param, value]) => {
+    if (isBlank(value)) return;
+    const values = Array.isArray(value) ? value : [value];
+    if (values.some(item => typeof item === 'object' && item !== null)) {
+      throw new SegmentError(`${param} must be a string or a list of strings`);
+    }
+    cleaned[param] = Array.isArray(value) ? value.map(String) : String(value);
+  });
+
+  try {
+    await buildCustomerFilter(cleaned);
+  } catch (error) {
+    if (error.name === 'QueryError') throw new SegmentError(error.message);
+    throw error;
+  }
+  return cleaned;
+};
+
+const findSegment = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new SegmentError('Invalid segment ID');
+  }
+  const segment = await Segment.findById(id);
+  if (!segment) {
+    throw new SegmentError('Segment not found', 404);
+  }
+  return segment;
+};
+
+const createSegment = async ({ name, description, filter }, user) => {
+  return Segment.create({
+    name,
+    description,
+    filter: await cleanSegmentFilter(filter),
+    createdBy: user?._id
+  });
+};
+
+const updateSegment = async (id, { name, description, filter }, user) => {
+  const segment = await findSegment(id);
+  if (name !== undefined) segment.name = name;
+  if (description !== undefined) segment.description = description;
+  if (filter !== undefined) segment.filter = await cleanSegmentFilter(filter);
+  if (user) segment.updatedBy = user._id;
+  await segment.save();
+  return segment;
+};
+
+// Counts and one page of members for a segment filter. `query` takes the
+// usual page, limit, cursor and sort (as GET api/customers).
+// Returns { counts: { customers, byStatus, applications }, data, pagination };
+// `applications` counts the members' applications that match the filter's
+// application conditions (all of them when there are none).
+const evaluateSegmentFilter = async (segmentFilter, query = {}) => {
+  const filter = await buildCustomerFilter(segmentFilter);
+
+  const [byStatus, members] = await Promise.all([
+    Customer.aggregate([
+      { $match: filter },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    paginate(Customer, filter, query, {
+      sortFields: CUSTOMER_SORT_FIELDS,
+      defaultSort: '-createdAt',
+      select: 'name phone email city state status tags createdAt',
+      populate: [{ path: 'tags', select: 'name color' }]
+    })
+  ]);
+
+  const applications = await ServiceApplication.countDocuments({
+    ...buildApplicationFilter(segmentFilter),
+    customer: { $in: await Customer.distinct('_id', filter) }
+  });
+
+  return {
+    counts: {
+      customers: byStatus.reduce((sum, { count }) => sum + count, 0),
+      byStatus: Object.fromEntries(byStatus.map(({ _id, count }) => [_id || 'Unknown', count])),
+      applications
+    },
+    ...members
+  };
+};
+
+const resolveTemplate = async (templateRef) => {
+  if (!templateRef) {
+    throw new SegmentError('templateId is required');
+  }
+  const template = mongoose.Types.ObjectId.isValid(templateRef)
+    ? await MessageTemplate.findById(templateRef)
+    : await MessageTemplate.findOne({ name: templateRef });
+  if (!template) {
+    throw new SegmentError(`Message template "${templateRef}" not found`, 404);
+  }
+  return template;
+};
+
+// Send a message template to every member of a segment through `channel`
+// (MESSAGE_CHANNEL by default). Members without a phone or e-mail are
+// skipped. With `dryRun` the rendered messages are returned and nothing is
+// sent. Each message tried is kept in MessageLog for the customer's timeline.
+const messageSegment = async (id, { templateId, channel: channelName, dryRun = false } = {}, user = null) => {
+  const segment = await findSegment(id);
+  const template = await resolveTemplate(templateId);
+  const name = channelName || process.env.MESSAGE_CHANNEL || 'console';
+  let channel;
+  try {
+    channel = getChannel(name);
+  } catch (error) {
+    throw new SegmentError(error.message);
+  }
+
+  const customers = await Customer.find(await buildCustomerFilter(segment.filter))
+    .select('name phone email city state')
+    .sort({ createdAt: 1 })
+    .limit(SEGMENT_MESSAGE_LIMIT + 1)
+    .lean();
+  if (customers.length > SEGMENT_MESSAGE_LIMIT) {
+    throw new SegmentError(`Segment has more than ${SEGMENT_MESSAGE_LIMIT} customers (SEGMENT_MESSAGE_LIMIT); narrow it down first`);
+  }
+
+  const results = [];
+  for (const customer of customers) {
+    const summary = { customer: customer._id, name: customer.name };
+    if (!customer.phone && !customer.email) {
+      results.push({ ...summary, status: 'skipped', error: 'No phone number or e-mail address' });
+      continue;
+    }
+
+    const variables = Object.fromEntries(SEGMENT_PLACEHOLDERS.map(field => [field, customer[field]]));
+    const message = {
+      to: { name: customer.name, phone: customer.phone, email: customer.email },
+      subject: renderTemplate(template.subject, variables),
+      body: renderTemplate(template.content, variables),
+      metadata: { type: 'segment-message', segment: segment._id, customer: customer._id }
+    };
+    if (dryRun) {
+      results.push({ ...summary, status: 'preview', to: message.to, subject: message.subject, body: message.body });
+      continue;
+    }
+
+    let result;
+    try {
+      const { id: messageId } = await channel.send(message);
+      result = { status: 'sent', messageId };
+    } catch (error) {
+      result = { status: 'failed', error: error.message };
+    }
+    results.push({ ...summary, ...result });
+
+    // A failed log write does not stop the remaining messages
+    try {
+      await MessageLog.create({
+        customer: customer._id,
+        purpose: 'segment-message',
+        channel: name,
+        to: loggedRecipient(message.to),
+        subject: message.subject,
+        body: message.body,
+        template: template._id,
+        segment: segment._id,
+        sentBy: user?._id,
+        ...result
+      });
+    } catch (error) {
+      console.error('Error logging segment message:', error);
+    }
+  }
+
+  return {
+    segment: segment._id,
+    template: template._id,
+    channel: name,
+    dryRun,
+    total: customers.length,
+    sent: results.filter(result => result.status === 'sent').length,
+    failed: results.filter(result => result.status === 'failed').length,
+    skipped: results.filter(result => result.status === 'skipped').length,
+    results
+  };
+};
+
+export {
+  SEGMENT_MESSAGE_LIMIT,
+  SEGMENT_PLACEHOLDERS,
+  SegmentError,
+  cleanSegmentFilter,
+  findSegment,
+  createSegment,
+  updateSegment,
+  evaluateSegmentFilter,
+  messageSegment
+};
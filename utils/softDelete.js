@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import { currentActor } from './requestContext.js';
+
+// Reads that leave trashed records out unless asked otherwise
+const READ_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'count', 'distinct'];
+
+// True when the filter already says something about deletedAt, e.g. the
+// trash listing's { deletedAt: { $ne: null } }, possibly inside an $and
+const mentionsDeletedAt = (filter) => {
+  if (!filter || typeof filter !== 'object') return false;
+  if (Object.prototype.hasOwnProperty.call(filter, 'deletedAt')) return true;
+  return Array.isArray(filter.$and) && filter.$and.some(mentionsDeletedAt);
+};
+
+// Mongoose plugin for soft deletion. Adds deletedAt/deletedBy, the
+// softDelete() and restore() document methods, and hides trashed records from
+// reads and aggregations. Pass the `withDeleted` query option, or filter on
+// deletedAt yourself, to see them:
+//
+//   Customer.find(filter).setOptions({ withDeleted: true })
+//   Customer.aggregate(pipeline).option({ withDeleted: true })
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(READ_QUERIES, function() {
+    if (this.getOptions().withDeleted || mentionsDeletedAt(this.getFilter())) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    // $text and $geoNear must stay in the first stage, so join an opening $match
+    if (first && first.$match) {
+      if (!mentionsDeletedAt(first.$match)) first.$match.deletedAt = null;
+    } else if (!(first && first.$geoNear)) {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  // Validation is skipped so that legacy records which no longer satisfy the
+  // schema can still be trashed and restored. `at` lets records trashed
+  // together share a timestamp, so they can be restored together.
+  schema.methods.softDelete = function(user, at = new Date()) {
+    this.deletedAt = at;
+    this.deletedBy = user?._id || currentActor().user;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save({ validateBeforeSave: false });
+  };
+};
+
+export { softDelete };
@@ -0,0 +1,13 @@
+// Fill {{placeholders}} in a message template. Names may contain letters,
+// digits, underscores and dots; placeholders without a value render empty.
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const renderTemplate = (text, variables = {}) => String(text || '').replace(PLACEHOLDER, (match, name) => {
+  const value = variables[name];
+  return value === undefined || value === null ? '' : String(value);
+});
+
+// Placeholder names used in a template, e.g. to show which are supported
+const templatePlaceholders = (text) => [...new Set([...String(text || '').matchAll(PLACEHOLDER)].map(m => m[1]))];
+
+export { renderTemplate, templatePlaceholders };
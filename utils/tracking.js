@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import Customer from '../models/Customer.js';
+import ServiceApplication from '../models/ServiceApplication.js';
+import TrackingOtp from '../models/TrackingOtp.js';
+import { getChannel, isBuiltInChannel } from './messageChannels.js';
+import { isEncryptionEnabled, blindIndex } from './fieldEncryption.js';
+
+// How many trailing phone digits a customer types to track an application
+const TRACKING_PHONE_DIGITS = Number(process.env.TRACKING_PHONE_DIGITS) || 4;
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 5;
+
+// Raised for tracking requests that cannot be answered; routes answer with `status`
+class TrackingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TrackingError';
+    this.status = status;
+  }
+}
+
+// One message for an unknown service number and a wrong phone or code alike,
+// so the endpoint cannot be used to find out which service numbers exist
+const NOT_FOUND = 'No application matches these details';
+
+const normalizeServiceNumber = (value) => String(value || '').trim();
+
+const hmac = (value) =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET || 'your_jwt_secret').update(value);
+
+// Codes are kept against the phone's blind index rather than the number. With
+// field encryption off there is no blind index key, so the code secret stands in.
+const phoneHash = (phone) => (isEncryptionEnabled()
+  ? blindIndex(phone, 'phone')
+  : hmac(`phone:${phone}`).digest('base64'));
+
+const hashCode = (serviceNumber, hashedPhone, code) =>
+  hmac(`${serviceNumber}:${hashedPhone}:${code}`).digest('hex');
+
+const sameHash = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// What a customer may see of an application: the service, where it stands
+// and how it got there. No customer details, fees, notes or staff names.
+const publicView = (application) => ({
+  serviceNumber: application.serviceNumber,
+  serviceName: application.serviceCategoryName,
+  serviceSubCategoryName: application.serviceSubCategoryName || null,
+  deliveryStatus: application.deliveryStatus,
+  expectedDeliveryDate: application.deliveryDate || null,
+  statusHistory: (application.statusHistory || []).map(({ from, to, changedAt }) => ({ from, to, changedAt }))
+});
+
+// Applications under a service number, each with its customer's phone
+const applicationsFor = async (serviceNumber) => {
+  if (!serviceNumber) return [];
+  const applications = await ServiceApplication.find({ serviceNumber })
+    .select('customer serviceNumber serviceCategoryName serviceSubCategoryName deliveryStatus deliveryDate statusHistory')
+    .sort({ createdAt: -1 })
+    .lean();
+  const customers = await Customer.find({ _id: { $in: applications.map(application => application.customer) } })
+    .select('name phone')
+    .lean();
+  const byId = new Map(customers.map(customer => [String(customer._id), customer]));
+  return applications
+    .map(application => ({ application, customer: byId.get(String(application.customer)) }))
+    .filter(({ customer }) => customer?.phone);
+};
+
+const digitsOf = (phone) => String(phone || '').replace(/\D/g, '');
+
+// Track by service number and the last digits of the customer's phone
+const trackByPhone = async ({ serviceNumber, phoneDigits }) => {
+  const digits = digitsOf(phoneDigits);
+  if (digits.length !== TRACKING_PHONE_DIGITS) {
+    throw new TrackingError(`Enter the last ${TRACKING_PHONE_DIGITS} digits of your phone number`);
+  }
+
+  const matches = (await applicationsFor(normalizeServiceNumber(serviceNumber)))
+    .filter(({ customer }) => digitsOf(customer.phone).endsWith(digits));
+  if (!matches.length) {
+    throw new TrackingError(NOT_FOUND, 404);
+  }
+  return matches.map(({ application }) => publicView(application));
+};
+
+// TRACKING_OTP_CHANNEL names an SMS channel (see messageChannels.js),
+// MESSAGE_CHANNEL otherwise. The built-in channels would leave the codes in
+// the server's log or on its disk, so codes are not sent through them.
+const otpChannelName = () => process.env.TRACKING_OTP_CHANNEL || process.env.MESSAGE_CHANNEL;
+
+const isOtpAvailable = () => {
+  const name = otpChannelName();
+  return Boolean(name) && !isBuiltInChannel(name);
+};
+
+// Send a one-time code to the phone on file for a service number. The reply
+// is the same whether or not the number exists. How often codes may be
+// requested is limited by the route.
+const requestTrackingOtp = async ({ serviceNumber: input }) => {
+  const serviceNumber = normalizeServiceNumber(input);
+  if (!serviceNumber) {
+    throw new TrackingError('Service number is required');
+  }
+  if (!isOtpAvailable()) {
+    throw new TrackingError('Tracking by code is not available; track with your phone number instead', 503);
+  }
+  const channel = getChannel(otpChannelName());
+
+  const phones = new Map();
+  (await applicationsFor(serviceNumber)).forEach(({ customer }) => phones.set(customer.phone, customer));
+
+  const expiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+  for (const [phone, customer] of phones) {
+    const code = crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+    const hashedPhone = phoneHash(phone);
+    await TrackingOtp.create({
+      serviceNumber,
+      phoneHash: hashedPhone,
+      codeHash: hashCode(serviceNumber, hashedPhone, code),
+      expiresAt
+    });
+    try {
+      await channel.send({
+        to: { name: customer.name, phone },
+        subject: 'Your tracking code',
+        body: `${code} is your code to track application ${serviceNumber}. It expires in ${OTP_TTL_MINUTES} minutes.`,
+        metadata: { purpose: 'tracking-otp' }
+      });
+    } catch (error) {
+      console.error('Error sending tracking code:', error);
+    }
+  }
+
+  return { expiresInMinutes: OTP_TTL_MINUTES };
+};
+
+// Track by service number and a code from requestTrackingOtp. Each code can
+// be tried OTP_MAX_ATTEMPTS times and works until it expires.
+const trackByOtp = async ({ serviceNumber: input, otp }) => {
+  const serviceNumber = normalizeServiceNumber(input);
+  const code = digitsOf(otp);
+  if (code.length !== OTP_LENGTH) {
+    throw new TrackingError(`Enter the ${OTP_LENGTH}-digit code sent to your phone`);
+  }
+
+  const candidates = await TrackingOtp.find({
+    serviceNumber,
+    expiresAt: { $gt: new Date() },
+    attempts: { $lt: OTP_MAX_ATTEMPTS }
+  });
+  const match = candidates.find(candidate => sameHash(candidate.codeHash, hashCode(serviceNumber, candidate.phoneHash, code)));
+  if (!match) {
+    await TrackingOtp.updateMany({ _id: { $in: candidates.map(candidate => candidate._id) } }, { $inc: { attempts: 1 } });
+    throw new TrackingError(NOT_FOUND, 404);
+  }
+
+  const matches = (await applicationsFor(serviceNumber)).filter(({ customer }) => phoneHash(customer.phone) === match.phoneHash);
+  if (!matches.length) {
+    throw new TrackingError(NOT_FOUND, 404);
+  }
+  return matches.map(({ application }) => publicView(application));
+};
+
+export {
+  TRACKING_PHONE_DIGITS,
+  TrackingError,
+  phoneHash,
+  isOtpAvailable,
+  trackByPhone,
+  requestTrackingOtp,
+  trackByOtp
+};
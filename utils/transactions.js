@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+let supported;
+
+// Whether the connected MongoDB can run multi-document transactions: replica
+// sets and sharded clusters can, a standalone server cannot
+const supportsTransactions = async () => {
+  if (supported === undefined) {
+    try {
+      const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+      supported = Boolean(hello.setName || hello.msg === 'isdbgrid');
+    } catch {
+      supported = false;
+    }
+  }
+  return supported;
+};
+
+// Run fn(session) inside a transaction when the server supports them, else
+// fn(null) with each write standing on its own. Resolves to
+// { result, transactional }.
+const withTransaction = async (fn) => {
+  if (!await supportsTransactions()) {
+    return { result: await fn(null), transactional: false };
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return { result, transactional: true };
+  } finally {
+    await session.endSession();
+  }
+};
+
+export { supportsTransactions, withTransaction };
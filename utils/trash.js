@@ -0,0 +1,253 @@
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+import ServiceApplication from '../models/ServiceApplication.js';
+import Category from '../models/Category.js';
+import SubCategory from '../models/SubCategory.js';
+import Form from '../models/Form.js';
+import Payment from '../models/Payment.js';
+import Invoice from '../models/Invoice.js';
+import Document from '../models/Document.js';
+import Household from '../models/Household.js';
+import CustomerNote from '../models/CustomerNote.js';
+import RenewalReminder from '../models/RenewalReminder.js';
+import MessageLog from '../models/MessageLog.js';
+import CustomerMerge from '../models/CustomerMerge.js';
+import { paginate } from './pagination.js';
+
+// Trashed records can be purged once they have been in the trash this long
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Raised for trash operations that cannot be carried out; routes answer with `status`
+class TrashError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TrashError';
+    this.status = status;
+  }
+}
+
+// Collections with a trash, by URL name.
+// `cascade`   records trashed, restored and purged together with this one.
+//             Those without a trash of their own stay put until the purge.
+// `parent`    must not be in the trash when this record is restored
+// `dependents` references that block a permanent purge, trashed ones included
+// `detach`    subdocument arrays the record is pulled out of when it is purged
+const TRASHABLE = {
+  customers: {
+    model: Customer,
+    label: 'Customer',
+    cascade: [
+      { model: ServiceApplication, path: 'customer' },
+      { model: Document, path: 'customer' },
+      { model: CustomerNote, path: 'customer' },
+      { model: RenewalReminder, path: 'customer' },
+      { model: MessageLog, path: 'customer' },
+      { model: CustomerMerge, path: 'survivor' }
+    ],
+    // Payments and invoices are financial records and are never deleted
+    dependents: [
+      { model: Payment, path: 'customer' },
+      { model: Invoice, path: 'customer' }
+    ],
+    detach: [{ model: Household, path: 'members', element: 'customer' }]
+  },
+  applications: {
+    model: ServiceApplication,
+    label: 'Service application',
+    parent: { model: Customer, path: 'customer', label: 'customer' },
+    dependents: [
+      { model: Payment, path: 'application' },
+      { model: Invoice, path: 'lines.application' },
+      { model: Document, path: 'application' }
+    ]
+  },
+  categories: {
+    model: Category,
+    label: 'Category',
+    dependents: [
+      { model: SubCategory, path: 'category' },
+      { model: ServiceApplication, path: 'serviceCategory' }
+    ]
+  },
+  subcategories: {
+    model: SubCategory,
+    label: 'Subcategory',
+    parent: { model: Category, path: 'category', label: 'category' },
+    dependents: [{ model: ServiceApplication, path: 'serviceSubCategory' }]
+  },
+  forms: {
+    model: Form,
+    label: 'Form'
+  },
+  // Purging a document also deletes its file, unless another record shares it
+  documents: {
+    model: Document,
+    label: 'Document',
+    parent: { model: Customer, path: 'customer', label: 'customer' }
+  }
+};
+
+// Children before parents, so dependents are gone by the time their parent is purged
+const PURGE_ORDER = ['documents', 'applications', 'customers', 'subcategories', 'categories', 'forms'];
+
+const resolveTrashable = (entity) => {
+  const trashable = TRASHABLE[entity];
+  if (!trashable) {
+    throw new TrashError(`Unknown entity "${entity}". Entities with a trash: ${Object.keys(TRASHABLE).join(', ')}`);
+  }
+  return trashable;
+};
+
+const checkId = (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new TrashError('Invalid record ID');
+  }
+};
+
+// The cascaded collections that have a trash (see utils/softDelete.js)
+const trashedCascade = ({ cascade = [] }) => cascade.filter(({ model }) => model.schema.path('deletedAt'));
+
+const purgeableFrom = (deletedAt) =>
+  new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+const findTrashed = async ({ model, label }, id) => {
+  checkId(id);
+  const doc = await model.findOne({ _id: id, deletedAt: { $ne: null } });
+  if (!doc) {
+    throw new TrashError(`${label} not found in the trash`, 404);
+  }
+  return doc;
+};
+
+// Move a record, and anything that cascades from it, to the trash. With a
+// `session` every write is part of that session's transaction.
+const trashRecord = async (entity, id, user, { session = null } = {}) => {
+  const trashable = resolveTrashable(entity);
+  checkId(id);
+
+  const doc = await trashable.model.findById(id).session(session);
+  if (!doc) {
+    throw new TrashError(`${trashable.label} not found`, 404);
+  }
+
+  const at = new Date();
+  await doc.softDelete(user, at);
+  for (const { model, path } of trashedCascade(trashable)) {
+    const children = await model.find({ [path]: doc._id }).session(session);
+    for (const child of children) {
+      await child.softDelete(user, at);
+    }
+  }
+
+  return doc;
+};
+
+// Take a record out of the trash, with the cascaded records that were trashed
+// along with it (but not those trashed separately before)
+const restoreRecord = async (entity, id) => {
+  const trashable = resolveTrashable(entity);
+  const doc = await findTrashed(trashable, id);
+
+  if (trashable.parent) {
+    const { model, path, label } = trashable.parent;
+    const parentExists = await model.exists({ _id: doc[path] });
+    if (doc[path] && !parentExists) {
+      throw new TrashError(`The ${label} of this ${trashable.label.toLowerCase()} is in the trash; restore it first`, 409);
+    }
+  }
+
+  const { deletedAt } = doc;
+  await doc.restore();
+  for (const { model, path } of trashedCascade(trashable)) {
+    const children = await model.find({ [path]: doc._id, deletedAt });
+    for (const child of children) {
+      await child.restore();
+    }
+  }
+
+  return doc;
+};
+
+// Permanently delete a trashed record once its retention period has passed
+const purgeRecord = async (entity, id, now = new Date()) => {
+  const trashable = resolveTrashable(entity);
+  const doc = await findTrashed(trashable, id);
+
+  const purgeAfter = purgeableFrom(doc.deletedAt);
+  if (purgeAfter > now) {
+    throw new TrashError(
+      `${trashable.label} can be purged after ${purgeAfter.toISOString()} (${TRASH_RETENTION_DAYS}-day retention)`,
+      409
+    );
+  }
+
+  for (const { model, path } of trashable.dependents || []) {
+    const count = await model.countDocuments({ [path]: doc._id }).setOptions({ withDeleted: true });
+    if (count > 0) {
+      throw new TrashError(`${trashable.label} is still referenced by ${count} ${model.modelName} record(s)`, 409);
+    }
+  }
+
+  for (const { model, path } of trashable.cascade || []) {
+    await model.deleteMany({ [path]: doc._id });
+  }
+  for (const { model, path, element } of trashable.detach || []) {
+    await model.updateMany({ [`${path}.${element}`]: doc._id }, { $pull: { [path]: { [element]: doc._id } } });
+  }
+  await trashable.model.deleteOne({ _id: doc._id });
+
+  return doc;
+};
+
+// Purge everything whose retention period has passed. Records that cannot be
+// purged yet (still referenced) are reported and left in the trash.
+const purgeExpired = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const results = [];
+
+  for (const entity of PURGE_ORDER) {
+    const { model } = TRASHABLE[entity];
+    const expired = await model.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id').lean();
+    const result = { entity, purged: 0, failed: [] };
+
+    for (const { _id } of expired) {
+      try {
+        await purgeRecord(entity, _id, now);
+        result.purged++;
+      } catch (error) {
+        if (error.name !== 'TrashError') throw error;
+        result.failed.push({ id: _id, error: error.message });
+      }
+    }
+    results.push(result);
+  }
+
+  return results;
+};
+
+// One page of a collection's trash, most recently trashed first
+const listTrash = async (entity, query) => {
+  const { model } = resolveTrashable(entity);
+  const result = await paginate(model, { deletedAt: { $ne: null } }, query, {
+    sortFields: ['deletedAt'],
+    defaultSort: '-deletedAt',
+    populate: [{ path: 'deletedBy', select: 'name email' }]
+  });
+
+  result.data = result.data.map(doc => ({
+    ...doc.toJSON(),
+    purgeAfter: purgeableFrom(doc.deletedAt)
+  }));
+  return result;
+};
+
+export {
+  TRASH_RETENTION_DAYS,
+  TrashError,
+  TRASHABLE,
+  trashRecord,
+  restoreRecord,
+  purgeRecord,
+  purgeExpired,
+  listTrash
+};